@@ -0,0 +1,15 @@
+exports.up = (pgm) => {
+  pgm.createIndex(
+    'contents',
+    [
+      "(setweight(to_tsvector('portuguese', COALESCE(title, '')), 'A') || setweight(to_tsvector('portuguese', body), 'B'))",
+    ],
+    {
+      name: 'contents_full_text_search_idx',
+      method: 'gin',
+      where: "status = 'published'",
+    },
+  );
+};
+
+exports.down = false;
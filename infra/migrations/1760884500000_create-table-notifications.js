@@ -0,0 +1,60 @@
+exports.up = (pgm) => {
+  pgm.createTable('notifications', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    type: {
+      type: 'varchar(64)',
+      notNull: true,
+    },
+
+    title: {
+      type: 'varchar(512)',
+      notNull: true,
+    },
+
+    url: {
+      type: 'varchar(2000)',
+      notNull: false,
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: false,
+    },
+
+    metadata: {
+      type: 'jsonb',
+      notNull: false,
+    },
+
+    read_at: {
+      type: 'timestamp with time zone',
+      notNull: false,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('notifications', ['user_id', 'created_at']);
+
+  pgm.createIndex('notifications', ['user_id'], {
+    name: 'notifications_user_id_unread_index',
+    where: 'read_at IS NULL',
+  });
+};
+
+exports.down = false;
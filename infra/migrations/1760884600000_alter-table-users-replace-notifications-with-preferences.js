@@ -0,0 +1,33 @@
+const defaultPreferences = {
+  direct_reply: { email: true, in_app: true },
+  thread_reply: { email: false, in_app: true },
+  mention: { email: true, in_app: true },
+  tabcoins_reward: { email: false, in_app: true },
+};
+
+const emailDisabledPreferences = Object.fromEntries(
+  Object.entries(defaultPreferences).map(([kind, channels]) => [kind, { ...channels, email: false }]),
+);
+
+exports.up = (pgm) => {
+  pgm.addColumns('users', {
+    notification_preferences: {
+      type: 'jsonb',
+      notNull: true,
+      default: pgm.func(`'${JSON.stringify(defaultPreferences)}'::jsonb`),
+    },
+  });
+
+  pgm.sql(`
+    UPDATE
+      users
+    SET
+      notification_preferences = '${JSON.stringify(emailDisabledPreferences)}'::jsonb
+    WHERE
+      notifications = false;
+  `);
+
+  // "notifications" is kept in sync with "direct_reply.email" so the previous deploy keeps working during rollout.
+};
+
+exports.down = false;
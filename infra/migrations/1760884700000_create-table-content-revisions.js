@@ -0,0 +1,48 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_revisions', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    title: {
+      type: 'varchar',
+      check: 'length(title) <= 256',
+      notNull: false,
+    },
+
+    body: {
+      type: 'text',
+      check: 'length(body) <= 20000',
+      notNull: true,
+    },
+
+    source_url: {
+      type: 'varchar',
+      check: 'length(source_url) <= 2000',
+      notNull: false,
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: false,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_revisions', ['content_id', 'created_at']);
+};
+
+exports.down = false;
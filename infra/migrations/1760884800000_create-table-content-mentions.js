@@ -0,0 +1,39 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_mentions', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    notified_at: {
+      type: 'timestamp with time zone',
+      notNull: false,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_mentions', ['content_id', 'user_id'], {
+    unique: true,
+  });
+
+  pgm.createIndex('content_mentions', ['user_id']);
+};
+
+exports.down = false;
@@ -0,0 +1,44 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_bookmarks', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_bookmarks', ['user_id', 'content_id'], {
+    unique: true,
+  });
+
+  pgm.createIndex('content_bookmarks', ['user_id', 'created_at']);
+
+  pgm.sql(`
+    UPDATE
+      users
+    SET
+      features = array_append(features, 'create:bookmark')
+    WHERE
+      'create:content' = ANY (features)
+      AND NOT 'create:bookmark' = ANY (features);
+  `);
+};
+
+exports.down = false;
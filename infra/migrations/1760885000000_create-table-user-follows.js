@@ -0,0 +1,44 @@
+exports.up = (pgm) => {
+  pgm.createTable('user_follows', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    follower_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    followed_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('user_follows', ['follower_id', 'followed_id'], {
+    unique: true,
+  });
+
+  pgm.createIndex('user_follows', ['followed_id']);
+
+  pgm.sql(`
+    UPDATE
+      users
+    SET
+      features = array_append(features, 'create:follow')
+    WHERE
+      'create:content' = ANY (features)
+      AND NOT 'create:follow' = ANY (features);
+  `);
+};
+
+exports.down = false;
@@ -0,0 +1,34 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_tags', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    name: {
+      type: 'varchar(30)',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_tags', ['content_id', 'name'], {
+    unique: true,
+  });
+
+  pgm.createIndex('content_tags', ['name']);
+};
+
+exports.down = false;
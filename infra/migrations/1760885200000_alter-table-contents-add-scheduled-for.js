@@ -0,0 +1,14 @@
+exports.up = async (pgm) => {
+  await pgm.addColumns('contents', {
+    scheduled_for: {
+      type: 'timestamp with time zone',
+      notNull: false,
+    },
+  });
+
+  await pgm.createIndex('contents', ['scheduled_for'], {
+    where: "status = 'draft' AND scheduled_for IS NOT NULL",
+  });
+};
+
+exports.down = false;
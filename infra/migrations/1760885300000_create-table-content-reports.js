@@ -0,0 +1,71 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_reports', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    reporter_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    reason: {
+      type: 'varchar',
+      notNull: true,
+      check: "reason IN ('spam', 'plagiarism', 'abuse', 'other')",
+    },
+
+    description: {
+      type: 'varchar',
+      check: 'length(description) <= 1000',
+    },
+
+    resolution: {
+      type: 'varchar',
+      check: "resolution IN ('delete_content', 'ban_user', 'dismiss')",
+    },
+
+    resolved_by_event_id: {
+      type: 'uuid',
+    },
+
+    resolved_at: {
+      type: 'timestamp with time zone',
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_reports', ['content_id', 'reporter_id'], {
+    unique: true,
+    where: 'resolved_at IS NULL',
+  });
+
+  pgm.createIndex('content_reports', ['created_at'], {
+    where: 'resolved_at IS NULL',
+  });
+
+  pgm.sql(`
+    UPDATE
+      users
+    SET
+      features = array_append(features, 'create:report')
+    WHERE
+      'create:content' = ANY (features)
+      AND NOT 'create:report' = ANY (features);
+  `);
+};
+
+exports.down = false;
@@ -0,0 +1,135 @@
+exports.up = (pgm) => {
+  pgm.createTable('firewall_rules', {
+    id: {
+      type: 'varchar(64)',
+      notNull: true,
+      primaryKey: true,
+    },
+
+    event_type: {
+      type: 'varchar',
+      notNull: true,
+    },
+
+    scope: {
+      type: 'varchar',
+      notNull: true,
+      check: "scope IN ('ip', 'user')",
+    },
+
+    metadata_filter: {
+      type: 'jsonb',
+    },
+
+    threshold: {
+      type: 'integer',
+      notNull: true,
+      check: 'threshold > 0',
+    },
+
+    window_seconds: {
+      type: 'integer',
+      notNull: true,
+      check: 'window_seconds > 0',
+    },
+
+    side_effect: {
+      type: 'varchar',
+      notNull: true,
+      default: 'none',
+      check: "side_effect IN ('none', 'block_users', 'block_contents')",
+    },
+
+    side_effect_window_seconds: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+      check: 'side_effect_window_seconds >= 0',
+    },
+
+    message: {
+      type: 'varchar',
+      notNull: true,
+      check: 'length(message) <= 255',
+    },
+
+    enabled: {
+      type: 'boolean',
+      notNull: true,
+      default: false,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+
+    updated_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('firewall_rules', ['event_type'], {
+    where: 'enabled = true',
+  });
+
+  pgm.sql(`
+    INSERT INTO firewall_rules
+      (id, event_type, scope, threshold, window_seconds, side_effect, side_effect_window_seconds, message)
+    VALUES
+      (
+        'create:user',
+        'create:user',
+        'ip',
+        2,
+        5,
+        'block_users',
+        1800,
+        'Identificamos a criação de muitos usuários em um curto período, então usuários criados recentemente podem ter sido desativados.'
+      ),
+      (
+        'create:content:text_root',
+        'create:content:text_root',
+        'ip',
+        2,
+        5,
+        'block_contents',
+        600,
+        'Identificamos a criação de muitas publicações em um curto período, então publicações criadas recentemente podem ter sido removidas.'
+      ),
+      (
+        'create:content:text_child',
+        'create:content:text_child',
+        'ip',
+        2,
+        5,
+        'block_contents',
+        600,
+        'Identificamos a criação de muitos comentários em um curto período, então comentários criados recentemente podem ter sido removidos.'
+      );
+  `);
+
+  // Keep enabled the rules whose stored procedures were already deployed.
+  pgm.sql(`
+    UPDATE
+      firewall_rules
+    SET
+      enabled = true
+    WHERE
+      to_regprocedure('firewall_' || replace(id, ':', '_') || '(inet)') IS NOT NULL;
+  `);
+
+  pgm.sql(`
+    DROP FUNCTION IF EXISTS firewall_create_user(inet);
+    DROP FUNCTION IF EXISTS firewall_create_content_text_root(inet);
+    DROP FUNCTION IF EXISTS firewall_create_content_text_child(inet);
+    DROP FUNCTION IF EXISTS firewall_create_user_side_effect(inet);
+    DROP FUNCTION IF EXISTS firewall_create_content_text_root_side_effect(inet);
+    DROP FUNCTION IF EXISTS firewall_create_content_text_child_side_effect(inet);
+  `);
+};
+
+exports.down = false;
@@ -0,0 +1,64 @@
+exports.up = (pgm) => {
+  pgm.createTable('user_suspensions', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    ban_type: {
+      type: 'varchar',
+      notNull: true,
+      check: "ban_type IN ('suspend', 'read_only')",
+    },
+
+    reason: {
+      type: 'varchar',
+      notNull: true,
+      check: 'length(reason) <= 255',
+    },
+
+    removed_features: {
+      type: 'varchar[]',
+      notNull: true,
+      default: '{}',
+    },
+
+    ends_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    lifted_by_event_id: {
+      type: 'uuid',
+    },
+
+    lifted_at: {
+      type: 'timestamp with time zone',
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('user_suspensions', ['user_id'], {
+    unique: true,
+    where: 'lifted_at IS NULL',
+  });
+};
+
+exports.down = false;
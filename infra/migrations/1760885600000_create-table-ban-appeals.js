@@ -0,0 +1,63 @@
+exports.up = (pgm) => {
+  pgm.createTable('ban_appeals', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    message: {
+      type: 'varchar',
+      check: 'length(message) <= 2000',
+    },
+
+    submitted_at: {
+      type: 'timestamp with time zone',
+    },
+
+    resolution: {
+      type: 'varchar',
+      check: "resolution IN ('accept', 'reject')",
+    },
+
+    resolved_by_event_id: {
+      type: 'uuid',
+    },
+
+    resolved_at: {
+      type: 'timestamp with time zone',
+    },
+
+    expires_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('ban_appeals', ['user_id', 'event_id'], {
+    unique: true,
+  });
+
+  pgm.createIndex('ban_appeals', ['submitted_at'], {
+    where: 'submitted_at IS NOT NULL AND resolved_at IS NULL',
+  });
+};
+
+exports.down = false;
@@ -0,0 +1,21 @@
+exports.up = async (pgm) => {
+  await pgm.addColumns('contents', {
+    quarantined_at: {
+      type: 'timestamp with time zone',
+      notNull: false,
+    },
+  });
+
+  await pgm.createIndex('contents', ['quarantined_at'], {
+    where: 'quarantined_at IS NOT NULL',
+  });
+
+  await pgm.sql(`
+    ALTER TABLE firewall_rules
+      DROP CONSTRAINT firewall_rules_side_effect_check,
+      ADD CONSTRAINT firewall_rules_side_effect_check
+        CHECK (side_effect IN ('none', 'block_users', 'block_contents', 'quarantine_users'));
+  `);
+};
+
+exports.down = false;
@@ -0,0 +1,12 @@
+exports.up = async (pgm) => {
+  await pgm.sql(`
+    CREATE INDEX contents_body_hash_index
+      ON contents (md5(lower(btrim(regexp_replace(body, '\\s+', ' ', 'g')))), created_at);
+
+    CREATE INDEX contents_source_domain_index
+      ON contents (lower(substring(source_url from '^https?://(?:www\\.)?([^/:?#]+)')), created_at)
+      WHERE source_url IS NOT NULL;
+  `);
+};
+
+exports.down = false;
@@ -0,0 +1,42 @@
+exports.up = (pgm) => {
+  pgm.createTable('domain_rules', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    domain: {
+      type: 'varchar',
+      notNull: true,
+      unique: true,
+      check: 'length(domain) <= 253',
+    },
+
+    action: {
+      type: 'varchar',
+      notNull: true,
+      check: "action IN ('block', 'allow', 'nofollow')",
+    },
+
+    reason: {
+      type: 'varchar',
+      check: 'length(reason) <= 255',
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+
+    updated_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+};
+
+exports.down = false;
@@ -0,0 +1,9 @@
+exports.up = async (pgm) => {
+  await pgm.sql(`
+    CREATE INDEX events_moderation_notes_index
+      ON events ((metadata->>'id'), created_at)
+      WHERE type IN ('update:content:text_root', 'update:content:text_child') AND metadata ? 'moderation_reason';
+  `);
+};
+
+exports.down = false;
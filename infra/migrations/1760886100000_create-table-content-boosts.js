@@ -0,0 +1,53 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_boosts', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    user_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    amount: {
+      type: 'integer',
+      notNull: true,
+      check: 'amount > 0',
+    },
+
+    score_bonus: {
+      type: 'integer',
+      notNull: true,
+      check: 'score_bonus > 0',
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    expires_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_boosts', ['content_id', 'expires_at']);
+  pgm.createIndex('content_boosts', ['expires_at']);
+};
+
+exports.down = false;
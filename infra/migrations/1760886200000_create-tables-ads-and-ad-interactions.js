@@ -0,0 +1,98 @@
+exports.up = (pgm) => {
+  pgm.addTypeValue('ad_balance_type_enum', 'impression', { ifNotExists: true });
+  pgm.addTypeValue('ad_balance_type_enum', 'click', { ifNotExists: true });
+  pgm.addTypeValue('originator_type_enum', 'ad_interaction', { ifNotExists: true });
+
+  pgm.createTable('ads', {
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+      primaryKey: true,
+    },
+
+    owner_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    pricing_model: {
+      type: 'varchar',
+      notNull: true,
+      check: "pricing_model IN ('cpm', 'cpc')",
+    },
+
+    cost: {
+      type: 'integer',
+      notNull: true,
+      check: 'cost > 0',
+    },
+
+    status: {
+      type: 'varchar',
+      notNull: true,
+      default: 'active',
+      check: "status IN ('active', 'paused')",
+    },
+
+    impressions_count: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+
+    clicks_count: {
+      type: 'integer',
+      notNull: true,
+      default: 0,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+
+    updated_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('ads', ['owner_id', 'created_at']);
+
+  pgm.createTable('ad_interactions', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    ad_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    type: {
+      type: 'varchar',
+      notNull: true,
+      check: "type IN ('impression', 'click')",
+    },
+
+    ip: {
+      type: 'inet',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('ad_interactions', ['ad_id', 'type', 'ip', 'created_at']);
+};
+
+exports.down = false;
@@ -0,0 +1,13 @@
+exports.up = (pgm) => {
+  pgm.addColumns('ad_interactions', {
+    viewer_session: {
+      type: 'uuid',
+    },
+  });
+
+  pgm.createIndex('ad_interactions', ['viewer_session', 'ad_id', 'created_at'], {
+    where: "viewer_session IS NOT NULL AND type = 'impression'",
+  });
+};
+
+exports.down = false;
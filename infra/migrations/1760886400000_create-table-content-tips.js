@@ -0,0 +1,48 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_tips', {
+    id: {
+      type: 'uuid',
+      default: pgm.func('gen_random_uuid()'),
+      notNull: true,
+      primaryKey: true,
+    },
+
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    tipper_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    recipient_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    amount: {
+      type: 'integer',
+      notNull: true,
+      check: 'amount > 0',
+    },
+
+    event_id: {
+      type: 'uuid',
+      notNull: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+
+  pgm.createIndex('content_tips', ['content_id']);
+  pgm.createIndex('content_tips', ['tipper_id', 'created_at']);
+  pgm.createIndex('content_tips', ['tipper_id', 'recipient_id', 'created_at']);
+};
+
+exports.down = false;
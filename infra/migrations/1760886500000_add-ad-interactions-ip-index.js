@@ -0,0 +1,5 @@
+exports.up = (pgm) => {
+  pgm.createIndex('ad_interactions', ['ip', 'created_at']);
+};
+
+exports.down = false;
@@ -0,0 +1,16 @@
+exports.up = async (pgm) => {
+  await pgm.sql(`
+    CREATE INDEX events_created_at_index ON events (created_at);
+    CREATE INDEX events_type_created_at_index ON events (type, created_at);
+    CREATE INDEX events_originator_user_id_created_at_index ON events (originator_user_id, created_at);
+
+    CREATE INDEX events_metadata_user_id_index ON events ((metadata->>'user_id'));
+    CREATE INDEX events_metadata_content_owner_id_index ON events ((metadata->>'content_owner_id'));
+    CREATE INDEX events_metadata_content_id_index ON events ((metadata->>'content_id'));
+    CREATE INDEX events_metadata_id_index ON events ((metadata->>'id'));
+    CREATE INDEX events_metadata_users_index ON events USING GIN ((metadata->'users'));
+    CREATE INDEX events_metadata_contents_index ON events USING GIN ((metadata->'contents'));
+  `);
+};
+
+exports.down = false;
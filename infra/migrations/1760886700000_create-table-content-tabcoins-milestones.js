@@ -0,0 +1,23 @@
+exports.up = (pgm) => {
+  pgm.createTable('content_tabcoins_milestones', {
+    content_id: {
+      type: 'uuid',
+      notNull: true,
+      primaryKey: true,
+    },
+
+    milestone: {
+      type: 'integer',
+      notNull: true,
+      primaryKey: true,
+    },
+
+    created_at: {
+      type: 'timestamp with time zone',
+      notNull: true,
+      default: pgm.func("(now() at time zone 'utc')"),
+    },
+  });
+};
+
+exports.down = false;
@@ -1,6 +1,4 @@
 /* eslint-disable no-console */
-const fs = require('node:fs');
-const { join, resolve } = require('node:path');
 const { Client } = require('pg');
 
 const client = new Client({
@@ -17,7 +15,7 @@ async function seedDatabase() {
 
   await client.connect();
   await seedDevelopmentUsers();
-  await createFirewallFunctions();
+  await enableFirewallRules();
   await client.end();
 
   console.log('\n> Database seeded!');
@@ -32,6 +30,9 @@ async function seedDevelopmentUsers() {
     'create:content:text_child',
     'update:content',
     'update:user',
+    'create:bookmark',
+    'create:follow',
+    'create:report',
     'update:user:others',
     'ban:user',
     'read:migration',
@@ -42,6 +43,17 @@ async function seedDevelopmentUsers() {
     'read:user:list',
     'read:firewall',
     'review:firewall',
+    'update:firewall:rules',
+    'update:domain_rules',
+    'update:content:scheduled',
+    'update:user:suspensions',
+    'read:report',
+    'review:report',
+    'read:appeal',
+    'review:appeal',
+    'read:events',
+    'read:quarantine',
+    'review:quarantine',
   ]);
   await insertUser('user', 'user@user.com', '$2a$04$v0hvAu/y6pJ17LzeCfcKG.rDStO9x5ficm2HTLZIfeDBG8oR/uQXi', [
     'create:session',
@@ -51,6 +63,9 @@ async function seedDevelopmentUsers() {
     'create:content:text_child',
     'update:content',
     'update:user',
+    'create:bookmark',
+    'create:follow',
+    'create:report',
   ]);
 
   console.log('------------------------------');
@@ -76,14 +91,8 @@ async function seedDevelopmentUsers() {
   }
 }
 
-async function createFirewallFunctions() {
-  console.log('\n> Creating Firewall functions...');
-  const proceduresPath = join(resolve('.'), 'infra', 'stored-procedures');
-  const procedures = fs.readdirSync(proceduresPath);
-
-  for (const procedureFile of procedures) {
-    const procedureQuery = fs.readFileSync(`${proceduresPath}/${procedureFile}`, 'utf8');
-    await client.query(procedureQuery);
-  }
-  console.log('> Firewall functions created!');
+async function enableFirewallRules() {
+  console.log('\n> Enabling Firewall rules...');
+  await client.query('UPDATE firewall_rules SET enabled = true;');
+  console.log('> Firewall rules enabled!');
 }
@@ -6,6 +6,19 @@ import authorization from 'models/authorization.js';
 import { ActivationEmail } from 'models/transactional';
 import user from 'models/user.js';
 
+const activatedUserFeatures = [
+  'create:session',
+  'read:session',
+  'create:content',
+  'create:content:text_root',
+  'create:content:text_child',
+  'update:content',
+  'update:user',
+  'create:bookmark',
+  'create:follow',
+  'create:report',
+];
+
 async function createAndSendActivationEmail(user) {
   const tokenObject = await create(user);
   await sendEmailToUser(user, tokenObject.id);
@@ -103,19 +116,7 @@ async function activateUserByUserId(userId, options = {}) {
   }
 
   await user.removeFeatures(userToActivate.id, ['read:activation_token'], options);
-  return await user.addFeatures(
-    userToActivate.id,
-    [
-      'create:session',
-      'read:session',
-      'create:content',
-      'create:content:text_root',
-      'create:content:text_child',
-      'update:content',
-      'update:user',
-    ],
-    options,
-  );
+  return await user.addFeatures(userToActivate.id, activatedUserFeatures, options);
 }
 
 async function findOneTokenById(tokenId) {
@@ -208,6 +209,7 @@ async function update(tokenId, tokenBody) {
 }
 
 export default Object.freeze({
+  activatedUserFeatures,
   create,
   createAndSendActivationEmail,
   findOneTokenByUserId,
@@ -1,46 +1,389 @@
+import { NotFoundError } from 'errors';
 import database from 'infra/database';
+import balance from 'models/balance.js';
+import pagination from 'models/pagination.js';
+
+const impressionsPerCpmCharge = 1000;
+const maxImpressionsPerViewerSession = 3;
+
+const adsWithStatsQuery = `
+  SELECT
+    ads.content_id as id,
+    ads.owner_id,
+    ads.pricing_model,
+    ads.cost,
+    ads.status,
+    ads.impressions_count as impressions,
+    ads.clicks_count as clicks,
+    ads.created_at,
+    ads.updated_at,
+    contents.slug,
+    contents.title,
+    contents.source_url,
+    users.username as owner_username,
+    ad_operations.budget,
+    ad_operations.spent,
+    get_ad_current_tabcash(ads.content_id) as remaining_budget
+  FROM
+    ads
+  INNER JOIN
+    contents ON contents.id = ads.content_id
+  INNER JOIN
+    users ON users.id = ads.owner_id
+  LEFT JOIN LATERAL (
+    SELECT
+      COALESCE(SUM(amount) FILTER (WHERE balance_type = 'budget'), 0)::INTEGER as budget,
+      COALESCE(-SUM(amount) FILTER (WHERE balance_type IN ('impression', 'click')), 0)::INTEGER as spent
+    FROM
+      ad_tabcash_operations
+    WHERE
+      recipient_id = ads.content_id
+  ) ad_operations ON true
+`;
 
 async function getRandom(limit, options = {}) {
-  const { ignoreId, ownerId, tryOtherOwners } = options;
+  const { ignoreId, ownerId, tryOtherOwners, seed, weighting = 'budget', viewerSession } = options;
 
   const query = {
-    values: [limit],
+    text: `
+      WITH candidates AS (
+        SELECT
+          c.id,
+          c.slug,
+          c.title,
+          c.source_url,
+          c.owner_id,
+          u.username as owner_username,
+          -LN(1 - COALESCE(
+            ('x' || SUBSTR(MD5($4::TEXT || c.id::TEXT), 1, 8))::BIT(32)::BIGINT / 4294967296.0,
+            RANDOM()
+          )) / (CASE WHEN $5 = 'uniform' THEN 1 ELSE ad_budget.remaining_budget END) as selection_key
+        FROM contents c
+        INNER JOIN users u ON c.owner_id = u.id
+        LEFT JOIN ads ON ads.content_id = c.id
+        CROSS JOIN LATERAL (SELECT get_ad_current_tabcash(c.id) as remaining_budget) ad_budget
+        WHERE
+          c.type = 'ad'
+          AND c.status = 'published'
+          AND (ads.content_id IS NULL OR ads.status = 'active')
+          AND ad_budget.remaining_budget > 0
+          AND ($2::UUID IS NULL OR c.owner_id = $2)
+          AND ($3::UUID IS NULL OR c.id != $3)
+          AND ($6::UUID IS NULL OR (
+            SELECT COUNT(*)
+            FROM ad_interactions
+            WHERE
+              ad_interactions.viewer_session = $6
+              AND ad_interactions.ad_id = c.id
+              AND ad_interactions.type = 'impression'
+              AND ad_interactions.created_at > NOW() - INTERVAL '24 hours'
+          ) < $7)
+      ),
+      best_ad_per_owner AS (
+        SELECT DISTINCT ON (owner_id)
+          *
+        FROM candidates
+        WHERE $2::UUID IS NULL
+        ORDER BY
+          owner_id,
+          selection_key,
+          id
+      ),
+      selected_ads AS (
+        SELECT * FROM best_ad_per_owner
+        UNION ALL
+        SELECT * FROM candidates WHERE $2::UUID IS NOT NULL
+      )
+      SELECT
+        id,
+        slug,
+        title,
+        source_url,
+        owner_username,
+        'markdown' as ad_type
+      FROM selected_ads
+      ORDER BY
+        selection_key,
+        id
+      LIMIT $1;
+    `,
+    values: [
+      limit,
+      ownerId ?? null,
+      ignoreId ?? null,
+      seed ?? null,
+      weighting,
+      viewerSession ?? null,
+      maxImpressionsPerViewerSession,
+    ],
   };
 
-  let where = "type = 'ad' AND status = 'published'";
+  const results = await database.query(query);
 
-  if (ownerId) {
-    where += ` AND c.owner_id = '${ownerId}'`;
+  if (!results.rows.length && ownerId && tryOtherOwners) {
+    return getRandom(limit, { ignoreId, seed, weighting, viewerSession });
   }
 
-  if (ignoreId) {
-    where += ` AND c.id != '${ignoreId}'`;
+  return results.rows;
+}
+
+async function create({ contentId, ownerId, pricingModel, cost }, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO ads
+        (content_id, owner_id, pricing_model, cost)
+      VALUES
+        ($1, $2, $3, $4)
+      RETURNING
+        *
+    ;`,
+    values: [contentId, ownerId, pricingModel, cost],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+async function findAllByOwnerId(ownerId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      WITH ads_with_stats AS (${adsWithStatsQuery}
+        WHERE
+          ads.owner_id = $1
+          AND contents.status != 'deleted'
+      )
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        *
+      FROM
+        ads_with_stats
+      ORDER BY
+        created_at DESC
+      LIMIT $2 OFFSET $3
+    ;`,
+    values: [ownerId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows,
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? 0;
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function findOneById(adId, options = {}) {
+  const query = {
+    text: `${adsWithStatsQuery}
+      WHERE
+        ads.content_id = $1
+        AND contents.status != 'deleted'
+    ;`,
+    values: [adId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (!results.rowCount) {
+    throw new NotFoundError({
+      message: 'O anúncio informado não foi encontrado no sistema.',
+      action: 'Verifique se o "id" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:ADVERTISEMENT:FIND_ONE_BY_ID:NOT_FOUND',
+      key: 'id',
+    });
   }
 
-  query.text = `
-    SELECT
-      c.id,
-      c.slug,
-      c.title,
-      c.source_url,
-      u.username as owner_username,
-      'markdown' as ad_type
-    FROM contents c
-    INNER JOIN users u ON c.owner_id = u.id
-    WHERE ${where}
-    ORDER BY RANDOM()
-    LIMIT $1;
-  `;
+  return results.rows[0];
+}
 
-  const results = await database.query(query);
+async function updateStatus(adId, status, options = {}) {
+  const query = {
+    text: `
+      UPDATE
+        ads
+      SET
+        status = $2,
+        updated_at = (now() at time zone 'utc')
+      WHERE
+        content_id = $1
+    ;`,
+    values: [adId, status],
+  };
 
-  if (!results.rows.length && ownerId && tryOtherOwners) {
-    return getRandom(limit, { ignoreId });
+  await database.query(query, { transaction: options.transaction });
+
+  return await findOneById(adId, options);
+}
+
+async function recordInteraction({ adId, type, ip, viewerSession }, options = {}) {
+  const adQuery = {
+    text: `
+      SELECT
+        ads.*,
+        get_ad_current_tabcash(ads.content_id) as remaining_budget
+      FROM
+        ads
+      INNER JOIN
+        contents ON contents.id = ads.content_id
+      WHERE
+        ads.content_id = $1
+        AND contents.status = 'published'
+      FOR UPDATE OF ads
+    ;`,
+    values: [adId],
+  };
+
+  const adResults = await database.query(adQuery, { transaction: options.transaction });
+  const adFound = adResults.rows[0];
+
+  if (!adFound) {
+    throw new NotFoundError({
+      message: 'O anúncio informado não foi encontrado no sistema.',
+      action: 'Verifique se o "id" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:ADVERTISEMENT:RECORD_INTERACTION:NOT_FOUND',
+      key: 'id',
+    });
   }
 
-  return results.rows;
+  if (adFound.status !== 'active' || adFound.remaining_budget <= 0) {
+    return { type, recorded: false };
+  }
+
+  const duplicatedResults = await database.query(
+    {
+      text: `
+        SELECT
+          id
+        FROM
+          ad_interactions
+        WHERE
+          ad_id = $1
+          AND type = $2
+          AND ip = $3
+          AND created_at > NOW() - INTERVAL '1 hour'
+        LIMIT 1
+      ;`,
+      values: [adId, type, ip],
+    },
+    { transaction: options.transaction },
+  );
+
+  if (duplicatedResults.rowCount) {
+    return { type, recorded: false };
+  }
+
+  if (type === 'click' && !(await hasServedImpression({ adId, ip, viewerSession }, options))) {
+    return { type, recorded: false };
+  }
+
+  const interactionResults = await database.query(
+    {
+      text: `
+        WITH new_interaction AS (
+          INSERT INTO ad_interactions
+            (ad_id, type, ip, viewer_session)
+          VALUES
+            ($1, $2, $3, $4)
+          RETURNING
+            id
+        ),
+        updated_ad AS (
+          UPDATE
+            ads
+          SET
+            impressions_count = impressions_count + CASE WHEN $2 = 'impression' THEN 1 ELSE 0 END,
+            clicks_count = clicks_count + CASE WHEN $2 = 'click' THEN 1 ELSE 0 END
+          WHERE
+            content_id = $1
+          RETURNING
+            impressions_count,
+            clicks_count
+        )
+        SELECT
+          new_interaction.id,
+          updated_ad.impressions_count,
+          updated_ad.clicks_count
+        FROM
+          new_interaction,
+          updated_ad
+      ;`,
+      values: [adId, type, ip, viewerSession ?? null],
+    },
+    { transaction: options.transaction },
+  );
+
+  const interaction = interactionResults.rows[0];
+  const amountToDebit = Math.min(getInteractionCost(adFound, type, interaction), adFound.remaining_budget);
+
+  if (amountToDebit > 0) {
+    await balance.create(
+      {
+        balanceType: `ad:${type}`,
+        recipientId: adId,
+        amount: -amountToDebit,
+        originatorType: 'ad_interaction',
+        originatorId: interaction.id,
+      },
+      { transaction: options.transaction },
+    );
+  }
+
+  return { type, recorded: true };
+}
+
+// Clicks are only billed when the same viewer session already recorded an impression of the ad.
+async function hasServedImpression({ adId, ip, viewerSession }, options = {}) {
+  if (!viewerSession) return false;
+
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          id
+        FROM
+          ad_interactions
+        WHERE
+          viewer_session = $1
+          AND ad_id = $2
+          AND type = 'impression'
+          AND ip = $3
+          AND created_at > NOW() - INTERVAL '1 hour'
+        LIMIT 1
+      ;`,
+      values: [viewerSession, adId, ip],
+    },
+    { transaction: options.transaction },
+  );
+
+  return results.rowCount > 0;
+}
+
+function getInteractionCost(ad, type, interaction) {
+  if (ad.pricing_model === 'cpc') {
+    return type === 'click' ? ad.cost : 0;
+  }
+
+  if (type === 'impression' && interaction.impressions_count % impressionsPerCpmCharge === 0) {
+    return ad.cost;
+  }
+
+  return 0;
 }
 
 export default Object.freeze({
+  create,
+  findAllByOwnerId,
+  findOneById,
   getRandom,
+  recordInteraction,
+  updateStatus,
 });
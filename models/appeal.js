@@ -0,0 +1,303 @@
+import { NotFoundError, UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import webserver from 'infra/webserver.js';
+import activation from 'models/activation.js';
+import event from 'models/event.js';
+import firewall from 'models/firewall';
+import pagination from 'models/pagination.js';
+import user from 'models/user.js';
+
+async function create({ userId, eventId }, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO ban_appeals
+        (user_id, event_id, expires_at)
+      VALUES
+        ($1, $2, now() + interval '30 days')
+      ON CONFLICT (user_id, event_id) DO UPDATE SET
+        expires_at = EXCLUDED.expires_at
+      RETURNING
+        *
+    ;`,
+    values: [userId, eventId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+function getAppealPageEndpoint(appealId) {
+  return `${webserver.host}/recurso/${appealId}`;
+}
+
+async function findOneValidById(appealId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        *
+      FROM
+        ban_appeals
+      WHERE
+        id = $1
+        AND expires_at >= now()
+      LIMIT
+        1
+    ;`,
+    values: [appealId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (results.rowCount === 0) {
+    throw new NotFoundError({
+      message: 'O recurso informado não foi encontrado no sistema ou expirou.',
+      action: 'Verifique se o link recebido por email está correto.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:APPEAL:FIND_ONE_VALID_BY_ID:NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function submit(appealId, message) {
+  const foundAppeal = await findOneValidById(appealId);
+
+  if (!foundAppeal.submitted_at) {
+    const query = {
+      text: `
+        UPDATE
+          ban_appeals
+        SET
+          message = $2,
+          submitted_at = (now() at time zone 'utc')
+        WHERE
+          id = $1
+          AND submitted_at IS NULL
+        RETURNING
+          *
+      ;`,
+      values: [appealId, message],
+    };
+
+    const results = await database.query(query);
+
+    if (results.rowCount) return results.rows[0];
+  }
+
+  throw new UnprocessableEntityError({
+    message: 'Este recurso já foi enviado.',
+    action: 'Aguarde a análise da moderação.',
+    errorLocationCode: 'MODEL:APPEAL:SUBMIT:ALREADY_SUBMITTED',
+  });
+}
+
+async function findAllPending(values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        ban_appeals.*,
+        users.username,
+        users.features,
+        row_to_json(events.*) as event
+      FROM
+        ban_appeals
+      INNER JOIN
+        users ON users.id = ban_appeals.user_id
+      INNER JOIN
+        events ON events.id = ban_appeals.event_id
+      WHERE
+        ban_appeals.submitted_at IS NOT NULL
+        AND ban_appeals.resolved_at IS NULL
+      ORDER BY
+        ban_appeals.submitted_at ASC
+      LIMIT $1 OFFSET $2
+    ;`,
+    values: [values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const relatedEventsByEventId = queryResults.rows.length
+    ? await firewall.findAllRelatedEventsByEventIds(queryResults.rows.map((row) => row.event_id))
+    : new Map();
+
+  const results = {
+    rows: queryResults.rows.map((row) => ({
+      ...row,
+      related_events: relatedEventsByEventId.get(row.event_id),
+    })),
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countPending());
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countPending() {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        ban_appeals
+      WHERE
+        submitted_at IS NOT NULL
+        AND resolved_at IS NULL
+    ;`,
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+async function review({ appealId, action, originatorUserId, originatorIp }) {
+  const transaction = await database.transaction();
+
+  try {
+    await transaction.query('BEGIN');
+
+    const pendingAppeal = await findOnePendingById(appealId, { transaction });
+
+    const createdEvent = await event.create(
+      {
+        type: 'moderation:review_appeals',
+        originator_user_id: originatorUserId,
+        originator_ip: originatorIp,
+        metadata: {
+          action: action,
+          appeals: [pendingAppeal.id],
+          related_events: [pendingAppeal.event_id],
+          users: [pendingAppeal.user_id],
+        },
+      },
+      { transaction },
+    );
+
+    let appealingUser = await user.findOneById(pendingAppeal.user_id, { transaction, withBalance: true });
+
+    if (action === 'accept') {
+      appealingUser = await restoreAppealingUser(pendingAppeal, createdEvent, { transaction });
+    }
+
+    const resolvedAppeal = await resolve(
+      {
+        appealId: pendingAppeal.id,
+        resolution: action,
+        eventId: createdEvent.id,
+      },
+      { transaction },
+    );
+
+    await transaction.query('COMMIT');
+
+    return {
+      appeal: resolvedAppeal,
+      user: appealingUser,
+      event: createdEvent,
+    };
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+}
+
+// Contents deleted by a nuke stay deleted, the user only gets the account back.
+async function restoreAppealingUser(pendingAppeal, reviewEvent, options) {
+  const appealingUser = await user.findOneById(pendingAppeal.user_id, options);
+
+  if (appealingUser.features.includes('nuked')) {
+    await user.removeFeatures(appealingUser.id, ['nuked'], options);
+  }
+
+  if (pendingAppeal.event_type === 'firewall:block_users') {
+    const affected = await firewall.unblockUsers({
+      transaction: options.transaction,
+      event: reviewEvent,
+    });
+
+    return affected.users[0];
+  }
+
+  const missingFeatures = activation.activatedUserFeatures.filter(
+    (feature) => !appealingUser.features.includes(feature),
+  );
+
+  return await user.addFeatures(appealingUser.id, missingFeatures, {
+    transaction: options.transaction,
+    withBalance: true,
+    ignoreUpdatedAt: true,
+  });
+}
+
+async function findOnePendingById(appealId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        ban_appeals.*,
+        events.type as event_type
+      FROM
+        ban_appeals
+      INNER JOIN
+        events ON events.id = ban_appeals.event_id
+      WHERE
+        ban_appeals.id = $1
+        AND ban_appeals.submitted_at IS NOT NULL
+        AND ban_appeals.resolved_at IS NULL
+      FOR UPDATE OF ban_appeals
+    ;`,
+    values: [appealId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (results.rowCount === 0) {
+    throw new NotFoundError({
+      message: 'Não há recurso pendente com este "id".',
+      action: 'Verifique se o "id" está correto ou se o recurso já foi analisado.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:APPEAL:REVIEW:PENDING_APPEAL_NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function resolve({ appealId, resolution, eventId }, options = {}) {
+  const query = {
+    text: `
+      UPDATE
+        ban_appeals
+      SET
+        resolution = $2,
+        resolved_by_event_id = $3,
+        resolved_at = (now() at time zone 'utc')
+      WHERE
+        id = $1
+      RETURNING
+        *
+    ;`,
+    values: [appealId, resolution, eventId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+export default Object.freeze({
+  create,
+  findAllPending,
+  findOneValidById,
+  getAppealPageEndpoint,
+  review,
+  submit,
+});
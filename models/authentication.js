@@ -1,5 +1,6 @@
 import { ForbiddenError, UnauthorizedError } from 'errors';
 import authorization from 'models/authorization.js';
+import ban from 'models/ban.js';
 import password from 'models/password.js';
 import session from 'models/session.js';
 import user from 'models/user.js';
@@ -37,7 +38,11 @@ async function injectAnonymousOrUser(request, response, next, options = {}) {
 
   async function injectAuthenticatedUser(request, response, options = {}) {
     const sessionObject = await session.findOneValidFromRequest(request, response);
-    const userObject = await user.findOneById(sessionObject.user_id, options);
+    let userObject = await user.findOneById(sessionObject.user_id, options);
+
+    if (userObject.features.includes('suspended')) {
+      userObject = await ban.liftExpiredSuspension(userObject, options);
+    }
 
     if (!authorization.can(userObject, 'read:session')) {
       throw new ForbiddenError({
@@ -50,6 +50,7 @@ function filterInput(user, feature, input, target) {
       password: input.password,
       description: input.description,
       notifications: input.notifications,
+      notification_preferences: input.notification_preferences,
     };
   }
 
@@ -62,6 +63,8 @@ function filterInput(user, feature, input, target) {
   if (feature === 'ban:user' && can(user, feature)) {
     filteredInputValues = {
       ban_type: input.ban_type,
+      suspended_until: input.suspended_until,
+      reason: input.reason,
     };
   }
 
@@ -79,6 +82,8 @@ function filterInput(user, feature, input, target) {
       status: input.status,
       type: input.type,
       source_url: input.source_url,
+      tags: input.tags,
+      scheduled_for: input.scheduled_for,
     };
   }
 
@@ -90,6 +95,7 @@ function filterInput(user, feature, input, target) {
       body: input.body,
       status: input.status,
       source_url: input.source_url,
+      scheduled_for: input.scheduled_for,
     };
   }
 
@@ -101,6 +107,8 @@ function filterInput(user, feature, input, target) {
       body: input.body,
       status: input.status,
       source_url: input.source_url,
+      tags: input.tags,
+      scheduled_for: input.scheduled_for,
     };
   }
 
@@ -159,6 +167,7 @@ function filterOutput(user, feature, output) {
         email: output.email,
         description: output.description,
         notifications: output.notifications,
+        notification_preferences: output.notification_preferences,
         features: output.features,
         tabcoins: output.tabcoins,
         tabcash: output.tabcash,
@@ -176,6 +185,7 @@ function filterOutput(user, feature, output) {
       features: user.features,
       tabcoins: user.tabcoins,
       tabcash: user.tabcash,
+      suspension: user.suspension,
       created_at: user.created_at,
       updated_at: user.updated_at,
     }));
@@ -198,6 +208,7 @@ function filterOutput(user, feature, output) {
       delete clonedOutput.body;
       delete clonedOutput.slug;
       delete clonedOutput.source_url;
+      delete clonedOutput.scheduled_for;
       delete clonedOutput.children_deep_count;
       delete clonedOutput.owner_id;
       delete clonedOutput.owner_username;
@@ -211,11 +222,52 @@ function filterOutput(user, feature, output) {
     });
   }
 
+  if (feature === 'read:events' && can(user, feature)) {
+    filteredOutputValues = output.map((event) => ({
+      id: event.id,
+      type: event.type,
+      originator_user_id: event.originator_user_id,
+      originator_username: event.originator_username,
+      originator_ip: event.originator_ip,
+      metadata: event.metadata,
+      target_users: event.target_users.map((targetUser) => ({
+        id: targetUser.id,
+        username: targetUser.username,
+      })),
+      target_contents: event.target_contents.map((targetContent) => ({
+        id: targetContent.id,
+        parent_id: targetContent.parent_id,
+        owner_username: targetContent.owner_username,
+        slug: targetContent.slug,
+        title: targetContent.title,
+        status: targetContent.status,
+      })),
+      created_at: event.created_at,
+    }));
+  }
+
   if (feature === 'read:firewall' && can(user, feature)) {
-    filteredOutputValues = validator(output, {
-      firewall_event: 'required',
-    });
-    filteredOutputValues.events.forEach((event) => delete event.originator_ip);
+    filteredOutputValues = Array.isArray(output) ? output.map(filterFirewallEvent) : filterFirewallEvent(output);
+  }
+
+  if (feature === 'update:firewall:rules' && can(user, feature)) {
+    if (Array.isArray(output)) {
+      filteredOutputValues = output.map(filterFirewallRule);
+    } else if (output.matches) {
+      filteredOutputValues = {
+        rule: filterFirewallRule(output.rule),
+        matches: output.matches.map((match) => ({
+          scope_value: match.scope_value,
+          events_count: match.events_count,
+        })),
+      };
+    } else {
+      filteredOutputValues = filterFirewallRule(output);
+    }
+  }
+
+  if (feature === 'update:domain_rules' && can(user, feature)) {
+    filteredOutputValues = Array.isArray(output) ? output.map(filterDomainRule) : filterDomainRule(output);
   }
 
   if (feature === 'read:content:tabcoins') {
@@ -226,6 +278,64 @@ function filterOutput(user, feature, output) {
     });
   }
 
+  if (feature === 'read:content:revisions') {
+    filteredOutputValues = output.map((revision) => ({
+      id: revision.id,
+      content_id: revision.content_id,
+      version: revision.version,
+      title: revision.title,
+      body: revision.body,
+      source_url: revision.source_url,
+      created_at: revision.created_at,
+    }));
+  }
+
+  if (feature === 'read:content:moderation_notes') {
+    filteredOutputValues = output.map((moderationNote) => ({
+      id: moderationNote.id,
+      content_id: moderationNote.content_id,
+      moderator_username: moderationNote.moderator_username,
+      reason: moderationNote.reason,
+      created_at: moderationNote.created_at,
+    }));
+  }
+
+  if (feature === 'read:content:boost') {
+    filteredOutputValues = {
+      id: output.id,
+      content_id: output.content_id,
+      amount: output.amount,
+      score_bonus: output.score_bonus,
+      expires_at: output.expires_at,
+      created_at: output.created_at,
+      tabcash: output.tabcash,
+    };
+  }
+
+  if (feature === 'read:content:tip') {
+    filteredOutputValues = {
+      id: output.id,
+      content_id: output.content_id,
+      amount: output.amount,
+      tips: output.tips,
+      tabcash: output.tabcash,
+      created_at: output.created_at,
+    };
+  }
+
+  if (feature === 'read:balance:history') {
+    filteredOutputValues = output.map((operation) => ({
+      id: operation.id,
+      balance_type: operation.balance_type,
+      amount: operation.amount,
+      balance: operation.balance,
+      originator_type: operation.originator_type,
+      reason: operation.reason,
+      content: operation.content,
+      created_at: operation.created_at,
+    }));
+  }
+
   if (feature === 'read:content:list') {
     filteredOutputValues = output.map((content) => {
       return validator(content, {
@@ -234,6 +344,165 @@ function filterOutput(user, feature, output) {
     });
   }
 
+  if (feature === 'read:notification:list') {
+    filteredOutputValues = output
+      .filter((notification) => user.id && user.id === notification.user_id)
+      .map((notification) => ({
+        id: notification.id,
+        type: notification.type,
+        title: notification.title,
+        url: notification.url,
+        metadata: notification.metadata,
+        read_at: notification.read_at,
+        created_at: notification.created_at,
+      }));
+  }
+
+  if (feature === 'create:bookmark' && can(user, feature)) {
+    if (user.id && output.user_id && user.id === output.user_id) {
+      filteredOutputValues = {
+        id: output.id,
+        content_id: output.content_id,
+        created_at: output.created_at,
+      };
+    }
+  }
+
+  if (feature === 'create:report' && can(user, feature)) {
+    if (user.id && output.reporter_id && user.id === output.reporter_id) {
+      filteredOutputValues = {
+        id: output.id,
+        content_id: output.content_id,
+        reason: output.reason,
+        description: output.description,
+        created_at: output.created_at,
+      };
+    }
+  }
+
+  if (feature === 'read:report' && can(user, feature)) {
+    filteredOutputValues = output.map((reportedContent) => ({
+      content: {
+        id: reportedContent.id,
+        owner_id: reportedContent.owner_id,
+        owner_username: reportedContent.owner_username,
+        parent_id: reportedContent.parent_id,
+        slug: reportedContent.slug,
+        title: reportedContent.title,
+        body: reportedContent.body,
+        status: reportedContent.status,
+        published_at: reportedContent.published_at,
+      },
+      reports_count: reportedContent.reports_count,
+      first_reported_at: reportedContent.first_reported_at,
+      reports: reportedContent.reports.map((report) => ({
+        id: report.id,
+        reason: report.reason,
+        description: report.description,
+        reporter_username: report.reporter_username,
+        created_at: report.created_at,
+      })),
+    }));
+  }
+
+  if (feature === 'review:report' && can(user, feature)) {
+    filteredOutputValues = {
+      content: {
+        id: output.content.id,
+        owner_id: output.content.owner_id,
+        owner_username: output.content.owner_username,
+        slug: output.content.slug,
+        status: output.content.status,
+        deleted_at: output.content.deleted_at,
+      },
+      reports: output.reports.map((report) => ({
+        id: report.id,
+        reason: report.reason,
+        resolution: report.resolution,
+        resolved_at: report.resolved_at,
+      })),
+      event_id: output.event.id,
+    };
+  }
+
+  if (feature === 'read:appeal' && can(user, feature)) {
+    filteredOutputValues = output.map((pendingAppeal) => ({
+      id: pendingAppeal.id,
+      message: pendingAppeal.message,
+      submitted_at: pendingAppeal.submitted_at,
+      created_at: pendingAppeal.created_at,
+      user: {
+        id: pendingAppeal.user_id,
+        username: pendingAppeal.username,
+        features: pendingAppeal.features,
+      },
+      event: filterAppealEvent(pendingAppeal.event),
+      related_events: pendingAppeal.related_events.map(filterAppealEvent),
+    }));
+  }
+
+  if (feature === 'review:appeal' && can(user, feature)) {
+    filteredOutputValues = {
+      appeal: {
+        id: output.appeal.id,
+        resolution: output.appeal.resolution,
+        resolved_at: output.appeal.resolved_at,
+      },
+      user: {
+        id: output.user.id,
+        username: output.user.username,
+        features: output.user.features,
+      },
+      event_id: output.event.id,
+    };
+  }
+
+  if (feature === 'read:quarantine' && can(user, feature)) {
+    filteredOutputValues = output.map((quarantinedContent) =>
+      validator(quarantinedContent, {
+        content: 'required',
+      }),
+    );
+  }
+
+  if (feature === 'review:quarantine' && can(user, feature)) {
+    filteredOutputValues = {
+      contents: output.contents.map((approvedContent) => ({
+        id: approvedContent.id,
+        parent_id: approvedContent.parent_id,
+        owner_username: approvedContent.owner_username,
+        slug: approvedContent.slug,
+        title: approvedContent.title,
+        status: approvedContent.status,
+      })),
+      user: {
+        id: output.user.id,
+        username: output.user.username,
+        features: output.user.features,
+      },
+      event_id: output.event.id,
+    };
+  }
+
+  if (feature === 'read:appeal_token') {
+    filteredOutputValues = {
+      id: output.id,
+      submitted_at: output.submitted_at,
+      resolution: output.resolution,
+      resolved_at: output.resolved_at,
+      expires_at: output.expires_at,
+      created_at: output.created_at,
+    };
+  }
+
+  if (feature === 'read:user:follow') {
+    filteredOutputValues = {
+      followers_count: output.followers_count,
+      following_count: output.following_count,
+      following: output.following,
+    };
+  }
+
   if (feature === 'read:recovery_token') {
     filteredOutputValues = validator(
       {
@@ -261,6 +530,10 @@ function filterOutput(user, feature, output) {
     });
   }
 
+  if (feature === 'read:ad:stats') {
+    filteredOutputValues = Array.isArray(output) ? output.map(filterAdStats) : filterAdStats(output);
+  }
+
   if (feature === 'read:ad:list') {
     filteredOutputValues = validator(
       {
@@ -292,6 +565,56 @@ function validateUser(user) {
   }
 }
 
+function filterFirewallEvent(firewallEvent) {
+  const filteredFirewallEvent = validator(firewallEvent, {
+    firewall_event: 'required',
+  });
+  filteredFirewallEvent.events.forEach((event) => delete event.originator_ip);
+  return filteredFirewallEvent;
+}
+
+function filterAppealEvent(appealEvent) {
+  return {
+    id: appealEvent.id,
+    type: appealEvent.type,
+    originator_user_id: appealEvent.originator_user_id,
+    metadata: appealEvent.metadata,
+    created_at: appealEvent.created_at,
+  };
+}
+
+function filterAdStats(ad) {
+  return {
+    id: ad.id,
+    slug: ad.slug,
+    title: ad.title,
+    source_url: ad.source_url,
+    owner_username: ad.owner_username,
+    status: ad.status,
+    pricing_model: ad.pricing_model,
+    cost: ad.cost,
+    budget: ad.budget,
+    spent: ad.spent,
+    remaining_budget: ad.remaining_budget,
+    impressions: ad.impressions,
+    clicks: ad.clicks,
+    created_at: ad.created_at,
+    updated_at: ad.updated_at,
+  };
+}
+
+function filterDomainRule(domainRule) {
+  return validator(domainRule, {
+    domain_rule: 'required',
+  });
+}
+
+function filterFirewallRule(firewallRule) {
+  return validator(firewallRule, {
+    firewall_rule: 'required',
+  });
+}
+
 function validateFeature(feature) {
   if (!feature) {
     throw new ValidationError({
@@ -0,0 +1,199 @@
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+
+async function findAllByUserId(userId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      WITH user_operations AS (
+        SELECT
+          id,
+          sequence,
+          'user:tabcoin' AS balance_type,
+          amount,
+          originator_type,
+          originator_id,
+          created_at
+        FROM
+          user_tabcoin_operations
+        WHERE
+          recipient_id = $1
+      UNION ALL
+        SELECT
+          id,
+          sequence,
+          'user:tabcash' AS balance_type,
+          amount,
+          originator_type,
+          originator_id,
+          created_at
+        FROM
+          user_tabcash_operations
+        WHERE
+          recipient_id = $1
+      ),
+      operations_with_balance AS (
+        SELECT
+          user_operations.*,
+          SUM(amount) OVER (
+            PARTITION BY balance_type
+            ORDER BY created_at, sequence
+          )::INTEGER AS balance
+        FROM
+          user_operations
+      ),
+      operations_page AS (
+        SELECT
+          COUNT(*) OVER()::INTEGER as total_rows,
+          operations_with_balance.*
+        FROM
+          operations_with_balance
+        ORDER BY
+          created_at DESC,
+          sequence DESC
+        LIMIT $2 OFFSET $3
+      )
+      SELECT
+        operations_page.*,
+        events.type AS event_type,
+        events.originator_user_id AS event_originator_user_id,
+        events.metadata AS event_metadata,
+        contents.id AS content_id,
+        contents.parent_id AS content_parent_id,
+        contents.slug AS content_slug,
+        contents.title AS content_title,
+        contents.status AS content_status,
+        content_owners.username AS content_owner_username
+      FROM
+        operations_page
+      LEFT JOIN
+        events ON operations_page.originator_type = 'event' AND events.id = operations_page.originator_id
+      LEFT JOIN
+        contents ON contents.id = (
+          CASE
+            WHEN operations_page.originator_type = 'content' THEN operations_page.originator_id
+            WHEN events.type IN ('update:content:tabcoins', 'update:content:boost', 'update:content:tip') THEN (events.metadata->>'content_id')::UUID
+            WHEN events.type IN (
+              'create:content:text_root',
+              'create:content:text_child',
+              'update:content:text_root',
+              'update:content:text_child'
+            ) THEN (events.metadata->>'id')::UUID
+            WHEN jsonb_typeof(events.metadata->'contents'->0) = 'string' THEN (events.metadata->'contents'->>0)::UUID
+          END
+        )
+      LEFT JOIN
+        users AS content_owners ON content_owners.id = contents.owner_id
+      ORDER BY
+        operations_page.created_at DESC,
+        operations_page.sequence DESC
+    ;`,
+    values: [userId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows.map((operation) => formatOperation(operation, userId)),
+  };
+
+  values.total_rows = queryResults.rows[0]?.total_rows ?? (await countByUserId(userId));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countByUserId(userId) {
+  const query = {
+    text: `
+      SELECT
+        (SELECT COUNT(*) FROM user_tabcoin_operations WHERE recipient_id = $1)::INTEGER +
+        (SELECT COUNT(*) FROM user_tabcash_operations WHERE recipient_id = $1)::INTEGER
+        AS total_rows
+    ;`,
+    values: [userId],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+function formatOperation(operation, userId) {
+  const isContentAvailable = operation.content_id && operation.content_status === 'published';
+
+  return {
+    id: operation.id,
+    balance_type: operation.balance_type,
+    amount: operation.amount,
+    balance: operation.balance,
+    originator_type: operation.event_type?.startsWith('reward:') ? 'reward' : operation.originator_type,
+    reason: getReason(operation, userId),
+    content: isContentAvailable
+      ? {
+          id: operation.content_id,
+          owner_username: operation.content_owner_username,
+          slug: operation.content_slug,
+          title: operation.content_title,
+        }
+      : null,
+    created_at: operation.created_at,
+  };
+}
+
+function getReason(operation, userId) {
+  const contentReference = getContentReference(operation);
+  const eventType = operation.event_type ?? '';
+
+  if (eventType === 'update:content:tabcoins') {
+    if (operation.event_originator_user_id === userId) {
+      return operation.balance_type === 'user:tabcash'
+        ? `recompensa por votar em ${contentReference}`
+        : `voto dado em ${contentReference}`;
+    }
+
+    const voteType = operation.event_metadata?.transaction_type === 'credit' ? 'positivo' : 'negativo';
+    return `voto ${voteType} recebido em ${contentReference}`;
+  }
+
+  if (eventType === 'update:content:boost') {
+    return `impulsionamento de ${contentReference}`;
+  }
+
+  if (eventType === 'update:content:tip') {
+    return operation.amount < 0
+      ? `gorjeta enviada para ${contentReference}`
+      : `gorjeta recebida em ${contentReference}`;
+  }
+
+  if (eventType === 'reward:user:tabcoins') {
+    return operation.event_metadata?.reward_type === 'daily' ? 'recompensa diária' : 'recompensa';
+  }
+
+  if (operation.originator_type === 'content' || eventType.includes(':content:text_')) {
+    if (operation.balance_type === 'user:tabcash') {
+      return operation.amount < 0 ? `patrocínio de ${contentReference}` : `reembolso de ${contentReference}`;
+    }
+
+    return operation.amount < 0 ? `remoção de ${contentReference}` : `publicação de ${contentReference}`;
+  }
+
+  if (eventType.startsWith('firewall:')) return 'ação automática do firewall';
+  if (eventType.startsWith('moderation:') || eventType === 'ban:user') return 'ação da moderação';
+  if (eventType.startsWith('system:')) return 'ajuste do sistema';
+
+  return 'operação de saldo';
+}
+
+function getContentReference(operation) {
+  if (!operation.content_id) return 'conteúdo não disponível';
+  if (operation.content_status !== 'published') return 'conteúdo não disponível';
+  if (operation.content_parent_id) return 'um comentário';
+
+  return `"${operation.content_title}"`;
+}
+
+export default Object.freeze({
+  findAllByUserId,
+});
@@ -5,6 +5,8 @@ const tableNameMap = {
   'user:tabcoin': 'user_tabcoin_operations',
   'user:tabcash': 'user_tabcash_operations',
   'ad:budget': 'ad_tabcash_operations',
+  'ad:impression': 'ad_tabcash_operations',
+  'ad:click': 'ad_tabcash_operations',
   default: 'content_tabcoin_operations',
 };
 
@@ -13,12 +15,16 @@ const balanceTypeMap = {
   'content:tabcoin:debit': 'debit',
   'content:tabcoin:initial': 'initial',
   'ad:budget': 'budget',
+  'ad:impression': 'impression',
+  'ad:click': 'click',
 };
 
 const sqlFunctionMap = {
   'user:tabcoin': 'get_user_current_tabcoins',
   'user:tabcash': 'get_user_current_tabcash',
   'ad:budget': 'get_ad_current_tabcash',
+  'ad:impression': 'get_ad_current_tabcash',
+  'ad:click': 'get_ad_current_tabcash',
   default: 'get_content_current_tabcoins',
 };
 
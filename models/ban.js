@@ -1,8 +1,15 @@
+import { UnprocessableEntityError } from 'errors';
 import database from 'infra/database.js';
 import balance from 'models/balance.js';
+import event from 'models/event.js';
 import session from 'models/session.js';
 import user from 'models/user.js';
 
+const suspensionFeatures = {
+  suspend: ['create:content', 'update:content'],
+  read_only: ['create:content', 'update:content', 'update:user', 'create:bookmark', 'create:follow', 'create:report'],
+};
+
 async function nuke(userId, options = {}) {
   await user.removeFeatures(userId, null, options);
   await session.expireAllFromUserId(userId, options);
@@ -70,6 +77,181 @@ async function nuke(userId, options = {}) {
   }
 }
 
+async function suspend(userId, { banType, reason, endsAt }, options = {}) {
+  await liftExpiredSuspensionInTransaction(userId, { transaction: options.transaction });
+
+  const targetUser = await user.findOneById(userId, options);
+  const removedFeatures = suspensionFeatures[banType].filter((feature) => targetUser.features.includes(feature));
+
+  const query = {
+    text: `
+      INSERT INTO user_suspensions
+        (user_id, ban_type, reason, removed_features, ends_at, event_id)
+      VALUES
+        ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id) WHERE lifted_at IS NULL DO NOTHING
+      RETURNING
+        *
+    ;`,
+    values: [userId, banType, reason, removedFeatures, endsAt, options.event.id],
+  };
+
+  const results = await database.query(query, options);
+
+  if (!results.rows.length) {
+    throw new UnprocessableEntityError({
+      message: 'Este usuário já está suspenso.',
+      action: 'Aguarde o fim da suspensão atual antes de aplicar uma nova.',
+      errorLocationCode: 'MODEL:BAN:SUSPEND:USER_ALREADY_SUSPENDED',
+    });
+  }
+
+  if (removedFeatures.length) {
+    await user.removeFeatures(userId, removedFeatures, options);
+  }
+
+  const suspendedUser = await user.addFeatures(userId, ['suspended'], options);
+
+  return {
+    user: suspendedUser,
+    suspension: results.rows[0],
+  };
+}
+
+async function quarantine(userId, options = {}) {
+  const targetUser = await user.findOneById(userId, options);
+
+  if (targetUser.features.includes('quarantined')) {
+    throw new UnprocessableEntityError({
+      message: 'Este usuário já está em quarentena.',
+      action: 'Analise os conteúdos pendentes deste usuário na fila de quarentena.',
+      errorLocationCode: 'MODEL:BAN:QUARANTINE:USER_ALREADY_QUARANTINED',
+    });
+  }
+
+  return await user.addFeatures(userId, ['quarantined'], options);
+}
+
+async function liftExpiredSuspension(targetUser, options = {}) {
+  const expiredSuspension = await findExpiredSuspension(targetUser.id);
+
+  if (!expiredSuspension) return targetUser;
+
+  const transaction = await database.transaction();
+
+  try {
+    await transaction.query('BEGIN');
+    await liftExpiredSuspensionInTransaction(targetUser.id, { transaction });
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  return await user.findOneById(targetUser.id, options);
+}
+
+async function liftAllExpiredSuspensions() {
+  const query = {
+    text: `
+      SELECT
+        user_id
+      FROM
+        user_suspensions
+      WHERE
+        lifted_at IS NULL
+        AND ends_at <= (now() at time zone 'utc')
+      ORDER BY
+        ends_at ASC
+      LIMIT
+        100
+    ;`,
+  };
+
+  const results = await database.query(query);
+  const liftedUsers = [];
+
+  for (const { user_id } of results.rows) {
+    liftedUsers.push(await liftExpiredSuspension({ id: user_id }));
+  }
+
+  return liftedUsers;
+}
+
+async function liftExpiredSuspensionInTransaction(userId, options) {
+  const expiredSuspension = await findExpiredSuspension(userId, options);
+
+  if (!expiredSuspension) return;
+
+  const currentUser = await user.findOneById(userId, options);
+  const restoredFeatures = expiredSuspension.removed_features.filter(
+    (feature) => !currentUser.features.includes(feature),
+  );
+
+  const liftEvent = await event.create(
+    {
+      type: 'system:unban:user',
+      metadata: {
+        user_id: userId,
+        suspension_id: expiredSuspension.id,
+        restored_features: restoredFeatures,
+      },
+    },
+    options,
+  );
+
+  await user.removeFeatures(userId, ['suspended'], options);
+
+  if (restoredFeatures.length) {
+    await user.addFeatures(userId, restoredFeatures, options);
+  }
+
+  await markSuspensionAsLifted(expiredSuspension.id, liftEvent.id, options);
+}
+
+async function findExpiredSuspension(userId, options) {
+  const query = {
+    text: `
+      SELECT
+        *
+      FROM
+        user_suspensions
+      WHERE
+        user_id = $1
+        AND lifted_at IS NULL
+        AND ends_at <= (now() at time zone 'utc')
+      FOR UPDATE
+    ;`,
+    values: [userId],
+  };
+
+  const results = await database.query(query, options);
+  return results.rows[0];
+}
+
+async function markSuspensionAsLifted(suspensionId, eventId, options) {
+  const query = {
+    text: `
+      UPDATE
+        user_suspensions
+      SET
+        lifted_at = (now() at time zone 'utc'),
+        lifted_by_event_id = $2
+      WHERE
+        id = $1
+    ;`,
+    values: [suspensionId, eventId],
+  };
+
+  await database.query(query, options);
+}
+
 export default Object.freeze({
+  liftAllExpiredSuspensions,
+  liftExpiredSuspension,
   nuke,
+  quarantine,
+  suspend,
 });
@@ -0,0 +1,182 @@
+import { NotFoundError } from 'errors';
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+
+async function create({ userId, contentId }, options = {}) {
+  const query = {
+    text: `
+      WITH
+        inserted_bookmark AS (
+          INSERT INTO content_bookmarks
+            (user_id, content_id)
+          VALUES
+            ($1, $2)
+          ON CONFLICT (user_id, content_id) DO NOTHING
+          RETURNING
+            *
+        )
+      SELECT * FROM inserted_bookmark
+      UNION ALL
+      SELECT
+        *
+      FROM
+        content_bookmarks
+      WHERE
+        user_id = $1
+        AND content_id = $2
+      LIMIT 1
+    ;`,
+    values: [userId, contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+async function findOne({ userId, contentId }) {
+  const query = {
+    text: `
+      SELECT
+        *
+      FROM
+        content_bookmarks
+      WHERE
+        user_id = $1
+        AND content_id = $2
+      LIMIT 1
+    ;`,
+    values: [userId, contentId],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0];
+}
+
+async function remove({ userId, contentId }, options = {}) {
+  const query = {
+    text: `
+      DELETE FROM
+        content_bookmarks
+      WHERE
+        user_id = $1
+        AND content_id = $2
+      RETURNING
+        *
+    ;`,
+    values: [userId, contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (results.rowCount === 0) {
+    throw new NotFoundError({
+      message: 'Este conteúdo não está entre os seus salvos.',
+      action: 'Verifique se o conteúdo informado foi salvo anteriormente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:BOOKMARK:REMOVE:NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function findAllByUserId(userId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      WITH bookmark_window AS (
+        SELECT
+          COUNT(*) OVER()::INTEGER as total_rows,
+          content_bookmarks.content_id,
+          content_bookmarks.created_at as bookmarked_at
+        FROM
+          content_bookmarks
+        INNER JOIN
+          contents ON contents.id = content_bookmarks.content_id
+        WHERE
+          content_bookmarks.user_id = $1
+          AND contents.status = 'published'
+        ORDER BY
+          content_bookmarks.created_at DESC
+        LIMIT $2 OFFSET $3
+      )
+      SELECT
+        contents.id,
+        contents.owner_id,
+        contents.parent_id,
+        contents.slug,
+        contents.title,
+        contents.status,
+        contents.type,
+        contents.source_url,
+        contents.created_at,
+        contents.updated_at,
+        contents.published_at,
+        contents.deleted_at,
+        contents.path,
+        users.username as owner_username,
+        bookmark_window.total_rows,
+        bookmark_window.bookmarked_at,
+        tabcoins_count.total_balance as tabcoins,
+        tabcoins_count.total_credit as tabcoins_credit,
+        tabcoins_count.total_debit as tabcoins_debit,
+        (
+          SELECT COUNT(*)
+          FROM contents as children
+          WHERE children.path @> ARRAY[contents.id]
+           AND children.status = 'published'
+        ) as children_deep_count
+      FROM
+        contents
+      INNER JOIN
+        bookmark_window ON contents.id = bookmark_window.content_id
+      INNER JOIN
+        users ON contents.owner_id = users.id
+      LEFT JOIN LATERAL get_content_balance_credit_debit(contents.id) tabcoins_count ON true
+      ORDER BY
+        bookmark_window.bookmarked_at DESC
+    ;`,
+    values: [userId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows,
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countTotalRows(userId));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countTotalRows(userId) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        content_bookmarks
+      INNER JOIN
+        contents ON contents.id = content_bookmarks.content_id
+      WHERE
+        content_bookmarks.user_id = $1
+        AND contents.status = 'published'
+    ;`,
+    values: [userId],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+export default Object.freeze({
+  create,
+  findAllByUserId,
+  findOne,
+  remove,
+});
@@ -0,0 +1,93 @@
+import { UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import balance from 'models/balance.js';
+import queries from 'queries/rankingQueries';
+
+const tabCashPerScorePoint = 5;
+const durationInHours = 24;
+
+function getScoreBonus(amount) {
+  return Math.floor(amount / tabCashPerScorePoint);
+}
+
+async function create({ contentId, userId, amount }, options = {}) {
+  const scoreBonus = getScoreBonus(amount);
+  const activeScoreBonus = await getActiveScoreBonus(contentId, options);
+  const availableScoreBonus = Math.max(queries.maxBoostScoreBonus - activeScoreBonus, 0);
+
+  if (scoreBonus > availableScoreBonus) {
+    throw new UnprocessableEntityError({
+      message: 'Esta publicação atingiu o limite de impulsionamento.',
+      action: availableScoreBonus
+        ? `Utilize no máximo ${availableScoreBonus * tabCashPerScorePoint} TabCash para impulsionar esta publicação agora.`
+        : 'Aguarde o fim dos impulsionamentos ativos para impulsionar esta publicação novamente.',
+      errorLocationCode: 'MODEL:BOOST:CREATE:SCORE_BONUS_LIMIT_REACHED',
+    });
+  }
+
+  const userBalance = await balance.create(
+    {
+      balanceType: 'user:tabcash',
+      recipientId: userId,
+      amount: -amount,
+      originatorType: 'event',
+      originatorId: options.eventId,
+    },
+    {
+      transaction: options.transaction,
+      withBalance: true,
+    },
+  );
+
+  if (userBalance.total < 0) {
+    throw new UnprocessableEntityError({
+      message: 'Não foi possível impulsionar a publicação.',
+      action: `Você precisa de pelo menos ${amount} TabCash para realizar esta ação.`,
+      errorLocationCode: 'MODEL:BOOST:CREATE:NOT_ENOUGH_TABCASH',
+    });
+  }
+
+  const query = {
+    text: `
+      INSERT INTO content_boosts
+        (content_id, user_id, amount, score_bonus, event_id, expires_at)
+      VALUES
+        ($1, $2, $3, $4, $5, NOW() + make_interval(hours => $6))
+      RETURNING
+        *
+    ;`,
+    values: [contentId, userId, amount, scoreBonus, options.eventId, durationInHours],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  return {
+    ...results.rows[0],
+    tabcash: userBalance.total,
+  };
+}
+
+async function getActiveScoreBonus(contentId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        COALESCE(SUM(score_bonus), 0)::INTEGER as score_bonus
+      FROM
+        content_boosts
+      WHERE
+        content_id = $1
+        AND expires_at > NOW()
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0].score_bonus;
+}
+
+export default Object.freeze({
+  create,
+  durationInHours,
+  getActiveScoreBonus,
+  getScoreBonus,
+});
@@ -5,8 +5,12 @@ import slug from 'slug';
 import { ForbiddenError, UnprocessableEntityError, ValidationError } from 'errors';
 import database from 'infra/database.js';
 import balance from 'models/balance.js';
+import domainRule from 'models/domain-rule.js';
+import mention from 'models/mention.js';
 import pagination from 'models/pagination.js';
 import prestige from 'models/prestige';
+import revision from 'models/revision.js';
+import tag from 'models/tag.js';
 import user from 'models/user.js';
 import validator from 'models/validator.js';
 import queries from 'queries/rankingQueries';
@@ -29,6 +33,7 @@ async function findAll(values = {}, options = {}) {
     if (values.count) {
       query.values = [1, 0];
     }
+    query.values.push(values.where?.tag ?? null);
 
     const relevantResults = await database.query(query, { transaction: options.transaction });
 
@@ -56,7 +61,7 @@ async function findAll(values = {}, options = {}) {
 
   if (values.where) {
     Object.keys(values.where).forEach((key) => {
-      if (key === '$not_null') return;
+      if (key === '$not_null' || key === '$with_quarantined') return;
 
       query.values.push(values.where[key]);
     });
@@ -112,18 +117,30 @@ async function findAll(values = {}, options = {}) {
         contents.created_at,
         contents.updated_at,
         contents.published_at,
+        contents.scheduled_for,
         contents.deleted_at,
         contents.path,
         users.username as owner_username,
         content_window.total_rows,
+        (
+          SELECT array_agg(content_tags.name ORDER BY content_tags.name)
+          FROM content_tags
+          WHERE content_tags.content_id = contents.id
+        ) as tags,
         tabcoins_count.total_balance as tabcoins,
         tabcoins_count.total_credit as tabcoins_credit,
         tabcoins_count.total_debit as tabcoins_debit,
+        (
+          SELECT SUM(content_tips.amount)::INTEGER
+          FROM content_tips
+          WHERE content_tips.content_id = contents.id
+        ) as tips,
         (
           SELECT COUNT(*)
           FROM contents as children
           WHERE children.path @> ARRAY[contents.id]
            AND children.status = 'published'
+           AND children.quarantined_at IS NULL
         ) as children_deep_count
       FROM
         contents
@@ -135,47 +152,73 @@ async function findAll(values = {}, options = {}) {
     `;
   }
 
-  function buildWhereClause(columns) {
-    if (!columns) {
-      return '';
+  function buildWhereClause(columns = {}) {
+    let globalIndex = query.values.length;
+
+    const declarations = Object.entries(columns).map(getColumnDeclaration).filter(Boolean);
+
+    if (!columns.$with_quarantined && !columns.$quarantined_visible_to) {
+      declarations.push('contents.quarantined_at IS NULL');
     }
 
-    let globalIndex = query.values.length;
-    return Object.entries(columns).reduce((accumulator, column, index) => {
-      if (index === 0) {
-        return `WHERE ${getColumnDeclaration(column)}`;
-      } else {
-        return `${accumulator} AND ${getColumnDeclaration(column)}`;
+    return declarations.length ? `WHERE ${declarations.join(' AND ')}` : '';
+
+    function getColumnDeclaration(column) {
+      const columnName = column[0];
+      const columnValue = column[1];
+
+      if (columnValue === null) {
+        globalIndex += 1;
+        return `contents.${columnName} IS NOT DISTINCT FROM $${globalIndex}`;
+      }
+
+      if (columnName === '$not_null') {
+        const $notNullQuery = columnValue
+          .map((notColumnName) => {
+            return `contents.${notColumnName} IS NOT NULL`;
+          })
+          .join(' AND ');
+
+        return `(${$notNullQuery})`;
       }
 
-      function getColumnDeclaration(column) {
-        const columnName = column[0];
-        const columnValue = column[1];
+      if (columnName === '$with_quarantined') {
+        return;
+      }
 
-        if (columnValue === null) {
-          globalIndex += 1;
-          return `contents.${columnName} IS NOT DISTINCT FROM $${globalIndex}`;
-        }
+      if (columnName === '$quarantined_visible_to') {
+        globalIndex += 1;
+        return `(contents.quarantined_at IS NULL OR contents.owner_id = $${globalIndex})`;
+      }
 
-        if (columnName === '$not_null') {
-          const $notNullQuery = columnValue
-            .map((notColumnName) => {
-              return `contents.${notColumnName} IS NOT NULL`;
-            })
-            .join(' AND ');
+      if (columnName === 'tag') {
+        globalIndex += 1;
+        return `contents.id IN (SELECT content_id FROM content_tags WHERE name = $${globalIndex})`;
+      }
 
-          return `(${$notNullQuery})`;
-        }
+      if (columnName === '$descendant_of') {
+        globalIndex += 1;
+        return `contents.path @> ARRAY[$${globalIndex}]::uuid[]`;
+      }
 
+      if (columnName === '$scheduled_until') {
         globalIndex += 1;
+        return `contents.scheduled_for <= $${globalIndex}`;
+      }
+
+      if (columnName === '$followed_by') {
+        globalIndex += 1;
+        return `contents.owner_id IN (SELECT followed_id FROM user_follows WHERE follower_id = $${globalIndex})`;
+      }
 
-        if (Array.isArray(columnValue)) {
-          return `contents.${columnName}  = ANY ($${globalIndex})`;
-        }
+      globalIndex += 1;
 
-        return `contents.${columnName} = $${globalIndex}`;
+      if (Array.isArray(columnValue)) {
+        return `contents.${columnName}  = ANY ($${globalIndex})`;
       }
-    }, '');
+
+      return `contents.${columnName} = $${globalIndex}`;
+    }
   }
 
   function buildOrderByClause({ order, count }) {
@@ -198,6 +241,8 @@ async function findWithStrategy(options = {}) {
     new: getNew,
     old: getOld,
     relevant: getRelevant,
+    following: getFollowing,
+    scheduled: getScheduled,
   };
 
   return await strategies[options.strategy](options);
@@ -224,6 +269,43 @@ async function findWithStrategy(options = {}) {
     return results;
   }
 
+  async function getFollowing(options = {}) {
+    const results = {};
+
+    if (!options.where?.$followed_by) {
+      throw new ValidationError({
+        message: 'A estratégia "following" precisa de um usuário autenticado.',
+        action: 'Faça login para ver as publicações de quem você segue.',
+        stack: new Error().stack,
+        errorLocationCode: 'MODEL:CONTENT:FIND_WITH_STRATEGY:FOLLOWING:MISSING_FOLLOWER',
+        key: 'strategy',
+      });
+    }
+
+    options.order = 'published_at DESC';
+    results.rows = await findAll(options);
+    options.total_rows = results.rows[0]?.total_rows;
+    results.pagination = await getPagination(options);
+
+    return results;
+  }
+
+  async function getScheduled(options = {}) {
+    const results = {};
+
+    options.where = {
+      ...options.where,
+      status: 'draft',
+      $not_null: ['scheduled_for'],
+    };
+    options.order = 'scheduled_for ASC';
+    results.rows = await findAll(options);
+    options.total_rows = results.rows[0]?.total_rows;
+    results.pagination = await getPagination(options);
+
+    return results;
+  }
+
   async function getRelevant(values = {}) {
     const results = {};
     const options = {};
@@ -260,6 +342,10 @@ async function create(postedContent, options = {}) {
   const validContent = validateCreateSchema(postedContent);
 
   checkRootContentTitle(validContent);
+  checkRootContentTags(validContent);
+  checkScheduledFor(validContent);
+
+  await domainRule.throwIfContentHasBlockedDomain(validContent, options);
 
   populatePublishedAtValue(null, validContent);
 
@@ -269,12 +355,23 @@ async function create(postedContent, options = {}) {
 
   throwIfSpecifiedParentDoesNotExist(postedContent, newContent);
 
+  if (validContent.tags?.length) {
+    newContent.tags = await tag.setContentTags(newContent.id, validContent.tags, {
+      transaction: options.transaction,
+    });
+  }
+
+  await mention.createFromContent(newContent, {
+    transaction: options.transaction,
+  });
+
   await creditOrDebitTabCoins(null, newContent, {
     eventId: options.eventId,
     transaction: options.transaction,
   });
 
   await updateTabCashBalance(null, newContent, {
+    adBudget: options.adBudget,
     eventId: options.eventId,
     transaction: options.transaction,
   });
@@ -310,9 +407,12 @@ async function create(postedContent, options = {}) {
         ),
         inserted_content as (
           INSERT INTO
-            contents (id, parent_id, owner_id, slug, title, body, status, source_url, published_at, type, path)
-            SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, parent.child_path
+            contents (id, parent_id, owner_id, slug, title, body, status, source_url, published_at, type, scheduled_for, path, quarantined_at)
+            SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, parent.child_path, owner.quarantined_at
             FROM parent
+            LEFT JOIN (
+              SELECT now() AS quarantined_at FROM users WHERE id = $3 AND 'quarantined' = ANY (features)
+            ) owner ON true
             RETURNING *
         )
       SELECT
@@ -328,8 +428,10 @@ async function create(postedContent, options = {}) {
         inserted_content.created_at,
         inserted_content.updated_at,
         inserted_content.published_at,
+        inserted_content.scheduled_for,
         inserted_content.deleted_at,
         inserted_content.path,
+        inserted_content.quarantined_at,
         users.username as owner_username,
         parent.owner_id as parent_owner_id
       FROM
@@ -350,6 +452,7 @@ async function create(postedContent, options = {}) {
         content.source_url,
         content.published_at,
         content.type,
+        content.scheduled_for,
       ],
     };
 
@@ -437,6 +540,8 @@ function validateCreateSchema(content) {
     status: 'required',
     content_type: 'optional',
     source_url: 'optional',
+    tags: 'optional',
+    scheduled_for: 'optional',
   });
 
   if (cleanValues.status === 'deleted' || cleanValues.status === 'firewall') {
@@ -463,6 +568,45 @@ function checkRootContentTitle(content) {
   }
 }
 
+function checkRootContentTags(content) {
+  if (content.parent_id && content.tags?.length) {
+    throw new ValidationError({
+      message: `Apenas conteúdos raiz podem possuir "tags".`,
+      action: 'Remova as "tags" do comentário e tente novamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:CONTENT:CHECK_ROOT_CONTENT_TAGS:CHILD_WITH_TAGS',
+      statusCode: 400,
+      key: 'tags',
+    });
+  }
+}
+
+function checkScheduledFor(content) {
+  if (!content.scheduled_for) return;
+
+  if (content.status !== 'draft') {
+    throw new ValidationError({
+      message: `Apenas rascunhos podem ter a publicação agendada.`,
+      action: 'Utilize o status "draft" para agendar a publicação ou remova o "scheduled_for".',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:CONTENT:CHECK_SCHEDULED_FOR:STATUS_NOT_DRAFT',
+      statusCode: 400,
+      key: 'scheduled_for',
+    });
+  }
+
+  if (new Date(content.scheduled_for) <= new Date()) {
+    throw new ValidationError({
+      message: `"scheduled_for" precisa ser uma data no futuro.`,
+      action: 'Escolha uma data posterior ao momento atual.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:CONTENT:CHECK_SCHEDULED_FOR:DATE_IN_THE_PAST',
+      statusCode: 400,
+      key: 'scheduled_for',
+    });
+  }
+}
+
 function populatePublishedAtValue(oldContent, newContent) {
   if (oldContent && oldContent.published_at) {
     newContent.published_at = oldContent.published_at;
@@ -609,7 +753,7 @@ async function updateTabCashBalance(oldContent, newContent, options = {}) {
     return;
   }
 
-  const initialTabCash = 100;
+  const initialTabCash = options.adBudget ?? 100;
 
   const userBalance = await balance.create(
     {
@@ -659,6 +803,7 @@ async function update(contentId, postedContent, options = {}) {
       {
         where: {
           id: contentId,
+          $with_quarantined: true,
         },
       },
       options,
@@ -669,12 +814,45 @@ async function update(contentId, postedContent, options = {}) {
   throwIfContentIsAlreadyDeleted(oldContent);
   throwIfContentPublishedIsChangedToDraft(oldContent, newContent);
   checkRootContentTitle(newContent);
+  checkRootContentTags(newContent);
+
+  if (validPostedContent.scheduled_for) {
+    checkScheduledFor(newContent);
+  }
+
+  await domainRule.throwIfContentHasBlockedDomain(
+    {
+      body: validPostedContent.body,
+      source_url: validPostedContent.source_url,
+    },
+    options,
+  );
 
   populatePublishedAtValue(oldContent, newContent);
+  populateScheduledForValue(newContent);
   populateDeletedAtValue(newContent);
 
   const updatedContent = await runUpdateQuery(newContent, options);
 
+  if (validPostedContent.tags) {
+    const updatedTags = await tag.setContentTags(updatedContent.id, validPostedContent.tags, {
+      transaction: options.transaction,
+    });
+
+    if (updatedTags.length) updatedContent.tags = updatedTags;
+  } else if (oldContent.tags) {
+    updatedContent.tags = oldContent.tags;
+  }
+
+  await revision.createFromUpdate(oldContent, updatedContent, {
+    eventId: options.eventId,
+    transaction: options.transaction,
+  });
+
+  await mention.createFromContent(updatedContent, {
+    transaction: options.transaction,
+  });
+
   if (!options.skipBalanceOperations) {
     await creditOrDebitTabCoins(oldContent, updatedContent, {
       eventId: options.eventId,
@@ -709,7 +887,8 @@ async function update(contentId, postedContent, options = {}) {
             source_url = $6,
             published_at = $7,
             updated_at = (now() at time zone 'utc'),
-            deleted_at = $8
+            deleted_at = $8,
+            scheduled_for = $9
           WHERE
             id = $1
           RETURNING *
@@ -727,6 +906,7 @@ async function update(contentId, postedContent, options = {}) {
         updated_content.created_at,
         updated_content.updated_at,
         updated_content.published_at,
+        updated_content.scheduled_for,
         updated_content.deleted_at,
         updated_content.path,
         users.username as owner_username
@@ -744,6 +924,7 @@ async function update(contentId, postedContent, options = {}) {
         content.source_url,
         content.published_at,
         content.deleted_at,
+        content.scheduled_for,
       ],
     };
     try {
@@ -845,6 +1026,8 @@ function validateUpdateSchema(content) {
     body: 'optional',
     status: 'optional',
     source_url: 'optional',
+    tags: 'optional',
+    scheduled_for: 'optional',
   });
 
   if (cleanValues.status === 'firewall') {
@@ -859,6 +1042,12 @@ function validateUpdateSchema(content) {
   return cleanValues;
 }
 
+function populateScheduledForValue(contentObject) {
+  if (contentObject.status !== 'draft') {
+    contentObject.scheduled_for = null;
+  }
+}
+
 function populateDeletedAtValue(contentObject) {
   if (!contentObject.deleted_at && contentObject.status === 'deleted') {
     contentObject.deleted_at = new Date();
@@ -910,7 +1099,8 @@ async function findTree(options = {}) {
         users.username as owner_username,
         tabcoins_count.total_balance as tabcoins,
         tabcoins_count.total_credit as tabcoins_credit,
-        tabcoins_count.total_debit as tabcoins_debit
+        tabcoins_count.total_debit as tabcoins_debit,
+        (SELECT SUM(content_tips.amount)::INTEGER FROM content_tips WHERE content_tips.content_id = contents.id) as tips
       FROM
         contents
       INNER JOIN
@@ -919,7 +1109,8 @@ async function findTree(options = {}) {
         get_content_balance_credit_debit(c.id) tabcoins_count ON true
       WHERE
         path @> ARRAY[$1]::uuid[] AND
-        status = 'published';`;
+        status = 'published' AND
+        quarantined_at IS NULL;`;
 
     const queryTree = `
       WITH parent AS (SELECT * FROM contents
@@ -927,14 +1118,16 @@ async function findTree(options = {}) {
           ${options.where.id ? 'contents.id = $1 AND' : ''}
           ${options.where.owner_username ? `${whereOwnerUsername('$1')} AND` : ''}
           ${options.where.slug ? 'contents.slug = $2 AND' : ''}
-          contents.status = 'published')
+          contents.status = 'published' AND
+          contents.quarantined_at IS NULL)
 
       SELECT
         parent.*,
         users.username as owner_username,
         tabcoins_count.total_balance as tabcoins,
         tabcoins_count.total_credit as tabcoins_credit,
-        tabcoins_count.total_debit as tabcoins_debit
+        tabcoins_count.total_debit as tabcoins_debit,
+        (SELECT SUM(content_tips.amount)::INTEGER FROM content_tips WHERE content_tips.content_id = parent.id) as tips
       FROM
         parent
       INNER JOIN
@@ -949,7 +1142,8 @@ async function findTree(options = {}) {
         users.username as owner_username,
         tabcoins_count.total_balance as tabcoins,
         tabcoins_count.total_credit as tabcoins_credit,
-        tabcoins_count.total_debit as tabcoins_debit
+        tabcoins_count.total_debit as tabcoins_debit,
+        (SELECT SUM(content_tips.amount)::INTEGER FROM content_tips WHERE content_tips.content_id = c.id) as tips
       FROM
         contents c
       INNER JOIN
@@ -959,7 +1153,8 @@ async function findTree(options = {}) {
       LEFT JOIN LATERAL
         get_content_balance_credit_debit(c.id) tabcoins_count ON true
       WHERE
-        c.status = 'published';`;
+        c.status = 'published' AND
+        c.quarantined_at IS NULL;`;
 
     const query = {
       text: options.where.parent_id ? queryChildrenByParentId : queryTree,
@@ -177,11 +177,33 @@ function injectPaginationHeaders(pagination, endpoint, request, response) {
 
   const searchParams = new URLSearchParams();
 
-  const acceptedParams = ['strategy', 'with_root', 'with_children', 'page', 'per_page'];
+  const acceptedParams = [
+    'q',
+    'strategy',
+    'tag',
+    'owner_username',
+    'type',
+    'with_root',
+    'with_children',
+    'with_quarantined',
+    'published_after',
+    'published_before',
+    'read',
+    'reviewed',
+    'originator_user_id',
+    'target_user_id',
+    'target_content_id',
+    'created_after',
+    'created_before',
+    'page',
+    'per_page',
+  ];
 
   acceptedParams.forEach((param) => {
-    if (request?.query?.[param] !== undefined) {
-      searchParams.set(param, request.query[param]);
+    const value = request?.query?.[param];
+
+    if (value !== undefined) {
+      searchParams.set(param, value instanceof Date ? value.toISOString() : value);
     }
   });
 
@@ -0,0 +1,218 @@
+import { NotFoundError, ValidationError } from 'errors';
+import database from 'infra/database.js';
+import linkParser from 'models/link-parser.js';
+
+const ruleColumns = ['domain', 'action', 'reason'];
+
+async function findAll() {
+  const results = await database.query({
+    text: `
+      SELECT
+        *
+      FROM
+        domain_rules
+      ORDER BY
+        domain ASC
+    ;`,
+  });
+
+  return results.rows;
+}
+
+async function findAllLinkPolicies() {
+  const results = await database.query({
+    text: `
+      SELECT
+        domain,
+        action
+      FROM
+        domain_rules
+      ORDER BY
+        domain ASC
+    ;`,
+  });
+
+  return {
+    allow: results.rows.filter((rule) => rule.action === 'allow').map((rule) => rule.domain),
+    nofollow: results.rows.filter((rule) => rule.action !== 'allow').map((rule) => rule.domain),
+  };
+}
+
+async function findOneById(ruleId, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          *
+        FROM
+          domain_rules
+        WHERE
+          id = $1
+      ;`,
+      values: [ruleId],
+    },
+    options,
+  );
+
+  if (!results.rowCount) {
+    throw new NotFoundError({
+      message: `A regra de domínio "${ruleId}" não foi encontrada no sistema.`,
+      action: 'Verifique se o "id" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:DOMAIN_RULE:FIND_ONE_BY_ID:NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function create(ruleData, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        INSERT INTO domain_rules
+          (domain, action, reason)
+        VALUES
+          ($1, $2, $3)
+        ON CONFLICT (domain) DO NOTHING
+        RETURNING
+          *
+      ;`,
+      values: [ruleData.domain, ruleData.action, ruleData.reason],
+    },
+    options,
+  );
+
+  if (!results.rowCount) {
+    throw new ValidationError({
+      message: `O domínio "${ruleData.domain}" já possui uma regra.`,
+      action: 'Atualize a regra existente para este domínio.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:DOMAIN_RULE:CREATE:ALREADY_EXISTS',
+      key: 'domain',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function update(ruleId, ruleData, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        UPDATE
+          domain_rules
+        SET
+          action = COALESCE($2, action),
+          reason = CASE WHEN $3::BOOLEAN THEN $4 ELSE reason END,
+          updated_at = (now() at time zone 'utc')
+        WHERE
+          id = $1
+        RETURNING
+          *
+      ;`,
+      values: [ruleId, ruleData.action, ruleData.reason !== undefined, ruleData.reason],
+    },
+    options,
+  );
+
+  if (!results.rowCount) return await findOneById(ruleId, options);
+
+  return results.rows[0];
+}
+
+async function remove(ruleId, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        DELETE FROM
+          domain_rules
+        WHERE
+          id = $1
+        RETURNING
+          *
+      ;`,
+      values: [ruleId],
+    },
+    options,
+  );
+
+  if (!results.rowCount) return await findOneById(ruleId, options);
+
+  return results.rows[0];
+}
+
+async function throwIfContentHasBlockedDomain(contentObject, options = {}) {
+  const linksByKey = {
+    source_url: contentObject.source_url ? [contentObject.source_url] : [],
+    body: linkParser.extractLinks(contentObject.body),
+  };
+
+  const hostnamesByKey = Object.fromEntries(
+    Object.entries(linksByKey).map(([key, links]) => [key, links.map(linkParser.getHostname).filter(Boolean)]),
+  );
+
+  const hostnames = [...new Set(Object.values(hostnamesByKey).flat())];
+
+  if (!hostnames.length) return;
+
+  const blockedDomains = await findBlockedDomains(hostnames, options);
+
+  if (!blockedDomains.length) return;
+
+  const [key, blockedDomain] = findFirstBlocked(hostnamesByKey, blockedDomains);
+
+  throw new ValidationError({
+    message: `Links para o domínio "${blockedDomain}" não são permitidos.`,
+    action: 'Remova os links para este domínio e tente novamente.',
+    stack: new Error().stack,
+    errorLocationCode: 'MODEL:DOMAIN_RULE:THROW_IF_CONTENT_HAS_BLOCKED_DOMAIN:BLOCKED_DOMAIN',
+    key,
+  });
+}
+
+async function findBlockedDomains(hostnames, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          domain
+        FROM
+          domain_rules
+        WHERE
+          action = 'block'
+          AND EXISTS (
+            SELECT 1
+            FROM unnest($1::VARCHAR[]) AS hostname
+            WHERE hostname = domain OR hostname LIKE '%.' || domain
+          )
+      ;`,
+      values: [hostnames],
+    },
+    { transaction: options.transaction },
+  );
+
+  return results.rows.map((row) => row.domain);
+}
+
+function findFirstBlocked(hostnamesByKey, blockedDomains) {
+  for (const [key, hostnames] of Object.entries(hostnamesByKey)) {
+    for (const hostname of hostnames) {
+      const blockedDomain = blockedDomains.find((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+
+      if (blockedDomain) return [key, blockedDomain];
+    }
+  }
+}
+
+export default Object.freeze({
+  create,
+  findAll,
+  findAllLinkPolicies,
+  findOneById,
+  remove,
+  throwIfContentHasBlockedDomain,
+  ruleColumns,
+  update,
+});
@@ -1,6 +1,19 @@
 import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
 import validator from 'models/validator.js';
 
+const userEventTypes = ['create:user', 'update:user'];
+
+const contentEventTypes = [
+  'create:content:text_root',
+  'create:content:text_child',
+  'update:content:text_root',
+  'update:content:text_child',
+];
+
+// Counting every matching row gets slow on a large table, so pagination stops at this many.
+const maxCountedRows = 10_000;
+
 async function create(object, options = {}) {
   const cleanObject = validateObject(object);
 
@@ -14,6 +27,190 @@ async function create(object, options = {}) {
   return results.rows[0];
 }
 
+async function findAll(values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+  const { whereClause, whereValues } = buildWhereClause(values.where);
+
+  const query = {
+    text: `
+      SELECT
+        events.*,
+        originators.username as originator_username
+      FROM
+        events
+      LEFT JOIN
+        users as originators ON originators.id = events.originator_user_id
+      ${whereClause}
+      ORDER BY
+        events.created_at DESC
+      LIMIT $${whereValues.length + 1} OFFSET $${whereValues.length + 2}
+    ;`,
+    values: [...whereValues, values.per_page, offset],
+  };
+
+  const events = (await database.query(query)).rows;
+
+  const results = {
+    rows: events.length ? await injectTargets(events) : [],
+  };
+
+  const isLastPage = events.length < values.per_page && (events.length > 0 || values.page === 1);
+
+  values.total_rows = isLastPage ? offset + events.length : await countAll(values.where);
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countAll(where) {
+  const { whereClause, whereValues } = buildWhereClause(where);
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM (
+        SELECT
+          1
+        FROM
+          events
+        ${whereClause}
+        LIMIT $${whereValues.length + 1}
+      ) as capped_events
+    ;`,
+    values: [...whereValues, maxCountedRows],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+function buildWhereClause(where = {}) {
+  const conditions = [];
+  const whereValues = [];
+
+  function addValue(value) {
+    whereValues.push(value);
+    return `$${whereValues.length}`;
+  }
+
+  if (where.type) {
+    conditions.push(`events.type = ${addValue(where.type)}`);
+  }
+
+  if (where.originator_user_id) {
+    conditions.push(`events.originator_user_id = ${addValue(where.originator_user_id)}`);
+  }
+
+  if (where.target_user_id) {
+    const userId = addValue(where.target_user_id);
+
+    conditions.push(`(
+        events.metadata->>'user_id' = ${userId}
+        OR events.metadata->>'content_owner_id' = ${userId}
+        OR events.metadata->'users' ? ${userId}
+        OR (events.type = ANY (${addValue(userEventTypes)}) AND events.metadata->>'id' = ${userId})
+      )`);
+  }
+
+  if (where.target_content_id) {
+    const contentId = addValue(where.target_content_id);
+
+    conditions.push(`(
+        events.metadata->>'content_id' = ${contentId}
+        OR events.metadata->'contents' ? ${contentId}
+        OR (events.type = ANY (${addValue(contentEventTypes)}) AND events.metadata->>'id' = ${contentId})
+      )`);
+  }
+
+  if (where.created_after) {
+    conditions.push(`events.created_at >= ${addValue(where.created_after)}`);
+  }
+
+  if (where.created_before) {
+    conditions.push(`events.created_at <= ${addValue(where.created_before)}`);
+  }
+
+  return {
+    whereClause: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    whereValues,
+  };
+}
+
+async function injectTargets(events) {
+  const targetIdsByEvent = events.map(getTargetIds);
+
+  const usersIds = [...new Set(targetIdsByEvent.flatMap(({ users }) => users))];
+  const contentsIds = [...new Set(targetIdsByEvent.flatMap(({ contents }) => contents))];
+
+  const [targetUsers, targetContents] = await Promise.all([
+    usersIds.length ? findTargetUsers(usersIds) : [],
+    contentsIds.length ? findTargetContents(contentsIds) : [],
+  ]);
+
+  return events.map((event, index) => ({
+    ...event,
+    target_users: targetUsers.filter((user) => targetIdsByEvent[index].users.includes(user.id)),
+    target_contents: targetContents.filter((content) => targetIdsByEvent[index].contents.includes(content.id)),
+  }));
+}
+
+function getTargetIds({ type, metadata }) {
+  const users = [metadata.user_id, metadata.content_owner_id, ...(metadata.users ?? [])];
+  const contents = [metadata.content_id, ...(metadata.contents ?? [])];
+
+  if (userEventTypes.includes(type)) users.push(metadata.id);
+  if (contentEventTypes.includes(type)) contents.push(metadata.id);
+
+  return {
+    users: users.filter(Boolean),
+    contents: contents.filter(Boolean),
+  };
+}
+
+async function findTargetUsers(ids) {
+  const query = {
+    text: `
+      SELECT
+        id,
+        username
+      FROM
+        users
+      WHERE
+        id = ANY ($1)
+    ;`,
+    values: [ids],
+  };
+
+  const results = await database.query(query);
+  return results.rows;
+}
+
+async function findTargetContents(ids) {
+  const query = {
+    text: `
+      SELECT
+        contents.id,
+        contents.parent_id,
+        contents.slug,
+        contents.title,
+        contents.status,
+        users.username as owner_username
+      FROM
+        contents
+      INNER JOIN
+        users ON users.id = contents.owner_id
+      WHERE
+        contents.id = ANY ($1)
+    ;`,
+    values: [ids],
+  };
+
+  const results = await database.query(query);
+  return results.rows;
+}
+
 function validateObject(object) {
   const cleanObject = validator(object, {
     event: 'required',
@@ -24,4 +221,5 @@ function validateObject(object) {
 
 export default Object.freeze({
   create,
+  findAll,
 });
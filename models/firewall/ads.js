@@ -0,0 +1,38 @@
+import { TooManyRequestsError } from 'errors';
+import database from 'infra/database.js';
+
+const limits = {
+  interactionsPerIp: 10,
+  windowSeconds: 60,
+};
+
+async function checkAdInteractionBurst({ ip }, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          COUNT(*)::INTEGER as interactions_count
+        FROM
+          ad_interactions
+        WHERE
+          ip = $1
+          AND created_at > NOW() - make_interval(secs => $2)
+      ;`,
+      values: [ip, limits.windowSeconds],
+    },
+    options,
+  );
+
+  if (results.rows[0].interactions_count < limits.interactionsPerIp) return;
+
+  throw new TooManyRequestsError({
+    message:
+      'Identificamos muitas interações com anúncios em um curto período, então novas interações não serão contabilizadas.',
+    action: 'Tente novamente mais tarde.',
+    errorLocationCode: 'MODEL:FIREWALL:CHECK_AD_INTERACTION_BURST:TOO_MANY_INTERACTIONS',
+  });
+}
+
+export default Object.freeze({
+  checkAdInteractionBurst,
+});
@@ -1,4 +1,10 @@
-const firewall = ['firewall:block_contents:text_child', 'firewall:block_contents:text_root', 'firewall:block_users'];
+const firewall = [
+  'firewall:block_contents:text_child',
+  'firewall:block_contents:text_root',
+  'firewall:block_tips',
+  'firewall:block_users',
+  'firewall:quarantine_users',
+];
 
 const review = [
   'moderation:block_users',
@@ -7,6 +13,9 @@ const review = [
   'moderation:unblock_users',
   'moderation:unblock_contents:text_root',
   'moderation:unblock_contents:text_child',
+  'moderation:quarantine_users',
+  'moderation:unquarantine_users',
+  'moderation:unblock_tips',
 ];
 
 const reviewByAction = {
@@ -14,11 +23,15 @@ const reviewByAction = {
     'firewall:block_users': 'moderation:block_users',
     'firewall:block_contents:text_root': 'moderation:block_contents:text_root',
     'firewall:block_contents:text_child': 'moderation:block_contents:text_child',
+    'firewall:quarantine_users': 'moderation:quarantine_users',
+    'firewall:block_tips': 'moderation:block_users',
   },
   undo: {
     'firewall:block_users': 'moderation:unblock_users',
     'firewall:block_contents:text_root': 'moderation:unblock_contents:text_root',
     'firewall:block_contents:text_child': 'moderation:unblock_contents:text_child',
+    'firewall:quarantine_users': 'moderation:unquarantine_users',
+    'firewall:block_tips': 'moderation:unblock_tips',
   },
 };
 
@@ -1,6 +1,7 @@
 import { NotFoundError } from 'errors';
 import database from 'infra/database';
 import content from 'models/content';
+import pagination from 'models/pagination';
 import user from 'models/user';
 
 import eventTypes from './event-types';
@@ -27,6 +28,130 @@ async function findByEventId(eventId) {
   };
 }
 
+async function findAll(values = {}) {
+  const where = values.where ?? {};
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        firewall_events.*,
+        review_events.id as review_event_id
+      FROM
+        events as firewall_events
+      LEFT JOIN LATERAL (
+        SELECT
+          events.id
+        FROM
+          events
+        WHERE
+          events.type = ANY ($2)
+          AND events.metadata->'related_events' ? firewall_events.id::TEXT
+        ORDER BY
+          events.created_at ASC
+        LIMIT 1
+      ) review_events ON TRUE
+      WHERE
+        firewall_events.type = ANY ($1)
+        AND ($3::BOOLEAN IS NULL OR (review_events.id IS NOT NULL) = $3)
+      ORDER BY
+        firewall_events.created_at DESC
+      LIMIT $4 OFFSET $5
+    ;`,
+    values: [
+      where.type ? [where.type] : eventTypes.firewall,
+      eventTypes.review,
+      where.reviewed ?? null,
+      values.per_page,
+      offset,
+    ],
+  };
+
+  const firewallEvents = (await database.query(query)).rows;
+
+  const results = {
+    rows: firewallEvents.length ? await groupWithAffectedData(firewallEvents) : [],
+  };
+
+  values.total_rows = firewallEvents[0]?.total_rows ?? (await countAll(where));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function groupWithAffectedData(firewallEvents) {
+  const reviewEventsIds = firewallEvents.map((firewallEvent) => firewallEvent.review_event_id).filter(Boolean);
+  const reviewEvents = reviewEventsIds.length ? await findAllByIds(reviewEventsIds) : [];
+  const affectedData = await getAffectedData(firewallEvents);
+
+  return firewallEvents.map((firewallEvent) => {
+    const contents = affectedData.contents?.filter((content) => firewallEvent.metadata.contents?.includes(content.id));
+    const users = affectedData.users.filter(
+      (user) =>
+        firewallEvent.metadata.users?.includes(user.id) || contents?.some((content) => content.owner_id === user.id),
+    );
+
+    return {
+      affected: {
+        contents: contents?.length ? contents : undefined,
+        users,
+      },
+      events: [
+        firewallEvent,
+        reviewEvents.find((reviewEvent) => reviewEvent.id === firewallEvent.review_event_id),
+      ].filter(Boolean),
+    };
+  });
+}
+
+async function findAllByIds(ids) {
+  const query = {
+    text: `
+      SELECT
+        *
+      FROM
+        events
+      WHERE
+        id = ANY ($1)
+    ;`,
+    values: [ids],
+  };
+
+  const results = await database.query(query);
+  return results.rows;
+}
+
+async function countAll(where) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        events as firewall_events
+      WHERE
+        firewall_events.type = ANY ($1)
+        AND (
+          $3::BOOLEAN IS NULL
+          OR EXISTS (
+            SELECT
+              1
+            FROM
+              events
+            WHERE
+              events.type = ANY ($2)
+              AND events.metadata->'related_events' ? firewall_events.id::TEXT
+          ) = $3
+        )
+    ;`,
+    values: [where.type ? [where.type] : eventTypes.firewall, eventTypes.review, where.reviewed ?? null],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
 async function getAffectedData(events) {
   const usersIds = new Set();
   const contentsIds = new Set();
@@ -41,6 +166,7 @@ async function getAffectedData(events) {
     affectedData.contents = await content.findAll({
       where: {
         id: Array.from(contentsIds),
+        $with_quarantined: true,
       },
     });
 
@@ -59,21 +185,28 @@ async function getAffectedData(events) {
 }
 
 async function findAllRelatedEvents(id) {
+  const relatedEventsByEventId = await findAllRelatedEventsByEventIds([id]);
+  return relatedEventsByEventId.get(id);
+}
+
+async function findAllRelatedEventsByEventIds(ids) {
   const query = {
     text: `
     WITH RECURSIVE related_events AS (
       SELECT
+        id AS root_id,
         id,
         jsonb_array_elements_text(metadata->'contents') AS content_id,
         jsonb_array_elements_text(metadata->'users') AS user_id
       FROM
         events
       WHERE
-        id = $1
+        id = ANY ($1)
 
     UNION
 
       SELECT
+        related_events.root_id,
         e.id,
         jsonb_array_elements_text(e.metadata->'contents') AS content_id,
         jsonb_array_elements_text(e.metadata->'users') AS user_id
@@ -85,20 +218,30 @@ async function findAllRelatedEvents(id) {
     )
 
     SELECT DISTINCT
+      related_events.root_id,
       events.*
     FROM
       events
     INNER JOIN related_events ON
       events.id = related_events.id
     ;`,
-    values: [id],
+    values: [ids],
   };
 
   const results = await database.query(query);
-  return results.rows;
+  const relatedEventsByEventId = new Map(ids.map((id) => [id, []]));
+
+  for (const { root_id, ...relatedEvent } of results.rows) {
+    relatedEventsByEventId.get(root_id).push(relatedEvent);
+  }
+
+  return relatedEventsByEventId;
 }
 
 export default Object.freeze({
+  findAll,
   findAllRelatedEvents,
+  findAllRelatedEventsByEventIds,
   findByEventId,
+  getAffectedData,
 });
@@ -1,9 +1,15 @@
+import ads from './ads';
 import find from './find';
 import review from './review';
 import rules from './rules';
+import spam from './spam';
+import tips from './tips';
 
 export default Object.freeze({
+  ...ads,
   ...find,
   ...review,
   ...rules,
+  ...spam,
+  ...tips,
 });
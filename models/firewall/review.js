@@ -15,6 +15,9 @@ const reviewFunctions = {
   'moderation:unblock_users': unblockUsers,
   'moderation:unblock_contents:text_root': unblockContents,
   'moderation:unblock_contents:text_child': unblockContents,
+  'moderation:quarantine_users': findAffectedUsers,
+  'moderation:unquarantine_users': unquarantineUsers,
+  'moderation:unblock_tips': findAffectedUsers,
 };
 
 async function reviewEvent({ action, eventId, originatorIp, originatorUserId }) {
@@ -217,6 +220,31 @@ async function unblockContents(options) {
   };
 }
 
+async function findAffectedUsers(options) {
+  const affectedUsers = await user.findAll(
+    {
+      where: {
+        id: options.event.metadata.users,
+      },
+    },
+    options,
+  );
+
+  return {
+    users: affectedUsers,
+  };
+}
+
+// Contents already waiting in the quarantine queue are still reviewed there.
+async function unquarantineUsers(options) {
+  for (const userId of options.event.metadata.users) {
+    await user.removeFeatures(userId, ['quarantined'], options);
+  }
+
+  return await findAffectedUsers(options);
+}
+
 export default Object.freeze({
   reviewEvent,
+  unblockUsers,
 });
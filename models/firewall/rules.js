@@ -1,55 +1,133 @@
-import { TooManyRequestsError } from 'errors';
+import { NotFoundError, TooManyRequestsError, ValidationError } from 'errors';
 import database from 'infra/database.js';
 import content from 'models/content';
 import event from 'models/event.js';
 import notification from 'models/notification';
+import validator from 'models/validator.js';
+
+const scopes = {
+  ip: {
+    column: 'originator_ip',
+    selectValue: 'host(originator_ip)',
+    getValue: (context) => context.clientIp,
+  },
+  user: {
+    column: 'originator_user_id',
+    selectValue: 'originator_user_id::TEXT',
+    getValue: (context) => context.user.id,
+  },
+};
 
-const rules = {
-  'create:user': createUserRule,
-  'create:content:text_root': createContentTextRootRule,
-  'create:content:text_child': createContentTextChildRule,
+const sideEffects = {
+  none: async () => {},
+  block_users: blockUsersSideEffect,
+  block_contents: blockContentsSideEffect,
+  quarantine_users: quarantineUsersSideEffect,
 };
 
-function canRequest(ruleId) {
+// Quarantined users can keep posting, their contents just wait for moderation.
+const nonBlockingSideEffects = ['quarantine_users'];
+
+const tunableColumns = [
+  'scope',
+  'metadata_filter',
+  'threshold',
+  'window_seconds',
+  'side_effect',
+  'side_effect_window_seconds',
+  'message',
+  'enabled',
+];
+
+function canRequest(eventType) {
   return async function (request, response, next) {
-    try {
-      await rules[ruleId](request.context);
-      return next();
-    } catch (error) {
-      // Pass if database's stored procedure is not yet deployed
-      if (error.databaseErrorCode === database.errorCodes.UNDEFINED_FUNCTION) {
-        return next();
-      }
+    const enabledRules = await findAllRules({
+      where: {
+        event_type: eventType,
+        enabled: true,
+      },
+    });
 
-      throw error;
+    for (const rule of enabledRules) {
+      await evaluateRule(rule, request.context);
     }
+
+    return next();
   };
 }
 
-async function createUserRule(context) {
+async function evaluateRule(rule, context) {
+  const scopeValue = scopes[rule.scope].getValue(context);
+
+  if (!scopeValue) return;
+
   const results = await database.query({
-    text: 'select firewall_create_user($1)',
-    values: [context.clientIp],
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as events_count
+      FROM
+        events
+      WHERE
+        ${getEventsFilter(rule)}
+    ;`,
+    values: [rule.event_type, scopeValue, rule.window_seconds, rule.metadata_filter],
   });
 
-  const pass = results.rows[0].firewall_create_user;
+  if (results.rows[0].events_count < rule.threshold) return;
 
-  if (!pass) {
-    await createUserRuleSideEffect(context);
+  await sideEffects[rule.side_effect](rule, context, scopeValue);
 
-    throw new TooManyRequestsError({
-      message:
-        'Identificamos a criação de muitos usuários em um curto período, então usuários criados recentemente podem ter sido desativados.',
-    });
-  }
+  if (nonBlockingSideEffects.includes(rule.side_effect)) return;
+
+  throw new TooManyRequestsError({
+    message: rule.message,
+  });
+}
+
+function getEventsFilter(rule) {
+  return `
+    type = $1
+    AND ${scopes[rule.scope].column} = $2
+    AND created_at > NOW() - make_interval(secs => $3)
+    AND ($4::JSONB IS NULL OR metadata @> $4::JSONB)
+  `;
 }
 
-async function createUserRuleSideEffect(context) {
+async function blockUsersSideEffect(rule, context, scopeValue) {
   const results = await database.query({
-    text: 'select * from firewall_create_user_side_effect($1)',
-    values: [context.clientIp],
+    text: `
+      WITH users_to_block AS (
+        SELECT DISTINCT
+          CASE WHEN type = 'create:user' THEN (metadata->>'id')::UUID ELSE originator_user_id END as id
+        FROM
+          events
+        WHERE
+          ${getEventsFilter(rule)}
+      )
+      UPDATE
+        users
+      SET
+        features = ARRAY(SELECT feature FROM unnest(users.features) AS feature WHERE feature <> ALL ($5))
+      FROM
+        users_to_block
+      WHERE
+        users.id = users_to_block.id
+      RETURNING
+        users.id,
+        users.username,
+        users.email
+    ;`,
+    values: [
+      rule.event_type,
+      scopeValue,
+      rule.side_effect_window_seconds,
+      rule.metadata_filter,
+      ['read:activation_token', 'read:recovery_token', 'create:session', 'read:session'],
+    ],
   });
 
+  if (!results.rowCount) return;
+
   const affectedUsersIds = results.rows.map((user) => user.id);
 
   const createdEvent = await event.create({
@@ -57,7 +135,7 @@ async function createUserRuleSideEffect(context) {
     originator_user_id: context.user.id,
     originator_ip: context.clientIp,
     metadata: {
-      from_rule: 'create:user',
+      from_rule: rule.id,
       users: affectedUsersIds,
     },
   });
@@ -65,6 +143,45 @@ async function createUserRuleSideEffect(context) {
   await sendUserNotification(results.rows, createdEvent);
 }
 
+async function quarantineUsersSideEffect(rule, context, scopeValue) {
+  const results = await database.query({
+    text: `
+      WITH users_to_quarantine AS (
+        SELECT DISTINCT
+          CASE WHEN type = 'create:user' THEN (metadata->>'id')::UUID ELSE originator_user_id END as id
+        FROM
+          events
+        WHERE
+          ${getEventsFilter(rule)}
+      )
+      UPDATE
+        users
+      SET
+        features = array_append(users.features, 'quarantined')
+      FROM
+        users_to_quarantine
+      WHERE
+        users.id = users_to_quarantine.id
+        AND NOT 'quarantined' = ANY (users.features)
+      RETURNING
+        users.id
+    ;`,
+    values: [rule.event_type, scopeValue, rule.side_effect_window_seconds, rule.metadata_filter],
+  });
+
+  if (!results.rowCount) return;
+
+  await event.create({
+    type: 'firewall:quarantine_users',
+    originator_user_id: context.user.id,
+    originator_ip: context.clientIp,
+    metadata: {
+      from_rule: rule.id,
+      users: results.rows.map((user) => user.id),
+    },
+  });
+}
+
 function sendUserNotification(userRows, event) {
   const notifications = [];
 
@@ -80,80 +197,57 @@ function sendUserNotification(userRows, event) {
   return Promise.allSettled(notifications);
 }
 
-async function createContentTextRootRule(context) {
-  const results = await database.query({
-    text: 'select firewall_create_content_text_root($1)',
-    values: [context.clientIp],
-  });
-
-  const pass = results.rows[0].firewall_create_content_text_root;
-
-  if (!pass) {
-    await createContentTextRootRuleSideEffect(context);
-
-    throw new TooManyRequestsError({
-      message:
-        'Identificamos a criação de muitas publicações em um curto período, então publicações criadas recentemente podem ter sido removidas.',
-    });
-  }
-}
-
-async function createContentTextRootRuleSideEffect(context) {
-  const results = await database.query({
-    text: 'select * from firewall_create_content_text_root_side_effect($1)',
-    values: [context.clientIp],
-  });
-
-  const affectedContentsIds = results.rows.map((row) => row.id);
-
-  const createdEvent = await event.create({
-    type: 'firewall:block_contents:text_root',
-    originator_user_id: context.user.id,
-    originator_ip: context.clientIp,
-    metadata: {
-      from_rule: 'create:content:text_root',
-      contents: affectedContentsIds,
-    },
-  });
-
-  await Promise.allSettled([
-    undoContentsTabcoins(results.rows, createdEvent),
-    sendContentTextNotification(results.rows, createdEvent),
-  ]);
-}
-
-async function createContentTextChildRule(context) {
+async function blockContentsSideEffect(rule, context, scopeValue) {
   const results = await database.query({
-    text: 'select firewall_create_content_text_child($1)',
-    values: [context.clientIp],
+    text: `
+      WITH contents_to_block AS (
+        SELECT
+          contents.id,
+          contents.status
+        FROM
+          contents
+        WHERE
+          contents.id IN (
+            SELECT
+              (metadata->>'id')::UUID
+            FROM
+              events
+            WHERE
+              ${getEventsFilter(rule)}
+          )
+      )
+      UPDATE
+        contents
+      SET
+        status = 'firewall'
+      FROM
+        contents_to_block
+      WHERE
+        contents.id = contents_to_block.id
+      RETURNING
+        contents.id,
+        contents.title,
+        contents.published_at,
+        contents.status,
+        contents.owner_id,
+        get_content_current_tabcoins(contents.id) as tabcoins,
+        contents_to_block.status as status_before_update
+    ;`,
+    values: [rule.event_type, scopeValue, rule.side_effect_window_seconds, rule.metadata_filter],
   });
 
-  const pass = results.rows[0].firewall_create_content_text_child;
-
-  if (!pass) {
-    await createContentTextChildRuleSideEffect(context);
-
-    throw new TooManyRequestsError({
-      message:
-        'Identificamos a criação de muitos comentários em um curto período, então comentários criados recentemente podem ter sido removidos.',
-    });
-  }
-}
-
-async function createContentTextChildRuleSideEffect(context) {
-  const results = await database.query({
-    text: 'select * from firewall_create_content_text_child_side_effect($1)',
-    values: [context.clientIp],
-  });
+  if (!results.rowCount) return;
 
   const affectedContentsIds = results.rows.map((row) => row.id);
 
   const createdEvent = await event.create({
-    type: 'firewall:block_contents:text_child',
+    type: rule.event_type.endsWith(':text_child')
+      ? 'firewall:block_contents:text_child'
+      : 'firewall:block_contents:text_root',
     originator_user_id: context.user.id,
     originator_ip: context.clientIp,
     metadata: {
-      from_rule: 'create:content:text_child',
+      from_rule: rule.id,
       contents: affectedContentsIds,
     },
   });
@@ -207,6 +301,184 @@ function sendContentTextNotification(contentRows, event) {
   return Promise.allSettled(notifications);
 }
 
+async function findAllRules(values = {}) {
+  const where = values.where ?? {};
+
+  const results = await database.query({
+    text: `
+      SELECT
+        *
+      FROM
+        firewall_rules
+      WHERE
+        ($1::VARCHAR IS NULL OR event_type = $1)
+        AND ($2::BOOLEAN IS NULL OR enabled = $2)
+      ORDER BY
+        event_type ASC,
+        id ASC
+    ;`,
+    values: [where.event_type ?? null, where.enabled ?? null],
+  });
+
+  return results.rows;
+}
+
+async function findOneRuleById(ruleId, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          *
+        FROM
+          firewall_rules
+        WHERE
+          id = $1
+      ;`,
+      values: [ruleId],
+    },
+    options,
+  );
+
+  if (!results.rowCount) {
+    throw new NotFoundError({
+      message: `A regra "${ruleId}" não foi encontrada no sistema.`,
+      action: 'Verifique se o "id" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:FIREWALL:FIND_ONE_RULE_BY_ID:NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function createRule(ruleData, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        INSERT INTO firewall_rules
+          (id, event_type, scope, metadata_filter, threshold, window_seconds, side_effect, side_effect_window_seconds, message, enabled)
+        VALUES
+          ($1, $2, $3, $4, $5, $6, COALESCE($7, 'none'), COALESCE($8, 0), $9, COALESCE($10, false))
+        ON CONFLICT (id) DO NOTHING
+        RETURNING
+          *
+      ;`,
+      values: [
+        ruleData.id,
+        ruleData.event_type,
+        ruleData.scope,
+        ruleData.metadata_filter,
+        ruleData.threshold,
+        ruleData.window_seconds,
+        ruleData.side_effect,
+        ruleData.side_effect_window_seconds,
+        ruleData.message,
+        ruleData.enabled,
+      ],
+    },
+    options,
+  );
+
+  if (!results.rowCount) {
+    throw new ValidationError({
+      message: `A regra "${ruleData.id}" já existe.`,
+      action: 'Utilize outro "id" ou atualize a regra existente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:FIREWALL:CREATE_RULE:ALREADY_EXISTS',
+      key: 'id',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function updateRule(ruleId, ruleData, options = {}) {
+  const columnsToUpdate = tunableColumns.filter((column) => ruleData[column] !== undefined);
+
+  if (!columnsToUpdate.length) return await findOneRuleById(ruleId, options);
+
+  if (ruleData.side_effect) {
+    const storedRule = await findOneRuleById(ruleId, options);
+
+    validator(
+      {
+        event_type: storedRule.event_type,
+        side_effect: ruleData.side_effect,
+      },
+      {
+        firewall_rule: 'optional',
+      },
+    );
+  }
+
+  const results = await database.query(
+    {
+      text: `
+        UPDATE
+          firewall_rules
+        SET
+          ${columnsToUpdate.map((column, index) => `${column} = $${index + 2}`).join(',\n        ')},
+          updated_at = (now() at time zone 'utc')
+        WHERE
+          id = $1
+        RETURNING
+          *
+      ;`,
+      values: [ruleId, ...columnsToUpdate.map((column) => ruleData[column])],
+    },
+    options,
+  );
+
+  if (!results.rowCount) return await findOneRuleById(ruleId, options);
+
+  return results.rows[0];
+}
+
+async function dryRunRule(ruleId, ruleData = {}) {
+  const storedRule = await findOneRuleById(ruleId);
+
+  const rule = { ...storedRule };
+
+  for (const column of tunableColumns) {
+    if (ruleData[column] !== undefined) rule[column] = ruleData[column];
+  }
+
+  const results = await database.query({
+    text: `
+      SELECT
+        ${scopes[rule.scope].selectValue} as scope_value,
+        COUNT(*)::INTEGER as events_count
+      FROM
+        events
+      WHERE
+        type = $1
+        AND ${scopes[rule.scope].column} IS NOT NULL
+        AND created_at > NOW() - make_interval(secs => $2)
+        AND ($3::JSONB IS NULL OR metadata @> $3::JSONB)
+      GROUP BY
+        ${scopes[rule.scope].column}
+      HAVING
+        COUNT(*) >= $4
+      ORDER BY
+        events_count DESC
+      LIMIT 100
+    ;`,
+    values: [rule.event_type, rule.window_seconds, rule.metadata_filter, rule.threshold],
+  });
+
+  return {
+    rule: rule,
+    matches: results.rows,
+  };
+}
+
 export default Object.freeze({
   canRequest,
+  createRule,
+  dryRunRule,
+  findAllRules,
+  findOneRuleById,
+  tunableColumns,
+  updateRule,
 });
@@ -0,0 +1,196 @@
+import database from 'infra/database.js';
+import content from 'models/content';
+import event from 'models/event.js';
+import linkParser from 'models/link-parser.js';
+
+const spamRule = 'spam_score';
+
+const scoreThreshold = 4;
+
+const signalWeights = {
+  link_density: 2,
+  repeated_source_domain: 2,
+  duplicated_body: 3,
+  new_account_only_links: 2,
+};
+
+const limits = {
+  minLinksForDensity: 3,
+  maxWordsPerLink: 15,
+  repeatedDomainAccounts: 2,
+  repeatedDomainWindowHours: 24,
+  commonDomainAccounts: 10,
+  commonDomainWindowDays: 30,
+  duplicatedBodyMinLength: 80,
+  duplicatedBodyWindowDays: 7,
+  newAccountHours: 72,
+  maxWordsForOnlyLinks: 10,
+};
+
+async function scoreContent(contentObject, context, options = {}) {
+  const links = linkParser.extractLinks(contentObject.body);
+  const wordsCount = countWordsWithoutLinks(contentObject.body);
+  const sourceDomain = getDomain(contentObject.source_url);
+
+  const signals = [];
+
+  if (links.length >= limits.minLinksForDensity && wordsCount / links.length < limits.maxWordsPerLink) {
+    signals.push('link_density');
+  }
+
+  if (sourceDomain && (await isRepeatedRareDomain(contentObject, sourceDomain, options))) {
+    signals.push('repeated_source_domain');
+  }
+
+  if (
+    contentObject.body.trim().length >= limits.duplicatedBodyMinLength &&
+    (await hasDuplicatedBody(contentObject, options))
+  ) {
+    signals.push('duplicated_body');
+  }
+
+  if (isNewAccount(context.user) && links.length && wordsCount <= limits.maxWordsForOnlyLinks) {
+    signals.push('new_account_only_links');
+  }
+
+  const score = signals.reduce((total, signal) => total + signalWeights[signal], 0);
+
+  return {
+    score,
+    signals,
+    isSpam: score >= scoreThreshold,
+  };
+}
+
+async function checkSpam(createdContent, context, options = {}) {
+  if (createdContent.status !== 'published') return createdContent;
+
+  const { score, signals, isSpam } = await scoreContent(createdContent, context, options);
+
+  if (!isSpam) return createdContent;
+
+  const createdEvent = await event.create(
+    {
+      type: createdContent.parent_id ? 'firewall:block_contents:text_child' : 'firewall:block_contents:text_root',
+      originator_user_id: context.user.id,
+      originator_ip: context.clientIp,
+      metadata: {
+        from_rule: spamRule,
+        contents: [createdContent.id],
+        score,
+        signals,
+      },
+    },
+    options,
+  );
+
+  const blockedContent = {
+    ...createdContent,
+    status: 'firewall',
+  };
+
+  await database.query(
+    {
+      text: `
+        UPDATE
+          contents
+        SET
+          status = 'firewall'
+        WHERE
+          id = $1
+      ;`,
+      values: [createdContent.id],
+    },
+    options,
+  );
+
+  await content.creditOrDebitTabCoins(createdContent, blockedContent, {
+    eventId: createdEvent.id,
+    transaction: options.transaction,
+  });
+
+  return blockedContent;
+}
+
+function countWordsWithoutLinks(body) {
+  return linkParser
+    .removeLinks(body)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/u)
+    .filter(Boolean).length;
+}
+
+function getDomain(url) {
+  if (!url) return;
+
+  return linkParser.getHostname(url)?.replace(/^www\./u, '');
+}
+
+function isNewAccount(user) {
+  if (!user?.created_at) return false;
+
+  return Date.now() - new Date(user.created_at).getTime() < limits.newAccountHours * 60 * 60 * 1000;
+}
+
+// Domains with an "allow" rule or shared by many accounts are common sources, not a spam ring.
+async function isRepeatedRareDomain(contentObject, sourceDomain, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          COUNT(DISTINCT owner_id) FILTER (
+            WHERE created_at > now() - make_interval(hours => $2)
+          )::INTEGER as recent_accounts_count,
+          COUNT(DISTINCT owner_id)::INTEGER as accounts_count
+        FROM
+          contents
+        WHERE
+          source_url IS NOT NULL
+          AND lower(substring(source_url from '^https?://(?:www\\.)?([^/:?#]+)')) = $1
+          AND created_at > now() - make_interval(days => $3)
+          AND owner_id <> $4
+          AND status IN ('published', 'firewall')
+          AND NOT EXISTS (
+            SELECT 1
+            FROM domain_rules
+            WHERE action = 'allow' AND ($1 = domain OR $1 LIKE '%.' || domain)
+          )
+      ;`,
+      values: [sourceDomain, limits.repeatedDomainWindowHours, limits.commonDomainWindowDays, contentObject.owner_id],
+    },
+    options,
+  );
+
+  const { recent_accounts_count, accounts_count } = results.rows[0];
+
+  return recent_accounts_count >= limits.repeatedDomainAccounts && accounts_count <= limits.commonDomainAccounts;
+}
+
+async function hasDuplicatedBody(contentObject, options = {}) {
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          1
+        FROM
+          contents
+        WHERE
+          md5(lower(btrim(regexp_replace(body, '\\s+', ' ', 'g')))) = md5(lower(btrim(regexp_replace($1, '\\s+', ' ', 'g'))))
+          AND created_at > now() - make_interval(days => $2)
+          AND id <> $3
+          AND status IN ('published', 'firewall')
+        LIMIT
+          1
+      ;`,
+      values: [contentObject.body, limits.duplicatedBodyWindowDays, contentObject.id],
+    },
+    options,
+  );
+
+  return results.rowCount > 0;
+}
+
+export default Object.freeze({
+  checkSpam,
+  scoreContent,
+});
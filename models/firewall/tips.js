@@ -0,0 +1,102 @@
+import { TooManyRequestsError } from 'errors';
+import database from 'infra/database.js';
+import event from 'models/event.js';
+
+import eventTypes from './event-types';
+
+const tipFarmingRule = 'tip_farming';
+
+const limits = {
+  tipsBetweenAccounts: 3,
+  windowHours: 24,
+};
+
+async function checkTipFarming({ tipperId, recipientId }, context, options = {}) {
+  // Read outside the tip transaction, so a block created by a concurrent request is already visible.
+  const lastBlock = await findLastTipsBlock({ tipperId, recipientId });
+
+  if (lastBlock && !lastBlock.reviewed_at) {
+    throw new TooManyRequestsError({
+      message: 'As gorjetas entre estas contas estão bloqueadas até a análise da moderação.',
+      action: 'Tente enviar uma gorjeta para este usuário novamente mais tarde.',
+      errorLocationCode: 'MODEL:FIREWALL:CHECK_TIP_FARMING:TIPS_BLOCKED',
+    });
+  }
+
+  const results = await database.query(
+    {
+      text: `
+        SELECT
+          COUNT(*)::INTEGER as tips_count
+        FROM
+          content_tips
+        WHERE
+          (
+            (tipper_id = $1 AND recipient_id = $2)
+            OR (tipper_id = $2 AND recipient_id = $1)
+          )
+          AND created_at > NOW() - make_interval(hours => $3)
+          AND ($4::timestamptz IS NULL OR created_at > $4)
+      ;`,
+      values: [tipperId, recipientId, limits.windowHours, lastBlock?.reviewed_at ?? null],
+    },
+    options,
+  );
+
+  if (results.rows[0].tips_count < limits.tipsBetweenAccounts) return;
+
+  // Created outside the tip transaction, which is rolled back by the error below.
+  await event.create({
+    type: 'firewall:block_tips',
+    originator_user_id: tipperId,
+    originator_ip: context.clientIp,
+    metadata: {
+      from_rule: tipFarmingRule,
+      users: [tipperId, recipientId],
+    },
+  });
+
+  throw new TooManyRequestsError({
+    message: 'Identificamos muitas gorjetas trocadas entre as mesmas contas em um curto período.',
+    action: 'Tente enviar uma gorjeta para este usuário novamente mais tarde.',
+    errorLocationCode: 'MODEL:FIREWALL:CHECK_TIP_FARMING:TOO_MANY_TIPS',
+  });
+}
+
+async function findLastTipsBlock({ tipperId, recipientId }) {
+  const results = await database.query({
+    text: `
+      SELECT
+        blocks.id,
+        blocks.created_at,
+        (
+          SELECT
+            MIN(reviews.created_at)
+          FROM
+            events as reviews
+          WHERE
+            reviews.type = ANY ($3)
+            AND reviews.metadata->'users' ? $1
+            AND reviews.metadata->'users' ? $2
+            AND reviews.created_at >= blocks.created_at
+        ) as reviewed_at
+      FROM
+        events as blocks
+      WHERE
+        blocks.type = 'firewall:block_tips'
+        AND blocks.metadata->'users' ? $1
+        AND blocks.metadata->'users' ? $2
+      ORDER BY
+        blocks.created_at DESC
+      LIMIT
+        1
+    ;`,
+    values: [tipperId, recipientId, eventTypes.review],
+  });
+
+  return results.rows[0];
+}
+
+export default Object.freeze({
+  checkTipFarming,
+});
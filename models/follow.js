@@ -0,0 +1,84 @@
+import { NotFoundError } from 'errors';
+import database from 'infra/database.js';
+
+async function create({ followerId, followedId }, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO user_follows
+        (follower_id, followed_id)
+      VALUES
+        ($1, $2)
+      ON CONFLICT (follower_id, followed_id) DO NOTHING
+    ;`,
+    values: [followerId, followedId],
+  };
+
+  await database.query(query, { transaction: options.transaction });
+
+  return await getSummary({ userId: followedId, viewerId: followerId }, options);
+}
+
+async function remove({ followerId, followedId }, options = {}) {
+  const query = {
+    text: `
+      DELETE FROM
+        user_follows
+      WHERE
+        follower_id = $1
+        AND followed_id = $2
+    ;`,
+    values: [followerId, followedId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (results.rowCount === 0) {
+    throw new NotFoundError({
+      message: 'Você não segue este usuário.',
+      action: 'Verifique se o "username" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:FOLLOW:REMOVE:NOT_FOUND',
+      key: 'username',
+    });
+  }
+
+  return await getSummary({ userId: followedId, viewerId: followerId }, options);
+}
+
+async function getSummary({ userId, viewerId }, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        (
+          SELECT COUNT(*)::INTEGER
+          FROM user_follows
+          INNER JOIN users ON users.id = user_follows.follower_id
+          WHERE user_follows.followed_id = $1
+            AND NOT 'nuked' = ANY (users.features)
+        ) as followers_count,
+        (
+          SELECT COUNT(*)::INTEGER
+          FROM user_follows
+          INNER JOIN users ON users.id = user_follows.followed_id
+          WHERE user_follows.follower_id = $1
+            AND NOT 'nuked' = ANY (users.features)
+        ) as following_count,
+        EXISTS (
+          SELECT 1
+          FROM user_follows
+          WHERE follower_id = $2
+            AND followed_id = $1
+        ) as following
+    ;`,
+    values: [userId, viewerId ?? null],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+export default Object.freeze({
+  create,
+  getSummary,
+  remove,
+});
@@ -0,0 +1,133 @@
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+import validator from 'models/validator.js';
+
+async function create(object, options = {}) {
+  const cleanObject = validator(object, {
+    notification: 'required',
+  });
+
+  const query = {
+    text: `
+      INSERT INTO notifications
+        (user_id, type, title, url, event_id, metadata)
+      VALUES
+        ($1, $2, $3, $4, $5, $6)
+      RETURNING
+        *
+    ;`,
+    values: [
+      cleanObject.user_id,
+      cleanObject.type,
+      cleanObject.title,
+      cleanObject.url,
+      cleanObject.event_id,
+      cleanObject.metadata,
+    ],
+  };
+
+  const results = await database.query(query, options);
+  return results.rows[0];
+}
+
+async function findAllByUserId(userId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        *
+      FROM
+        notifications
+      WHERE
+        user_id = $1
+        ${getReadCondition(values.read)}
+      ORDER BY
+        created_at DESC
+      LIMIT $2 OFFSET $3
+    ;`,
+    values: [userId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows,
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countTotalRows(userId, values.read));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countTotalRows(userId, read) {
+  const countQuery = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        notifications
+      WHERE
+        user_id = $1
+        ${getReadCondition(read)}
+    ;`,
+    values: [userId],
+  };
+
+  const countResult = await database.query(countQuery);
+  return countResult.rows[0].total_rows;
+}
+
+async function updateReadStatus(userId, { ids, read }) {
+  const query = {
+    text: `
+      UPDATE
+        notifications
+      SET
+        read_at = ${read ? "COALESCE(read_at, (now() at time zone 'utc'))" : 'NULL'}
+      WHERE
+        user_id = $1
+        ${ids ? 'AND id = ANY ($2)' : ''}
+      RETURNING
+        *
+    ;`,
+    values: ids ? [userId, ids] : [userId],
+  };
+
+  const results = await database.query(query);
+  return results.rows;
+}
+
+async function claimTabCoinsMilestone({ contentId, milestone }, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO content_tabcoins_milestones
+        (content_id, milestone)
+      VALUES
+        ($1, $2)
+      ON CONFLICT DO NOTHING
+      RETURNING
+        content_id
+    ;`,
+    values: [contentId, milestone],
+  };
+
+  const results = await database.query(query, options);
+  return results.rowCount > 0;
+}
+
+function getReadCondition(read) {
+  if (read === true) return 'AND read_at IS NOT NULL';
+  if (read === false) return 'AND read_at IS NULL';
+  return '';
+}
+
+export default Object.freeze({
+  claimTabCoinsMilestone,
+  create,
+  findAllByUserId,
+  updateReadStatus,
+});
@@ -0,0 +1,31 @@
+const linkRegex =
+  /https?:\/\/[^\s<>()[\]]+|(?<![\w:/])\/\/[\w-]+(?:\.[\w-]+)+[^\s<>()[\]]*|(?<![\w./@-])www\.[\w-]+(?:\.[\w-]+)+[^\s<>()[\]]*/giu;
+
+function extractLinks(text) {
+  return text?.match(linkRegex) ?? [];
+}
+
+function removeLinks(text, replacement = ' ') {
+  return text.replace(linkRegex, replacement);
+}
+
+function getHostname(link) {
+  try {
+    return new URL(normalizeLink(link)).hostname.toLowerCase();
+  } catch {
+    return;
+  }
+}
+
+function normalizeLink(link) {
+  if (link.startsWith('//')) return `https:${link}`;
+  if (/^www\./iu.test(link)) return `https://${link}`;
+
+  return link;
+}
+
+export default Object.freeze({
+  extractLinks,
+  getHostname,
+  removeLinks,
+});
@@ -0,0 +1,79 @@
+import database from 'infra/database.js';
+import mentionParser from 'pages/interface/utils/mention-parser.js';
+
+const MAX_MENTIONS_PER_CONTENT = 10;
+
+async function createFromContent(contentObject, options = {}) {
+  if (contentObject.status !== 'published') return [];
+
+  const usernames = mentionParser.extractMentions(contentObject.body).map((username) => username.toLowerCase());
+
+  if (!usernames.length) return [];
+
+  const query = {
+    text: `
+      WITH
+        existing_mentions AS (
+          SELECT
+            user_id
+          FROM
+            content_mentions
+          WHERE
+            content_id = $1
+        ),
+        mentioned_users AS (
+          SELECT
+            id
+          FROM
+            users
+          WHERE
+            LOWER(username) = ANY ($2)
+            AND id <> $3
+            AND NOT 'nuked' = ANY (features)
+            AND id NOT IN (SELECT user_id FROM existing_mentions)
+          ORDER BY
+            array_position($2, LOWER(username))
+          LIMIT
+            GREATEST($4 - (SELECT COUNT(*) FROM existing_mentions), 0)
+        )
+      INSERT INTO content_mentions
+        (content_id, user_id)
+      SELECT
+        $1, id
+      FROM
+        mentioned_users
+      ON CONFLICT (content_id, user_id) DO NOTHING
+      RETURNING
+        *
+    ;`,
+    values: [contentObject.id, usernames, contentObject.owner_id, MAX_MENTIONS_PER_CONTENT],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows;
+}
+
+async function markAsNotified(contentId, options = {}) {
+  const query = {
+    text: `
+      UPDATE
+        content_mentions
+      SET
+        notified_at = (now() at time zone 'utc')
+      WHERE
+        content_id = $1
+        AND notified_at IS NULL
+      RETURNING
+        *
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows;
+}
+
+export default Object.freeze({
+  createFromContent,
+  markAsNotified,
+});
@@ -0,0 +1,66 @@
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+
+async function findAllByContentId(contentId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        events.id,
+        events.metadata->>'id' as content_id,
+        events.metadata->>'moderation_reason' as reason,
+        events.created_at,
+        moderators.username as moderator_username
+      FROM
+        events
+      LEFT JOIN
+        users as moderators ON moderators.id = events.originator_user_id
+      WHERE
+        events.type IN ('update:content:text_root', 'update:content:text_child')
+        AND events.metadata ? 'moderation_reason'
+        AND events.metadata->>'id' = $1
+      ORDER BY
+        events.created_at DESC
+      LIMIT $2 OFFSET $3
+    ;`,
+    values: [contentId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows,
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countByContentId(contentId));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function countByContentId(contentId) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        events
+      WHERE
+        type IN ('update:content:text_root', 'update:content:text_child')
+        AND metadata ? 'moderation_reason'
+        AND metadata->>'id' = $1
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+export default Object.freeze({
+  countByContentId,
+  findAllByContentId,
+});
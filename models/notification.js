@@ -2,58 +2,160 @@ import { truncate } from '@tabnews/helpers';
 
 import email from 'infra/email.js';
 import webserver from 'infra/webserver.js';
+import appeal from 'models/appeal.js';
 import authorization from 'models/authorization.js';
 import content from 'models/content.js';
-import { FirewallEmail, NotificationEmail } from 'models/transactional';
+import inbox from 'models/inbox.js';
+import mention from 'models/mention.js';
+import { FirewallEmail, NotificationEmail, SuspensionEmail } from 'models/transactional';
 import user from 'models/user.js';
 
 async function sendReplyEmailToParentUser(createdContent) {
   const anonymousUser = user.createAnonymous();
   const secureCreatedContent = authorization.filterOutput(anonymousUser, 'read:content', createdContent);
 
+  if (secureCreatedContent.status !== 'published' || createdContent.quarantined_at) return;
+
   const parentContent = await content.findOne({
     where: {
       id: secureCreatedContent.parent_id,
+      $with_quarantined: true,
     },
   });
 
-  if (parentContent.owner_id !== secureCreatedContent.owner_id && secureCreatedContent.status === 'published') {
+  const rootContent = parentContent.parent_id
+    ? await content.findOne({
+        where: {
+          id: parentContent.path[0],
+          $with_quarantined: true,
+        },
+        attributes: { exclude: ['body'] },
+      })
+    : parentContent;
+
+  const secureRootContent = authorization.filterOutput(anonymousUser, 'read:content', rootContent);
+
+  if (parentContent.owner_id !== secureCreatedContent.owner_id) {
     const parentContentUser = await user.findOneById(parentContent.owner_id);
 
-    if (parentContentUser.notifications === false) {
-      return;
-    }
+    await notifyUser({
+      user: parentContentUser,
+      kind: 'direct_reply',
+      type: 'content:reply',
+      title: getBodyReplyLine({
+        createdContent: secureCreatedContent,
+        rootContent: secureRootContent,
+      }),
+      subject: getReplyEmailSubject({
+        createdContent: secureCreatedContent,
+        rootContent: secureRootContent,
+      }),
+      content: secureCreatedContent,
+      metadata: {
+        content_id: secureCreatedContent.id,
+        root_content_id: secureRootContent.id,
+      },
+    });
+  }
+
+  if (
+    parentContent.parent_id &&
+    rootContent.owner_id !== secureCreatedContent.owner_id &&
+    rootContent.owner_id !== parentContent.owner_id
+  ) {
+    const rootContentUser = await user.findOneById(rootContent.owner_id);
 
-    const childContentUrl = getContentUrl(secureCreatedContent);
-    const rootContent = parentContent.parent_id
-      ? await content.findOne({
-          where: {
-            id: parentContent.path[0],
-          },
-          attributes: { exclude: ['body'] },
-        })
-      : parentContent;
-
-    const secureRootContent = authorization.filterOutput(anonymousUser, 'read:content', rootContent);
-
-    const subject = getReplyEmailSubject({
-      createdContent: secureCreatedContent,
-      rootContent: secureRootContent,
+    await notifyUser({
+      user: rootContentUser,
+      kind: 'thread_reply',
+      type: 'content:thread_reply',
+      title: getThreadReplyLine({
+        createdContent: secureCreatedContent,
+        rootContent: secureRootContent,
+      }),
+      subject: getReplyEmailSubject({
+        createdContent: secureCreatedContent,
+        rootContent: secureRootContent,
+      }),
+      content: secureCreatedContent,
+      metadata: {
+        content_id: secureCreatedContent.id,
+        root_content_id: secureRootContent.id,
+      },
     });
+  }
+}
+
+async function sendMentionToUsers(mentioningContent) {
+  if (mentioningContent.status !== 'published' || mentioningContent.quarantined_at) return;
+
+  const pendingMentions = await mention.markAsNotified(mentioningContent.id);
 
-    const bodyReplyLine = getBodyReplyLine({
-      createdContent: secureCreatedContent,
-      rootContent: secureRootContent,
+  // The parent owner was already notified about the reply itself.
+  const mentionsToNotify = pendingMentions.filter((pending) => pending.user_id !== mentioningContent.parent_owner_id);
+
+  if (!mentionsToNotify.length) return;
+
+  const anonymousUser = user.createAnonymous();
+
+  const rootContent = mentioningContent.parent_id
+    ? await content.findOne({
+        where: {
+          id: mentioningContent.path[0],
+          $with_quarantined: true,
+        },
+        attributes: { exclude: ['body'] },
+      })
+    : mentioningContent;
+
+  const secureRootContent = authorization.filterOutput(anonymousUser, 'read:content', rootContent);
+  const sanitizedRootContentTitle =
+    secureRootContent.status === 'published' ? secureRootContent.title : '[Não disponível]';
+
+  const mentionReference = mentioningContent.parent_id
+    ? `em um comentário na publicação "${sanitizedRootContentTitle}"`
+    : `na publicação "${sanitizedRootContentTitle}"`;
+
+  for (const pendingMention of mentionsToNotify) {
+    const mentionedUser = await user.findOneById(pendingMention.user_id);
+
+    await notifyUser({
+      user: mentionedUser,
+      kind: 'mention',
+      type: 'content:mention',
+      title: `"${mentioningContent.owner_username}" mencionou você ${mentionReference}.`,
+      subject: `"${mentioningContent.owner_username}" mencionou você em "${truncate(sanitizedRootContentTitle, 58)}"`,
+      content: mentioningContent,
+      metadata: {
+        content_id: mentioningContent.id,
+        root_content_id: secureRootContent.id,
+      },
     });
+  }
+}
+
+async function notifyUser({ user, kind, type, title, subject, content, eventId, metadata, emailVariant = kind }) {
+  if (canNotify(user, kind, 'in_app')) {
+    await inbox.create({
+      user_id: user.id,
+      type: type,
+      title: title,
+      url: getContentPath(content),
+      event_id: eventId,
+      metadata: metadata,
+    });
+  }
 
+  if (canNotify(user, kind, 'email')) {
     const { html, text } = NotificationEmail({
-      username: parentContentUser.username,
-      bodyReplyLine: bodyReplyLine,
-      contentLink: childContentUrl,
+      username: user.username,
+      bodyReplyLine: title,
+      contentLink: getContentUrl(content),
+      ...emailVariants[emailVariant],
     });
 
     await email.triggerSend({
-      to: parentContentUser.email,
+      to: user.email,
       from: 'TabNews <contato@tabnews.com.br>',
       subject: subject,
       html,
@@ -62,6 +164,35 @@ async function sendReplyEmailToParentUser(createdContent) {
   }
 }
 
+const emailVariants = {
+  mention: {
+    previewText: 'Nova menção no TabNews',
+    actionLine: 'Para ver a menção, utilize o link abaixo:',
+    linkLabel: 'Clique aqui para ver a menção.',
+  },
+  tabcoins_reward: {
+    previewText: 'Novas TabCoins no TabNews',
+    actionLine: 'Para ver o conteúdo, utilize o link abaixo:',
+    linkLabel: 'Clique aqui para ver o conteúdo.',
+  },
+  tip: {
+    previewText: 'Você recebeu uma gorjeta no TabNews',
+    actionLine: 'Para ver o conteúdo, utilize o link abaixo:',
+    linkLabel: 'Clique aqui para ver o conteúdo.',
+  },
+  moderation: {
+    previewText: 'Seu conteúdo foi moderado no TabNews',
+    actionLine: 'Para ver o conteúdo, utilize o link abaixo:',
+    linkLabel: 'Clique aqui para ver o conteúdo.',
+  },
+};
+
+function canNotify(user, kind, channel) {
+  if (kind === 'moderation') return true;
+
+  return user.notification_preferences?.[kind]?.[channel] !== false;
+}
+
 function getReplyEmailSubject({ createdContent, rootContent }) {
   const sanitizedRootContentTitle =
     rootContent.status === 'published' ? truncate(rootContent.title, 58) : '[Não disponível]';
@@ -78,15 +209,122 @@ function getBodyReplyLine({ createdContent, rootContent }) {
   return `"${createdContent.owner_username}" respondeu ao seu comentário na publicação "${sanitizedRootContentTitle}".`;
 }
 
-function getContentUrl({ owner_username, slug }) {
-  return `${webserver.host}/${owner_username}/${slug}`;
+function getThreadReplyLine({ createdContent, rootContent }) {
+  const sanitizedRootContentTitle = rootContent.status === 'published' ? rootContent.title : '[Não disponível]';
+
+  return `"${createdContent.owner_username}" comentou em uma discussão da sua publicação "${sanitizedRootContentTitle}".`;
+}
+
+function getContentUrl(content) {
+  return `${webserver.host}${getContentPath(content)}`;
+}
+
+function getContentPath({ owner_username, slug }) {
+  return `/${owner_username}/${slug}`;
+}
+
+async function sendTabCoinsMilestoneToUser({ content, eventId }) {
+  const milestone = getReachedTabCoinsMilestone(content.tabcoins);
+
+  if (!milestone) return;
+
+  // A milestone reached again after a debit was already notified.
+  const isFirstTimeReached = await inbox.claimTabCoinsMilestone({ contentId: content.id, milestone });
+
+  if (!isFirstTimeReached) return;
+
+  const contentOwner = await user.findOneById(content.owner_id);
+  const contentReference = content.title ? `Sua publicação "${content.title}"` : 'Seu comentário';
+
+  await notifyUser({
+    user: contentOwner,
+    kind: 'tabcoins_reward',
+    type: 'content:tabcoins:milestone',
+    title: `${contentReference} alcançou ${milestone} TabCoins.`,
+    subject: `${contentReference} alcançou ${milestone} TabCoins`,
+    content: content,
+    eventId: eventId,
+    metadata: {
+      content_id: content.id,
+      milestone: milestone,
+    },
+  });
+}
+
+const tabCoinsMilestones = [10, 25, 50, 100, 250, 500, 1000];
+
+function getReachedTabCoinsMilestone(tabcoins) {
+  return tabCoinsMilestones.find((milestone) => milestone === tabcoins);
+}
+
+async function sendTipToUser({ content, eventId, tipperUsername, amount }) {
+  const contentOwner = await user.findOneById(content.owner_id);
+  const contentReference = content.title ? `sua publicação "${content.title}"` : 'seu comentário';
+
+  await notifyUser({
+    user: contentOwner,
+    kind: 'tabcoins_reward',
+    type: 'content:tip',
+    title: `"${tipperUsername}" enviou ${amount} TabCash de gorjeta para ${contentReference}.`,
+    subject: `"${tipperUsername}" enviou uma gorjeta para ${
+      content.title ? `"${truncate(content.title, 58)}"` : 'o seu comentário'
+    }`,
+    content: content,
+    eventId: eventId,
+    emailVariant: 'tip',
+    metadata: {
+      content_id: content.id,
+      amount: amount,
+    },
+  });
+}
+
+async function sendContentModeratedToUser({ content, eventId, moderatorUsername, reason }) {
+  const contentOwner = await user.findOneById(content.owner_id);
+  const actionReference = content.status === 'deleted' ? 'removid' : 'editad';
+  const moderatedLine = content.title
+    ? `Sua publicação "${content.title}" foi ${actionReference}a por "${moderatorUsername}".`
+    : `Seu comentário foi ${actionReference}o por "${moderatorUsername}".`;
+
+  await notifyUser({
+    user: contentOwner,
+    kind: 'moderation',
+    type: 'content:moderated',
+    title: truncate(`${moderatedLine} Motivo: ${reason}`, 512),
+    subject: content.title
+      ? `Sua publicação "${truncate(content.title, 58)}" foi moderada`
+      : 'Seu comentário foi moderado',
+    content: content,
+    eventId: eventId,
+    metadata: {
+      content_id: content.id,
+      reason: reason,
+    },
+  });
 }
 
 async function sendUserDisabled({ eventId, user }) {
+  const sideEffectLine =
+    'Identificamos a criação de muitos usuários em um curto período, então a sua conta foi desativada.';
+
+  if (canNotify(user, 'moderation', 'in_app')) {
+    await inbox.create({
+      user_id: user.id,
+      type: 'firewall:user_disabled',
+      title: sideEffectLine,
+      event_id: eventId,
+    });
+  }
+
+  if (!canNotify(user, 'moderation', 'email')) return;
+
+  const appealToken = await appeal.create({ userId: user.id, eventId: eventId });
+
   const { html, text } = FirewallEmail({
-    sideEffectLine: 'Identificamos a criação de muitos usuários em um curto período, então a sua conta foi desativada.',
+    sideEffectLine: sideEffectLine,
     eventId: eventId,
     username: user.username,
+    appealLink: appeal.getAppealPageEndpoint(appealToken.id),
   });
 
   await email.triggerSend({
@@ -98,6 +336,30 @@ async function sendUserDisabled({ eventId, user }) {
   });
 }
 
+async function sendUserNuked({ eventId, userId }) {
+  const nukedUser = await user.findOneById(userId);
+
+  if (!canNotify(nukedUser, 'moderation', 'email')) return;
+
+  const appealToken = await appeal.create({ userId: nukedUser.id, eventId: eventId });
+
+  const { html, text } = FirewallEmail({
+    sideEffectLine: 'A sua conta foi banida por violar os termos de uso do TabNews.',
+    eventId: eventId,
+    username: nukedUser.username,
+    appealLink: appeal.getAppealPageEndpoint(appealToken.id),
+    previewText: 'Sua conta foi banida do TabNews',
+  });
+
+  await email.triggerSend({
+    to: nukedUser.email,
+    from: 'TabNews <contato@tabnews.com.br>',
+    subject: 'Sua conta foi banida',
+    html,
+    text,
+  });
+}
+
 async function sendContentDeletedToUser({ contents, eventId, userId }) {
   const deletedContentLine = getFirewallDeletedContentLine(contents);
 
@@ -105,6 +367,20 @@ async function sendContentDeletedToUser({ contents, eventId, userId }) {
 
   const userToNotify = await user.findOneById(userId);
 
+  if (canNotify(userToNotify, 'moderation', 'in_app')) {
+    await inbox.create({
+      user_id: userToNotify.id,
+      type: 'firewall:content_deleted',
+      title: truncate(deletedContentLine, 512),
+      event_id: eventId,
+      metadata: {
+        contents: contents.map((content) => content.id),
+      },
+    });
+  }
+
+  if (!canNotify(userToNotify, 'moderation', 'email')) return;
+
   const { html, text } = FirewallEmail({
     sideEffectLine: deletedContentLine,
     eventId: eventId,
@@ -120,6 +396,58 @@ async function sendContentDeletedToUser({ contents, eventId, userId }) {
   });
 }
 
+async function sendUserSuspended({ eventId, userId, suspension }) {
+  const suspensionLine = getSuspensionLine(suspension);
+
+  const userToNotify = await user.findOneById(userId);
+
+  if (canNotify(userToNotify, 'moderation', 'in_app')) {
+    await inbox.create({
+      user_id: userToNotify.id,
+      type: 'ban:user:suspended',
+      title: suspensionLine,
+      event_id: eventId,
+      metadata: {
+        ban_type: suspension.ban_type,
+        reason: suspension.reason,
+        ends_at: suspension.ends_at,
+      },
+    });
+  }
+
+  if (!canNotify(userToNotify, 'moderation', 'email')) return;
+
+  const { html, text } = SuspensionEmail({
+    suspensionLine: suspensionLine,
+    reason: suspension.reason,
+    eventId: eventId,
+    username: userToNotify.username,
+  });
+
+  await email.triggerSend({
+    to: userToNotify.email,
+    from: 'TabNews <contato@tabnews.com.br>',
+    subject: 'Sua conta foi suspensa',
+    html,
+    text,
+  });
+}
+
+function getSuspensionLine({ ban_type, ends_at }) {
+  const formattedEndsAt = new Date(ends_at).toLocaleString('pt-BR', {
+    dateStyle: 'short',
+    timeStyle: 'short',
+    timeZone: 'America/Sao_Paulo',
+  });
+
+  const restrictionLine =
+    ban_type === 'read_only'
+      ? 'Até lá, a sua conta ficará em modo somente leitura.'
+      : 'Até lá, você não poderá publicar nem editar conteúdos.';
+
+  return `A sua conta foi suspensa até ${formattedEndsAt}. ${restrictionLine}`;
+}
+
 function getFirewallDeletedContentLine(contents) {
   const formatter = new Intl.ListFormat('pt-BR');
   const contentsReference = contents.map((content) => `"${content.title ?? content.id}"`);
@@ -151,6 +479,12 @@ function getFirewallDeletedContentLine(contents) {
 
 export default Object.freeze({
   sendContentDeletedToUser,
+  sendContentModeratedToUser,
+  sendMentionToUsers,
   sendReplyEmailToParentUser,
+  sendTabCoinsMilestoneToUser,
+  sendTipToUser,
   sendUserDisabled,
+  sendUserNuked,
+  sendUserSuspended,
 });
@@ -0,0 +1,173 @@
+import { NotFoundError } from 'errors';
+import database from 'infra/database.js';
+import authorization from 'models/authorization.js';
+import content from 'models/content.js';
+import event from 'models/event.js';
+import notification from 'models/notification.js';
+import user from 'models/user.js';
+
+async function findAll(values = {}) {
+  return await content.findWithStrategy({
+    strategy: 'old',
+    where: {
+      status: 'published',
+      $not_null: ['quarantined_at'],
+      $with_quarantined: true,
+    },
+    page: values.page,
+    per_page: values.per_page,
+  });
+}
+
+function getContentFilter(requestingUser) {
+  if (!requestingUser) return {};
+
+  if (authorization.can(requestingUser, 'read:quarantine')) {
+    return { $with_quarantined: true };
+  }
+
+  if (requestingUser.id) {
+    return { $quarantined_visible_to: requestingUser.id };
+  }
+
+  return {};
+}
+
+async function review({ contentId, action, originatorUserId, originatorIp }) {
+  const transaction = await database.transaction();
+
+  let approvedContents = [];
+  let affectedUser;
+  let createdEvent;
+
+  try {
+    await transaction.query('BEGIN');
+
+    const quarantinedContent = await findOneQuarantinedById(contentId, { transaction });
+
+    createdEvent = await event.create(
+      {
+        type: 'moderation:review_quarantine',
+        originator_user_id: originatorUserId,
+        originator_ip: originatorIp,
+        metadata: {
+          action: action,
+          contents: [quarantinedContent.id],
+          users: [quarantinedContent.owner_id],
+        },
+      },
+      { transaction },
+    );
+
+    if (action === 'approve') {
+      approvedContents = await releaseContents({ id: quarantinedContent.id }, { transaction });
+    }
+
+    if (action === 'approve_user') {
+      approvedContents = await releaseContents({ owner_id: quarantinedContent.owner_id }, { transaction });
+      await user.removeFeatures(quarantinedContent.owner_id, ['quarantined'], { transaction });
+    }
+
+    if (action === 'delete_content') {
+      await content.update(
+        quarantinedContent.id,
+        { status: 'deleted' },
+        {
+          oldContent: quarantinedContent,
+          eventId: createdEvent.id,
+          transaction,
+        },
+      );
+    }
+
+    affectedUser = await user.findOneById(quarantinedContent.owner_id, { transaction });
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  await sendApprovedContentsNotifications(approvedContents);
+
+  return {
+    contents: approvedContents,
+    user: affectedUser,
+    event: createdEvent,
+  };
+}
+
+function sendApprovedContentsNotifications(approvedContents) {
+  const notifications = [];
+
+  for (const approvedContent of approvedContents) {
+    notifications.push(
+      notification.sendReplyEmailToParentUser(approvedContent),
+      notification.sendMentionToUsers(approvedContent),
+    );
+  }
+
+  return Promise.allSettled(notifications);
+}
+
+async function findOneQuarantinedById(contentId, options = {}) {
+  const quarantinedContent = await content.findOne(
+    {
+      where: {
+        id: contentId,
+        $not_null: ['quarantined_at'],
+        $with_quarantined: true,
+      },
+    },
+    options,
+  );
+
+  if (!quarantinedContent || quarantinedContent.status === 'deleted') {
+    throw new NotFoundError({
+      message: 'Não há conteúdo em quarentena com este "id".',
+      action: 'Verifique se o "id" está correto ou se o conteúdo já foi analisado.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:QUARANTINE:REVIEW:QUARANTINED_CONTENT_NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  return quarantinedContent;
+}
+
+async function releaseContents({ id, owner_id }, options = {}) {
+  const query = {
+    text: `
+      WITH released_contents AS (
+        UPDATE
+          contents
+        SET
+          quarantined_at = NULL
+        WHERE
+          quarantined_at IS NOT NULL
+          AND (id = $1 OR owner_id = $2)
+        RETURNING
+          *
+      )
+      SELECT
+        released_contents.*,
+        users.username as owner_username
+      FROM
+        released_contents
+      INNER JOIN
+        users ON users.id = released_contents.owner_id
+    ;`,
+    values: [id ?? null, owner_id ?? null],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows;
+}
+
+export default Object.freeze({
+  findAll,
+  getContentFilter,
+  review,
+});
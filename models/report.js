@@ -0,0 +1,287 @@
+import { NotFoundError, UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import logger from 'infra/logger.js';
+import ban from 'models/ban.js';
+import content from 'models/content.js';
+import event from 'models/event.js';
+import notification from 'models/notification.js';
+import pagination from 'models/pagination.js';
+import user from 'models/user.js';
+
+async function create({ contentId, reporterId, reason, description }, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO content_reports
+        (content_id, reporter_id, reason, description)
+      VALUES
+        ($1, $2, $3, $4)
+      ON CONFLICT (content_id, reporter_id) WHERE resolved_at IS NULL DO NOTHING
+      RETURNING
+        *
+    ;`,
+    values: [contentId, reporterId, reason, description],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  if (results.rowCount === 0) {
+    throw new UnprocessableEntityError({
+      message: 'Você já denunciou este conteúdo e a denúncia ainda está em análise.',
+      action: 'Aguarde a análise da moderação.',
+      errorLocationCode: 'MODEL:REPORT:CREATE:ALREADY_REPORTED',
+    });
+  }
+
+  return results.rows[0];
+}
+
+async function findAllPendingGroupedByContent(values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      WITH reported_contents AS (
+        SELECT
+          COUNT(*) OVER()::INTEGER as total_rows,
+          content_id,
+          COUNT(*)::INTEGER as reports_count,
+          MIN(created_at) as first_reported_at
+        FROM
+          content_reports
+        WHERE
+          resolved_at IS NULL
+        GROUP BY
+          content_id
+        ORDER BY
+          reports_count DESC,
+          first_reported_at ASC
+        LIMIT $1 OFFSET $2
+      )
+      SELECT
+        reported_contents.total_rows,
+        reported_contents.reports_count,
+        reported_contents.first_reported_at,
+        contents.id,
+        contents.owner_id,
+        contents.parent_id,
+        contents.slug,
+        contents.title,
+        contents.body,
+        contents.status,
+        contents.published_at,
+        users.username as owner_username
+      FROM
+        reported_contents
+      INNER JOIN
+        contents ON contents.id = reported_contents.content_id
+      INNER JOIN
+        users ON users.id = contents.owner_id
+      ORDER BY
+        reported_contents.reports_count DESC,
+        reported_contents.first_reported_at ASC
+    ;`,
+    values: [values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+  const reportsByContent = await findAllPendingByContentIds(queryResults.rows.map((row) => row.id));
+
+  const results = {
+    rows: queryResults.rows.map((row) => ({
+      ...row,
+      reports: reportsByContent.filter((report) => report.content_id === row.id),
+    })),
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countPendingContents());
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function findAllPendingByContentIds(contentIds, options = {}) {
+  if (!contentIds.length) return [];
+
+  const query = {
+    text: `
+      SELECT
+        content_reports.*,
+        users.username as reporter_username
+      FROM
+        content_reports
+      INNER JOIN
+        users ON users.id = content_reports.reporter_id
+      WHERE
+        content_reports.content_id = ANY ($1)
+        AND content_reports.resolved_at IS NULL
+      ORDER BY
+        content_reports.created_at ASC
+    ;`,
+    values: [contentIds],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows;
+}
+
+async function countPendingContents() {
+  const query = {
+    text: `
+      SELECT
+        COUNT(DISTINCT content_id)::INTEGER as total_rows
+      FROM
+        content_reports
+      WHERE
+        resolved_at IS NULL
+    ;`,
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+async function review({ contentId, action, originatorUserId, originatorIp }) {
+  const pendingReports = await findAllPendingByContentIds([contentId]);
+
+  if (!pendingReports.length) {
+    throw new NotFoundError({
+      message: 'Não há denúncias pendentes para este conteúdo.',
+      action: 'Verifique se o "id" do conteúdo está correto ou se as denúncias já foram analisadas.',
+      stack: new Error().stack,
+      errorLocationCode: 'MODEL:REPORT:REVIEW:PENDING_REPORTS_NOT_FOUND',
+      key: 'id',
+    });
+  }
+
+  const reportedContent = await content.findOne({ where: { id: contentId } });
+
+  const transaction = await database.transaction();
+  let reviewResult;
+  let nukedUserId;
+  let banEvent;
+
+  try {
+    await transaction.query('BEGIN');
+
+    const createdEvent = await event.create(
+      {
+        type: 'moderation:review_reports',
+        originator_user_id: originatorUserId,
+        originator_ip: originatorIp,
+        metadata: {
+          action: action,
+          reports: pendingReports.map((pendingReport) => pendingReport.id),
+          contents: [reportedContent.id],
+          users: [reportedContent.owner_id],
+        },
+      },
+      { transaction },
+    );
+
+    let reviewedContent = reportedContent;
+
+    if (action === 'delete_content' && reportedContent.status !== 'deleted') {
+      reviewedContent = await content.update(
+        reportedContent.id,
+        { status: 'deleted' },
+        {
+          oldContent: reportedContent,
+          eventId: createdEvent.id,
+          transaction: transaction,
+        },
+      );
+    }
+
+    if (action === 'ban_user') {
+      const contentOwner = await user.findOneById(reportedContent.owner_id, { transaction });
+
+      if (!contentOwner.features.includes('nuked')) {
+        banEvent = await event.create(
+          {
+            type: 'ban:user',
+            originator_user_id: originatorUserId,
+            originator_ip: originatorIp,
+            metadata: {
+              ban_type: 'nuke',
+              user_id: contentOwner.id,
+            },
+          },
+          { transaction },
+        );
+
+        await ban.nuke(contentOwner.id, {
+          event: banEvent,
+          transaction: transaction,
+        });
+
+        nukedUserId = contentOwner.id;
+      }
+
+      reviewedContent = await content.findOne({ where: { id: reportedContent.id } }, { transaction });
+    }
+
+    const resolvedReports = await resolveAllFromContent(
+      {
+        contentId: reportedContent.id,
+        resolution: action,
+        eventId: createdEvent.id,
+      },
+      { transaction },
+    );
+
+    await transaction.query('COMMIT');
+
+    reviewResult = {
+      content: reviewedContent,
+      reports: resolvedReports,
+      event: createdEvent,
+    };
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  if (nukedUserId) {
+    try {
+      await notification.sendUserNuked({
+        eventId: banEvent.id,
+        userId: nukedUserId,
+      });
+    } catch (error) {
+      logger.error(error);
+    }
+  }
+
+  return reviewResult;
+}
+
+async function resolveAllFromContent({ contentId, resolution, eventId }, options = {}) {
+  const query = {
+    text: `
+      UPDATE
+        content_reports
+      SET
+        resolution = $2,
+        resolved_by_event_id = $3,
+        resolved_at = (now() at time zone 'utc')
+      WHERE
+        content_id = $1
+        AND resolved_at IS NULL
+      RETURNING
+        *
+    ;`,
+    values: [contentId, resolution, eventId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows;
+}
+
+export default Object.freeze({
+  create,
+  findAllPendingGroupedByContent,
+  review,
+});
@@ -0,0 +1,235 @@
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+
+const MAX_DIFF_CELLS = 4_000_000;
+
+// Revisions before the latest moderator edit are hidden, so removed content can't be read through the history.
+const visibleRevisionsQuery = `
+  SELECT
+    *
+  FROM (
+    SELECT
+      content_revisions.*,
+      ROW_NUMBER() OVER(ORDER BY content_revisions.created_at ASC)::INTEGER as version,
+      MAX(content_revisions.created_at) FILTER (WHERE events.originator_user_id != contents.owner_id) OVER() as moderated_at
+    FROM
+      content_revisions
+    INNER JOIN
+      contents ON contents.id = content_revisions.content_id
+    LEFT JOIN
+      events ON events.id = content_revisions.event_id
+    WHERE
+      content_revisions.content_id = $1
+  ) as all_revisions
+  WHERE
+    moderated_at IS NULL
+    OR created_at >= moderated_at
+`;
+
+async function create(contentObject, options = {}) {
+  const query = {
+    text: `
+      INSERT INTO content_revisions
+        (content_id, title, body, source_url, event_id, created_at)
+      VALUES
+        ($1, $2, $3, $4, $5, COALESCE($6, (now() at time zone 'utc')))
+      RETURNING
+        *
+    ;`,
+    values: [
+      contentObject.id,
+      contentObject.title,
+      contentObject.body,
+      contentObject.source_url,
+      options.eventId,
+      options.createdAt,
+    ],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+async function createFromUpdate(oldContent, updatedContent, options = {}) {
+  if (updatedContent.status !== 'published') return;
+
+  const isTextChanged =
+    oldContent.title !== updatedContent.title ||
+    oldContent.body !== updatedContent.body ||
+    oldContent.source_url !== updatedContent.source_url;
+
+  if (!isTextChanged) return;
+
+  if (oldContent.status === 'published') {
+    const revisionsCount = await countByContentId(oldContent.id, options);
+
+    if (revisionsCount === 0) {
+      await create(oldContent, {
+        createdAt: oldContent.updated_at,
+        transaction: options.transaction,
+      });
+    }
+  }
+
+  return await create(updatedContent, options);
+}
+
+async function findAllByContentId(contentId, values = {}) {
+  const offset = (values.page - 1) * values.per_page;
+
+  const query = {
+    text: `
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        *
+      FROM (${visibleRevisionsQuery}) as revisions
+      ORDER BY
+        version DESC
+      LIMIT $2 OFFSET $3
+    ;`,
+    values: [contentId, values.per_page, offset],
+  };
+
+  const queryResults = await database.query(query);
+
+  const results = {
+    rows: queryResults.rows,
+  };
+
+  values.total_rows = results.rows[0]?.total_rows ?? (await countVisibleByContentId(contentId));
+
+  results.pagination = pagination.get(values);
+
+  return results;
+}
+
+async function findAllByVersions(contentId, versions) {
+  const query = {
+    text: `
+      SELECT
+        *
+      FROM (${visibleRevisionsQuery}) as revisions
+      WHERE
+        version = ANY ($2)
+    ;`,
+    values: [contentId, versions],
+  };
+
+  const results = await database.query(query);
+  return results.rows;
+}
+
+async function countByContentId(contentId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM
+        content_revisions
+      WHERE
+        content_id = $1
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0].total_rows;
+}
+
+async function countVisibleByContentId(contentId) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as total_rows
+      FROM (${visibleRevisionsQuery}) as revisions
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query);
+  return results.rows[0].total_rows;
+}
+
+function diff(fromRevision, toRevision) {
+  return {
+    title: diffLines(fromRevision.title, toRevision.title),
+    body: diffLines(fromRevision.body, toRevision.body),
+    source_url: diffLines(fromRevision.source_url, toRevision.source_url),
+  };
+}
+
+function diffLines(fromText, toText) {
+  const fromLines = fromText ? fromText.split('\n') : [];
+  const toLines = toText ? toText.split('\n') : [];
+
+  let start = 0;
+  while (start < fromLines.length && start < toLines.length && fromLines[start] === toLines[start]) {
+    start++;
+  }
+
+  let fromEnd = fromLines.length;
+  let toEnd = toLines.length;
+  while (fromEnd > start && toEnd > start && fromLines[fromEnd - 1] === toLines[toEnd - 1]) {
+    fromEnd--;
+    toEnd--;
+  }
+
+  const fromMiddle = fromLines.slice(start, fromEnd);
+  const toMiddle = toLines.slice(start, toEnd);
+
+  return [
+    ...fromLines.slice(0, start).map(toChange('unchanged')),
+    ...diffMiddleLines(fromMiddle, toMiddle),
+    ...fromLines.slice(fromEnd).map(toChange('unchanged')),
+  ];
+}
+
+function diffMiddleLines(fromLines, toLines) {
+  if (fromLines.length * toLines.length > MAX_DIFF_CELLS) {
+    return [...fromLines.map(toChange('removed')), ...toLines.map(toChange('added'))];
+  }
+
+  const lcs = Array.from({ length: fromLines.length + 1 }, () => new Uint16Array(toLines.length + 1));
+
+  for (let i = fromLines.length - 1; i >= 0; i--) {
+    for (let j = toLines.length - 1; j >= 0; j--) {
+      lcs[i][j] = fromLines[i] === toLines[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < fromLines.length && j < toLines.length) {
+    if (fromLines[i] === toLines[j]) {
+      changes.push({ type: 'unchanged', value: fromLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      changes.push({ type: 'removed', value: fromLines[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', value: toLines[j] });
+      j++;
+    }
+  }
+
+  changes.push(...fromLines.slice(i).map(toChange('removed')));
+  changes.push(...toLines.slice(j).map(toChange('added')));
+
+  return changes;
+}
+
+function toChange(type) {
+  return (value) => ({ type, value });
+}
+
+export default Object.freeze({
+  countByContentId,
+  create,
+  createFromUpdate,
+  diff,
+  findAllByContentId,
+  findAllByVersions,
+});
@@ -5,16 +5,49 @@ import { Viewer } from '@/TabNewsUI';
 import webserver from 'infra/webserver.js';
 import removeMarkdown from 'models/remove-markdown';
 
-function generateRss2(contentList) {
-  const webserverHost = webserver.host;
+const formats = {
+  rss2: {
+    suffix: 'rss',
+    contentType: 'text/xml; charset=utf-8',
+    render: (feed) => feed.rss2(),
+  },
+  atom: {
+    suffix: 'atom',
+    contentType: 'application/atom+xml; charset=utf-8',
+    render: (feed) => feed.atom1(),
+  },
+  json: {
+    suffix: 'feed.json',
+    contentType: 'application/feed+json; charset=utf-8',
+    render: (feed) => feed.json1(),
+  },
+};
+
+function generateFeed(
+  contentList,
+  {
+    format = 'rss2',
+    basePath = '/recentes',
+    title = 'TabNews',
+    description = 'Conteúdos para quem trabalha com Programação e Tecnologia',
+  } = {},
+) {
+  const feed = createFeed(contentList, { basePath, title, description });
 
-  // TODO: make this property flexible in the future to
-  // support things like: `/[username]/rss`
-  const feedURL = `${webserverHost}/recentes/rss`;
+  return {
+    body: formats[format].render(feed),
+    contentType: formats[format].contentType,
+    lastModified: getLastModified(contentList),
+  };
+}
+
+function createFeed(contentList, { basePath, title, description }) {
+  const webserverHost = webserver.host;
+  const feedURL = `${webserverHost}${basePath}/${formats.rss2.suffix}`;
 
   const feed = new Feed({
-    title: 'TabNews',
-    description: 'Conteúdos para quem trabalha com Programação e Tecnologia',
+    title: title,
+    description: description,
     id: feedURL,
     link: feedURL,
     image: `${webserverHost}/favicon-mobile.png`,
@@ -23,6 +56,8 @@ function generateRss2(contentList) {
     updated: contentList.length > 0 ? new Date(contentList[0].updated_at) : new Date(),
     feedLinks: {
       rss2: feedURL,
+      atom: `${webserverHost}${basePath}/${formats.atom.suffix}`,
+      json: `${webserverHost}${basePath}/${formats.json.suffix}`,
     },
   });
 
@@ -30,7 +65,7 @@ function generateRss2(contentList) {
     const contentUrl = `${webserverHost}/${contentObject.owner_username}/${contentObject.slug}`;
 
     feed.addItem({
-      title: contentObject.title,
+      title: contentObject.title || removeMarkdown(contentObject.body, { maxLength: 80 }),
       id: contentUrl,
       link: contentUrl,
       description: removeMarkdown(contentObject.body, { maxLength: 190 }),
@@ -47,9 +82,17 @@ function generateRss2(contentList) {
     });
   });
 
-  return feed.rss2();
+  return feed;
+}
+
+function getLastModified(contentList) {
+  if (!contentList.length) return null;
+
+  const lastUpdatedAt = Math.max(...contentList.map((contentObject) => new Date(contentObject.updated_at).getTime()));
+
+  return new Date(lastUpdatedAt);
 }
 
 export default Object.freeze({
-  generateRss2,
+  generateFeed,
 });
@@ -0,0 +1,167 @@
+import database from 'infra/database.js';
+import pagination from 'models/pagination.js';
+import validator from 'models/validator.js';
+
+const searchVector = `(
+  setweight(to_tsvector('portuguese', COALESCE(contents.title, '')), 'A') ||
+  setweight(to_tsvector('portuguese', contents.body), 'B')
+)`;
+
+const orderByStrategy = {
+  relevant: ['rank DESC', 'published_at DESC'],
+  new: ['published_at DESC'],
+  old: ['published_at ASC'],
+};
+
+async function findAll(values = {}, options = {}) {
+  values = validateValues(values);
+
+  const query = {
+    values: [values.q],
+  };
+
+  const whereClause = buildWhereClause(values);
+  const filterValues = [...query.values];
+
+  const offset = (values.page - 1) * values.per_page;
+  query.values.push(values.per_page, offset);
+
+  const limitIndex = query.values.length - 1;
+  const orderBy = orderByStrategy[values.strategy];
+
+  query.text = `
+    WITH search_query AS (
+      SELECT websearch_to_tsquery('portuguese', $1) AS query
+    ),
+    content_window AS (
+      SELECT
+        COUNT(*) OVER()::INTEGER as total_rows,
+        contents.id,
+        contents.published_at,
+        ts_rank(${searchVector}, search_query.query) as rank
+      FROM contents, search_query
+      ${whereClause}
+      ORDER BY ${orderBy.join(', ')}
+      LIMIT $${limitIndex} OFFSET $${limitIndex + 1}
+    )
+    SELECT
+      contents.id,
+      contents.owner_id,
+      contents.parent_id,
+      contents.slug,
+      contents.title,
+      contents.body,
+      contents.status,
+      contents.type,
+      contents.source_url,
+      contents.created_at,
+      contents.updated_at,
+      contents.published_at,
+      contents.deleted_at,
+      contents.path,
+      users.username as owner_username,
+      content_window.total_rows,
+      tabcoins_count.total_balance as tabcoins,
+      tabcoins_count.total_credit as tabcoins_credit,
+      tabcoins_count.total_debit as tabcoins_debit,
+      (
+        SELECT COUNT(*)
+        FROM contents as children
+        WHERE children.path @> ARRAY[contents.id]
+         AND children.status = 'published'
+         AND children.quarantined_at IS NULL
+      ) as children_deep_count
+    FROM
+      contents
+    INNER JOIN
+      content_window ON contents.id = content_window.id
+    INNER JOIN
+      users ON contents.owner_id = users.id
+    LEFT JOIN LATERAL get_content_balance_credit_debit(contents.id) tabcoins_count ON true
+    ORDER BY ${orderBy.map((column) => `content_window.${column}`).join(', ')}
+    ;`;
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  const total_rows = results.rows[0]?.total_rows ?? (await countTotalRows());
+
+  return {
+    rows: results.rows,
+    pagination: pagination.get({ total_rows, page: values.page, per_page: values.per_page }),
+  };
+
+  function buildWhereClause(values) {
+    const conditions = [
+      `${searchVector} @@ search_query.query`,
+      `contents.status = 'published'`,
+      'contents.quarantined_at IS NULL',
+    ];
+
+    conditions.push(`contents.type = $${addValue(values.type)}`);
+
+    if (values.owner_username) {
+      conditions.push(
+        `contents.owner_id = (SELECT id FROM users WHERE LOWER(username) = LOWER($${addValue(values.owner_username)}) LIMIT 1)`,
+      );
+    }
+
+    // Searching without roots only makes sense for children, even when "with_children" is omitted.
+    if (values.with_root === false) {
+      conditions.push('contents.parent_id IS NOT NULL');
+    } else if (!values.with_children) {
+      conditions.push('contents.parent_id IS NULL');
+    }
+
+    if (values.published_after) {
+      conditions.push(`contents.published_at >= $${addValue(values.published_after)}`);
+    }
+
+    if (values.published_before) {
+      conditions.push(`contents.published_at <= $${addValue(values.published_before)}`);
+    }
+
+    return `WHERE ${conditions.join(' AND ')}`;
+  }
+
+  function addValue(value) {
+    query.values.push(value);
+    return query.values.length;
+  }
+
+  async function countTotalRows() {
+    const countQuery = {
+      text: `
+        WITH search_query AS (
+          SELECT websearch_to_tsquery('portuguese', $1) AS query
+        )
+        SELECT
+          COUNT(*)::INTEGER as total_rows
+        FROM contents, search_query
+        ${whereClause}
+        ;`,
+      values: filterValues,
+    };
+
+    const countResults = await database.query(countQuery, { transaction: options.transaction });
+    return countResults.rows[0].total_rows;
+  }
+}
+
+function validateValues(values) {
+  return validator(values, {
+    q: 'required',
+    strategy: 'optional',
+    owner_username: 'optional',
+    with_root: 'optional',
+    with_children: 'optional',
+    content_type: 'optional',
+    published_after: 'optional',
+    published_before: 'optional',
+    page: 'optional',
+    per_page: 'optional',
+  });
+}
+
+export default Object.freeze({
+  findAll,
+});
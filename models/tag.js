@@ -0,0 +1,33 @@
+import database from 'infra/database.js';
+
+async function setContentTags(contentId, tags, options = {}) {
+  const query = {
+    text: `
+      WITH
+        deleted_tags AS (
+          DELETE FROM
+            content_tags
+          WHERE
+            content_id = $1
+            AND NOT name = ANY ($2)
+        ),
+        inserted_tags AS (
+          INSERT INTO content_tags
+            (content_id, name)
+          SELECT
+            $1, UNNEST($2::varchar[])
+          ON CONFLICT (content_id, name) DO NOTHING
+        )
+      SELECT 1
+    ;`,
+    values: [contentId, tags],
+  };
+
+  await database.query(query, { transaction: options.transaction });
+
+  return [...tags].sort();
+}
+
+export default Object.freeze({
+  setContentTags,
+});
@@ -0,0 +1,130 @@
+import { UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import balance from 'models/balance.js';
+
+const dailyLimits = {
+  tips: 10,
+  tabCash: 100,
+};
+
+async function create({ contentId, tipperId, recipientId, amount }, options = {}) {
+  const sentToday = await getSentInLastDay(tipperId, options);
+
+  if (sentToday.tips >= dailyLimits.tips) {
+    throw new UnprocessableEntityError({
+      message: 'Você atingiu o limite diário de gorjetas.',
+      action: `É possível enviar no máximo ${dailyLimits.tips} gorjetas a cada 24 horas.`,
+      errorLocationCode: 'MODEL:TIP:CREATE:DAILY_TIPS_LIMIT_REACHED',
+    });
+  }
+
+  const availableTabCash = Math.max(dailyLimits.tabCash - sentToday.amount, 0);
+
+  if (amount > availableTabCash) {
+    throw new UnprocessableEntityError({
+      message: 'Você atingiu o limite diário de TabCash enviado em gorjetas.',
+      action: availableTabCash
+        ? `Envie no máximo ${availableTabCash} TabCash nas próximas 24 horas.`
+        : `É possível enviar no máximo ${dailyLimits.tabCash} TabCash em gorjetas a cada 24 horas.`,
+      errorLocationCode: 'MODEL:TIP:CREATE:DAILY_TABCASH_LIMIT_REACHED',
+    });
+  }
+
+  const tipperBalance = await balance.create(
+    {
+      balanceType: 'user:tabcash',
+      recipientId: tipperId,
+      amount: -amount,
+      originatorType: 'event',
+      originatorId: options.eventId,
+    },
+    {
+      transaction: options.transaction,
+      withBalance: true,
+    },
+  );
+
+  if (tipperBalance.total < 0) {
+    throw new UnprocessableEntityError({
+      message: 'Não foi possível enviar a gorjeta.',
+      action: `Você precisa de pelo menos ${amount} TabCash para realizar esta ação.`,
+      errorLocationCode: 'MODEL:TIP:CREATE:NOT_ENOUGH_TABCASH',
+    });
+  }
+
+  await balance.create(
+    {
+      balanceType: 'user:tabcash',
+      recipientId: recipientId,
+      amount: amount,
+      originatorType: 'event',
+      originatorId: options.eventId,
+    },
+    {
+      transaction: options.transaction,
+    },
+  );
+
+  const query = {
+    text: `
+      INSERT INTO content_tips
+        (content_id, tipper_id, recipient_id, amount, event_id)
+      VALUES
+        ($1, $2, $3, $4, $5)
+      RETURNING
+        *
+    ;`,
+    values: [contentId, tipperId, recipientId, amount, options.eventId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+
+  return {
+    ...results.rows[0],
+    tips: await getContentTotal(contentId, options),
+    tabcash: tipperBalance.total,
+  };
+}
+
+async function getSentInLastDay(tipperId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        COUNT(*)::INTEGER as tips,
+        COALESCE(SUM(amount), 0)::INTEGER as amount
+      FROM
+        content_tips
+      WHERE
+        tipper_id = $1
+        AND created_at > NOW() - INTERVAL '1 day'
+    ;`,
+    values: [tipperId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0];
+}
+
+async function getContentTotal(contentId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        COALESCE(SUM(amount), 0)::INTEGER as tips
+      FROM
+        content_tips
+      WHERE
+        content_id = $1
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query, { transaction: options.transaction });
+  return results.rows[0].tips;
+}
+
+export default Object.freeze({
+  create,
+  dailyLimits,
+  getContentTotal,
+  getSentInLastDay,
+});
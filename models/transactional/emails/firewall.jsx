@@ -1,20 +1,44 @@
-import { DefaultLayout, DefaultLayoutText, Text } from '../components';
+import { DefaultLayout, DefaultLayoutText, Link, LinkText, Text } from '../components';
 
-export const FirewallEmailText = ({ username, sideEffectLine, eventId }) => {
-  const content = `${sideEffectLine} Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.
+export const FirewallEmailText = ({ username, sideEffectLine, eventId, appealLink }) => {
+  const appealLine = appealLink
+    ? `Caso acredite que isso seja um erro, envie um recurso para a moderação utilizando o link abaixo:
+
+${appealLink}`
+    : 'Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.';
+
+  const content = `${sideEffectLine} ${appealLine}
 
 Identificador do evento: ${eventId}`;
 
   return DefaultLayoutText({ username, content });
 };
 
-export const FirewallEmailHtml = ({ username, sideEffectLine, eventId }) => (
-  <DefaultLayout username={username} previewText="Atividade suspeita detectada no TabNews">
+export const FirewallEmailHtml = ({
+  username,
+  sideEffectLine,
+  eventId,
+  appealLink,
+  previewText = 'Atividade suspeita detectada no TabNews',
+}) => (
+  <DefaultLayout username={username} previewText={previewText}>
     <Text style={text}>{sideEffectLine}</Text>
 
-    <Text style={text}>
-      Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.
-    </Text>
+    {appealLink ? (
+      <>
+        <Text style={text}>
+          Caso acredite que isso seja um erro, envie um recurso para a moderação utilizando o link abaixo:
+        </Text>
+
+        <Link href={appealLink}>Clique aqui para enviar um recurso.</Link>
+
+        <LinkText>{appealLink}</LinkText>
+      </>
+    ) : (
+      <Text style={text}>
+        Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.
+      </Text>
+    )}
 
     <Text>Identificador do evento:</Text>
 
@@ -1,18 +1,29 @@
 import { DefaultLayout, DefaultLayoutText, Link, LinkText, Text } from '../components';
 
-export const NotificationEmailText = ({ username, bodyReplyLine, contentLink }) => {
-  const content = `${bodyReplyLine} Para ler a resposta, utilize o link abaixo:
+export const NotificationEmailText = ({
+  username,
+  bodyReplyLine,
+  contentLink,
+  actionLine = 'Para ler a resposta, utilize o link abaixo:',
+}) => {
+  const content = `${bodyReplyLine} ${actionLine}
 
 ${contentLink}`;
 
   return DefaultLayoutText({ username, content });
 };
 
-export const NotificationEmailHtml = ({ username, bodyReplyLine, contentLink }) => (
-  <DefaultLayout username={username} previewText="Nova resposta no TabNews">
+export const NotificationEmailHtml = ({
+  username,
+  bodyReplyLine,
+  contentLink,
+  previewText = 'Nova resposta no TabNews',
+  linkLabel = 'Clique aqui para ler a resposta.',
+}) => (
+  <DefaultLayout username={username} previewText={previewText}>
     <Text style={text}>{bodyReplyLine}</Text>
 
-    <Link href={contentLink}>Clique aqui para ler a resposta.</Link>
+    <Link href={contentLink}>{linkLabel}</Link>
 
     <LinkText>{contentLink}</LinkText>
   </DefaultLayout>
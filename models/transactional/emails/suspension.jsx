@@ -0,0 +1,53 @@
+import { DefaultLayout, DefaultLayoutText, Text } from '../components';
+
+export const SuspensionEmailText = ({ username, suspensionLine, reason, eventId }) => {
+  const content = `${suspensionLine}
+
+Motivo: ${reason}
+
+Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.
+
+Identificador do evento: ${eventId}`;
+
+  return DefaultLayoutText({ username, content });
+};
+
+export const SuspensionEmailHtml = ({ username, suspensionLine, reason, eventId }) => (
+  <DefaultLayout username={username} previewText="Sua conta foi suspensa no TabNews">
+    <Text style={text}>{suspensionLine}</Text>
+
+    <Text style={text}>Motivo: {reason}</Text>
+
+    <Text style={text}>
+      Caso acredite que isso seja um erro, responda este e-mail para que possamos avaliar a situação.
+    </Text>
+
+    <Text>Identificador do evento:</Text>
+
+    <code style={code}>{eventId}</code>
+  </DefaultLayout>
+);
+
+SuspensionEmailHtml.PreviewProps = {
+  username: 'User',
+  suspensionLine:
+    'A sua conta foi suspensa até 20/11/2026, 10:00. Até lá, você não poderá publicar nem editar conteúdos.',
+  reason: 'Publicação repetida de conteúdo promocional.',
+  eventId: 'c7854f84-f7b4-468c-9805-a96d7ac4853a',
+};
+
+export default SuspensionEmailHtml;
+
+const text = {
+  margin: '24px 0',
+};
+
+const code = {
+  backgroundColor: '#f3f3f3',
+  color: '#333',
+  display: 'block',
+  fontSize: '14px',
+  padding: '12px',
+  borderRadius: '8px',
+  wordBreak: 'break-all',
+};
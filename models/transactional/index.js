@@ -5,6 +5,7 @@ import { ConfirmationEmailHtml, ConfirmationEmailText } from './emails/confirmat
 import { FirewallEmailHtml, FirewallEmailText } from './emails/firewall';
 import { NotificationEmailHtml, NotificationEmailText } from './emails/notification';
 import { RecoveryEmailHtml, RecoveryEmailText } from './emails/recovery';
+import { SuspensionEmailHtml, SuspensionEmailText } from './emails/suspension';
 
 export const ActivationEmail = (props) => ({
   html: render(ActivationEmailHtml(props)),
@@ -30,3 +31,8 @@ export const RecoveryEmail = (props) => ({
   html: render(RecoveryEmailHtml(props)),
   text: RecoveryEmailText(props),
 });
+
+export const SuspensionEmail = (props) => ({
+  html: render(SuspensionEmailHtml(props)),
+  text: SuspensionEmailText(props),
+});
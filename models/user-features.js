@@ -4,6 +4,7 @@ const availableFeatures = new Set([
   'read:user',
   'read:user:self',
   'update:user',
+  'update:user:suspensions',
 
   // MIGRATION
   'read:migration',
@@ -15,6 +16,9 @@ const availableFeatures = new Set([
   // RECOVERY_TOKEN
   'read:recovery_token',
 
+  // APPEAL_TOKEN
+  'read:appeal_token',
+
   // EMAIL_CONFIRMATION_TOKEN
   'read:email_confirmation_token',
 
@@ -30,6 +34,27 @@ const availableFeatures = new Set([
   'create:content:text_child',
   'read:content:list',
   'read:content:tabcoins',
+  'read:content:revisions',
+  'read:content:moderation_notes',
+  'read:content:boost',
+  'read:content:tip',
+  'update:content:scheduled',
+
+  // NOTIFICATION
+  'read:notification:list',
+
+  // BALANCE
+  'read:balance:history',
+
+  // BOOKMARK
+  'create:bookmark',
+
+  // FOLLOW
+  'create:follow',
+  'read:user:follow',
+
+  // REPORT
+  'create:report',
 
   // MODERATION
   'read:user:list',
@@ -40,12 +65,24 @@ const availableFeatures = new Set([
   'create:recovery_token:username',
   'read:firewall',
   'review:firewall',
+  'update:firewall:rules',
+  'update:domain_rules',
+  'read:report',
+  'review:report',
+  'read:appeal',
+  'review:appeal',
+  'read:events',
+  'read:quarantine',
+  'review:quarantine',
 
   // BANNED
   'nuked',
+  'suspended',
+  'quarantined',
 
   // ADVERTISEMENT
   'read:ad:list',
+  'read:ad:stats',
 ]);
 
 export default Object.freeze(availableFeatures);
@@ -70,6 +70,20 @@ async function findAllWithPagination(values) {
           get_user_current_tabcoins(users.id) as tabcoins,
           get_user_current_tabcash(users.id) as tabcash
       ) as balance
+      LEFT JOIN LATERAL (
+        SELECT
+          jsonb_build_object(
+            'ban_type', user_suspensions.ban_type,
+            'reason', user_suspensions.reason,
+            'ends_at', user_suspensions.ends_at
+          ) as suspension
+        FROM
+          user_suspensions
+        WHERE
+          user_suspensions.user_id = users.id
+          AND user_suspensions.lifted_at IS NULL
+          AND user_suspensions.ends_at > (now() at time zone 'utc')
+      ) as active_suspension ON true
       ORDER BY updated_at DESC
     `,
     values: [values.limit || values.per_page, offset],
@@ -282,7 +296,11 @@ async function update(targetUser, postedUserData, options = {}) {
   const validPostedUserData = validatePatchSchema(postedUserData);
 
   const isTargetUserComplete = 'username' in targetUser;
-  const needsTargetUserComplete = 'username' in validPostedUserData || 'email' in validPostedUserData;
+  const needsTargetUserComplete =
+    'username' in validPostedUserData ||
+    'email' in validPostedUserData ||
+    'notifications' in validPostedUserData ||
+    'notification_preferences' in validPostedUserData;
   const currentUser =
     !isTargetUserComplete && needsTargetUserComplete
       ? await findOneById(targetUser.id, { transaction: options.transaction })
@@ -316,6 +334,26 @@ async function update(targetUser, postedUserData, options = {}) {
   if ('password' in validPostedUserData) {
     await hashPasswordInObject(validPostedUserData);
   }
+
+  if ('notifications' in validPostedUserData) {
+    validPostedUserData.notification_preferences = {
+      ...validPostedUserData.notification_preferences,
+      direct_reply: {
+        email: validPostedUserData.notifications,
+        ...validPostedUserData.notification_preferences?.direct_reply,
+      },
+    };
+  }
+
+  if ('notification_preferences' in validPostedUserData) {
+    validPostedUserData.notification_preferences = mergeNotificationPreferences(
+      currentUser.notification_preferences,
+      validPostedUserData.notification_preferences,
+    );
+
+    // The legacy "notifications" column mirrors the reply emails it used to control.
+    validPostedUserData.notifications = validPostedUserData.notification_preferences.direct_reply?.email !== false;
+  }
   const updatedUser = await runUpdateQuery(currentUser, validPostedUserData, {
     transaction: options.transaction,
   });
@@ -367,11 +405,22 @@ function validatePatchSchema(postedUserData) {
     password: 'optional',
     description: 'optional',
     notifications: 'optional',
+    notification_preferences: 'optional',
   });
 
   return cleanValues;
 }
 
+function mergeNotificationPreferences(currentPreferences = {}, newPreferences) {
+  const mergedPreferences = { ...currentPreferences };
+
+  for (const [kind, channels] of Object.entries(newPreferences)) {
+    mergedPreferences[kind] = { ...currentPreferences[kind], ...channels };
+  }
+
+  return mergedPreferences;
+}
+
 async function validateUniqueUser(userData, options) {
   const orConditions = [];
   const queryValues = [];
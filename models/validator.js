@@ -21,18 +21,23 @@ const defaultSchema = Joi.object()
     'any.required': '{#label} é um campo obrigatório.',
     'array.base': '{#label} deve ser do tipo Array.',
     'array.min': `{#label} deve possuir ao menos {#limit} {if(#limit==1, "elemento", "elementos")}.`,
+    'array.max': `{#label} deve possuir no máximo {#limit} {if(#limit==1, "elemento", "elementos")}.`,
+    'array.unique': '{#label} não pode possuir valores duplicados.',
     'boolean.base': '{#label} deve ser do tipo Boolean.',
     'date.base': '{#label} deve conter uma data válida.',
+    'date.greater': '{#label} deve conter uma data no futuro.',
     'markdown.empty': 'Markdown deve conter algum texto.',
     'number.base': '{#label} deve ser do tipo Number.',
     'number.integer': '{#label} deve ser um Inteiro.',
     'number.max': '{#label} deve possuir um valor máximo de {#limit}.',
     'number.min': '{#label} deve possuir um valor mínimo de {#limit}.',
+    'number.multiple': '{#label} deve ser um múltiplo de {#multiple}.',
     'number.unsafe': `{#label} deve possuir um valor entre ${MIN_INTEGER} e ${MAX_INTEGER}.`,
     'object.base': '{#label} enviado deve ser do tipo Object.',
     'object.min': 'Objeto enviado deve ter no mínimo uma chave.',
     'string.alphanum': '{#label} deve conter apenas caracteres alfanuméricos.',
     'string.base': '{#label} deve ser do tipo String.',
+    'string.domain': '{#label} deve conter um domínio válido.',
     'string.email': '{#label} deve conter um email válido.',
     'string.empty': '{#label} não pode estar em branco.',
     'string.length': '{#label} deve possuir {#limit} {if(#limit==1, "caractere", "caracteres")}.',
@@ -189,6 +194,28 @@ const schemas = {
     });
   },
 
+  notification_preferences: function () {
+    const channelsSchema = Joi.object({
+      email: Joi.boolean(),
+      in_app: Joi.boolean(),
+    }).min(1);
+
+    return Joi.object({
+      notification_preferences: Joi.object({
+        direct_reply: channelsSchema,
+        thread_reply: channelsSchema,
+        mention: channelsSchema,
+        tabcoins_reward: channelsSchema,
+      })
+        .min(1)
+        .when('$required.notification_preferences', {
+          is: 'required',
+          then: Joi.required(),
+          otherwise: Joi.optional(),
+        }),
+    });
+  },
+
   token_id: function () {
     return Joi.object({
       token_id: Joi.string()
@@ -290,6 +317,23 @@ const schemas = {
     });
   },
 
+  tags: function () {
+    return Joi.object({
+      tags: Joi.array()
+        .items(tagSchema())
+        .max(5)
+        .unique()
+        .empty(null)
+        .when('$required.tags', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  tag: function () {
+    return Joi.object({
+      tag: tagSchema().when('$required.tag', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
   owner_id: function () {
     return Joi.object({
       owner_id: Joi.string()
@@ -329,6 +373,14 @@ const schemas = {
     });
   },
 
+  scheduled_for: function () {
+    return Joi.object({
+      scheduled_for: Joi.date()
+        .empty(null)
+        .when('$required.scheduled_for', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
   deleted_at: function () {
     return Joi.object({
       deleted_at: Joi.date().when('$required.deleted_at', {
@@ -397,13 +449,64 @@ const schemas = {
     });
   },
 
+  feed_strategy: function () {
+    return Joi.object({
+      strategy: Joi.string()
+        .trim()
+        .valid('new', 'old', 'relevant', 'following')
+        .default('relevant')
+        .when('$required.feed_strategy', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  feed_format: function () {
+    return Joi.object({
+      format: Joi.string()
+        .trim()
+        .valid('rss2', 'atom', 'json')
+        .default('rss2')
+        .when('$required.feed_format', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  q: function () {
+    return Joi.object({
+      q: Joi.string()
+        .replace(/\u0000/gu, '')
+        .trim()
+        .min(1)
+        .max(256)
+        .when('$required.q', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  published_after: function () {
+    return Joi.object({
+      published_after: Joi.date().when('$required.published_after', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
+  published_before: function () {
+    return Joi.object({
+      published_before: Joi.date().when('$required.published_before', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
   // TODO: refactor this in the future for
   // an Array just like Sequelize.
   order: function () {
     return Joi.object({
       order: Joi.string()
         .trim()
-        .valid('created_at DESC', 'created_at ASC', 'published_at DESC', 'published_at ASC')
+        .valid('created_at DESC', 'created_at ASC', 'published_at DESC', 'published_at ASC', 'scheduled_for ASC')
         .when('$required.order', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
     });
   },
@@ -435,6 +538,12 @@ const schemas = {
       'username',
       'owner_username',
       '$not_null',
+      '$followed_by',
+      '$descendant_of',
+      '$scheduled_until',
+      '$with_quarantined',
+      '$quarantined_visible_to',
+      'tag',
       'attributes',
     ]) {
       const keyValidationFunction = schemas[key];
@@ -479,9 +588,41 @@ const schemas = {
     });
   },
 
+  $descendant_of: function () {
+    return Joi.object({
+      $descendant_of: Joi.string().trim().guid({ version: 'uuidv4' }).optional(),
+    });
+  },
+
+  $scheduled_until: function () {
+    return Joi.object({
+      $scheduled_until: Joi.date().optional(),
+    });
+  },
+
+  $with_quarantined: function () {
+    return Joi.object({
+      $with_quarantined: Joi.boolean().optional(),
+    });
+  },
+
+  $quarantined_visible_to: function () {
+    return Joi.object({
+      $quarantined_visible_to: Joi.string().trim().guid({ version: 'uuidv4' }).optional(),
+    });
+  },
+
+  $followed_by: function () {
+    return Joi.object({
+      $followed_by: Joi.string().trim().guid({ version: 'uuidv4' }).optional(),
+    });
+  },
+
   $not_null: function () {
     return Joi.object({
-      $not_null: Joi.array().optional().items(Joi.string().valid('parent_id')),
+      $not_null: Joi.array()
+        .optional()
+        .items(Joi.string().valid('parent_id', 'scheduled_for', 'quarantined_at')),
     });
   },
 
@@ -529,9 +670,11 @@ const schemas = {
       'status',
       'content_type',
       'source_url',
+      'tags',
       'created_at',
       'updated_at',
       'published_at',
+      'scheduled_for',
       'deleted_at',
       'owner_username',
       'children_deep_count',
@@ -539,6 +682,8 @@ const schemas = {
       'tabcoins_credit',
       'tabcoins_debit',
       'tabcash',
+      'tips',
+      'boosted_until',
     ]) {
       const keyValidationFunction = schemas[key];
       contentSchema = contentSchema.concat(keyValidationFunction());
@@ -579,6 +724,82 @@ const schemas = {
     return contentSchema;
   },
 
+  ad_budget: function () {
+    return Joi.object({
+      budget: Joi.number()
+        .integer()
+        .min(10)
+        .max(100000)
+        .when('$required.ad_budget', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ad_pricing_model: function () {
+    return Joi.object({
+      pricing_model: Joi.string()
+        .trim()
+        .valid('cpm', 'cpc')
+        .when('$required.ad_pricing_model', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ad_cost: function () {
+    return Joi.object({
+      cost: Joi.number()
+        .integer()
+        .min(1)
+        .max(1000)
+        .when('$required.ad_cost', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ad_status: function () {
+    return Joi.object({
+      status: Joi.string()
+        .trim()
+        .valid('active', 'paused')
+        .when('$required.ad_status', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ad_interaction_type: function () {
+    return Joi.object({
+      type: Joi.string()
+        .trim()
+        .valid('impression', 'click')
+        .when('$required.ad_interaction_type', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ad_weighting: function () {
+    return Joi.object({
+      weighting: Joi.string()
+        .trim()
+        .valid('budget', 'uniform')
+        .default('budget')
+        .when('$required.ad_weighting', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  seed: function () {
+    return Joi.object({
+      seed: Joi.number()
+        .integer()
+        .min(0)
+        .max(MAX_INTEGER)
+        .when('$required.seed', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  viewer_session: function () {
+    return Joi.object({
+      viewer_session: Joi.string()
+        .trim()
+        .guid({ version: 'uuidv4' })
+        .when('$required.viewer_session', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
   ad_list: function () {
     return Joi.object({
       ad_list: Joi.array().items(Joi.link('#ad')).required().shared(schemas.ad()),
@@ -605,6 +826,16 @@ const schemas = {
     });
   },
 
+  with_quarantined: function () {
+    return Joi.object({
+      with_quarantined: Joi.boolean().when('$required.with_quarantined', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
   with_root: function () {
     return Joi.object({
       with_root: Joi.boolean().when('$required.with_root', {
@@ -629,17 +860,33 @@ const schemas = {
           'update:content:text_root',
           'update:content:text_child',
           'update:content:tabcoins',
+          'update:content:boost',
+          'update:content:tip',
+          'create:firewall:rules',
+          'update:firewall:rules',
+          'create:domain_rules',
+          'update:domain_rules',
+          'delete:domain_rules',
           'firewall:block_users',
           'firewall:block_contents:text_root',
           'firewall:block_contents:text_child',
+          'firewall:quarantine_users',
+          'firewall:block_tips',
           'moderation:block_users',
           'moderation:block_contents:text_root',
           'moderation:block_contents:text_child',
           'moderation:unblock_users',
           'moderation:unblock_contents:text_root',
           'moderation:unblock_contents:text_child',
+          'moderation:quarantine_users',
+          'moderation:unquarantine_users',
+          'moderation:unblock_tips',
+          'moderation:review_reports',
+          'moderation:review_appeals',
+          'moderation:review_quarantine',
           'reward:user:tabcoins',
           'system:update:tabcoins',
+          'system:unban:user',
         )
         .messages({
           'any.only': '{#label} não aceita o valor "{#value}".',
@@ -684,16 +931,58 @@ const schemas = {
           is: 'update:content:text_root',
           then: Joi.object({
             id: Joi.string().required(),
+            moderation_reason: Joi.string().optional(),
           }),
         },
         {
           is: 'update:content:text_child',
           then: Joi.object({
             id: Joi.string().required(),
+            moderation_reason: Joi.string().optional(),
+          }),
+        },
+        {
+          is: 'update:content:boost',
+          then: Joi.object({
+            content_id: Joi.string().required(),
+            amount: Joi.number().integer().required(),
+            score_bonus: Joi.number().integer().required(),
+            duration_hours: Joi.number().integer().required(),
+          }),
+        },
+        {
+          is: 'update:content:tip',
+          then: Joi.object({
+            content_id: Joi.string().required(),
+            recipient_id: Joi.string().required(),
+            amount: Joi.number().integer().required(),
+          }),
+        },
+        {
+          is: Joi.string().valid('create:firewall:rules', 'create:domain_rules'),
+          then: Joi.object({
+            id: Joi.string().required(),
+            new: Joi.object().required(),
+          }),
+        },
+        {
+          is: 'delete:domain_rules',
+          then: Joi.object({
+            id: Joi.string().required(),
+            old: Joi.object().required(),
+          }),
+        },
+        {
+          is: Joi.string().valid('update:firewall:rules', 'update:domain_rules'),
+          then: Joi.object({
+            id: Joi.string().required(),
+            updatedFields: Joi.array().items(Joi.string()).required(),
+            old: Joi.object().required(),
+            new: Joi.object().required(),
           }),
         },
         {
-          is: 'firewall:block_users',
+          is: Joi.string().valid('firewall:block_users', 'firewall:quarantine_users', 'firewall:block_tips'),
           then: Joi.object({
             from_rule: Joi.string().required(),
             users: Joi.array().required(),
@@ -704,6 +993,8 @@ const schemas = {
           then: Joi.object({
             from_rule: Joi.string().required(),
             contents: Joi.array().required(),
+            score: Joi.number().integer().optional(),
+            signals: Joi.array().items(Joi.string()).optional(),
           }),
         },
         {
@@ -711,10 +1002,18 @@ const schemas = {
           then: Joi.object({
             from_rule: Joi.string().required(),
             contents: Joi.array().required(),
+            score: Joi.number().integer().optional(),
+            signals: Joi.array().items(Joi.string()).optional(),
           }),
         },
         {
-          is: Joi.string().valid('moderation:block_users', 'moderation:unblock_users'),
+          is: Joi.string().valid(
+            'moderation:block_users',
+            'moderation:unblock_users',
+            'moderation:quarantine_users',
+            'moderation:unquarantine_users',
+            'moderation:unblock_tips',
+          ),
           then: Joi.object({
             related_events: Joi.array().items(Joi.string()).required(),
             users: Joi.array().required(),
@@ -732,6 +1031,40 @@ const schemas = {
             contents: Joi.array().required(),
           }),
         },
+        {
+          is: 'moderation:review_appeals',
+          then: Joi.object({
+            action: Joi.string().required(),
+            appeals: Joi.array().items(Joi.string()).required(),
+            related_events: Joi.array().items(Joi.string()).required(),
+            users: Joi.array().required(),
+          }),
+        },
+        {
+          is: 'moderation:review_quarantine',
+          then: Joi.object({
+            action: Joi.string().required(),
+            contents: Joi.array().items(Joi.string()).required(),
+            users: Joi.array().items(Joi.string()).required(),
+          }),
+        },
+        {
+          is: 'system:unban:user',
+          then: Joi.object({
+            user_id: Joi.string().required(),
+            suspension_id: Joi.string().required(),
+            restored_features: Joi.array().items(Joi.string()).required(),
+          }),
+        },
+        {
+          is: 'moderation:review_reports',
+          then: Joi.object({
+            action: Joi.string().required(),
+            reports: Joi.array().items(Joi.string()).required(),
+            contents: Joi.array().required(),
+            users: Joi.array().required(),
+          }),
+        },
       ]),
     });
   },
@@ -739,8 +1072,8 @@ const schemas = {
   firewall_event: function () {
     return Joi.object({
       affected: Joi.object({
-        contents: Joi.array().items(schemas.content()).min(1),
-        users: Joi.array().items(schemas.user()).min(1).required(),
+        contents: Joi.array().items(schemas.content()),
+        users: Joi.array().items(schemas.user()).required(),
       }),
       events: Joi.array().items(schemas.event()).min(1).required(),
     });
@@ -755,6 +1088,226 @@ const schemas = {
     });
   },
 
+  firewall_event_type: function () {
+    return Joi.object({
+      type: Joi.string()
+        .trim()
+        .valid(
+          'firewall:block_users',
+          'firewall:block_contents:text_root',
+          'firewall:block_contents:text_child',
+          'firewall:quarantine_users',
+          'firewall:block_tips',
+        )
+        .when('$required.firewall_event_type', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  reviewed: function () {
+    return Joi.object({
+      reviewed: Joi.boolean().when('$required.reviewed', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
+  event_type: function () {
+    return Joi.object({
+      type: schemas
+        .event()
+        .extract('type')
+        .trim()
+        .when('$required.event_type', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  originator_user_id: function () {
+    return Joi.object({
+      originator_user_id: Joi.string()
+        .trim()
+        .guid({ version: 'uuidv4' })
+        .when('$required.originator_user_id', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  target_user_id: function () {
+    return Joi.object({
+      target_user_id: Joi.string()
+        .trim()
+        .guid({ version: 'uuidv4' })
+        .when('$required.target_user_id', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  target_content_id: function () {
+    return Joi.object({
+      target_content_id: Joi.string()
+        .trim()
+        .guid({ version: 'uuidv4' })
+        .when('$required.target_content_id', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  created_after: function () {
+    return Joi.object({
+      created_after: Joi.date().when('$required.created_after', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
+  created_before: function () {
+    return Joi.object({
+      created_before: Joi.date().when('$required.created_before', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
+  firewall_rule_id: function () {
+    return Joi.object({
+      id: Joi.string()
+        .trim()
+        .max(64)
+        .pattern(/^[a-z0-9_]+(:[a-z0-9_]+)*$/)
+        .when('$required.firewall_rule_id', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  firewall_rule: function () {
+    const requiredWhenCreating = (schema) =>
+      schema.when('$required.firewall_rule', { is: 'required', then: Joi.required(), otherwise: Joi.optional() });
+
+    // Side effects only know how to find the affected users or contents in these event types.
+    const contentEventTypes = [
+      'create:content:text_root',
+      'create:content:text_child',
+      'update:content:text_root',
+      'update:content:text_child',
+    ];
+
+    const userEventTypes = [
+      'create:user',
+      ...contentEventTypes,
+      'update:content:tabcoins',
+      'update:content:boost',
+      'update:content:tip',
+    ];
+
+    return Joi.object({
+      id: requiredWhenCreating(schemas.firewall_rule_id().extract('id')),
+      event_type: requiredWhenCreating(schemas.event().extract('type')),
+      scope: requiredWhenCreating(Joi.string().trim().valid('ip', 'user')),
+      metadata_filter: Joi.object()
+        .pattern(Joi.string().max(64), [Joi.string().max(256), Joi.number(), Joi.boolean()])
+        .max(10)
+        .allow(null)
+        .optional(),
+      threshold: requiredWhenCreating(Joi.number().integer().min(1).max(MAX_INTEGER)),
+      window_seconds: requiredWhenCreating(Joi.number().integer().min(1).max(2592000)),
+      side_effect: Joi.string()
+        .trim()
+        .valid('none', 'block_users', 'block_contents', 'quarantine_users')
+        .when('event_type', { not: Joi.valid(...userEventTypes), then: Joi.invalid('block_users', 'quarantine_users') })
+        .when('event_type', { not: Joi.valid(...contentEventTypes), then: Joi.invalid('block_contents') })
+        .optional(),
+      side_effect_window_seconds: Joi.number().integer().min(0).max(2592000).optional(),
+      message: requiredWhenCreating(Joi.string().trim().min(1).max(255)),
+      enabled: Joi.boolean().optional(),
+      created_at: Joi.date().optional(),
+      updated_at: Joi.date().optional(),
+    });
+  },
+
+  domain_rule: function () {
+    return Joi.object({
+      domain: Joi.string()
+        .trim()
+        .lowercase()
+        .replace(/^www\./u, '')
+        .domain({ tlds: false })
+        .max(253)
+        .when('$required.domain_rule', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+      action: Joi.string()
+        .trim()
+        .valid('block', 'allow', 'nofollow')
+        .when('$required.domain_rule', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+      reason: Joi.string().trim().max(255).allow(null).optional(),
+      id: Joi.string().trim().guid({ version: 'uuidv4' }).optional(),
+      created_at: Joi.date().optional(),
+      updated_at: Joi.date().optional(),
+    });
+  },
+
+  report_reason: function () {
+    return Joi.object({
+      reason: Joi.string()
+        .trim()
+        .valid('spam', 'plagiarism', 'abuse', 'other')
+        .when('$required.report_reason', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  report_description: function () {
+    return Joi.object({
+      description: Joi.string()
+        .replace(/\u0000/g, '')
+        .trim()
+        .max(1000)
+        .empty('')
+        .allow(null)
+        .when('$required.report_description', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  report_review_action: function () {
+    return Joi.object({
+      action: Joi.string()
+        .trim()
+        .valid('delete_content', 'ban_user', 'dismiss')
+        .when('$required.report_review_action', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  appeal_message: function () {
+    return Joi.object({
+      message: Joi.string()
+        .replace(/\u0000/g, '')
+        .trim()
+        .min(1)
+        .max(2000)
+        .when('$required.appeal_message', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  appeal_review_action: function () {
+    return Joi.object({
+      action: Joi.string()
+        .trim()
+        .valid('accept', 'reject')
+        .when('$required.appeal_review_action', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  quarantine_review_action: function () {
+    return Joi.object({
+      action: Joi.string()
+        .trim()
+        .valid('approve', 'approve_user', 'delete_content')
+        .when('$required.quarantine_review_action', {
+          is: 'required',
+          then: Joi.required(),
+          otherwise: Joi.optional(),
+        }),
+    });
+  },
+
   user: function () {
     return Joi.object()
       .concat(schemas.id())
@@ -815,6 +1368,46 @@ const schemas = {
     });
   },
 
+  tips: function () {
+    return Joi.object({
+      tips: Joi.number()
+        .integer()
+        .min(0)
+        .max(MAX_INTEGER)
+        .empty(null)
+        .when('$required.tips', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  boosted_until: function () {
+    return Joi.object({
+      boosted_until: Joi.date()
+        .empty(null)
+        .when('$required.boosted_until', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  boost_amount: function () {
+    return Joi.object({
+      amount: Joi.number()
+        .integer()
+        .min(5)
+        .max(50)
+        .multiple(5)
+        .when('$required.boost_amount', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  tip_amount: function () {
+    return Joi.object({
+      amount: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .when('$required.tip_amount', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
   transaction_type: function () {
     return Joi.object({
       transaction_type: Joi.string()
@@ -824,14 +1417,128 @@ const schemas = {
     });
   },
 
+  notification: function () {
+    return Joi.object({
+      id: Joi.string().trim().guid({ version: 'uuidv4' }).optional(),
+      user_id: Joi.string().trim().guid({ version: 'uuidv4' }).required(),
+      type: Joi.string()
+        .trim()
+        .valid(
+          'content:reply',
+          'content:thread_reply',
+          'content:mention',
+          'content:tabcoins:milestone',
+          'content:tip',
+          'firewall:user_disabled',
+          'firewall:content_deleted',
+          'ban:user:suspended',
+          'content:moderated',
+        )
+        .required()
+        .messages({
+          'any.only': '{#label} não aceita o valor "{#value}".',
+        }),
+      title: Joi.string()
+        .replace(/\u0000/gu, '')
+        .trim()
+        .min(1)
+        .max(512)
+        .required(),
+      url: Joi.string().trim().max(2000).allow(null).optional(),
+      event_id: Joi.string().trim().guid({ version: 'uuidv4' }).allow(null).optional(),
+      metadata: Joi.object().allow(null).optional(),
+      read_at: Joi.date().allow(null).optional(),
+      created_at: Joi.date().optional(),
+    });
+  },
+
+  read: function () {
+    return Joi.object({
+      read: Joi.boolean().when('$required.read', {
+        is: 'required',
+        then: Joi.required(),
+        otherwise: Joi.optional(),
+      }),
+    });
+  },
+
+  ids: function () {
+    return Joi.object({
+      ids: Joi.array()
+        .items(Joi.string().trim().guid({ version: 'uuidv4' }))
+        .min(1)
+        .max(100)
+        .unique()
+        .when('$required.ids', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  from: function () {
+    return Joi.object({
+      from: Joi.number()
+        .integer()
+        .min(1)
+        .max(2147483647)
+        .when('$required.from', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  to: function () {
+    return Joi.object({
+      to: Joi.number()
+        .integer()
+        .min(1)
+        .max(2147483647)
+        .when('$required.to', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
   ban_type: function () {
     return Joi.object({
       ban_type: Joi.string()
         .trim()
-        .valid('nuke')
+        .valid('nuke', 'suspend', 'read_only', 'quarantine')
         .when('$required.ban_type', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
     });
   },
+
+  suspended_until: function () {
+    return Joi.object({
+      suspended_until: Joi.date()
+        .greater('now')
+        .when('ban_type', {
+          is: Joi.valid('suspend', 'read_only').required(),
+          then: Joi.required(),
+          otherwise: Joi.optional(),
+        }),
+    });
+  },
+
+  moderation_reason: function () {
+    return Joi.object({
+      moderation_reason: Joi.string()
+        .replace(/\u0000/g, '')
+        .trim()
+        .min(5)
+        .max(255)
+        .when('$required.moderation_reason', { is: 'required', then: Joi.required(), otherwise: Joi.optional() }),
+    });
+  },
+
+  ban_reason: function () {
+    return Joi.object({
+      reason: Joi.string()
+        .replace(/\u0000/g, '')
+        .trim()
+        .min(1)
+        .max(255)
+        .when('ban_type', {
+          is: Joi.valid('suspend', 'read_only').required(),
+          then: Joi.required(),
+          otherwise: Joi.optional(),
+        }),
+    });
+  },
 };
 
 const noTrailingHyphen = (value) => {
@@ -841,6 +1548,19 @@ const noTrailingHyphen = (value) => {
   return value;
 };
 
+function tagSchema() {
+  return Joi.string()
+    .replace(/\u0000/g, '')
+    .trim()
+    .lowercase()
+    .min(2)
+    .max(30)
+    .pattern(/^[\p{Ll}\p{N}]+(-[\p{Ll}\p{N}]+)*$/u)
+    .messages({
+      'string.pattern.base': '{#label} deve conter apenas letras, números e hífens entre palavras.',
+    });
+}
+
 const withoutMarkdown = (value, helpers) => {
   return removeMarkdown(value, { trim: true }).length > 0 ? value : helpers.error('markdown.empty');
 };
@@ -867,6 +1587,7 @@ const reservedUsernames = [
   'administrator',
   'afiliado',
   'afiliados',
+  'agendados',
   'ajuda',
   'alerta',
   'alertas',
@@ -1004,6 +1725,8 @@ const reservedUsernames = [
   'publish',
   'rascunho',
   'recentes',
+  'recurso',
+  'recursos',
   'register',
   'registration',
   'regras',
@@ -1019,6 +1742,7 @@ const reservedUsernames = [
   'rootuser',
   'rss',
   'sair',
+  'scheduled',
   'senha',
   'sobre',
   'sponsored',
@@ -1,3 +1,16 @@
+const feedFormats = {
+  rss: 'rss2',
+  atom: 'atom',
+  'feed.json': 'json',
+};
+
+function feedRewrites(basePath, query) {
+  return Object.entries(feedFormats).map(([suffix, format]) => ({
+    source: `${basePath}/${suffix}`,
+    destination: `/api/v1/contents/rss?${query ? `${query}&` : ''}format=${format}`,
+  }));
+}
+
 module.exports = {
   transpilePackages: ['@primer/react', '@tabnews/ui', '@tabnews/forms'],
   experimental: {
@@ -48,14 +61,20 @@ module.exports = {
         destination: '/recentes/todos/1',
         permanent: true,
       },
+      {
+        source: '/tags/:tag',
+        destination: '/tags/:tag/1',
+        permanent: true,
+      },
     ];
   },
   rewrites() {
     return [
-      {
-        source: '/recentes/rss',
-        destination: '/api/v1/contents/rss',
-      },
+      ...feedRewrites('/recentes', ''),
+      ...feedRewrites('/tags/:tag', 'tag=:tag'),
+      ...feedRewrites('/:username/conteudos', 'owner_username=:username'),
+      ...feedRewrites('/:username/comentarios', 'owner_username=:username&with_root=false'),
+      ...feedRewrites('/:username/:slug', 'owner_username=:username&slug=:slug'),
       {
         source: '/api/v1/analytics',
         destination: `${process.env.NEXT_PUBLIC_UMAMI_ENDPOINT}/api/send`,
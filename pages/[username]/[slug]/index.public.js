@@ -9,19 +9,32 @@ import { NotFoundError, ValidationError } from 'errors';
 import webserver from 'infra/webserver.js';
 import authorization from 'models/authorization.js';
 import content from 'models/content.js';
+import domainRule from 'models/domain-rule.js';
+import moderationNote from 'models/moderation-note.js';
 import removeMarkdown from 'models/remove-markdown.js';
+import revision from 'models/revision.js';
 import user from 'models/user.js';
-import { useCollapse } from 'pages/interface';
-
-export default function Post({ contentFound, rootContentFound, parentContentFound, contentMetadata }) {
+import { getLinkPoliciesFallback, useAdViewerSession, useCollapse } from 'pages/interface';
+
+export default function Post({
+  contentFound,
+  rootContentFound,
+  parentContentFound,
+  contentMetadata,
+  isEdited,
+  moderationNotes,
+}) {
   const [childrenToShow, setChildrenToShow] = useState(108);
   const [showConfetti, setShowConfetti] = useState(false);
+  const viewerSession = useAdViewerSession();
 
   const {
     data: { body: adsFound },
     isLoading: isLoadingAd,
   } = useSWR(
-    `/api/v1/sponsored-beta?per_page=1&ignore_id=${contentFound.id}&owner_id=${contentFound.owner_id}&flexible=${contentFound.type === 'content'}`,
+    viewerSession === undefined
+      ? null
+      : `/api/v1/sponsored-beta?per_page=1&ignore_id=${contentFound.id}&owner_id=${contentFound.owner_id}&flexible=${contentFound.type === 'content'}${viewerSession ? `&viewer_session=${viewerSession}` : ''}`,
     {
       fallbackData: { body: [], headers: {} },
       revalidateOnFocus: false,
@@ -72,7 +85,13 @@ export default function Post({ contentFound, rootContentFound, parentContentFoun
           </Box>
 
           <Box sx={{ width: '100%', mt: contentFound.title ? 0 : '9px', pl: '1px', overflow: 'auto' }}>
-            <Content key={contentFound.id} content={contentFound} mode="view" />
+            <Content
+              key={contentFound.id}
+              content={contentFound}
+              isEdited={isEdited}
+              moderationNotes={moderationNotes}
+              mode="view"
+            />
           </Box>
         </Box>
 
@@ -405,8 +424,25 @@ export const getStaticProps = getStaticPropsRevalidate(async (context) => {
       ? undefined
       : `${webserver.host}/${secureContentFound.owner_username}/${secureContentFound.slug}`,
     noIndex: secureContentFound.type === 'ad',
+    feed: {
+      title: `TabNews: Comentários em ${secureContentFound.title ?? truncate(oneLineBody, 80)}`,
+      path: `/${secureContentFound.owner_username}/${secureContentFound.slug}`,
+    },
   };
 
+  const revisionsCount = await revision.countByContentId(secureContentFound.id);
+
+  const moderationNotesFound = await moderationNote.findAllByContentId(secureContentFound.id, {
+    page: 1,
+    per_page: 5,
+  });
+
+  const secureModerationNotes = authorization.filterOutput(
+    userTryingToGet,
+    'read:content:moderation_notes',
+    moderationNotesFound.rows,
+  );
+
   let secureRootContentFound = null;
   let secureParentContentFound = null;
 
@@ -443,12 +479,17 @@ export const getStaticProps = getStaticPropsRevalidate(async (context) => {
     secureRootContentFound = { id: secureParentContentFound.id, title: secureParentContentFound.title };
   }
 
+  const linkPolicies = await domainRule.findAllLinkPolicies();
+
   return {
     props: {
       contentFound: JSON.parse(JSON.stringify(secureContentFound)),
       rootContentFound: JSON.parse(JSON.stringify(secureRootContentFound)),
       parentContentFound: JSON.parse(JSON.stringify(secureParentContentFound)),
       contentMetadata: JSON.parse(JSON.stringify(contentMetadata)),
+      isEdited: revisionsCount > 1,
+      moderationNotes: JSON.parse(JSON.stringify(secureModerationNotes)),
+      swrFallback: getLinkPoliciesFallback(linkPolicies),
     },
     revalidate: 1,
     swr: { revalidateOnFocus: false },
@@ -0,0 +1,155 @@
+import { useRouter } from 'next/router';
+import { useEffect, useMemo, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  ActionList,
+  ActionMenu,
+  Box,
+  DefaultLayout,
+  EmptyState,
+  Heading,
+  Link,
+  PastTime,
+  Spinner,
+  Text,
+} from '@/TabNewsUI';
+import { HistoryIcon } from '@/TabNewsUI/icons';
+
+export default function RevisionsPage() {
+  const router = useRouter();
+  const { username, slug } = router.query;
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+
+  const revisionsUrl = username && slug ? `/api/v1/contents/${username}/${slug}/revisions` : null;
+
+  const {
+    data: { body: revisionsFound },
+    isLoading,
+  } = useSWR(revisionsUrl ? `${revisionsUrl}?per_page=100` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  const revisions = useMemo(() => (Array.isArray(revisionsFound) ? revisionsFound : []), [revisionsFound]);
+
+  useEffect(() => {
+    if (revisions.length < 2 || toVersion) return;
+
+    setToVersion(revisions[0].version);
+    setFromVersion(revisions[1].version);
+  }, [revisions, toVersion]);
+
+  const shouldFetchDiff = revisionsUrl && fromVersion && toVersion;
+
+  const {
+    data: { body: diffFound },
+    isLoading: isLoadingDiff,
+  } = useSWR(shouldFetchDiff ? `${revisionsUrl}?from=${fromVersion}&to=${toVersion}` : null, {
+    fallbackData: { body: null, headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  return (
+    <DefaultLayout metadata={{ title: 'Histórico de edições', noIndex: true }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Histórico de edições</Heading>
+
+        {username && slug && (
+          <Text sx={{ color: 'fg.muted' }}>
+            Versões anteriores de <Link href={`/${username}/${slug}`}>{`/${username}/${slug}`}</Link>
+          </Text>
+        )}
+
+        {isLoading && <Spinner sx={{ alignSelf: 'center' }} />}
+
+        {!isLoading && revisions.length < 2 && (
+          <EmptyState title="Este conteúdo ainda não foi editado" icon={HistoryIcon} />
+        )}
+
+        {revisions.length > 1 && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 2 }}>
+              <Text>Comparar</Text>
+              <VersionMenu revisions={revisions} selectedVersion={fromVersion} onSelect={setFromVersion} />
+              <Text>com</Text>
+              <VersionMenu revisions={revisions} selectedVersion={toVersion} onSelect={setToVersion} />
+            </Box>
+
+            {isLoadingDiff && <Spinner sx={{ alignSelf: 'center' }} />}
+
+            {diffFound?.diff && (
+              <>
+                <DiffBlock label="Título" changes={diffFound.diff.title} />
+                <DiffBlock label="Conteúdo" changes={diffFound.diff.body} />
+                <DiffBlock label="Fonte" changes={diffFound.diff.source_url} />
+              </>
+            )}
+          </>
+        )}
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function VersionMenu({ revisions, selectedVersion, onSelect }) {
+  return (
+    <ActionMenu>
+      <ActionMenu.Button>{selectedVersion ? `Versão ${selectedVersion}` : 'Versão'}</ActionMenu.Button>
+      <ActionMenu.Overlay>
+        <ActionList selectionVariant="single">
+          {revisions.map((revision) => (
+            <ActionList.Item
+              key={revision.id}
+              selected={revision.version === selectedVersion}
+              onSelect={() => onSelect(revision.version)}>
+              {`Versão ${revision.version}`}
+              <ActionList.Description variant="block">
+                <PastTime direction="e" date={revision.created_at} />
+              </ActionList.Description>
+            </ActionList.Item>
+          ))}
+        </ActionList>
+      </ActionMenu.Overlay>
+    </ActionMenu>
+  );
+}
+
+const changeStyles = {
+  added: { prefix: '+', bg: 'success.subtle' },
+  removed: { prefix: '-', bg: 'danger.subtle' },
+  unchanged: { prefix: ' ', bg: 'transparent' },
+};
+
+function DiffBlock({ label, changes }) {
+  if (!changes?.length) return null;
+
+  return (
+    <Box>
+      <Text as="p" sx={{ fontWeight: 'bold', mb: 1 }}>
+        {label}
+      </Text>
+      <Box
+        as="pre"
+        sx={{
+          m: 0,
+          borderWidth: 1,
+          borderStyle: 'solid',
+          borderColor: 'border.default',
+          borderRadius: '6px',
+          overflow: 'auto',
+          fontFamily: 'mono',
+          fontSize: 1,
+        }}>
+        {changes.map((change, index) => (
+          <Box
+            key={index}
+            sx={{ px: 2, whiteSpace: 'pre-wrap', wordBreak: 'break-word', bg: changeStyles[change.type].bg }}>
+            {`${changeStyles[change.type].prefix} ${change.value}`}
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
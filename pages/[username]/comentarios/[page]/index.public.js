@@ -15,7 +15,11 @@ export default function ChildContent({ contentListFound, pagination, username })
   const isAuthenticatedUser = user && user.username === username;
 
   return (
-    <DefaultLayout metadata={{ title: `Comentários · Página ${pagination.currentPage} · ${username}` }}>
+    <DefaultLayout
+      metadata={{
+        title: `Comentários · Página ${pagination.currentPage} · ${username}`,
+        feed: { title: `TabNews: Comentários de ${username}`, path: `/${username}/comentarios` },
+      }}>
       <UserHeader username={username} childContentCount={pagination.totalRows} />
 
       <ContentList
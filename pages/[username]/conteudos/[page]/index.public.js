@@ -16,7 +16,11 @@ export default function RootContent({ contentListFound, pagination, username })
   const isAuthenticatedUser = user && user.username === username;
 
   return (
-    <DefaultLayout metadata={{ title: `Publicações · Página ${pagination.currentPage} · ${username}` }}>
+    <DefaultLayout
+      metadata={{
+        title: `Publicações · Página ${pagination.currentPage} · ${username}`,
+        feed: { title: `TabNews: Publicações de ${username}`, path: `/${username}/conteudos` },
+      }}>
       <UserHeader username={username} rootContentCount={pagination.totalRows} />
 
       <ContentList
@@ -10,6 +10,7 @@ import {
   ButtonWithLoader,
   CharacterCount,
   DefaultLayout,
+  Dialog,
   Editor,
   Flash,
   FormControl,
@@ -19,20 +20,23 @@ import {
   NavItem,
   NavList,
   PastTime,
+  Select,
   TabCashCount,
   TabCoinCount,
   Text,
+  TextInput,
   useConfirm,
   UserHeader,
   Viewer,
 } from '@/TabNewsUI';
-import { CircleSlashIcon, GearIcon, KebabHorizontalIcon } from '@/TabNewsUI/icons';
+import { CircleSlashIcon, ClockIcon, GearIcon, KebabHorizontalIcon } from '@/TabNewsUI/icons';
 import { NotFoundError } from 'errors';
 import authorization from 'models/authorization.js';
 import content from 'models/content.js';
+import domainRule from 'models/domain-rule.js';
 import user from 'models/user.js';
 import validator from 'models/validator.js';
-import { createErrorMessage, useUser } from 'pages/interface';
+import { createErrorMessage, getLinkPoliciesFallback, useUser } from 'pages/interface';
 
 export default function Page({ userFound: userFoundFallback }) {
   const {
@@ -88,7 +92,7 @@ function UserProfile({ userFound, onUpdate }) {
         <OptionsMenu
           canUpdate={canUpdate}
           isAuthenticatedUser={isAuthenticatedUser}
-          onNuke={onUpdate}
+          onBan={onUpdate}
           setGlobalMessageObject={setGlobalMessageObject}
           user={user}
           userFound={userFound}
@@ -357,12 +361,110 @@ function UserFeatures({ userFound }) {
   return (
     <LabelGroup sx={{ display: 'flex', alignSelf: 'center' }}>
       {userFound.features.includes('nuked') && <Label variant="danger">nuked</Label>}
+      {userFound.features.includes('suspended') && <Label variant="attention">suspenso</Label>}
     </LabelGroup>
   );
 }
 
-function OptionsMenu({ canUpdate, isAuthenticatedUser, onNuke, setGlobalMessageObject, user, userFound }) {
+const SUSPENSION_TYPES = [
+  { value: 'suspend', label: 'Sem publicar ou editar conteúdos' },
+  { value: 'read_only', label: 'Somente leitura' },
+];
+
+const SUSPENSION_DAYS = [1, 3, 7, 15, 30];
+
+function SuspendDialog({ userFound, onClose, onSuspend }) {
+  const [banType, setBanType] = useState(SUSPENSION_TYPES[0].value);
+  const [days, setDays] = useState(SUSPENSION_DAYS[0]);
+  const [reason, setReason] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    const suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+    try {
+      const response = await fetch(`/api/v1/users/${userFound.username}`, {
+        method: 'DELETE',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          ban_type: banType,
+          suspended_until: suspendedUntil.toISOString(),
+          reason,
+        }),
+      });
+
+      const responseBody = await response.json();
+
+      if (response.status === 200) {
+        onSuspend(responseBody);
+        onClose();
+        return;
+      }
+
+      setErrorObject(responseBody);
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <Dialog
+      title={`Suspender "${userFound.username}"`}
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Suspender', buttonType: 'danger', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && errorObject.key !== 'reason' && <Flash variant="danger">{errorObject.message}</Flash>}
+
+        <FormControl id="suspension-type" required>
+          <FormControl.Label>Restrição</FormControl.Label>
+          <Select block value={banType} onChange={(event) => setBanType(event.target.value)}>
+            {SUSPENSION_TYPES.map(({ value, label }) => (
+              <Select.Option key={value} value={value}>
+                {label}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl id="suspension-days" required>
+          <FormControl.Label>Duração</FormControl.Label>
+          <Select block value={days} onChange={(event) => setDays(Number(event.target.value))}>
+            {SUSPENSION_DAYS.map((value) => (
+              <Select.Option key={value} value={value}>
+                {value > 1 ? `${value} dias` : `${value} dia`}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl id="suspension-reason" required>
+          <FormControl.Label>Motivo</FormControl.Label>
+          <TextInput block maxLength={255} value={reason} onChange={(event) => setReason(event.target.value)} />
+          <FormControl.Caption>O motivo será enviado ao usuário.</FormControl.Caption>
+
+          {errorObject?.key === 'reason' && (
+            <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+          )}
+        </FormControl>
+      </Box>
+    </Dialog>
+  );
+}
+
+function OptionsMenu({ canUpdate, isAuthenticatedUser, onBan, setGlobalMessageObject, user, userFound }) {
   const confirm = useConfirm();
+  const [isSuspendDialogOpen, setIsSuspendDialogOpen] = useState(false);
 
   async function handleNuke() {
     setGlobalMessageObject(null);
@@ -401,7 +503,7 @@ function OptionsMenu({ canUpdate, isAuthenticatedUser, onNuke, setGlobalMessageO
     const responseBody = await response.json();
 
     if (response.status === 200) {
-      onNuke(responseBody);
+      onBan(responseBody);
       return;
     }
 
@@ -414,41 +516,57 @@ function OptionsMenu({ canUpdate, isAuthenticatedUser, onNuke, setGlobalMessageO
 
   const canNuke =
     !isAuthenticatedUser && user?.features?.includes('ban:user') && !userFound?.features?.includes('nuked');
+  const canSuspend = canNuke && !userFound?.features?.includes('suspended');
+
   if (!canNuke && !canUpdate) {
     return null;
   }
 
   return (
-    <ActionMenu>
-      <ActionMenu.Anchor>
-        <IconButton
-          sx={{ ml: 'auto', px: 1, alignSelf: 'center' }}
-          size="small"
-          icon={KebabHorizontalIcon}
-          aria-label="Editar usuário"
-        />
-      </ActionMenu.Anchor>
-      <ActionMenu.Overlay>
-        <ActionList>
-          {canUpdate && (
-            <NavItem href="/perfil">
-              <NavList.LeadingVisual>
-                <GearIcon />
-              </NavList.LeadingVisual>
-              Editar perfil
-            </NavItem>
-          )}
-          {canNuke && (
-            <ActionList.Item variant="danger" onSelect={handleNuke}>
-              <ActionList.LeadingVisual>
-                <CircleSlashIcon />
-              </ActionList.LeadingVisual>
-              Nuke
-            </ActionList.Item>
-          )}
-        </ActionList>
-      </ActionMenu.Overlay>
-    </ActionMenu>
+    <>
+      <ActionMenu>
+        <ActionMenu.Anchor>
+          <IconButton
+            sx={{ ml: 'auto', px: 1, alignSelf: 'center' }}
+            size="small"
+            icon={KebabHorizontalIcon}
+            aria-label="Editar usuário"
+          />
+        </ActionMenu.Anchor>
+        <ActionMenu.Overlay>
+          <ActionList>
+            {canUpdate && (
+              <NavItem href="/perfil">
+                <NavList.LeadingVisual>
+                  <GearIcon />
+                </NavList.LeadingVisual>
+                Editar perfil
+              </NavItem>
+            )}
+            {canSuspend && (
+              <ActionList.Item onSelect={() => setIsSuspendDialogOpen(true)}>
+                <ActionList.LeadingVisual>
+                  <ClockIcon />
+                </ActionList.LeadingVisual>
+                Suspender
+              </ActionList.Item>
+            )}
+            {canNuke && (
+              <ActionList.Item variant="danger" onSelect={handleNuke}>
+                <ActionList.LeadingVisual>
+                  <CircleSlashIcon />
+                </ActionList.LeadingVisual>
+                Nuke
+              </ActionList.Item>
+            )}
+          </ActionList>
+        </ActionMenu.Overlay>
+      </ActionMenu>
+
+      {isSuspendDialogOpen && (
+        <SuspendDialog userFound={userFound} onClose={() => setIsSuspendDialogOpen(false)} onSuspend={onBan} />
+      )}
+    </>
   );
 }
 
@@ -513,9 +631,12 @@ export const getStaticProps = getStaticPropsRevalidate(async (context) => {
     throw error;
   }
 
+  const linkPolicies = await domainRule.findAllLinkPolicies();
+
   return {
     props: {
       userFound: JSON.parse(JSON.stringify(secureUserFound)),
+      swrFallback: getLinkPoliciesFallback(linkPolicies),
     },
 
     revalidate: 10,
@@ -25,7 +25,7 @@ function MyApp({ Component, pageProps }) {
       <Turnstile />
       <UserProvider>
         <DefaultHead />
-        <SWRConfig value={{ fetcher: SWRFetcher, fallbackData }}>
+        <SWRConfig value={{ fetcher: SWRFetcher, fallbackData, fallback: pageProps.swrFallback }}>
           <RevalidateProvider swr={{ swrPath: '/api/v1/swr', ...pageProps.swr }}>
             <Component {...pageProps} />
           </RevalidateProvider>
@@ -0,0 +1,53 @@
+import { createRouter } from 'next-connect';
+
+import { ForbiddenError } from 'errors';
+import advertisement from 'models/advertisement';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .patch(patchValidationHandler, authorization.canRequest('update:content'), patchHandler)
+  .handler(controller.handlerOptions);
+
+function patchValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    ad_status: 'required',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function patchHandler(request, response) {
+  const userTryingToPatch = request.context.user;
+
+  const adFound = await advertisement.findOneById(request.query.id);
+
+  if (adFound.owner_id !== userTryingToPatch.id) {
+    throw new ForbiddenError({
+      message: 'Você não possui permissão para alterar este anúncio.',
+      action: 'Somente o anunciante pode pausar ou retomar o anúncio.',
+      errorLocationCode: 'CONTROLLER:ADS:PATCH_HANDLER:NOT_OWNER',
+    });
+  }
+
+  const updatedAd = await advertisement.updateStatus(adFound.id, request.body.status);
+
+  const secureOutputValues = authorization.filterOutput(userTryingToPatch, 'read:ad:stats', updatedAd);
+
+  return response.status(200).json(secureOutputValues);
+}
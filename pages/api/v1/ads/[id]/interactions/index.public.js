@@ -0,0 +1,70 @@
+import { createRouter } from 'next-connect';
+
+import database from 'infra/database.js';
+import advertisement from 'models/advertisement';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import firewall from 'models/firewall';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .post(postValidationHandler, postHandler)
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    ad_interaction_type: 'required',
+    viewer_session: 'optional',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const transaction = await database.transaction();
+
+  try {
+    await transaction.query('BEGIN');
+
+    await firewall.checkAdInteractionBurst(
+      {
+        ip: request.context.clientIp,
+      },
+      {
+        transaction: transaction,
+      },
+    );
+
+    const interaction = await advertisement.recordInteraction(
+      {
+        adId: request.query.id,
+        type: request.body.type,
+        ip: request.context.clientIp,
+        viewerSession: request.body.viewer_session,
+      },
+      {
+        transaction: transaction,
+      },
+    );
+
+    await transaction.query('COMMIT');
+    await transaction.release();
+
+    return response.status(201).json(interaction);
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    await transaction.release();
+    throw error;
+  }
+}
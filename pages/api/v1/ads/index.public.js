@@ -0,0 +1,139 @@
+import { createRouter } from 'next-connect';
+import { randomUUID as uuidV4 } from 'node:crypto';
+
+import database from 'infra/database.js';
+import advertisement from 'models/advertisement';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import event from 'models/event.js';
+import firewall from 'models/firewall';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('read:session'), getHandler)
+  .post(
+    postValidationHandler,
+    authorization.canRequest('create:content:text_root'),
+    firewall.canRequest('create:content:text_root'),
+    postHandler,
+  )
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const results = await advertisement.findAllByOwnerId(authenticatedUser.id, {
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'read:ad:stats', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/ads', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function postValidationHandler(request, response, next) {
+  const cleanValues = validator(request.body, {
+    title: 'required',
+    body: 'required',
+    source_url: 'optional',
+    ad_budget: 'required',
+    ad_pricing_model: 'required',
+    ad_cost: 'required',
+  });
+
+  request.body = cleanValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const userTryingToCreate = request.context.user;
+  const contentId = uuidV4();
+
+  const transaction = await database.transaction();
+
+  try {
+    await transaction.query('BEGIN');
+
+    const currentEvent = await event.create(
+      {
+        type: 'create:content:text_root',
+        originator_user_id: userTryingToCreate.id,
+        originator_ip: request.context.clientIp,
+        metadata: {
+          id: contentId,
+        },
+      },
+      {
+        transaction: transaction,
+      },
+    );
+
+    const newContent = await content.create(
+      {
+        id: contentId,
+        owner_id: userTryingToCreate.id,
+        title: request.body.title,
+        body: request.body.body,
+        source_url: request.body.source_url,
+        status: 'published',
+        type: 'ad',
+      },
+      {
+        adBudget: request.body.budget,
+        eventId: currentEvent.id,
+        transaction: transaction,
+      },
+    );
+
+    await firewall.checkSpam(newContent, request.context, {
+      transaction: transaction,
+    });
+
+    await advertisement.create(
+      {
+        contentId: contentId,
+        ownerId: userTryingToCreate.id,
+        pricingModel: request.body.pricing_model,
+        cost: request.body.cost,
+      },
+      {
+        transaction: transaction,
+      },
+    );
+
+    const createdAd = await advertisement.findOneById(contentId, { transaction: transaction });
+
+    await transaction.query('COMMIT');
+    await transaction.release();
+
+    const secureOutputValues = authorization.filterOutput(userTryingToCreate, 'read:ad:stats', createdAd);
+
+    return response.status(201).json(secureOutputValues);
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    await transaction.release();
+    throw error;
+  }
+}
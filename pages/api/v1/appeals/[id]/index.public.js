@@ -0,0 +1,69 @@
+import { createRouter } from 'next-connect';
+
+import appeal from 'models/appeal.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(injectAnonymousUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, getHandler)
+  .post(postValidationHandler, postHandler)
+  .handler(controller.handlerOptions);
+
+// Disabled users may still carry a session cookie that no longer
+// authenticates them, so the appeal token is the only credential here.
+function injectAnonymousUser(request, response, next) {
+  request.context = {
+    ...request.context,
+    user: user.createAnonymous(),
+  };
+
+  return next();
+}
+
+function getValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const foundAppeal = await appeal.findOneValidById(request.query.id);
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'read:appeal_token', foundAppeal);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  const cleanBodyValues = validator(request.body, {
+    appeal_message: 'required',
+  });
+
+  request.query = cleanQueryValues;
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const submittedAppeal = await appeal.submit(request.query.id, request.body.message);
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'read:appeal_token', submittedAppeal);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -0,0 +1,40 @@
+import { createRouter } from 'next-connect';
+
+import appeal from 'models/appeal.js';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('read:appeal'), getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const results = await appeal.findAllPending({
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'read:appeal', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/appeals', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
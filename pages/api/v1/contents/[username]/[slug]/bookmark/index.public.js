@@ -0,0 +1,102 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError } from 'errors';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import bookmark from 'models/bookmark.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(validationHandler, authorization.canRequest('create:bookmark'), getHandler)
+  .post(validationHandler, authorization.canRequest('create:bookmark'), postHandler)
+  .delete(validationHandler, authorization.canRequest('create:bookmark'), deleteHandler)
+  .handler(controller.handlerOptions);
+
+function validationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const authenticatedUser = request.context.user;
+  const contentFound = await findPublishedContent(request.query);
+
+  const bookmarkFound = await bookmark.findOne({
+    userId: authenticatedUser.id,
+    contentId: contentFound.id,
+  });
+
+  if (!bookmarkFound) {
+    return response.status(200).json({ bookmarked: false });
+  }
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'create:bookmark', bookmarkFound);
+
+  return response.status(200).json({ ...secureOutputValues, bookmarked: true });
+}
+
+async function postHandler(request, response) {
+  const authenticatedUser = request.context.user;
+  const contentFound = await findPublishedContent(request.query);
+
+  const createdBookmark = await bookmark.create({
+    userId: authenticatedUser.id,
+    contentId: contentFound.id,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'create:bookmark', createdBookmark);
+
+  return response.status(201).json(secureOutputValues);
+}
+
+async function deleteHandler(request, response) {
+  const authenticatedUser = request.context.user;
+  const contentFound = await findPublishedContent(request.query);
+
+  const deletedBookmark = await bookmark.remove({
+    userId: authenticatedUser.id,
+    contentId: contentFound.id,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'create:bookmark', deletedBookmark);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+async function findPublishedContent({ username, slug }) {
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: username,
+      slug: slug,
+      status: 'published',
+    },
+    attributes: {
+      exclude: ['body'],
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:BOOKMARK:CONTENT_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  return contentFound;
+}
@@ -0,0 +1,155 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError, UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import boost from 'models/boost.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import event from 'models/event.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .post(postValidationHandler, authorization.canRequest('update:content'), postHandler)
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    boost_amount: 'required',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const userTryingToBoost = request.context.user;
+
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: request.query.username,
+      slug: request.query.slug,
+      status: 'published',
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:BOOST:CONTENT_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  if (userTryingToBoost.id !== contentFound.owner_id) {
+    throw new UnprocessableEntityError({
+      message: 'Você só pode impulsionar conteúdos de sua própria autoria.',
+      action: 'Realize esta operação em uma das suas publicações.',
+      errorLocationCode: 'CONTROLLER:CONTENT:BOOST:NOT_OWNER',
+    });
+  }
+
+  if (contentFound.parent_id || contentFound.type === 'ad') {
+    throw new UnprocessableEntityError({
+      message: 'Somente publicações podem ser impulsionadas.',
+      action: 'Comentários e anúncios não podem ser impulsionados.',
+      errorLocationCode: 'CONTROLLER:CONTENT:BOOST:NOT_ROOT_CONTENT',
+    });
+  }
+
+  if (new Date(contentFound.published_at) < new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)) {
+    throw new UnprocessableEntityError({
+      message: 'Esta publicação é antiga demais para ser impulsionada.',
+      action: 'Somente publicações dos últimos 7 dias participam do ranking de relevantes.',
+      errorLocationCode: 'CONTROLLER:CONTENT:BOOST:CONTENT_TOO_OLD',
+    });
+  }
+
+  let createdBoost;
+
+  await boostTransaction(null, 5);
+
+  async function boostTransaction(transaction, remainingAttempts) {
+    if (!transaction) {
+      transaction = await database.transaction();
+    }
+
+    try {
+      await transaction.query('BEGIN');
+      await transaction.query('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE');
+
+      const currentEvent = await event.create(
+        {
+          type: 'update:content:boost',
+          originator_user_id: userTryingToBoost.id,
+          originator_ip: request.context.clientIp,
+          metadata: {
+            content_id: contentFound.id,
+            amount: request.body.amount,
+            score_bonus: boost.getScoreBonus(request.body.amount),
+            duration_hours: boost.durationInHours,
+          },
+        },
+        {
+          transaction: transaction,
+        },
+      );
+
+      createdBoost = await boost.create(
+        {
+          contentId: contentFound.id,
+          userId: userTryingToBoost.id,
+          amount: request.body.amount,
+        },
+        {
+          eventId: currentEvent.id,
+          transaction: transaction,
+        },
+      );
+
+      await transaction.query('COMMIT');
+      await transaction.release();
+    } catch (error) {
+      await transaction.query('ROLLBACK');
+
+      if (
+        error.databaseErrorCode === database.errorCodes.SERIALIZATION_FAILURE ||
+        error.stack?.startsWith('error: could not serialize access due to read/write dependencies among transaction')
+      ) {
+        if (remainingAttempts > 0) {
+          await boostTransaction(transaction, remainingAttempts - 1);
+        } else {
+          await transaction.release();
+          throw new UnprocessableEntityError({
+            message: `Muitos impulsionamentos ao mesmo tempo.`,
+            action: 'Tente realizar esta operação mais tarde.',
+            errorLocationCode: 'CONTROLLER:CONTENT:BOOST:SERIALIZATION_FAILURE',
+          });
+        }
+      } else {
+        await transaction.release();
+        throw error;
+      }
+    }
+  }
+
+  const secureOutputValues = authorization.filterOutput(userTryingToBoost, 'read:content:boost', createdBoost);
+
+  return response.status(201).json(secureOutputValues);
+}
@@ -1,20 +1,24 @@
 import { createRouter } from 'next-connect';
 
-import { ForbiddenError, NotFoundError } from 'errors';
+import { ForbiddenError, NotFoundError, ValidationError } from 'errors';
 import database from 'infra/database.js';
+import logger from 'infra/logger.js';
 import authentication from 'models/authentication.js';
 import authorization from 'models/authorization.js';
 import cacheControl from 'models/cache-control';
 import content from 'models/content.js';
 import controller from 'models/controller.js';
 import event from 'models/event.js';
+import firewall from 'models/firewall';
+import notification from 'models/notification.js';
+import quarantine from 'models/quarantine.js';
 import user from 'models/user.js';
 import validator from 'models/validator.js';
 
 export default createRouter()
   .use(controller.injectRequestMetadata)
   .use(controller.logRequest)
-  .get(cacheControl.swrMaxAge(10), getValidationHandler, getHandler)
+  .get(getValidationHandler, getQuarantineHandler, getHandler)
   .patch(
     cacheControl.noCache,
     authentication.injectAnonymousOrUser,
@@ -28,6 +32,7 @@ function getValidationHandler(request, response, next) {
   const cleanValues = validator(request.query, {
     username: 'required',
     slug: 'required',
+    with_quarantined: 'optional',
   });
 
   request.query = cleanValues;
@@ -35,6 +40,18 @@ function getValidationHandler(request, response, next) {
   return next();
 }
 
+async function getQuarantineHandler(request, response, next) {
+  if (!request.query.with_quarantined) {
+    return cacheControl.swrMaxAge(10)(request, response, next);
+  }
+
+  cacheControl.noCache(request, response);
+
+  await authentication.injectAnonymousOrUser(request, response, () => {});
+
+  return next();
+}
+
 async function getHandler(request, response) {
   const userTryingToGet = user.createAnonymous();
 
@@ -43,6 +60,7 @@ async function getHandler(request, response) {
       owner_username: request.query.username,
       slug: request.query.slug,
       status: 'published',
+      ...quarantine.getContentFilter(request.context.user),
     },
   });
 
@@ -75,6 +93,9 @@ function patchValidationHandler(request, response, next) {
     body: 'optional',
     status: 'optional',
     source_url: 'optional',
+    tags: 'optional',
+    scheduled_for: 'optional',
+    moderation_reason: 'optional',
   });
 
   request.body = cleanBodyValues;
@@ -84,13 +105,14 @@ function patchValidationHandler(request, response, next) {
 
 async function patchHandler(request, response) {
   const userTryingToPatch = request.context.user;
-  const unfilteredBodyValues = request.body;
+  const { moderation_reason: moderationReason, ...unfilteredBodyValues } = request.body;
 
   const contentToBeUpdated = await content.findOne({
     where: {
       owner_username: request.query.username,
       slug: request.query.slug,
       status: ['draft', 'published'],
+      $with_quarantined: true,
     },
   });
 
@@ -112,6 +134,18 @@ async function patchHandler(request, response) {
     });
   }
 
+  const isModeratorEdit = contentToBeUpdated.owner_id !== userTryingToPatch.id;
+
+  if (isModeratorEdit && !moderationReason) {
+    throw new ValidationError({
+      message: '"moderation_reason" é obrigatório para editar o conteúdo de outro usuário.',
+      action: 'Informe o motivo da moderação e tente novamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:PATCH_HANDLER:MODERATION_REASON_REQUIRED',
+      key: 'moderation_reason',
+    });
+  }
+
   if (!contentToBeUpdated.parent_id) {
     if (!authorization.can(userTryingToPatch, 'create:content:text_root')) {
       throw new ForbiddenError({
@@ -149,6 +183,7 @@ async function patchHandler(request, response) {
         originator_ip: request.context.clientIp,
         metadata: {
           id: contentToBeUpdated.id,
+          moderation_reason: isModeratorEdit ? moderationReason : undefined,
         },
       },
       {
@@ -156,15 +191,40 @@ async function patchHandler(request, response) {
       },
     );
 
-    const updatedContent = await content.update(contentToBeUpdated.id, filteredBodyValues, {
+    let updatedContent = await content.update(contentToBeUpdated.id, filteredBodyValues, {
       oldContent: contentToBeUpdated,
       eventId: currentEvent.id,
       transaction: transaction,
     });
 
+    if (contentToBeUpdated.status === 'draft') {
+      updatedContent = await firewall.checkSpam(updatedContent, request.context, {
+        transaction: transaction,
+      });
+    }
+
     await transaction.query('COMMIT');
     await transaction.release();
 
+    try {
+      await notification.sendMentionToUsers(updatedContent);
+    } catch (error) {
+      logger.error(error);
+    }
+
+    if (isModeratorEdit) {
+      try {
+        await notification.sendContentModeratedToUser({
+          content: updatedContent,
+          eventId: currentEvent.id,
+          moderatorUsername: userTryingToPatch.username,
+          reason: moderationReason,
+        });
+      } catch (error) {
+        logger.error(error);
+      }
+    }
+
     const secureOutputValues = authorization.filterOutput(userTryingToPatch, 'read:content', updatedContent);
 
     return response.status(200).json(secureOutputValues);
@@ -0,0 +1,71 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError } from 'errors';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import moderationNote from 'models/moderation-note.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(cacheControl.swrMaxAge(10))
+  .get(getValidationHandler, getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+    page: 'optional',
+    per_page: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToGet = user.createAnonymous();
+
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: request.query.username,
+      slug: request.query.slug,
+      status: 'published',
+    },
+    attributes: {
+      exclude: ['body'],
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:MODERATION_NOTES:GET_HANDLER:SLUG_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  const results = await moderationNote.findAllByContentId(contentFound.id, {
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToGet, 'read:content:moderation_notes', results.rows);
+
+  controller.injectPaginationHeaders(
+    results.pagination,
+    `/api/v1/contents/${contentFound.owner_username}/${contentFound.slug}/moderation_notes`,
+    request,
+    response,
+  );
+
+  return response.status(200).json(secureOutputValues);
+}
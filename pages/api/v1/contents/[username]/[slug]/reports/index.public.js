@@ -0,0 +1,80 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError, UnprocessableEntityError } from 'errors';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import report from 'models/report.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .post(postValidationHandler, authorization.canRequest('create:report'), postHandler)
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    report_reason: 'required',
+    report_description: 'optional',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: request.query.username,
+      slug: request.query.slug,
+      status: 'published',
+    },
+    attributes: {
+      exclude: ['body'],
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:REPORTS:CONTENT_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  if (contentFound.owner_id === authenticatedUser.id) {
+    throw new UnprocessableEntityError({
+      message: 'Você não pode denunciar o seu próprio conteúdo.',
+      action: 'Caso queira remover o conteúdo, apague-o diretamente.',
+      errorLocationCode: 'CONTROLLER:CONTENT:REPORTS:POST:CANNOT_REPORT_OWN_CONTENT',
+    });
+  }
+
+  const createdReport = await report.create({
+    contentId: contentFound.id,
+    reporterId: authenticatedUser.id,
+    reason: request.body.reason,
+    description: request.body.description,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'create:report', createdReport);
+
+  return response.status(201).json(secureOutputValues);
+}
@@ -0,0 +1,120 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError, ValidationError } from 'errors';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import revision from 'models/revision.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(cacheControl.swrMaxAge(10))
+  .get(getValidationHandler, getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+    page: 'optional',
+    per_page: 'optional',
+    from: 'optional',
+    to: 'optional',
+  });
+
+  if (!cleanValues.from !== !cleanValues.to) {
+    const missingKey = cleanValues.from ? 'to' : 'from';
+
+    throw new ValidationError({
+      message: `"${missingKey}" é um campo obrigatório quando "from" ou "to" é informado.`,
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:REVISIONS:GET_VALIDATION_HANDLER:MISSING_VERSION',
+      key: missingKey,
+    });
+  }
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToGet = user.createAnonymous();
+
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: request.query.username,
+      slug: request.query.slug,
+      status: 'published',
+    },
+    attributes: {
+      exclude: ['body'],
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:REVISIONS:GET_HANDLER:SLUG_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  if (request.query.from) {
+    return getDiffHandler(request, response, contentFound, userTryingToGet);
+  }
+
+  const results = await revision.findAllByContentId(contentFound.id, {
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToGet, 'read:content:revisions', results.rows);
+
+  controller.injectPaginationHeaders(
+    results.pagination,
+    `/api/v1/contents/${contentFound.owner_username}/${contentFound.slug}/revisions`,
+    request,
+    response,
+  );
+
+  return response.status(200).json(secureOutputValues);
+}
+
+async function getDiffHandler(request, response, contentFound, userTryingToGet) {
+  const { from, to } = request.query;
+
+  const revisionsFound = await revision.findAllByVersions(contentFound.id, [from, to]);
+
+  const fromRevision = revisionsFound.find((revision) => revision.version === from);
+  const toRevision = revisionsFound.find((revision) => revision.version === to);
+
+  if (!fromRevision || !toRevision) {
+    const missingKey = fromRevision ? 'to' : 'from';
+
+    throw new NotFoundError({
+      message: `A versão informada em "${missingKey}" não foi encontrada para este conteúdo.`,
+      action: 'Verifique o histórico de versões do conteúdo e tente novamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:REVISIONS:GET_HANDLER:VERSION_NOT_FOUND',
+      key: missingKey,
+    });
+  }
+
+  const [secureFromRevision, secureToRevision] = authorization.filterOutput(userTryingToGet, 'read:content:revisions', [
+    fromRevision,
+    toRevision,
+  ]);
+
+  return response.status(200).json({
+    from: secureFromRevision,
+    to: secureToRevision,
+    diff: revision.diff(secureFromRevision, secureToRevision),
+  });
+}
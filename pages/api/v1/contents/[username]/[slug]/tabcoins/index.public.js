@@ -2,6 +2,7 @@ import { createRouter } from 'next-connect';
 
 import { NotFoundError, UnprocessableEntityError, ValidationError } from 'errors';
 import database from 'infra/database.js';
+import logger from 'infra/logger.js';
 import authentication from 'models/authentication.js';
 import authorization from 'models/authorization.js';
 import balance from 'models/balance.js';
@@ -9,6 +10,8 @@ import cacheControl from 'models/cache-control';
 import content from 'models/content.js';
 import controller from 'models/controller.js';
 import event from 'models/event.js';
+import firewall from 'models/firewall';
+import notification from 'models/notification.js';
 import validator from 'models/validator.js';
 
 export default createRouter()
@@ -16,7 +19,12 @@ export default createRouter()
   .use(authentication.injectAnonymousOrUser)
   .use(controller.logRequest)
   .use(cacheControl.noCache)
-  .post(postValidationHandler, authorization.canRequest('update:content'), postHandler)
+  .post(
+    postValidationHandler,
+    authorization.canRequest('update:content'),
+    firewall.canRequest('update:content:tabcoins'),
+    postHandler,
+  )
   .handler(controller.handlerOptions);
 
 function postValidationHandler(request, response, next) {
@@ -72,6 +80,7 @@ async function postHandler(request, response) {
   await canIpUpdateContentTabCoins(request.context.clientIp, contentFound.id);
 
   let currentContentTabCoinsBalance;
+  let currentEvent;
 
   await tabcoinsTransaction(null, 5);
 
@@ -86,7 +95,7 @@ async function postHandler(request, response) {
 
       const tabCoinsRequiredAmount = 2;
 
-      const currentEvent = await event.create(
+      currentEvent = await event.create(
         {
           type: 'update:content:tabcoins',
           originator_user_id: request.context.user.id,
@@ -143,6 +152,17 @@ async function postHandler(request, response) {
     }
   }
 
+  if (request.body.transaction_type === 'credit') {
+    try {
+      await notification.sendTabCoinsMilestoneToUser({
+        content: { ...contentFound, tabcoins: currentContentTabCoinsBalance.tabcoins },
+        eventId: currentEvent.id,
+      });
+    } catch (error) {
+      logger.error(error);
+    }
+  }
+
   const secureOutputValues = authorization.filterOutput(
     userTryingToPost,
     'read:content:tabcoins',
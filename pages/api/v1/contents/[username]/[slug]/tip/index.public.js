@@ -0,0 +1,178 @@
+import { createRouter } from 'next-connect';
+
+import { NotFoundError, UnprocessableEntityError } from 'errors';
+import database from 'infra/database.js';
+import logger from 'infra/logger.js';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import event from 'models/event.js';
+import firewall from 'models/firewall';
+import notification from 'models/notification.js';
+import tip from 'models/tip.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .post(
+    postValidationHandler,
+    authorization.canRequest('update:content'),
+    firewall.canRequest('update:content:tip'),
+    postHandler,
+  )
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    username: 'required',
+    slug: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    tip_amount: 'required',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const userTryingToTip = request.context.user;
+
+  const contentFound = await content.findOne({
+    where: {
+      owner_username: request.query.username,
+      slug: request.query.slug,
+      status: 'published',
+    },
+  });
+
+  if (!contentFound) {
+    throw new NotFoundError({
+      message: `O conteúdo informado não foi encontrado no sistema.`,
+      action: 'Verifique se o "slug" está digitado corretamente.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENT:TIP:CONTENT_NOT_FOUND',
+      key: 'slug',
+    });
+  }
+
+  if (userTryingToTip.id === contentFound.owner_id) {
+    throw new UnprocessableEntityError({
+      message: 'Você não pode enviar gorjetas para conteúdos de sua própria autoria.',
+      action: 'Realize esta operação em conteúdos de outros usuários.',
+      errorLocationCode: 'CONTROLLER:CONTENT:TIP:OWN_CONTENT',
+    });
+  }
+
+  if (contentFound.type === 'ad') {
+    throw new UnprocessableEntityError({
+      message: 'Não é possível enviar gorjetas para anúncios.',
+      action: 'Envie gorjetas somente para publicações e comentários.',
+      errorLocationCode: 'CONTROLLER:CONTENT:TIP:AD_CONTENT',
+    });
+  }
+
+  let currentEvent;
+  let createdTip;
+
+  await tipTransaction(null, 5);
+
+  async function tipTransaction(transaction, remainingAttempts) {
+    if (!transaction) {
+      transaction = await database.transaction();
+    }
+
+    try {
+      await transaction.query('BEGIN');
+      await transaction.query('SET TRANSACTION ISOLATION LEVEL SERIALIZABLE');
+
+      await firewall.checkTipFarming(
+        {
+          tipperId: userTryingToTip.id,
+          recipientId: contentFound.owner_id,
+        },
+        request.context,
+        {
+          transaction: transaction,
+        },
+      );
+
+      currentEvent = await event.create(
+        {
+          type: 'update:content:tip',
+          originator_user_id: userTryingToTip.id,
+          originator_ip: request.context.clientIp,
+          metadata: {
+            content_id: contentFound.id,
+            recipient_id: contentFound.owner_id,
+            amount: request.body.amount,
+          },
+        },
+        {
+          transaction: transaction,
+        },
+      );
+
+      createdTip = await tip.create(
+        {
+          contentId: contentFound.id,
+          tipperId: userTryingToTip.id,
+          recipientId: contentFound.owner_id,
+          amount: request.body.amount,
+        },
+        {
+          eventId: currentEvent.id,
+          transaction: transaction,
+        },
+      );
+
+      await transaction.query('COMMIT');
+      await transaction.release();
+    } catch (error) {
+      await transaction.query('ROLLBACK');
+
+      if (
+        error.databaseErrorCode === database.errorCodes.SERIALIZATION_FAILURE ||
+        error.stack?.startsWith('error: could not serialize access due to read/write dependencies among transaction')
+      ) {
+        if (remainingAttempts > 0) {
+          await tipTransaction(transaction, remainingAttempts - 1);
+        } else {
+          await transaction.release();
+          throw new UnprocessableEntityError({
+            message: `Muitas gorjetas ao mesmo tempo.`,
+            action: 'Tente realizar esta operação mais tarde.',
+            errorLocationCode: 'CONTROLLER:CONTENT:TIP:SERIALIZATION_FAILURE',
+          });
+        }
+      } else {
+        await transaction.release();
+        throw error;
+      }
+    }
+  }
+
+  try {
+    await notification.sendTipToUser({
+      content: contentFound,
+      eventId: currentEvent.id,
+      tipperUsername: userTryingToTip.username,
+      amount: createdTip.amount,
+    });
+  } catch (error) {
+    logger.error(error);
+  }
+
+  const secureOutputValues = authorization.filterOutput(userTryingToTip, 'read:content:tip', createdTip);
+
+  return response.status(201).json(secureOutputValues);
+}
@@ -1,9 +1,11 @@
 import { createRouter } from 'next-connect';
 
+import authentication from 'models/authentication.js';
 import authorization from 'models/authorization.js';
 import cacheControl from 'models/cache-control';
 import content from 'models/content.js';
 import controller from 'models/controller.js';
+import quarantine from 'models/quarantine.js';
 import removeMarkdown from 'models/remove-markdown.js';
 import user from 'models/user.js';
 import validator from 'models/validator.js';
@@ -11,8 +13,7 @@ import validator from 'models/validator.js';
 export default createRouter()
   .use(controller.injectRequestMetadata)
   .use(controller.logRequest)
-  .use(cacheControl.swrMaxAge(10))
-  .get(getValidationHandler, getHandler)
+  .get(getValidationHandler, getQuarantineHandler, getHandler)
   .handler(controller.handlerOptions);
 
 function getValidationHandler(request, response, next) {
@@ -21,8 +22,10 @@ function getValidationHandler(request, response, next) {
     page: 'optional',
     per_page: 'optional',
     strategy: 'optional',
+    tag: 'optional',
     with_root: 'optional',
     with_children: 'optional',
+    with_quarantined: 'optional',
   });
 
   request.query = cleanValues;
@@ -30,6 +33,18 @@ function getValidationHandler(request, response, next) {
   return next();
 }
 
+async function getQuarantineHandler(request, response, next) {
+  if (!request.query.with_quarantined) {
+    return cacheControl.swrMaxAge(10)(request, response, next);
+  }
+
+  cacheControl.noCache(request, response);
+
+  await authentication.injectAnonymousOrUser(request, response, () => {});
+
+  return next();
+}
+
 async function getHandler(request, response) {
   const userTryingToGet = user.createAnonymous();
 
@@ -40,6 +55,8 @@ async function getHandler(request, response) {
       owner_username: request.query.username,
       status: 'published',
       $not_null: request.query.with_root === false ? ['parent_id'] : undefined,
+      tag: request.query.tag,
+      ...quarantine.getContentFilter(request.context.user),
     },
     page: request.query.page,
     per_page: request.query.per_page,
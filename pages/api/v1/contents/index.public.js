@@ -18,7 +18,7 @@ import validator from 'models/validator.js';
 export default createRouter()
   .use(controller.injectRequestMetadata)
   .use(controller.logRequest)
-  .get(cacheControl.swrMaxAge(10), getValidationHandler, getHandler)
+  .get(getValidationHandler, getStrategyHandler, getHandler)
   .post(
     cacheControl.noCache,
     authentication.injectAnonymousOrUser,
@@ -33,7 +33,8 @@ function getValidationHandler(request, response, next) {
   const cleanValues = validator(request.query, {
     page: 'optional',
     per_page: 'optional',
-    strategy: 'optional',
+    feed_strategy: 'optional',
+    tag: 'optional',
     with_root: 'optional',
     with_children: 'optional',
   });
@@ -43,8 +44,21 @@ function getValidationHandler(request, response, next) {
   return next();
 }
 
+async function getStrategyHandler(request, response, next) {
+  if (request.query.strategy !== 'following') {
+    return cacheControl.swrMaxAge(10)(request, response, next);
+  }
+
+  cacheControl.noCache(request, response);
+
+  await authentication.injectAnonymousOrUser(request, response, () => {});
+
+  return authorization.canRequest('create:follow')(request, response, next);
+}
+
 async function getHandler(request, response) {
   const userTryingToList = user.createAnonymous();
+  const isFollowingStrategy = request.query.strategy === 'following';
 
   const results = await content.findWithStrategy({
     strategy: request.query.strategy,
@@ -53,6 +67,8 @@ async function getHandler(request, response) {
       status: 'published',
       type: 'content',
       $not_null: request.query.with_root === false ? ['parent_id'] : undefined,
+      $followed_by: isFollowingStrategy ? request.context.user.id : undefined,
+      tag: request.query.tag,
     },
     attributes: {
       exclude: request.query.with_children ? undefined : ['body'],
@@ -89,6 +105,8 @@ function postValidationHandler(request, response, next) {
     status: 'optional',
     content_type: 'optional',
     source_url: 'optional',
+    tags: 'optional',
+    scheduled_for: 'optional',
   });
 
   request.body = cleanValues;
@@ -154,11 +172,15 @@ async function postHandler(request, response) {
       },
     );
 
-    const createdContent = await content.create(secureInputValues, {
+    const newContent = await content.create(secureInputValues, {
       eventId: currentEvent.id,
       transaction: transaction,
     });
 
+    const createdContent = await firewall.checkSpam(newContent, request.context, {
+      transaction: transaction,
+    });
+
     await transaction.query('COMMIT');
     await transaction.release();
 
@@ -180,6 +202,12 @@ async function postHandler(request, response) {
       }
     }
 
+    try {
+      await notification.sendMentionToUsers(createdContent);
+    } catch (error) {
+      if (sendStream) throw error;
+    }
+
     if (sendStream) {
       response.end();
     } else {
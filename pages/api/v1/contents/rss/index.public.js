@@ -1,29 +1,54 @@
 import { createRouter } from 'next-connect';
+import { createHash } from 'node:crypto';
 
+import { NotFoundError, ValidationError } from 'errors';
 import authorization from 'models/authorization.js';
 import cacheControl from 'models/cache-control';
 import content from 'models/content.js';
 import controller from 'models/controller.js';
 import rss from 'models/rss';
 import user from 'models/user.js';
+import validator from 'models/validator.js';
 
 export default createRouter()
   .use(controller.injectRequestMetadata)
   .use(controller.logRequest)
   .use(cacheControl.swrMaxAge(60))
-  .get(handleRequest)
+  .get(getValidationHandler, handleRequest)
   .handler(controller.handlerOptions);
 
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    feed_format: 'optional',
+    tag: 'optional',
+    owner_username: 'optional',
+    slug: 'optional',
+    with_root: 'optional',
+  });
+
+  if (cleanValues.slug && !cleanValues.owner_username) {
+    throw new ValidationError({
+      message: '"owner_username" é obrigatório para gerar o feed de um conteúdo.',
+      action: 'Informe o "owner_username" do autor do conteúdo.',
+      stack: new Error().stack,
+      errorLocationCode: 'CONTROLLER:CONTENTS:RSS:GET_VALIDATION_HANDLER:MISSING_OWNER_USERNAME',
+      key: 'owner_username',
+    });
+  }
+
+  request.query = cleanValues;
+
+  return next();
+}
+
 async function handleRequest(request, response) {
   const userTryingToList = user.createAnonymous();
 
+  const { where, feedOptions } = await getFeedScope(request.query);
+
   const results = await content.findWithStrategy({
     strategy: 'new',
-    where: {
-      parent_id: null,
-      status: 'published',
-      type: 'content',
-    },
+    where: where,
     page: 1,
     per_page: 30,
   });
@@ -31,8 +56,114 @@ async function handleRequest(request, response) {
   const contentListFound = results.rows;
 
   const secureContentListFound = authorization.filterOutput(userTryingToList, 'read:content:list', contentListFound);
-  const rss2 = rss.generateRss2(secureContentListFound);
+  const feed = rss.generateFeed(secureContentListFound, { ...feedOptions, format: request.query.format });
+
+  const etag = `"${createHash('sha1').update(feed.body).digest('base64url')}"`;
+
+  response.setHeader('ETag', etag);
+
+  if (feed.lastModified) {
+    response.setHeader('Last-Modified', feed.lastModified.toUTCString());
+  }
+
+  if (isNotModified(request, etag, feed.lastModified)) {
+    return response.status(304).end();
+  }
+
+  response.setHeader('Content-Type', feed.contentType);
+  response.status(200).send(feed.body);
+}
+
+async function getFeedScope({ tag, owner_username, slug, with_root }) {
+  if (slug) {
+    const parentContent = await content.findOne({
+      where: {
+        owner_username: owner_username,
+        slug: slug,
+        status: 'published',
+      },
+      attributes: {
+        exclude: ['body'],
+      },
+    });
+
+    if (!parentContent) {
+      throw new NotFoundError({
+        message: `O conteúdo informado não foi encontrado no sistema.`,
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        stack: new Error().stack,
+        errorLocationCode: 'CONTROLLER:CONTENTS:RSS:CONTENT_NOT_FOUND',
+        key: 'slug',
+      });
+    }
+
+    return {
+      where: {
+        status: 'published',
+        $descendant_of: parentContent.id,
+      },
+      feedOptions: {
+        basePath: `/${parentContent.owner_username}/${parentContent.slug}`,
+        title: `Comentários em "${parentContent.title || parentContent.slug}" · TabNews`,
+        description: `Comentários publicados em "${parentContent.title || parentContent.slug}".`,
+      },
+    };
+  }
+
+  if (owner_username) {
+    const userFound = await user.findOneByUsername(owner_username);
+
+    if (with_root === false) {
+      return {
+        where: {
+          owner_id: userFound.id,
+          status: 'published',
+          $not_null: ['parent_id'],
+        },
+        feedOptions: {
+          basePath: `/${userFound.username}/comentarios`,
+          title: `Comentários de ${userFound.username} · TabNews`,
+          description: `Comentários publicados por ${userFound.username}.`,
+        },
+      };
+    }
+
+    return {
+      where: {
+        parent_id: null,
+        owner_id: userFound.id,
+        status: 'published',
+        type: 'content',
+      },
+      feedOptions: {
+        basePath: `/${userFound.username}/conteudos`,
+        title: `Publicações de ${userFound.username} · TabNews`,
+        description: `Publicações de ${userFound.username}.`,
+      },
+    };
+  }
+
+  return {
+    where: {
+      parent_id: null,
+      status: 'published',
+      type: 'content',
+      tag: tag,
+    },
+    feedOptions: tag ? { basePath: `/tags/${tag}`, title: `TabNews · ${tag}` } : {},
+  };
+}
+
+function isNotModified(request, etag, lastModified) {
+  const ifNoneMatch = request.headers['if-none-match'];
+
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((value) => value.trim().replace(/^W\//, '') === etag);
+  }
+
+  const ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+
+  if (!lastModified || Number.isNaN(ifModifiedSince)) return false;
 
-  response.setHeader('Content-Type', 'text/xml; charset=utf-8');
-  response.status(200).send(rss2);
+  return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
 }
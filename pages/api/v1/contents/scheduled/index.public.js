@@ -0,0 +1,191 @@
+import { createRouter } from 'next-connect';
+
+import database from 'infra/database.js';
+import logger from 'infra/logger.js';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import content from 'models/content.js';
+import controller from 'models/controller.js';
+import event from 'models/event.js';
+import firewall from 'models/firewall';
+import notification from 'models/notification.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('create:content'), getHandler)
+  .post(authorization.canRequest('update:content:scheduled'), postHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const results = await content.findWithStrategy({
+    strategy: 'scheduled',
+    where: {
+      owner_id: authenticatedUser.id,
+      $with_quarantined: true,
+    },
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'read:content:list', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/contents/scheduled', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+async function postHandler(request, response) {
+  const dueContents = await content.findWithStrategy({
+    strategy: 'scheduled',
+    where: {
+      $scheduled_until: new Date(),
+      $with_quarantined: true,
+    },
+    page: 1,
+    per_page: 100,
+  });
+
+  const publishedContents = [];
+
+  for (const dueContent of dueContents.rows) {
+    const publishedContent = await publishScheduledContent(dueContent, request.context);
+
+    if (publishedContent) {
+      publishedContents.push(publishedContent);
+    }
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'read:content:list', publishedContents);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+async function publishScheduledContent(dueContent, context) {
+  const transaction = await database.transaction();
+
+  try {
+    await transaction.query('BEGIN');
+
+    const lockedContentId = await lockScheduledContent(dueContent.id, { transaction });
+
+    if (!lockedContentId) {
+      await transaction.query('ROLLBACK');
+      return;
+    }
+
+    const contentToBePublished = await content.findOne(
+      {
+        where: {
+          id: dueContent.id,
+          status: 'draft',
+          $with_quarantined: true,
+        },
+      },
+      { transaction },
+    );
+
+    const contentOwner = await user.findOneById(contentToBePublished.owner_id, { transaction });
+
+    if (!authorization.can(contentOwner, 'create:content')) {
+      await transaction.query('ROLLBACK');
+      return;
+    }
+
+    const currentEvent = await event.create(
+      {
+        type: contentToBePublished.parent_id ? 'update:content:text_child' : 'update:content:text_root',
+        originator_user_id: contentToBePublished.owner_id,
+        originator_ip: context.clientIp,
+        metadata: {
+          id: contentToBePublished.id,
+        },
+      },
+      { transaction },
+    );
+
+    const updatedContent = await content.update(
+      contentToBePublished.id,
+      { status: 'published' },
+      {
+        oldContent: contentToBePublished,
+        eventId: currentEvent.id,
+        transaction: transaction,
+      },
+    );
+
+    const publishedContent = await firewall.checkSpam(
+      updatedContent,
+      { ...context, user: contentOwner },
+      {
+        transaction: transaction,
+      },
+    );
+
+    await transaction.query('COMMIT');
+
+    await sendPublishNotifications(publishedContent);
+
+    return publishedContent;
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+
+    logger.error(error);
+  } finally {
+    await transaction.release();
+  }
+}
+
+async function lockScheduledContent(contentId, options = {}) {
+  const query = {
+    text: `
+      SELECT
+        id
+      FROM
+        contents
+      WHERE
+        id = $1
+        AND status = 'draft'
+        AND scheduled_for <= now()
+      FOR UPDATE
+    ;`,
+    values: [contentId],
+  };
+
+  const results = await database.query(query, options);
+  return results.rows[0]?.id;
+}
+
+async function sendPublishNotifications(publishedContent) {
+  const notifications = [notification.sendMentionToUsers(publishedContent)];
+
+  if (publishedContent.parent_id) {
+    notifications.push(notification.sendReplyEmailToParentUser(publishedContent));
+  }
+
+  const results = await Promise.allSettled(notifications);
+
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      logger.error(result.reason);
+    }
+  }
+}
@@ -0,0 +1,131 @@
+import { createRouter } from 'next-connect';
+import { isDeepStrictEqual } from 'node:util';
+
+import database from 'infra/database';
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import domainRule from 'models/domain-rule';
+import event from 'models/event';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .use(cacheControl.noCache)
+  .patch(patchValidationHandler, authorization.canRequest('update:domain_rules'), patchHandler)
+  .delete(deleteValidationHandler, authorization.canRequest('update:domain_rules'), deleteHandler)
+  .handler(controller.handlerOptions);
+
+function patchValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    domain_rule: 'optional',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function patchHandler(request, response) {
+  const transaction = await database.transaction();
+
+  let updatedRule;
+
+  try {
+    await transaction.query('BEGIN');
+
+    const oldRule = await domainRule.findOneById(request.query.id, { transaction });
+    updatedRule = await domainRule.update(request.query.id, request.body, { transaction });
+
+    const updatedFields = domainRule.ruleColumns.filter(
+      (field) => !isDeepStrictEqual(oldRule[field], updatedRule[field]),
+    );
+
+    if (updatedFields.length) {
+      await event.create(
+        {
+          type: 'update:domain_rules',
+          originator_user_id: request.context.user.id,
+          originator_ip: request.context.clientIp,
+          metadata: {
+            id: updatedRule.id,
+            updatedFields: updatedFields,
+            old: pickFields(oldRule, updatedFields),
+            new: pickFields(updatedRule, updatedFields),
+          },
+        },
+        { transaction },
+      );
+    }
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:domain_rules', updatedRule);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function deleteValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  return next();
+}
+
+async function deleteHandler(request, response) {
+  const transaction = await database.transaction();
+
+  let deletedRule;
+
+  try {
+    await transaction.query('BEGIN');
+
+    deletedRule = await domainRule.remove(request.query.id, { transaction });
+
+    await event.create(
+      {
+        type: 'delete:domain_rules',
+        originator_user_id: request.context.user.id,
+        originator_ip: request.context.clientIp,
+        metadata: {
+          id: deletedRule.id,
+          old: pickFields(deletedRule, domainRule.ruleColumns),
+        },
+      },
+      { transaction },
+    );
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:domain_rules', deletedRule);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function pickFields(rule, fields) {
+  return Object.fromEntries(fields.map((field) => [field, rule[field]]));
+}
@@ -0,0 +1,77 @@
+import { createRouter } from 'next-connect';
+
+import database from 'infra/database';
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import domainRule from 'models/domain-rule';
+import event from 'models/event';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .use(cacheControl.noCache)
+  .get(authorization.canRequest('update:domain_rules'), getHandler)
+  .post(postValidationHandler, authorization.canRequest('update:domain_rules'), postHandler)
+  .handler(controller.handlerOptions);
+
+async function getHandler(request, response) {
+  const rules = await domainRule.findAll();
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:domain_rules', rules);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function postValidationHandler(request, response, next) {
+  const cleanValues = validator(request.body, {
+    domain_rule: 'required',
+  });
+
+  request.body = cleanValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const transaction = await database.transaction();
+
+  let createdRule;
+
+  try {
+    await transaction.query('BEGIN');
+
+    createdRule = await domainRule.create(request.body, { transaction });
+
+    await event.create(
+      {
+        type: 'create:domain_rules',
+        originator_user_id: request.context.user.id,
+        originator_ip: request.context.clientIp,
+        metadata: {
+          id: createdRule.id,
+          new: pickFields(createdRule, domainRule.ruleColumns),
+        },
+      },
+      { transaction },
+    );
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:domain_rules', createdRule);
+
+  return response.status(201).json(secureOutputValues);
+}
+
+function pickFields(rule, fields) {
+  return Object.fromEntries(fields.map((field) => [field, rule[field]]));
+}
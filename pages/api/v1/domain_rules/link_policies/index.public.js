@@ -0,0 +1,18 @@
+import { createRouter } from 'next-connect';
+
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import domainRule from 'models/domain-rule';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(cacheControl.swrMaxAge(60))
+  .get(getHandler)
+  .handler(controller.handlerOptions);
+
+async function getHandler(request, response) {
+  const linkPolicies = await domainRule.findAllLinkPolicies();
+
+  return response.status(200).json(linkPolicies);
+}
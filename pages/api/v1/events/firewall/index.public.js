@@ -0,0 +1,47 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import firewall from 'models/firewall';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .get(cacheControl.noCache, getValidationHandler, authorization.canRequest('read:firewall'), getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+    firewall_event_type: 'optional',
+    reviewed: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToList = request.context.user;
+
+  const results = await firewall.findAll({
+    where: {
+      type: request.query.type,
+      reviewed: request.query.reviewed,
+    },
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToList, 'read:firewall', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/events/firewall', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
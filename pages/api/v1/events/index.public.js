@@ -0,0 +1,55 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import event from 'models/event';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .get(cacheControl.noCache, getValidationHandler, authorization.canRequest('read:events'), getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+    event_type: 'optional',
+    originator_user_id: 'optional',
+    target_user_id: 'optional',
+    target_content_id: 'optional',
+    created_after: 'optional',
+    created_before: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToList = request.context.user;
+
+  const results = await event.findAll({
+    where: {
+      type: request.query.type,
+      originator_user_id: request.query.originator_user_id,
+      target_user_id: request.query.target_user_id,
+      target_content_id: request.query.target_content_id,
+      created_after: request.query.created_after,
+      created_before: request.query.created_before,
+    },
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToList, 'read:events', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/events', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -0,0 +1,37 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import firewall from 'models/firewall';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .use(cacheControl.noCache)
+  .post(postValidationHandler, authorization.canRequest('update:firewall:rules'), postHandler)
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    firewall_rule_id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  request.body =
+    request.body && Object.keys(request.body).length ? validator(request.body, { firewall_rule: 'optional' }) : {};
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const dryRunResult = await firewall.dryRunRule(request.query.id, request.body);
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:firewall:rules', dryRunResult);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -0,0 +1,103 @@
+import { createRouter } from 'next-connect';
+import { isDeepStrictEqual } from 'node:util';
+
+import database from 'infra/database';
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import event from 'models/event';
+import firewall from 'models/firewall';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('update:firewall:rules'), getHandler)
+  .patch(patchValidationHandler, authorization.canRequest('update:firewall:rules'), patchHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    firewall_rule_id: 'required',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const ruleFound = await firewall.findOneRuleById(request.query.id);
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:firewall:rules', ruleFound);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function patchValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    firewall_rule_id: 'required',
+  });
+
+  request.query = cleanQueryValues;
+
+  const cleanBodyValues = validator(request.body, {
+    firewall_rule: 'optional',
+  });
+
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function patchHandler(request, response) {
+  const transaction = await database.transaction();
+
+  let updatedRule;
+
+  try {
+    await transaction.query('BEGIN');
+
+    const oldRule = await firewall.findOneRuleById(request.query.id, { transaction });
+    updatedRule = await firewall.updateRule(request.query.id, request.body, { transaction });
+
+    const updatedFields = firewall.tunableColumns.filter(
+      (field) => !isDeepStrictEqual(oldRule[field], updatedRule[field]),
+    );
+
+    if (updatedFields.length) {
+      await event.create(
+        {
+          type: 'update:firewall:rules',
+          originator_user_id: request.context.user.id,
+          originator_ip: request.context.clientIp,
+          metadata: {
+            id: updatedRule.id,
+            updatedFields: updatedFields,
+            old: pickFields(oldRule, updatedFields),
+            new: pickFields(updatedRule, updatedFields),
+          },
+        },
+        { transaction },
+      );
+    }
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:firewall:rules', updatedRule);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function pickFields(rule, fields) {
+  return Object.fromEntries(fields.map((field) => [field, rule[field]]));
+}
@@ -0,0 +1,77 @@
+import { createRouter } from 'next-connect';
+
+import database from 'infra/database';
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import event from 'models/event';
+import firewall from 'models/firewall';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .use(cacheControl.noCache)
+  .get(authorization.canRequest('update:firewall:rules'), getHandler)
+  .post(postValidationHandler, authorization.canRequest('update:firewall:rules'), postHandler)
+  .handler(controller.handlerOptions);
+
+async function getHandler(request, response) {
+  const rules = await firewall.findAllRules();
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:firewall:rules', rules);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function postValidationHandler(request, response, next) {
+  const cleanValues = validator(request.body, {
+    firewall_rule: 'required',
+  });
+
+  request.body = cleanValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const transaction = await database.transaction();
+
+  let createdRule;
+
+  try {
+    await transaction.query('BEGIN');
+
+    createdRule = await firewall.createRule(request.body, { transaction });
+
+    await event.create(
+      {
+        type: 'create:firewall:rules',
+        originator_user_id: request.context.user.id,
+        originator_ip: request.context.clientIp,
+        metadata: {
+          id: createdRule.id,
+          new: pickFields(createdRule, ['event_type', ...firewall.tunableColumns]),
+        },
+      },
+      { transaction },
+    );
+
+    await transaction.query('COMMIT');
+  } catch (error) {
+    await transaction.query('ROLLBACK');
+    throw error;
+  } finally {
+    await transaction.release();
+  }
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'update:firewall:rules', createdRule);
+
+  return response.status(201).json(secureOutputValues);
+}
+
+function pickFields(rule, fields) {
+  return Object.fromEntries(fields.map((field) => [field, rule[field]]));
+}
@@ -0,0 +1,43 @@
+import { createRouter } from 'next-connect';
+
+import appeal from 'models/appeal';
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .post(cacheControl.noCache, postValidationHandler, authorization.canRequest('review:appeal'), postHandler)
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  const cleanBodyValues = validator(request.body, {
+    appeal_review_action: 'required',
+  });
+
+  request.query = cleanQueryValues;
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+async function postHandler(request, response) {
+  const reviewedData = await appeal.review({
+    appealId: request.query.id,
+    action: request.body.action,
+    originatorUserId: request.context.user.id,
+    originatorIp: request.context.clientIp,
+  });
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'review:appeal', reviewedData);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -0,0 +1,55 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication';
+import authorization from 'models/authorization';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller';
+import report from 'models/report';
+import validator from 'models/validator';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .use(authentication.injectAnonymousOrUser)
+  .post(
+    cacheControl.noCache,
+    postValidationHandler,
+    authorization.canRequest('review:report'),
+    canRequestBanUser,
+    postHandler,
+  )
+  .handler(controller.handlerOptions);
+
+function postValidationHandler(request, response, next) {
+  const cleanQueryValues = validator(request.query, {
+    id: 'required',
+  });
+
+  const cleanBodyValues = validator(request.body, {
+    report_review_action: 'required',
+  });
+
+  request.query = cleanQueryValues;
+  request.body = cleanBodyValues;
+
+  return next();
+}
+
+function canRequestBanUser(request, response, next) {
+  if (request.body.action !== 'ban_user') return next();
+
+  return authorization.canRequest('ban:user')(request, response, next);
+}
+
+async function postHandler(request, response) {
+  const reviewedData = await report.review({
+    contentId: request.query.id,
+    action: request.body.action,
+    originatorUserId: request.context.user.id,
+    originatorIp: request.context.clientIp,
+  });
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'review:report', reviewedData);
+
+  return response.status(200).json(secureOutputValues);
+}
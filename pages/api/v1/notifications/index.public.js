@@ -0,0 +1,73 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import inbox from 'models/inbox.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('read:session'), getHandler)
+  .patch(patchValidationHandler, authorization.canRequest('read:session'), patchHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+    read: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const results = await inbox.findAllByUserId(authenticatedUser.id, {
+    page: request.query.page,
+    per_page: request.query.per_page,
+    read: request.query.read,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'read:notification:list', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/notifications', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+function patchValidationHandler(request, response, next) {
+  const cleanValues = validator(request.body, {
+    read: 'required',
+    ids: 'optional',
+  });
+
+  request.body = cleanValues;
+
+  return next();
+}
+
+async function patchHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const updatedNotifications = await inbox.updateReadStatus(authenticatedUser.id, {
+    ids: request.body.ids,
+    read: request.body.read,
+  });
+
+  const secureOutputValues = authorization.filterOutput(
+    authenticatedUser,
+    'read:notification:list',
+    updatedNotifications,
+  );
+
+  return response.status(200).json(secureOutputValues);
+}
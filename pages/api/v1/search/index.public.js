@@ -0,0 +1,50 @@
+import { createRouter } from 'next-connect';
+
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import removeMarkdown from 'models/remove-markdown';
+import search from 'models/search.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(controller.logRequest)
+  .get(cacheControl.swrMaxAge(10), getValidationHandler, getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    q: 'required',
+    page: 'optional',
+    per_page: 'optional',
+    strategy: 'optional',
+    owner_username: 'optional',
+    with_root: 'optional',
+    with_children: 'optional',
+    content_type: 'optional',
+    published_after: 'optional',
+    published_before: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToSearch = user.createAnonymous();
+
+  const results = await search.findAll(request.query);
+
+  const secureOutputValues = authorization.filterOutput(userTryingToSearch, 'read:content:list', results.rows);
+
+  for (const content of secureOutputValues) {
+    content.body = removeMarkdown(content.body, { maxLength: 255 });
+  }
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/search', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
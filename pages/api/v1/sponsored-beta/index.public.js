@@ -19,6 +19,9 @@ function getValidationHandler(request, response, next) {
     owner_id: 'optional',
     ignore_id: 'optional',
     flexible: 'optional',
+    ad_weighting: 'optional',
+    seed: 'optional',
+    viewer_session: 'optional',
   });
 
   request.query = cleanValues;
@@ -33,6 +36,9 @@ async function getHandler(request, response) {
     ignoreId: request.query.ignore_id,
     ownerId: request.query.owner_id,
     tryOtherOwners: request.query.flexible,
+    seed: request.query.seed,
+    weighting: request.query.weighting,
+    viewerSession: request.query.viewer_session,
   });
 
   const secureOutputValues = authorization.filterOutput(userTryingToList, 'read:ad:list', ads);
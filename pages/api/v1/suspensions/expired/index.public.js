@@ -0,0 +1,23 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import ban from 'models/ban.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .post(authorization.canRequest('update:user:suspensions'), postHandler)
+  .handler(controller.handlerOptions);
+
+async function postHandler(request, response) {
+  const liftedUsers = await ban.liftAllExpiredSuspensions();
+
+  const secureOutputValues = authorization.filterOutput(request.context.user, 'read:user:list', liftedUsers);
+
+  return response.status(200).json(secureOutputValues);
+}
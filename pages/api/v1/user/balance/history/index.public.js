@@ -0,0 +1,42 @@
+import { createRouter } from 'next-connect';
+
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import balanceHistory from 'models/balance-history.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(getValidationHandler, authorization.canRequest('read:session'), getHandler)
+  .handler(controller.handlerOptions);
+
+function getValidationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    page: 'optional',
+    per_page: 'optional',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const authenticatedUser = request.context.user;
+
+  const results = await balanceHistory.findAllByUserId(authenticatedUser.id, {
+    page: request.query.page,
+    per_page: request.query.per_page,
+  });
+
+  const secureOutputValues = authorization.filterOutput(authenticatedUser, 'read:balance:history', results.rows);
+
+  controller.injectPaginationHeaders(results.pagination, '/api/v1/user/balance/history', request, response);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -0,0 +1,88 @@
+import { createRouter } from 'next-connect';
+
+import { UnprocessableEntityError } from 'errors';
+import authentication from 'models/authentication.js';
+import authorization from 'models/authorization.js';
+import cacheControl from 'models/cache-control';
+import controller from 'models/controller.js';
+import follow from 'models/follow.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default createRouter()
+  .use(controller.injectRequestMetadata)
+  .use(authentication.injectAnonymousOrUser)
+  .use(controller.logRequest)
+  .use(cacheControl.noCache)
+  .get(validationHandler, getHandler)
+  .post(validationHandler, authorization.canRequest('create:follow'), postHandler)
+  .delete(validationHandler, authorization.canRequest('create:follow'), deleteHandler)
+  .handler(controller.handlerOptions);
+
+function validationHandler(request, response, next) {
+  const cleanValues = validator(request.query, {
+    username: 'required',
+  });
+
+  request.query = cleanValues;
+
+  return next();
+}
+
+async function getHandler(request, response) {
+  const userTryingToGet = request.context.user;
+  const userFound = await user.findOneByUsername(request.query.username);
+
+  const followSummary = await follow.getSummary({
+    userId: userFound.id,
+    viewerId: userTryingToGet.id,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToGet, 'read:user:follow', followSummary);
+
+  return response.status(200).json(secureOutputValues);
+}
+
+async function postHandler(request, response) {
+  const userTryingToFollow = request.context.user;
+  const userFound = await user.findOneByUsername(request.query.username);
+
+  if (userFound.id === userTryingToFollow.id) {
+    throw new UnprocessableEntityError({
+      message: 'Você não pode seguir a si mesmo.',
+      action: 'Escolha outro usuário para seguir.',
+      errorLocationCode: 'CONTROLLER:USERS:USERNAME:FOLLOW:POST:CANNOT_FOLLOW_SELF',
+    });
+  }
+
+  if (userFound.features.includes('nuked')) {
+    throw new UnprocessableEntityError({
+      message: 'Não é possível seguir um usuário banido.',
+      action: 'Escolha outro usuário para seguir.',
+      errorLocationCode: 'CONTROLLER:USERS:USERNAME:FOLLOW:POST:USER_NUKED',
+    });
+  }
+
+  const followSummary = await follow.create({
+    followerId: userTryingToFollow.id,
+    followedId: userFound.id,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToFollow, 'read:user:follow', followSummary);
+
+  return response.status(201).json(secureOutputValues);
+}
+
+async function deleteHandler(request, response) {
+  const userTryingToUnfollow = request.context.user;
+  const userFound = await user.findOneByUsername(request.query.username);
+
+  const followSummary = await follow.remove({
+    followerId: userTryingToUnfollow.id,
+    followedId: userFound.id,
+  });
+
+  const secureOutputValues = authorization.filterOutput(userTryingToUnfollow, 'read:user:follow', followSummary);
+
+  return response.status(200).json(secureOutputValues);
+}
@@ -1,13 +1,16 @@
 import { createRouter } from 'next-connect';
+import { isDeepStrictEqual } from 'node:util';
 
 import { ForbiddenError, UnprocessableEntityError, ValidationError } from 'errors';
 import database from 'infra/database.js';
+import logger from 'infra/logger.js';
 import authentication from 'models/authentication.js';
 import authorization from 'models/authorization.js';
 import ban from 'models/ban.js';
 import cacheControl from 'models/cache-control';
 import controller from 'models/controller.js';
 import event from 'models/event.js';
+import notification from 'models/notification.js';
 import user from 'models/user.js';
 import validator from 'models/validator.js';
 
@@ -65,6 +68,7 @@ function patchValidationHandler(request, response, next) {
     password: 'optional',
     description: 'optional',
     notifications: 'optional',
+    notification_preferences: 'optional',
   });
 
   request.body = cleanBodyValues;
@@ -158,9 +162,9 @@ async function patchHandler(request, response) {
       updatedFields: [],
     };
 
-    const updatableFields = ['description', 'notifications', 'username'];
+    const updatableFields = ['description', 'notification_preferences', 'username'];
     for (const field of updatableFields) {
-      if (originalUser[field] !== updatedUser[field]) {
+      if (!isDeepStrictEqual(originalUser[field], updatedUser[field])) {
         metadata.updatedFields.push(field);
 
         if (field === 'username') {
@@ -185,6 +189,8 @@ function deleteValidationHandler(request, response, next) {
 
   const cleanBodyValues = validator(request.body, {
     ban_type: 'required',
+    suspended_until: 'optional',
+    ban_reason: 'optional',
   });
 
   request.body = cleanBodyValues;
@@ -207,13 +213,16 @@ async function deleteHandler(request, response) {
     });
   }
 
+  const isSuspension = ['suspend', 'read_only'].includes(secureInputValues.ban_type);
   const transaction = await database.transaction();
-  let nukedUser;
+  let bannedUser;
+  let currentEvent;
+  let suspension;
 
   try {
     await transaction.query('BEGIN');
 
-    const currentEvent = await event.create(
+    currentEvent = await event.create(
       {
         type: 'ban:user',
         originator_user_id: request.context.user.id,
@@ -221,6 +230,11 @@ async function deleteHandler(request, response) {
         metadata: {
           ban_type: secureInputValues.ban_type,
           user_id: targetUser.id,
+          ...(isSuspension && {
+            reason: secureInputValues.reason,
+            suspended_until: secureInputValues.suspended_until,
+            duration_seconds: Math.ceil((new Date(secureInputValues.suspended_until) - Date.now()) / 1000),
+          }),
         },
       },
       {
@@ -229,10 +243,27 @@ async function deleteHandler(request, response) {
     );
 
     if (secureInputValues.ban_type === 'nuke') {
-      nukedUser = await ban.nuke(targetUser.id, {
+      bannedUser = await ban.nuke(targetUser.id, {
         event: currentEvent,
         transaction: transaction,
       });
+    } else if (secureInputValues.ban_type === 'quarantine') {
+      bannedUser = await ban.quarantine(targetUser.id, {
+        transaction: transaction,
+      });
+    } else {
+      ({ user: bannedUser, suspension } = await ban.suspend(
+        targetUser.id,
+        {
+          banType: secureInputValues.ban_type,
+          reason: secureInputValues.reason,
+          endsAt: secureInputValues.suspended_until,
+        },
+        {
+          event: currentEvent,
+          transaction: transaction,
+        },
+      ));
     }
 
     await transaction.query('COMMIT');
@@ -243,7 +274,28 @@ async function deleteHandler(request, response) {
     throw error;
   }
 
-  const secureOutputValues = authorization.filterOutput(userTryingToDelete, 'read:user', nukedUser);
+  if (suspension) {
+    try {
+      await notification.sendUserSuspended({
+        eventId: currentEvent.id,
+        userId: targetUser.id,
+        suspension: suspension,
+      });
+    } catch (error) {
+      logger.error(error);
+    }
+  } else if (secureInputValues.ban_type === 'nuke') {
+    try {
+      await notification.sendUserNuked({
+        eventId: currentEvent.id,
+        userId: targetUser.id,
+      });
+    } catch (error) {
+      logger.error(error);
+    }
+  }
+
+  const secureOutputValues = authorization.filterOutput(userTryingToDelete, 'read:user', bannedUser);
 
   return response.status(200).json(secureOutputValues);
 }
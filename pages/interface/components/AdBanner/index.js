@@ -4,10 +4,12 @@ import { useEffect, useState } from 'react';
 
 import { Box, Link, SkeletonLoader, Text, Tooltip } from '@/TabNewsUI';
 import { LinkExternalIcon } from '@/TabNewsUI/icons';
+import { useAdViewerSession } from 'pages/interface';
 
 export default function AdBanner({ ad: newAd, isLoading, ...props }) {
   const [ad, setAd] = useState(newAd);
   const router = useRouter();
+  const viewerSession = useAdViewerSession();
 
   useEffect(() => {
     if (newAd && !ad) {
@@ -15,6 +17,10 @@ export default function AdBanner({ ad: newAd, isLoading, ...props }) {
     }
   }, [router.asPath, newAd, ad]);
 
+  useEffect(() => {
+    if (ad?.id && viewerSession !== undefined) recordAdInteraction(ad.id, 'impression', viewerSession);
+  }, [ad?.id, viewerSession]);
+
   if (isLoading || (newAd && !ad)) {
     return <AdBannerLoading />;
   }
@@ -44,7 +50,8 @@ export default function AdBanner({ ad: newAd, isLoading, ...props }) {
             },
           }}
           href={link}
-          rel={isTrustedDomain(link) ? undefined : 'nofollow'}>
+          rel={isTrustedDomain(link) ? undefined : 'nofollow'}
+          onClick={() => recordAdInteraction(ad.id, 'click', viewerSession)}>
           <Text sx={{ wordBreak: 'break-word', marginRight: 1 }}>
             {title} {domain}
           </Text>
@@ -66,6 +73,17 @@ export default function AdBanner({ ad: newAd, isLoading, ...props }) {
   );
 }
 
+function recordAdInteraction(adId, type, viewerSession) {
+  fetch(`/api/v1/ads/${adId}/interactions`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ type, viewer_session: viewerSession || undefined }),
+    keepalive: true,
+  }).catch(() => {});
+}
+
 function AdBannerLoading() {
   const spaceBetweenRows = 8;
   const titleHeight = 16;
@@ -1,6 +1,6 @@
-import { isTrustedDomain } from '@tabnews/helpers';
 import { useRouter } from 'next/router';
 import { useCallback, useEffect, useMemo, useState } from 'react';
+import useSWR, { useSWRConfig } from 'swr';
 
 import {
   ActionList,
@@ -11,6 +11,7 @@ import {
   ButtonWithLoader,
   CharacterCount,
   Checkbox,
+  Dialog,
   Editor,
   Flash,
   FormControl,
@@ -21,15 +22,29 @@ import {
   Link,
   PastTime,
   ReadTime,
+  Select,
   Text,
+  Textarea,
   TextInput,
   Tooltip,
   useConfirm,
   Viewer,
 } from '@/TabNewsUI';
-import { KebabHorizontalIcon, LinkIcon, PencilIcon, ShareIcon, TrashIcon } from '@/TabNewsUI/icons';
+import {
+  BookmarkFillIcon,
+  BookmarkIcon,
+  GiftIcon,
+  KebabHorizontalIcon,
+  LinkIcon,
+  PencilIcon,
+  ReportIcon,
+  RocketIcon,
+  ShareIcon,
+  ShieldIcon,
+  TrashIcon,
+} from '@/TabNewsUI/icons';
 import webserver from 'infra/webserver';
-import { createErrorMessage, isValidJsonString, processNdJsonStream, useUser } from 'pages/interface';
+import { createErrorMessage, isValidJsonString, processNdJsonStream, useLinkPolicies, useUser } from 'pages/interface';
 
 const CONTENT_TITLE_PLACEHOLDER_EXAMPLES = [
   'e.g. Nova versão do Python é anunciada com melhorias de desempenho',
@@ -42,8 +57,26 @@ const CONTENT_TITLE_PLACEHOLDER_EXAMPLES = [
 ];
 
 const BODY_MAX_LENGTH = 20_000;
-
-export default function Content({ content, isPageRootOwner, mode = 'view', rootContent, viewFrame = false }) {
+const DRAFT_AUTOSAVE_DELAY_IN_MS = 3000;
+
+const EMPTY_CONTENT_DATA = {
+  title: '',
+  body: '',
+  source_url: '',
+  tags: '',
+  scheduled_for: '',
+  isSponsoredContent: false,
+};
+
+export default function Content({
+  content,
+  isEdited,
+  isPageRootOwner,
+  moderationNotes,
+  mode = 'view',
+  rootContent,
+  viewFrame = false,
+}) {
   const [componentMode, setComponentMode] = useState(mode);
   const [contentObject, setContentObject] = useState(content);
   const { user } = useUser();
@@ -82,7 +115,9 @@ export default function Content({ content, isPageRootOwner, mode = 'view', rootC
       <ViewMode
         setComponentMode={setComponentMode}
         contentObject={contentObject}
+        isEdited={isEdited}
         isPageRootOwner={isPageRootOwner}
+        moderationNotes={moderationNotes}
         viewFrame={viewFrame}
       />
     );
@@ -102,7 +137,17 @@ export default function Content({ content, isPageRootOwner, mode = 'view', rootC
   }
 }
 
-function ViewModeOptionsMenu({ onDelete, onComponentModeChange }) {
+function ViewModeOptionsMenu({
+  canBoost,
+  canEdit,
+  canReport,
+  canTip,
+  onBoost,
+  onDelete,
+  onComponentModeChange,
+  onReport,
+  onTip,
+}) {
   return (
     <Box sx={{ position: 'relative', minWidth: '28px' }}>
       <Box sx={{ position: 'absolute', right: 0 }}>
@@ -110,23 +155,55 @@ function ViewModeOptionsMenu({ onDelete, onComponentModeChange }) {
         flickering after this menu appears, because without `position: absolute` it increases the row height */}
         <ActionMenu>
           <ActionMenu.Anchor>
-            <IconButton size="small" icon={KebabHorizontalIcon} aria-label="Editar conteúdo" />
+            <IconButton
+              size="small"
+              icon={KebabHorizontalIcon}
+              aria-label={canEdit ? 'Editar conteúdo' : 'Opções do conteúdo'}
+            />
           </ActionMenu.Anchor>
 
           <ActionMenu.Overlay>
             <ActionList>
-              <ActionList.Item onSelect={() => onComponentModeChange('edit')}>
-                <ActionList.LeadingVisual>
-                  <PencilIcon />
-                </ActionList.LeadingVisual>
-                Editar
-              </ActionList.Item>
-              <ActionList.Item variant="danger" onSelect={onDelete}>
-                <ActionList.LeadingVisual>
-                  <TrashIcon />
-                </ActionList.LeadingVisual>
-                Apagar
-              </ActionList.Item>
+              {canEdit && (
+                <>
+                  <ActionList.Item onSelect={() => onComponentModeChange('edit')}>
+                    <ActionList.LeadingVisual>
+                      <PencilIcon />
+                    </ActionList.LeadingVisual>
+                    Editar
+                  </ActionList.Item>
+                  <ActionList.Item variant="danger" onSelect={onDelete}>
+                    <ActionList.LeadingVisual>
+                      <TrashIcon />
+                    </ActionList.LeadingVisual>
+                    Apagar
+                  </ActionList.Item>
+                </>
+              )}
+              {canBoost && (
+                <ActionList.Item onSelect={onBoost}>
+                  <ActionList.LeadingVisual>
+                    <RocketIcon />
+                  </ActionList.LeadingVisual>
+                  Impulsionar
+                </ActionList.Item>
+              )}
+              {canTip && (
+                <ActionList.Item onSelect={onTip}>
+                  <ActionList.LeadingVisual>
+                    <GiftIcon />
+                  </ActionList.LeadingVisual>
+                  Enviar gorjeta
+                </ActionList.Item>
+              )}
+              {canReport && (
+                <ActionList.Item onSelect={onReport}>
+                  <ActionList.LeadingVisual>
+                    <ReportIcon />
+                  </ActionList.LeadingVisual>
+                  Denunciar
+                </ActionList.Item>
+              )}
             </ActionList>
           </ActionMenu.Overlay>
         </ActionMenu>
@@ -135,23 +212,394 @@ function ViewModeOptionsMenu({ onDelete, onComponentModeChange }) {
   );
 }
 
-function ViewMode({ setComponentMode, contentObject, isPageRootOwner, viewFrame }) {
+function BookmarkButton({ contentObject }) {
+  const [isPosting, setIsPosting] = useState(false);
+  const bookmarkUrl = `/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}/bookmark`;
+
+  const {
+    data: { body: bookmark },
+    mutate,
+  } = useSWR(bookmarkUrl, {
+    fallbackData: { body: null, headers: {} },
+    revalidateOnFocus: false,
+    shouldRetryOnError: false,
+  });
+
+  const isBookmarked = !!bookmark?.bookmarked;
+
+  async function handleClick() {
+    setIsPosting(true);
+
+    const response = await fetch(bookmarkUrl, { method: isBookmarked ? 'DELETE' : 'POST' });
+
+    if (response.ok) {
+      const responseBody = await response.json();
+      await mutate(
+        {
+          body: isBookmarked ? { bookmarked: false } : { ...responseBody, bookmarked: true },
+          headers: response.headers,
+        },
+        { revalidate: false },
+      );
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <Tooltip text={isBookmarked ? 'Remover dos salvos' : 'Salvar'} direction="s">
+      <IconButton
+        variant="invisible"
+        aria-label={isBookmarked ? 'Remover dos salvos' : 'Salvar'}
+        icon={isBookmarked ? BookmarkFillIcon : BookmarkIcon}
+        size="small"
+        sx={{ color: isBookmarked ? 'accent.fg' : 'fg.subtle', lineHeight: '18px' }}
+        disabled={isPosting}
+        onClick={handleClick}
+      />
+    </Tooltip>
+  );
+}
+
+const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam ou propaganda' },
+  { value: 'plagiarism', label: 'Plágio' },
+  { value: 'abuse', label: 'Abuso, assédio ou discurso de ódio' },
+  { value: 'other', label: 'Outro motivo' },
+];
+
+function ReportDialog({ contentObject, onClose }) {
+  const [reason, setReason] = useState(REPORT_REASONS[0].value);
+  const [description, setDescription] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [isReported, setIsReported] = useState(false);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}/reports`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ reason, description }),
+      });
+
+      if (response.status === 201) {
+        setIsReported(true);
+      } else {
+        setErrorObject(await response.json());
+      }
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  if (isReported) {
+    return (
+      <Dialog
+        title="Denúncia enviada"
+        onClose={onClose}
+        footerButtons={[{ content: 'Fechar', buttonType: 'primary', onClick: onClose }]}>
+        <Text>Obrigado! A moderação vai analisar este conteúdo.</Text>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog
+      title="Denunciar conteúdo"
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Denunciar', buttonType: 'danger', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && !errorObject.key && <Flash variant="danger">{errorObject.message}</Flash>}
+
+        <FormControl id="report-reason" required>
+          <FormControl.Label>Motivo</FormControl.Label>
+          <Select block value={reason} onChange={(event) => setReason(event.target.value)}>
+            {REPORT_REASONS.map(({ value, label }) => (
+              <Select.Option key={value} value={value}>
+                {label}
+              </Select.Option>
+            ))}
+          </Select>
+        </FormControl>
+
+        <FormControl id="report-description">
+          <FormControl.Label>Detalhes</FormControl.Label>
+          <Textarea
+            block
+            resize="vertical"
+            maxLength={1000}
+            value={description}
+            onChange={(event) => setDescription(event.target.value)}
+          />
+          <FormControl.Caption>Opcional. Ajude a moderação com links ou mais contexto.</FormControl.Caption>
+
+          {errorObject?.key === 'description' && (
+            <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+          )}
+        </FormControl>
+      </Box>
+    </Dialog>
+  );
+}
+
+const BOOST_AMOUNTS = [5, 10, 15, 20, 25, 30, 35, 40, 45, 50];
+
+function BoostDialog({ contentObject, onClose }) {
+  const { fetchUser } = useUser();
+  const [amount, setAmount] = useState(BOOST_AMOUNTS[1]);
+  const [isPosting, setIsPosting] = useState(false);
+  const [createdBoost, setCreatedBoost] = useState(undefined);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}/boost`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ amount }),
+      });
+
+      const responseBody = await response.json();
+
+      if (response.status === 201) {
+        setCreatedBoost(responseBody);
+        fetchUser();
+      } else {
+        setErrorObject(responseBody);
+      }
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  if (createdBoost) {
+    return (
+      <Dialog
+        title="Publicação impulsionada"
+        onClose={onClose}
+        footerButtons={[{ content: 'Fechar', buttonType: 'primary', onClick: onClose }]}>
+        <Text>
+          Sua publicação recebeu {createdBoost.score_bonus} pontos extras de relevância por 24 horas e será exibida com
+          o selo &quot;impulsionado&quot;.
+        </Text>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog
+      title="Impulsionar publicação"
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Impulsionar', buttonType: 'primary', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && <Flash variant="danger">{errorObject.message}</Flash>}
+
+        <FormControl id="boost-amount" required>
+          <FormControl.Label>TabCash</FormControl.Label>
+          <Select block value={amount} onChange={(event) => setAmount(Number(event.target.value))}>
+            {BOOST_AMOUNTS.map((value) => (
+              <Select.Option key={value} value={value}>
+                {value} TabCash
+              </Select.Option>
+            ))}
+          </Select>
+          <FormControl.Caption>
+            Cada 5 TabCash somam 1 ponto de relevância durante 24 horas. A publicação será identificada como
+            impulsionada.
+          </FormControl.Caption>
+        </FormControl>
+      </Box>
+    </Dialog>
+  );
+}
+
+const TIP_AMOUNTS = [1, 2, 5, 10, 20, 50];
+
+function TipDialog({ contentObject, onClose, onTip }) {
+  const { fetchUser } = useUser();
+  const [amount, setAmount] = useState(TIP_AMOUNTS[2]);
+  const [isPosting, setIsPosting] = useState(false);
+  const [createdTip, setCreatedTip] = useState(undefined);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}/tip`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ amount }),
+      });
+
+      const responseBody = await response.json();
+
+      if (response.status === 201) {
+        setCreatedTip(responseBody);
+        onTip(responseBody);
+        fetchUser();
+      } else {
+        setErrorObject(responseBody);
+      }
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  if (createdTip) {
+    return (
+      <Dialog
+        title="Gorjeta enviada"
+        onClose={onClose}
+        footerButtons={[{ content: 'Fechar', buttonType: 'primary', onClick: onClose }]}>
+        <Text>
+          Você enviou {createdTip.amount} TabCash para {contentObject.owner_username}. Obrigado por valorizar este
+          conteúdo!
+        </Text>
+      </Dialog>
+    );
+  }
+
+  return (
+    <Dialog
+      title="Enviar gorjeta"
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Enviar', buttonType: 'primary', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && <Flash variant="danger">{errorObject.message}</Flash>}
+
+        <FormControl id="tip-amount" required>
+          <FormControl.Label>TabCash</FormControl.Label>
+          <Select block value={amount} onChange={(event) => setAmount(Number(event.target.value))}>
+            {TIP_AMOUNTS.map((value) => (
+              <Select.Option key={value} value={value}>
+                {value} TabCash
+              </Select.Option>
+            ))}
+          </Select>
+          <FormControl.Caption>
+            O TabCash será transferido do seu saldo para {contentObject.owner_username}.
+          </FormControl.Caption>
+        </FormControl>
+      </Box>
+    </Dialog>
+  );
+}
+
+function ModerationDeleteDialog({ onClose, onDelete }) {
+  const [moderationReason, setModerationReason] = useState('');
+  const [isPosting, setIsPosting] = useState(false);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    const responseBody = await onDelete({ moderation_reason: moderationReason });
+
+    if (responseBody) {
+      setErrorObject(responseBody);
+      setIsPosting(false);
+    }
+  }
+
+  return (
+    <Dialog
+      title="Apagar conteúdo de outro usuário"
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Apagar', buttonType: 'danger', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && errorObject.key !== 'moderation_reason' && (
+          <Flash variant="danger">{errorObject.message}</Flash>
+        )}
+
+        <FormControl id="moderation-delete-reason" required>
+          <FormControl.Label>Motivo da moderação</FormControl.Label>
+          <Textarea
+            block
+            resize="vertical"
+            maxLength={255}
+            value={moderationReason}
+            onChange={(event) => setModerationReason(event.target.value)}
+          />
+          <FormControl.Caption>O motivo ficará visível no conteúdo e será enviado ao autor.</FormControl.Caption>
+
+          {errorObject?.key === 'moderation_reason' && (
+            <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+          )}
+        </FormControl>
+      </Box>
+    </Dialog>
+  );
+}
+
+function ModerationNotes({ moderationNotes }) {
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1, mt: 2 }}>
+      {moderationNotes.map((moderationNote) => (
+        <Text key={moderationNote.id} sx={{ fontSize: 0, color: 'fg.muted' }}>
+          <ShieldIcon size={12} /> moderado por{' '}
+          <Link href={`/${moderationNote.moderator_username}`} sx={{ color: 'fg.muted', fontWeight: 'bold' }}>
+            {moderationNote.moderator_username}
+          </Link>
+          : {moderationNote.reason}
+          {' · '}
+          <PastTime direction="n" date={moderationNote.created_at} sx={{ position: 'absolute' }} />
+        </Text>
+      ))}
+    </Box>
+  );
+}
+
+function ViewMode({ setComponentMode, contentObject, isEdited, isPageRootOwner, moderationNotes, viewFrame }) {
   const { user, fetchUser } = useUser();
+  const { shouldAddNofollow } = useLinkPolicies();
   const [globalErrorMessage, setGlobalErrorMessage] = useState(null);
+  const [isReportDialogOpen, setIsReportDialogOpen] = useState(false);
+  const [isModerationDeleteDialogOpen, setIsModerationDeleteDialogOpen] = useState(false);
+  const [isBoostDialogOpen, setIsBoostDialogOpen] = useState(false);
+  const [isTipDialogOpen, setIsTipDialogOpen] = useState(false);
+  const [tips, setTips] = useState(contentObject.tips);
   const confirm = useConfirm();
 
-  const handleClickDelete = async () => {
-    const confirmDelete = await confirm({
-      title: 'Você tem certeza?',
-      content: 'Deseja realmente apagar essa publicação?',
-      cancelButtonContent: 'Cancelar',
-      confirmButtonContent: 'Sim',
-    });
-
-    if (!confirmDelete) return;
+  const isModeratorAction = !!user && user.id !== contentObject.owner_id;
 
+  const deleteContent = async (moderationData) => {
     const data = {
       status: 'deleted',
+      ...moderationData,
     };
 
     const response = await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}`, {
@@ -168,12 +616,44 @@ function ViewMode({ setComponentMode, contentObject, isPageRootOwner, viewFrame
 
     if (response.status === 200) {
       setComponentMode('deleted');
-    } else {
-      setGlobalErrorMessage({ error: responseBody });
+      return;
+    }
+
+    return responseBody;
+  };
+
+  const handleClickDelete = async () => {
+    if (isModeratorAction) {
+      setIsModerationDeleteDialogOpen(true);
+      return;
+    }
+
+    const confirmDelete = await confirm({
+      title: 'Você tem certeza?',
+      content: 'Deseja realmente apagar essa publicação?',
+      cancelButtonContent: 'Cancelar',
+      confirmButtonContent: 'Sim',
+    });
+
+    if (!confirmDelete) return;
+
+    const errorResponseBody = await deleteContent();
+
+    if (errorResponseBody) {
+      setGlobalErrorMessage({ error: errorResponseBody });
     }
   };
 
-  const isOptionsMenuVisible = user?.id === contentObject.owner_id || user?.features?.includes('update:content:others');
+  const canEdit = user?.id === contentObject.owner_id || user?.features?.includes('update:content:others');
+  const canReport = !!user && user.id !== contentObject.owner_id && user.features?.includes('create:report');
+  const canBoost = user?.id === contentObject.owner_id && !contentObject.parent_id && contentObject.type !== 'ad';
+  const canTip =
+    !!user &&
+    user.id !== contentObject.owner_id &&
+    contentObject.type !== 'ad' &&
+    user.features?.includes('update:content');
+  const isOptionsMenuVisible = canEdit || canReport || canTip;
+  const isBookmarkVisible = !contentObject.parent_id && user?.features?.includes('create:bookmark');
 
   return (
     <Box
@@ -231,17 +711,81 @@ function ViewMode({ setComponentMode, contentObject, isPageRootOwner, viewFrame
               sx={{ fontSize: 0, color: 'fg.muted' }}>
               <PastTime direction="n" date={contentObject.published_at} sx={{ position: 'absolute' }} />
             </Link>
+            {isEdited && (
+              <>
+                {' · '}
+                <Link
+                  href={`/${contentObject.owner_username}/${contentObject.slug}/revisoes`}
+                  prefetch={false}
+                  sx={{ fontSize: 0, color: 'fg.muted' }}>
+                  editado
+                </Link>
+              </>
+            )}
+            {tips > 0 && (
+              <>
+                {' · '}
+                <Tooltip text="TabCash recebido em gorjetas" direction="n" sx={{ position: 'absolute' }}>
+                  <Text sx={{ fontSize: 0 }}>
+                    <GiftIcon size={12} /> {tips} TabCash
+                  </Text>
+                </Tooltip>
+              </>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start' }}>
+            {isBookmarkVisible && <BookmarkButton contentObject={contentObject} />}
+            {isOptionsMenuVisible && (
+              <ViewModeOptionsMenu
+                canBoost={canBoost}
+                canEdit={canEdit}
+                canReport={canReport}
+                canTip={canTip}
+                onBoost={() => setIsBoostDialogOpen(true)}
+                onComponentModeChange={setComponentMode}
+                onDelete={handleClickDelete}
+                onReport={() => setIsReportDialogOpen(true)}
+                onTip={() => setIsTipDialogOpen(true)}
+              />
+            )}
           </Box>
-          {isOptionsMenuVisible && (
-            <ViewModeOptionsMenu onComponentModeChange={setComponentMode} onDelete={handleClickDelete} />
-          )}
         </Box>
 
+        {isReportDialogOpen && (
+          <ReportDialog contentObject={contentObject} onClose={() => setIsReportDialogOpen(false)} />
+        )}
+
+        {isBoostDialogOpen && <BoostDialog contentObject={contentObject} onClose={() => setIsBoostDialogOpen(false)} />}
+
+        {isTipDialogOpen && (
+          <TipDialog
+            contentObject={contentObject}
+            onClose={() => setIsTipDialogOpen(false)}
+            onTip={(createdTip) => setTips(createdTip.tips)}
+          />
+        )}
+
+        {isModerationDeleteDialogOpen && (
+          <ModerationDeleteDialog onClose={() => setIsModerationDeleteDialogOpen(false)} onDelete={deleteContent} />
+        )}
+
+        {moderationNotes?.length > 0 && <ModerationNotes moderationNotes={moderationNotes} />}
+
         {!contentObject.parent_id && contentObject.title && (
           <Heading sx={{ overflow: 'auto', wordWrap: 'break-word' }} as="h1">
             {contentObject.title}
           </Heading>
         )}
+
+        {!contentObject.parent_id && contentObject.tags?.length > 0 && (
+          <LabelGroup sx={{ mt: 2 }}>
+            {contentObject.tags.map((tag) => (
+              <Link key={tag} href={`/tags/${tag}/1`} prefetch={false}>
+                <Label sx={{ cursor: 'pointer' }}>{tag}</Label>
+              </Link>
+            ))}
+          </LabelGroup>
+        )}
       </Box>
       <Box sx={{ overflow: 'hidden' }}>
         <Viewer value={contentObject.body} clobberPrefix={`${contentObject.owner_username}-content-`} />
@@ -252,7 +796,7 @@ function ViewMode({ setComponentMode, contentObject, isPageRootOwner, viewFrame
             <LinkIcon size={16} /> Fonte:{' '}
             <Link
               href={contentObject.source_url}
-              rel={isTrustedDomain(contentObject.source_url) ? undefined : 'nofollow'}>
+              rel={shouldAddNofollow(contentObject.source_url) ? 'nofollow' : undefined}>
               {contentObject.source_url}
             </Link>
           </Text>
@@ -264,6 +808,7 @@ function ViewMode({ setComponentMode, contentObject, isPageRootOwner, viewFrame
 
 function EditMode({ contentObject, setContentObject, setComponentMode, localStorageKey }) {
   const { user, fetchUser } = useUser();
+  const { mutate } = useSWRConfig();
   const router = useRouter();
   const [globalErrorMessage, setGlobalErrorMessage] = useState(false);
   const [isPosting, setIsPosting] = useState(false);
@@ -272,10 +817,19 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
     title: contentObject?.title || '',
     body: contentObject?.body || '',
     source_url: contentObject?.source_url || '',
+    tags: contentObject?.tags?.join(', ') || '',
+    scheduled_for: '',
     isSponsoredContent: contentObject?.type === 'ad',
   });
+  const [moderationReason, setModerationReason] = useState('');
   const [titlePlaceholder, setTitlePlaceholder] = useState('');
 
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+
+  const isModeratorEdit = !!contentObject?.id && !!user && contentObject.owner_id !== user.id;
+  const isDraftAutosaveEnabled =
+    !!contentObject?.id && contentObject.status === 'draft' && !!user && contentObject.owner_id === user.id;
+
   const confirm = useConfirm();
 
   useEffect(() => {
@@ -304,6 +858,39 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
     setTitlePlaceholder(randomTitlePlaceholder());
   }, []);
 
+  useEffect(() => {
+    if (!isDraftAutosaveEnabled || isPosting) return;
+
+    const changedData = {};
+
+    if (newData.title !== (contentObject.title || '')) changedData.title = newData.title;
+    if (newData.body !== (contentObject.body || '')) changedData.body = newData.body;
+    if (newData.source_url !== (contentObject.source_url || '')) changedData.source_url = newData.source_url || null;
+
+    if (!Object.keys(changedData).length) return;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify(changedData),
+        });
+
+        if (!response.ok) return;
+
+        setContentObject(await response.json());
+        setDraftSavedAt(new Date());
+      } catch {
+        // The draft is still kept in localStorage, so the next change tries again.
+      }
+    }, DRAFT_AUTOSAVE_DELAY_IN_MS);
+
+    return () => clearTimeout(timeout);
+  }, [contentObject, isDraftAutosaveEnabled, isPosting, newData, setContentObject]);
+
   const handleSubmit = useCallback(
     async (event) => {
       event.preventDefault();
@@ -339,16 +926,25 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
       const title = newData.title;
       const body = newData.body;
       const sourceUrl = newData.source_url;
+      const tags = (newData.tags || '')
+        .split(',')
+        .map((tag) => tag.trim())
+        .filter(Boolean);
 
       const requestMethod = contentObject?.id ? 'PATCH' : 'POST';
       const requestUrl = contentObject?.id
         ? `/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}`
         : `/api/v1/contents`;
+      const isScheduling = !contentObject?.id && !contentObject?.parent_id && !!newData.scheduled_for;
       const requestBody = {
-        status: 'published',
+        status: isScheduling ? 'draft' : 'published',
         type: newData.isSponsoredContent ? 'ad' : 'content',
       };
 
+      if (isScheduling) {
+        requestBody.scheduled_for = new Date(newData.scheduled_for).toISOString();
+      }
+
       if (title || contentObject?.title) {
         requestBody.title = title;
       }
@@ -361,10 +957,18 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
         requestBody.source_url = sourceUrl || null;
       }
 
+      if (!contentObject?.parent_id && (tags.length || contentObject?.tags)) {
+        requestBody.tags = tags;
+      }
+
       if (contentObject?.parent_id) {
         requestBody.parent_id = contentObject.parent_id;
       }
 
+      if (isModeratorEdit) {
+        requestBody.moderation_reason = moderationReason;
+      }
+
       fetch(requestUrl, {
         method: requestMethod,
         headers: {
@@ -410,6 +1014,13 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
               return;
             }
 
+            if (responseBody.scheduled_for) {
+              setNewData(EMPTY_CONTENT_DATA);
+              setIsPosting(false);
+              mutate('/api/v1/contents/scheduled');
+              return;
+            }
+
             if (!responseBody.parent_id) {
               localStorage.setItem('justPublishedNewRootContent', true);
               router.push(`/${responseBody.owner_username}/${responseBody.slug}`);
@@ -438,7 +1049,20 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
         }
       }
     },
-    [confirm, contentObject, localStorageKey, newData, router, setComponentMode, setContentObject, user, fetchUser],
+    [
+      confirm,
+      contentObject,
+      isModeratorEdit,
+      localStorageKey,
+      moderationReason,
+      newData,
+      router,
+      setComponentMode,
+      setContentObject,
+      user,
+      fetchUser,
+      mutate,
+    ],
   );
 
   const handleChange = useCallback(
@@ -457,7 +1081,7 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
 
   const handleCancel = useCallback(async () => {
     const confirmCancel =
-      newData.title || newData.body || newData.source_url
+      newData.title || newData.body || newData.source_url || newData.tags
         ? await confirm({
             title: 'Tem certeza que deseja sair da edição?',
             content: 'Os dados não salvos serão perdidos.',
@@ -493,6 +1117,12 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
     [handleCancel, handleSubmit, isPosting],
   );
 
+  function getSubmitLabel() {
+    if (contentObject?.id) return 'Atualizar';
+    if (newData.scheduled_for && !contentObject?.parent_id) return 'Agendar';
+    return 'Publicar';
+  }
+
   return (
     <Box sx={{ mb: 4, width: '100%' }}>
       <form onSubmit={handleSubmit} style={{ width: '100%' }} noValidate>
@@ -568,6 +1198,54 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
             </FormControl>
           )}
 
+          {!contentObject?.parent_id && (
+            <FormControl id="tags">
+              <FormControl.Label>Tags</FormControl.Label>
+              <TextInput
+                contrast
+                sx={{ px: 2, '&:focus-within': { backgroundColor: 'canvas.default' } }}
+                onChange={handleChange}
+                onKeyDown={onKeyDown}
+                name="tags"
+                size="large"
+                autoCorrect="off"
+                autoCapitalize="off"
+                spellCheck={false}
+                placeholder="javascript, carreira"
+                block={true}
+                value={newData.tags || ''}
+              />
+
+              <FormControl.Caption>Até 5 tags separadas por vírgula.</FormControl.Caption>
+
+              {errorObject?.message?.startsWith('"tags') && (
+                <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+              )}
+            </FormControl>
+          )}
+
+          {!contentObject?.id && !contentObject?.parent_id && (
+            <FormControl id="scheduled_for">
+              <FormControl.Label>Agendar publicação</FormControl.Label>
+              <TextInput
+                contrast
+                sx={{ px: 2, '&:focus-within': { backgroundColor: 'canvas.default' } }}
+                onChange={handleChange}
+                onKeyDown={onKeyDown}
+                name="scheduled_for"
+                type="datetime-local"
+                size="large"
+                value={newData.scheduled_for || ''}
+              />
+
+              <FormControl.Caption>Deixe em branco para publicar imediatamente.</FormControl.Caption>
+
+              {errorObject?.key === 'scheduled_for' && (
+                <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+              )}
+            </FormControl>
+          )}
+
           {!contentObject?.id && !contentObject?.parent_id && (
             <FormControl>
               <Checkbox name="isSponsoredContent" onChange={handleChange} checked={newData.isSponsoredContent} />
@@ -581,11 +1259,42 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
             </FormControl>
           )}
 
+          {isModeratorEdit && (
+            <FormControl id="moderation_reason" required>
+              <FormControl.Label>Motivo da moderação</FormControl.Label>
+              <TextInput
+                contrast
+                sx={{ px: 2, '&:focus-within': { backgroundColor: 'canvas.default' } }}
+                onChange={(event) => {
+                  setErrorObject(undefined);
+                  setModerationReason(event.target.value);
+                }}
+                onKeyDown={onKeyDown}
+                name="moderation_reason"
+                size="large"
+                maxLength={255}
+                block={true}
+                value={moderationReason}
+              />
+
+              <FormControl.Caption>O motivo ficará visível no conteúdo e será enviado ao autor.</FormControl.Caption>
+
+              {errorObject?.key === 'moderation_reason' && (
+                <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+              )}
+            </FormControl>
+          )}
+
           {!contentObject?.parent_id && (
             <Text sx={{ fontSize: 1 }}>Os campos marcados com um asterisco (*) são obrigatórios.</Text>
           )}
 
           <Box sx={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center' }}>
+            {draftSavedAt && (
+              <Text sx={{ marginRight: 3, fontSize: 1, color: 'fg.muted' }}>
+                Rascunho salvo <PastTime direction="n" date={draftSavedAt} />
+              </Text>
+            )}
             {contentObject && (
               <Button
                 variant="invisible"
@@ -600,9 +1309,9 @@ function EditMode({ contentObject, setContentObject, setComponentMode, localStor
             <ButtonWithLoader
               variant="primary"
               type="submit"
-              aria-label={isPosting ? 'Carregando...' : contentObject?.id ? 'Atualizar' : 'Publicar'}
+              aria-label={isPosting ? 'Carregando...' : getSubmitLabel()}
               isLoading={isPosting}>
-              {contentObject?.id ? 'Atualizar' : 'Publicar'}
+              {getSubmitLabel()}
             </ButtonWithLoader>
           </Box>
         </Box>
@@ -2,6 +2,7 @@ import {
   AdBanner,
   Box,
   EmptyState,
+  Label,
   Link,
   Pagination,
   PastTime,
@@ -102,12 +103,25 @@ export default function ContentList({ ad, contentList: list, pagination, paginat
               sx={{
                 display: 'grid',
                 gap: 1,
-                gridTemplateColumns:
-                  'max-content max-content max-content max-content minmax(20px, max-content) max-content max-content',
+                gridTemplateColumns: contentObject.boosted_until
+                  ? 'max-content max-content max-content max-content max-content max-content minmax(20px, max-content) max-content max-content'
+                  : 'max-content max-content max-content max-content minmax(20px, max-content) max-content max-content',
                 fontSize: 0,
                 whiteSpace: 'nowrap',
                 color: 'neutral.emphasis',
               }}>
+              {contentObject.boosted_until && (
+                <>
+                  <Tooltip
+                    direction="ne"
+                    text="O autor usou TabCash para dar mais relevância temporária a esta publicação.">
+                    <Label variant="attention" size="small">
+                      impulsionado
+                    </Label>
+                  </Tooltip>
+                  {' · '}
+                </>
+              )}
               {contentObject.type === 'ad' ? (
                 <Text sx={{ color: 'success.fg' }}>Patrocinado</Text>
               ) : (
@@ -29,9 +29,8 @@ export function DefaultHead() {
       <meta name="description" content={description} key="description" />
       <meta name="robots" content="index follow" key="robots" />
 
-      {(router.asPath === '/' || router.asPath === '/recentes/pagina/1') && (
-        <link rel="alternate" type="application/rss+xml" title="TabNews: Recentes" href="/recentes/rss" />
-      )}
+      {(router.asPath === '/' || router.asPath === '/recentes/pagina/1') &&
+        getFeedLinks({ title: 'TabNews: Recentes', path: '/recentes' })}
 
       <meta property="og:site_name" content="TabNews" />
       <meta property="og:type" content={type} key="og:type" />
@@ -59,7 +58,7 @@ export function DefaultHead() {
 }
 
 export default function Head({ metadata, children }) {
-  const { type, title, description, image, url, noIndex, author, published_time, modified_time, canonical } =
+  const { type, title, description, image, url, noIndex, author, published_time, modified_time, canonical, feed } =
     metadata || {};
 
   const canonicalUrl = canonical?.startsWith('http') ? canonical : `${webserverHost}${canonical}`;
@@ -85,6 +84,8 @@ export default function Head({ metadata, children }) {
 
       {canonical && <link rel="canonical" href={canonicalUrl} key="canonical" />}
 
+      {feed && getFeedLinks(feed)}
+
       {url && (
         <>
           <meta property="og:url" content={url} key="og:url" />
@@ -118,3 +119,13 @@ export default function Head({ metadata, children }) {
     </NextHead>
   );
 }
+
+function getFeedLinks({ title, path }) {
+  return (
+    <>
+      <link rel="alternate" type="application/rss+xml" title={title} href={`${path}/rss`} key="feed:rss" />
+      <link rel="alternate" type="application/atom+xml" title={title} href={`${path}/atom`} key="feed:atom" />
+      <link rel="alternate" type="application/feed+json" title={title} href={`${path}/feed.json`} key="feed:json" />
+    </>
+  );
+}
@@ -9,6 +9,7 @@ import {
   HeaderLink,
   NavItem,
   NavList,
+  NotificationMenu,
   PrimerHeader,
   TabCashCount,
   TabCoinCount,
@@ -20,10 +21,16 @@ import {
 } from '@/TabNewsUI';
 import {
   CgTab,
+  EyeClosedIcon,
   GearIcon,
+  HistoryIcon,
+  LawIcon,
+  LinkIcon,
   ListUnorderedIcon,
   PersonIcon,
   PlusIcon,
+  ReportIcon,
+  ShieldIcon,
   SignOutIcon,
   ThreeBarsIcon,
 } from '@/TabNewsUI/icons';
@@ -50,6 +57,12 @@ export default function HeaderComponent() {
   };
 
   const canListUsers = user?.features.includes('read:user:list');
+  const canReadReports = user?.features.includes('read:report');
+  const canReadFirewall = user?.features.includes('read:firewall');
+  const canReadAppeals = user?.features.includes('read:appeal');
+  const canReadEvents = user?.features.includes('read:events');
+  const canReadQuarantine = user?.features.includes('read:quarantine');
+  const canUpdateDomainRules = user?.features.includes('update:domain_rules');
 
   return (
     <PrimerHeader as="header" id="header" sx={{ minWidth: 'max-content', px: [2, null, null, 3], overflow: 'visible' }}>
@@ -137,6 +150,10 @@ export default function HeaderComponent() {
             <TabCashCount amount={user.tabcash} sx={{ color: 'fg.onEmphasis', pr: 1 }} />
           </PrimerHeader.Item>
 
+          <PrimerHeader.Item sx={{ mr: 2 }}>
+            <NotificationMenu />
+          </PrimerHeader.Item>
+
           <PrimerHeader.Item sx={{ mr: 0 }}>
             <ActionMenu open={isOpenMenu} onOpenChange={setIsOpenMenu}>
               <ActionMenu.Anchor>
@@ -167,14 +184,76 @@ export default function HeaderComponent() {
                     <Truncate>{user.username}</Truncate>
                   </NavItem>
 
-                  {canListUsers && (
+                  {(canListUsers ||
+                    canReadReports ||
+                    canReadFirewall ||
+                    canReadAppeals ||
+                    canReadEvents ||
+                    canReadQuarantine ||
+                    canUpdateDomainRules) && (
                     <NavList.Group>
-                      <NavItem href="/moderacao/usuarios/1">
-                        <NavList.LeadingVisual>
-                          <ListUnorderedIcon />
-                        </NavList.LeadingVisual>
-                        Usuários
-                      </NavItem>
+                      {canListUsers && (
+                        <NavItem href="/moderacao/usuarios/1">
+                          <NavList.LeadingVisual>
+                            <ListUnorderedIcon />
+                          </NavList.LeadingVisual>
+                          Usuários
+                        </NavItem>
+                      )}
+
+                      {canReadReports && (
+                        <NavItem href="/moderacao/denuncias/1">
+                          <NavList.LeadingVisual>
+                            <ReportIcon />
+                          </NavList.LeadingVisual>
+                          Denúncias
+                        </NavItem>
+                      )}
+
+                      {canReadFirewall && (
+                        <NavItem href="/moderacao/firewall">
+                          <NavList.LeadingVisual>
+                            <ShieldIcon />
+                          </NavList.LeadingVisual>
+                          Firewall
+                        </NavItem>
+                      )}
+
+                      {canReadAppeals && (
+                        <NavItem href="/moderacao/recursos/1">
+                          <NavList.LeadingVisual>
+                            <LawIcon />
+                          </NavList.LeadingVisual>
+                          Recursos
+                        </NavItem>
+                      )}
+
+                      {canReadQuarantine && (
+                        <NavItem href="/moderacao/quarentena/1">
+                          <NavList.LeadingVisual>
+                            <EyeClosedIcon />
+                          </NavList.LeadingVisual>
+                          Quarentena
+                        </NavItem>
+                      )}
+
+                      {canUpdateDomainRules && (
+                        <NavItem href="/moderacao/dominios">
+                          <NavList.LeadingVisual>
+                            <LinkIcon />
+                          </NavList.LeadingVisual>
+                          Domínios
+                        </NavItem>
+                      )}
+
+                      {canReadEvents && (
+                        <NavItem href="/moderacao/auditoria">
+                          <NavList.LeadingVisual>
+                            <HistoryIcon />
+                          </NavList.LeadingVisual>
+                          Auditoria
+                        </NavItem>
+                      )}
                     </NavList.Group>
                   )}
 
@@ -1,16 +1,20 @@
-import { isTrustedDomain } from '@tabnews/helpers';
 import { MarkdownEditor, MarkdownViewer } from '@tabnews/ui/markdown';
 
-const shouldAddNofollow = (url) => !isTrustedDomain(url);
+import { mentionParser, useLinkPolicies } from 'pages/interface';
 
 export default function Viewer(props) {
+  const { shouldAddNofollow } = useLinkPolicies();
+
   return MarkdownViewer({
     shouldAddNofollow,
     ...props,
+    value: mentionParser.linkMentions(props.value),
   });
 }
 
 export function Editor(props) {
+  const { shouldAddNofollow } = useLinkPolicies();
+
   return MarkdownEditor({
     shouldAddNofollow,
     ...props,
@@ -0,0 +1,146 @@
+import { useRouter } from 'next/router';
+import { useState } from 'react';
+import useSWR from 'swr';
+
+import { ActionList, AnchoredOverlay, Box, Button, CounterLabel, IconButton, PastTime, Text } from '@/TabNewsUI';
+import { BellIcon, CheckIcon, CommentIcon, GiftIcon, ShieldIcon, SquareFillIcon } from '@/TabNewsUI/icons';
+
+const NOTIFICATIONS_PER_PAGE = 10;
+
+const typeIcons = {
+  'content:reply': CommentIcon,
+  'content:tabcoins:milestone': SquareFillIcon,
+  'content:tip': GiftIcon,
+  'firewall:user_disabled': ShieldIcon,
+  'firewall:content_deleted': ShieldIcon,
+  'ban:user:suspended': ShieldIcon,
+  'content:moderated': ShieldIcon,
+};
+
+export default function NotificationMenu({ sx }) {
+  const router = useRouter();
+  const [isOpen, setIsOpen] = useState(false);
+
+  const {
+    data: { headers: unreadHeaders },
+    mutate: unreadMutate,
+  } = useSWR('/api/v1/notifications?read=false&per_page=1', {
+    fallbackData: { body: [], headers: {} },
+    refreshInterval: 60_000,
+  });
+
+  const {
+    data: { body: notifications },
+    mutate: notificationsMutate,
+  } = useSWR(isOpen ? `/api/v1/notifications?per_page=${NOTIFICATIONS_PER_PAGE}` : null, {
+    fallbackData: { body: [], headers: {} },
+  });
+
+  const unreadCount = Number(unreadHeaders.get?.('X-Pagination-Total-Rows')) || 0;
+
+  async function markAsRead(ids) {
+    await fetch('/api/v1/notifications', {
+      method: 'PATCH',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(ids ? { read: true, ids } : { read: true }),
+    });
+
+    unreadMutate();
+    notificationsMutate();
+  }
+
+  async function handleSelect(notification) {
+    setIsOpen(false);
+
+    if (!notification.read_at) {
+      await markAsRead([notification.id]);
+    }
+
+    if (notification.url) {
+      router.push(notification.url);
+    }
+  }
+
+  return (
+    <AnchoredOverlay
+      open={isOpen}
+      onOpen={() => setIsOpen(true)}
+      onClose={() => setIsOpen(false)}
+      width="large"
+      align="end"
+      renderAnchor={(anchorProps) => (
+        <Box sx={{ display: 'flex', alignItems: 'center', position: 'relative', ...sx }}>
+          <IconButton
+            {...anchorProps}
+            aria-label={unreadCount ? `Notificações (${unreadCount} não lidas)` : 'Notificações'}
+            icon={BellIcon}
+            variant="invisible"
+            sx={{
+              color: 'header.logo',
+              '&:hover': {
+                color: 'header.text',
+                backgroundColor: 'transparent',
+              },
+              '&:focus-visible': { outline: '2px solid #FFF' },
+            }}
+          />
+          {unreadCount > 0 && (
+            <CounterLabel
+              scheme="primary"
+              sx={{
+                position: 'absolute',
+                top: -2,
+                right: -4,
+                pointerEvents: 'none',
+                backgroundColor: 'danger.emphasis',
+              }}>
+              {unreadCount > 99 ? '99+' : unreadCount}
+            </CounterLabel>
+          )}
+        </Box>
+      )}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 3, pt: 3 }}>
+        <Text sx={{ fontWeight: 'bold' }}>Notificações</Text>
+        {unreadCount > 0 && (
+          <Button size="small" variant="invisible" leadingVisual={CheckIcon} onClick={() => markAsRead()}>
+            Marcar todas como lidas
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ maxHeight: '60vh', overflowY: 'auto' }}>
+        {notifications.length === 0 ? (
+          <Text as="p" sx={{ m: 3, textAlign: 'center', color: 'fg.muted' }}>
+            Nenhuma notificação.
+          </Text>
+        ) : (
+          <ActionList>
+            {notifications.map((notification) => {
+              const Icon = typeIcons[notification.type] ?? BellIcon;
+
+              return (
+                <ActionList.Item
+                  key={notification.id}
+                  onSelect={() => handleSelect(notification)}
+                  sx={{ color: notification.read_at ? 'fg.muted' : 'fg.default' }}>
+                  <ActionList.LeadingVisual>
+                    <Icon />
+                  </ActionList.LeadingVisual>
+                  <Text sx={{ fontWeight: notification.read_at ? 'normal' : 'semibold', wordBreak: 'break-word' }}>
+                    {notification.title}
+                  </Text>
+                  <ActionList.Description variant="block">
+                    <PastTime direction="n" date={notification.created_at} />
+                  </ActionList.Description>
+                </ActionList.Item>
+              );
+            })}
+          </ActionList>
+        )}
+      </Box>
+    </AnchoredOverlay>
+  );
+}
@@ -0,0 +1,30 @@
+import { TabNav, TabNavLink } from '@/TabNewsUI';
+
+export default function ProfileTabNav() {
+  return (
+    <TabNav sx={{ width: '100%', mb: 3 }}>
+      <TabNavLink href="/perfil">Editar perfil</TabNavLink>
+      <TabNavLink
+        href={{
+          pathname: '/perfil/salvos/[page]',
+          query: { page: 1 },
+        }}>
+        Salvos
+      </TabNavLink>
+      <TabNavLink
+        href={{
+          pathname: '/perfil/extrato/[page]',
+          query: { page: 1 },
+        }}>
+        Extrato
+      </TabNavLink>
+      <TabNavLink
+        href={{
+          pathname: '/perfil/anuncios/[page]',
+          query: { page: 1 },
+        }}>
+        Anúncios
+      </TabNavLink>
+    </TabNav>
+  );
+}
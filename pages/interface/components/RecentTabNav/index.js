@@ -31,6 +31,13 @@ export default function RecentTabNav() {
         }}>
         Todos
       </TabNavLink>
+      <TabNavLink
+        href={{
+          pathname: '/recentes/seguindo/[page]',
+          query: { page: 1 },
+        }}>
+        Seguindo
+      </TabNavLink>
     </TabNav>
   );
 }
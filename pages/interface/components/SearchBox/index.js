@@ -1,9 +1,22 @@
 import { useEffect, useRef, useState } from 'react';
 
-import { ActionList, Box, Button, Heading, IconButton, Overlay, Spinner } from '@/TabNewsUI';
+import {
+  ActionList,
+  Box,
+  Button,
+  Flash,
+  IconButton,
+  Link,
+  Overlay,
+  PastTime,
+  Spinner,
+  Text,
+  TextInput,
+} from '@/TabNewsUI';
 import { SearchIcon, XCircleFillIcon } from '@/TabNewsUI/icons';
 
-const searchURL = process.env.NEXT_PUBLIC_SEARCH_URL + process.env.NEXT_PUBLIC_SEARCH_ID;
+const SEARCH_RESULTS_PER_PAGE = 10;
+const SEARCH_DEBOUNCE_MS = 300;
 
 export default function useSearchBox() {
   const [isOpen, setIsOpen] = useState(false);
@@ -77,23 +90,61 @@ export default function useSearchBox() {
   }
 
   function SearchBoxOverlay() {
-    const [isLoading, setIsLoading] = useState(true);
+    const [query, setQuery] = useState('');
+    const [results, setResults] = useState([]);
+    const [totalRows, setTotalRows] = useState(0);
+    const [isLoading, setIsLoading] = useState(false);
+    const [errorMessage, setErrorMessage] = useState(undefined);
     const inputRef = useRef(null);
-    const suggestionsRef = useRef(null);
 
-    const onInputRender = (input) => {
-      setIsLoading(false);
-      input.focus();
-      inputRef.current = input;
-    };
+    useEffect(() => {
+      const trimmedQuery = query.trim();
 
-    const onSuggestionsRender = (suggestionsBox) => {
-      suggestionsRef.current = suggestionsBox;
-    };
+      if (!trimmedQuery) {
+        setResults([]);
+        setTotalRows(0);
+        setErrorMessage(undefined);
+        return;
+      }
+
+      const controller = new AbortController();
+
+      const timeout = setTimeout(async () => {
+        setIsLoading(true);
+
+        try {
+          const searchParams = new URLSearchParams({ q: trimmedQuery, per_page: SEARCH_RESULTS_PER_PAGE });
+          const response = await fetch(`/api/v1/search?${searchParams.toString()}`, { signal: controller.signal });
+          const responseBody = await response.json();
+
+          if (response.status === 200) {
+            setResults(responseBody);
+            setTotalRows(Number(response.headers.get('X-Pagination-Total-Rows')) || 0);
+            setErrorMessage(undefined);
+          } else {
+            setResults([]);
+            setTotalRows(0);
+            setErrorMessage(responseBody.message);
+          }
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            setResults([]);
+            setTotalRows(0);
+            setErrorMessage('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+          }
+        }
+
+        setIsLoading(false);
+      }, SEARCH_DEBOUNCE_MS);
+
+      return () => {
+        clearTimeout(timeout);
+        controller.abort();
+      };
+    }, [query]);
 
     const handleClose = () => {
       setIsOpen(false);
-      clearGoogleBox();
     };
 
     if (!isOpen) return null;
@@ -101,10 +152,11 @@ export default function useSearchBox() {
     return (
       <Overlay
         returnFocusRef={buttonRef}
-        ignoreClickRefs={[suggestionsRef, buttonRef]}
+        initialFocusRef={inputRef}
+        ignoreClickRefs={[buttonRef]}
         onEscape={handleClose}
         onClickOutside={handleClose}
-        aria-labelledby="Pesquisar com o Google"
+        aria-labelledby="Pesquisar no TabNews"
         top={32}
         left={'50vw'}
         anchorSide="inside-center"
@@ -120,42 +172,45 @@ export default function useSearchBox() {
           borderStyle: 'solid',
           borderWidth: '1px',
           borderColor: 'border.default',
-          backgroundColor: '#FFF',
           transform: 'translateX(-50%)',
         }}>
-        <Box sx={isLoading ? { height: '138px' } : { overflowY: 'auto', minHeight: '138px' }}>
-          <Box sx={{ display: 'flex', justifyContent: 'space-between', p: '13px', pb: '0' }}>
-            <Heading sx={{ flex: 1, textAlign: 'center', fontSize: 3, color: '#444444' }}>
-              Pesquisar com o Google
-            </Heading>
-            <IconButton icon={XCircleFillIcon} variant="invisible" onClick={handleClose} />
-          </Box>
-
-          <GoogleBox onInputRender={onInputRender} onSuggestionsRender={onSuggestionsRender} />
-
-          <Box sx={{ display: 'flex', justifyContent: 'center', height: '26px', pt: '20px' }}>
-            {isLoading && <Spinner size="medium" />}
-          </Box>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', p: 3 }}>
+          <TextInput
+            ref={inputRef}
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+            leadingVisual={SearchIcon}
+            trailingVisual={isLoading ? <Spinner size="small" /> : undefined}
+            placeholder="Pesquisar no TabNews"
+            aria-label="Pesquisar no TabNews"
+            autoComplete="off"
+            size="large"
+            block
+          />
+          <IconButton aria-label="Fechar" icon={XCircleFillIcon} variant="invisible" onClick={handleClose} />
         </Box>
 
-        <style jsx global>{`
-          .gsc-input-box {
-            border-radius: 6px !important;
-          }
-          .gsc-search-button-v2 {
-            border-radius: 6px !important;
-            cursor: pointer;
-            padding: 8px !important;
-            background-color: #21262d !important;
-          }
-          .gsc-input {
-            color-scheme: light !important;
-          }
-          .gssb_c {
-            color: #444444;
-            left: max(calc(5vw + 16px), calc(50vw - 434px)) !important;
-          }
-        `}</style>
+        <Box sx={{ overflowY: 'auto', px: 3, pb: 3 }}>
+          {errorMessage && <Flash variant="danger">{errorMessage}</Flash>}
+
+          {!errorMessage && query.trim() && !isLoading && results.length === 0 && (
+            <Text sx={{ color: 'fg.muted' }}>Nenhum conteúdo encontrado.</Text>
+          )}
+
+          {results.length > 0 && (
+            <>
+              <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, p: 0, m: 0, listStyle: 'none' }}>
+                {results.map((contentObject) => (
+                  <SearchResultItem key={contentObject.id} contentObject={contentObject} onSelect={handleClose} />
+                ))}
+              </Box>
+
+              <Text as="p" sx={{ mt: 3, mb: 0, fontSize: 0, color: 'fg.muted' }}>
+                {totalRows > 1 ? `${totalRows} resultados encontrados` : `${totalRows} resultado encontrado`}
+              </Text>
+            </>
+          )}
+        </Box>
       </Overlay>
     );
   }
@@ -169,104 +224,27 @@ export default function useSearchBox() {
   };
 }
 
-function GoogleBox({ onInputRender = () => {}, onSuggestionsRender = () => {} } = {}) {
-  useEffect(() => {
-    const script = document.createElement('script');
-    script.src = searchURL;
-    document.head.append(script);
-
-    const waitInputBox = waitForElm('.gsc-input-box');
-    const waitSuggestionBox = waitForElm('.gssb_c');
-    const waitAboveResultsBox = waitForElm('.gsc-above-wrapper-area');
-
-    (async () => {
-      const inputBox = await waitInputBox.start();
-      const input = inputBox.querySelector('input');
-      onInputRender(input);
-
-      const suggestionBox = await waitSuggestionBox.start();
-      onSuggestionsRender(suggestionBox);
-    })();
-
-    (async () => {
-      const aboveResultsBox = await waitAboveResultsBox.start();
-      aboveResultsBox.style.display = 'block';
-    })();
-
-    return () => {
-      waitInputBox.cancel();
-      waitSuggestionBox.cancel();
-      waitAboveResultsBox.cancel();
-    };
-  }, [onInputRender, onSuggestionsRender]);
-
-  return <div className="gcse-search" data-linktarget="_self"></div>;
-}
-
-function clearGoogleBox() {
-  Array.from(document.getElementsByTagName('script')).forEach((elm) => {
-    if (elm.src?.includes('google.com/')) {
-      elm.remove();
-    }
-  });
-
-  Array.from(document.getElementsByTagName('link')).forEach((elm) => {
-    if (elm.href?.includes('google.com/')) {
-      elm.remove();
-    }
-  });
-
-  Array.from(document.getElementsByTagName('style')).forEach((elm) => {
-    if (
-      elm.href?.includes('google.com/') ||
-      elm.textContent?.includes('.gsc-refinementsGradient') ||
-      elm.textContent?.includes('.gsc-completion-container')
-    ) {
-      elm.remove();
-    }
-  });
-
-  document.querySelectorAll('.gssb_c').forEach((elm) => elm.remove());
-
-  let elm = document.getElementById('private_ratings');
-
-  while (elm) {
-    elm.parentElement?.remove();
-    elm = document.getElementById('private_ratings');
-  }
-}
-
-function waitForElm(selector) {
-  let observer;
-
-  const start = () => {
-    return new Promise((resolve) => {
-      if (document.querySelector(selector)) {
-        return resolve(document.querySelector(selector));
-      }
-
-      observer = new MutationObserver(() => {
-        if (document.querySelector(selector)) {
-          resolve(document.querySelector(selector));
-          observer.disconnect();
-        }
-      });
-
-      observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-      });
-    });
-  };
-
-  const cancel = () => {
-    if (observer) {
-      observer.disconnect();
-    }
-  };
-
-  return {
-    cancel,
-    start,
-  };
+function SearchResultItem({ contentObject, onSelect }) {
+  const title = contentObject.title ?? `Resposta de ${contentObject.owner_username}`;
+
+  return (
+    <Box as="li">
+      <Link
+        href={`/${contentObject.owner_username}/${contentObject.slug}`}
+        onClick={onSelect}
+        sx={{ fontWeight: 'semibold', wordBreak: 'break-word' }}>
+        {title}
+      </Link>
+
+      {contentObject.body && (
+        <Text as="p" sx={{ m: 0, fontSize: 1, color: 'fg.muted', wordBreak: 'break-word' }}>
+          {contentObject.body}
+        </Text>
+      )}
+
+      <Text sx={{ fontSize: 0, color: 'neutral.emphasis' }}>
+        {contentObject.owner_username} · <PastTime direction="n" date={contentObject.published_at} />
+      </Text>
+    </Box>
+  );
 }
@@ -2,27 +2,40 @@ export { CgTab } from 'react-icons/cg';
 export { FaPause, FaPlay, FaTree, FaUser } from 'react-icons/fa';
 export {
   AlertFillIcon,
+  BellIcon,
+  BookmarkFillIcon,
+  BookmarkIcon,
+  CheckIcon,
   ChevronDownIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   ChevronUpIcon,
   CircleSlashIcon,
+  ClockIcon,
   CommentDiscussionIcon,
   CommentIcon,
   EyeClosedIcon,
   EyeIcon,
   FoldIcon,
   GearIcon,
+  GiftIcon,
+  HistoryIcon,
   HomeIcon,
   KebabHorizontalIcon,
+  LawIcon,
   LinkExternalIcon,
   LinkIcon,
   ListUnorderedIcon,
+  MegaphoneIcon,
   MoonIcon,
   PencilIcon,
+  PeopleIcon,
   PersonIcon,
   PlusIcon,
+  ReportIcon,
+  RocketIcon,
   SearchIcon,
+  ShieldIcon,
   SignOutIcon,
   ShareIcon,
   SquareFillIcon,
@@ -10,8 +10,10 @@ export { default as Footer } from '@/Footer';
 export { default as Header } from '@/Header';
 export { HeaderLink, Link, NavItem, default as NextLink, TabNavLink } from '@/Link';
 export { Editor, default as Viewer } from '@/Markdown';
+export { default as NotificationMenu } from '@/NotificationMenu';
 export { default as Pagination } from '@/Pagination';
 export { default as PastTime } from '@/PastTime';
+export { default as ProfileTabNav } from '@/ProfileTabNav';
 export { default as NextNProgress } from '@/Progressbar';
 export { default as ReadTime } from '@/ReadTime';
 export { default as RecentTabNav } from '@/RecentTabNav';
@@ -37,6 +39,7 @@ export {
   Button,
   Checkbox,
   CounterLabel,
+  Dialog,
   Flash,
   FormControl,
   Heading,
@@ -46,6 +49,7 @@ export {
   NavList,
   Overlay,
   SegmentedControl,
+  Select,
   Spinner,
   TabNav,
   Text,
@@ -56,4 +60,4 @@ export {
   useTheme,
 } from '@tabnews/ui';
 
-export { Header as PrimerHeader, Link as PrimerLink } from '@tabnews/ui/primer';
+export { Header as PrimerHeader, Link as PrimerLink, Textarea } from '@tabnews/ui/primer';
@@ -1,15 +1,47 @@
-import { Box, CounterLabel, Heading, TabNav, TabNavLink } from '@/TabNewsUI';
+import { useState } from 'react';
+import useSWR from 'swr';
+
+import { Box, Button, CounterLabel, Heading, TabNav, TabNavLink, Text } from '@/TabNewsUI';
+import { useUser } from 'pages/interface';
 
 export default function UserHeader({ username, children, rootContentCount, childContentCount, adContentCount }) {
+  const { user } = useUser();
+  const followUrl = `/api/v1/users/${username}/follow`;
+
+  const {
+    data: { body: followSummary },
+    mutate,
+  } = useSWR(followUrl, {
+    fallbackData: { body: null, headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  const canFollow = user && user.username !== username && user.features?.includes('create:follow');
+
   return (
     <>
-      <Box sx={{ width: '100%', display: 'flex', flexWrap: 'wrap', gap: 2, mb: 3 }}>
+      <Box sx={{ width: '100%', display: 'flex', flexWrap: 'wrap', gap: 2, mb: followSummary ? 1 : 3 }}>
         <Heading as="h1" sx={{ wordBreak: 'break-word' }}>
           {username}
         </Heading>
+        {canFollow && followSummary && (
+          <FollowButton followUrl={followUrl} followSummary={followSummary} onChange={mutate} />
+        )}
         {children}
       </Box>
 
+      {followSummary && (
+        <Box sx={{ width: '100%', display: 'flex', gap: 3, mb: 3, color: 'fg.muted', fontSize: 1 }}>
+          <Text>
+            <Text sx={{ fontWeight: 'bold', color: 'fg.default' }}>{followSummary.followers_count}</Text>{' '}
+            {followSummary.followers_count === 1 ? 'seguidor' : 'seguidores'}
+          </Text>
+          <Text>
+            <Text sx={{ fontWeight: 'bold', color: 'fg.default' }}>{followSummary.following_count}</Text> seguindo
+          </Text>
+        </Box>
+      )}
+
       <TabNav sx={{ width: '100%', mb: 3 }}>
         <TabNavLink href={`/${username}`}>Perfil</TabNavLink>
 
@@ -40,3 +72,31 @@ export default function UserHeader({ username, children, rootContentCount, child
     </>
   );
 }
+
+function FollowButton({ followUrl, followSummary, onChange }) {
+  const [isPosting, setIsPosting] = useState(false);
+
+  async function handleClick() {
+    setIsPosting(true);
+
+    const response = await fetch(followUrl, { method: followSummary.following ? 'DELETE' : 'POST' });
+
+    if (response.ok) {
+      const responseBody = await response.json();
+      await onChange({ body: responseBody, headers: response.headers }, { revalidate: false });
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <Button
+      variant={followSummary.following ? 'default' : 'primary'}
+      size="small"
+      sx={{ alignSelf: 'center' }}
+      disabled={isPosting}
+      onClick={handleClick}>
+      {followSummary.following ? 'Deixar de seguir' : 'Seguir'}
+    </Button>
+  );
+}
@@ -77,6 +77,12 @@ function UserListItem({ user }) {
                 nuked
               </Label>
             )}
+            {user.suspension && (
+              <Label variant="attention" sx={{ ml: 1 }} title={`Motivo: ${user.suspension.reason}`}>
+                {user.suspension.ban_type === 'read_only' ? 'somente leitura' : 'suspenso'} até{' '}
+                {new Date(user.suspension.ends_at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}
+              </Label>
+            )}
           </Link>
         </Box>
         {user.description && (
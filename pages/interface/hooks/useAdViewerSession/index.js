@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react';
+
+const storageKey = 'adViewerSession';
+
+export default function useAdViewerSession() {
+  const [viewerSession, setViewerSession] = useState();
+
+  useEffect(() => {
+    try {
+      let storedViewerSession = sessionStorage.getItem(storageKey);
+
+      if (!storedViewerSession) {
+        storedViewerSession = crypto.randomUUID();
+        sessionStorage.setItem(storageKey, storedViewerSession);
+      }
+
+      setViewerSession(storedViewerSession);
+    } catch {
+      setViewerSession(null);
+    }
+  }, []);
+
+  return viewerSession;
+}
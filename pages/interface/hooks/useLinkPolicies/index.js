@@ -0,0 +1,20 @@
+import useSWR, { useSWRConfig } from 'swr';
+
+import { linkPoliciesKey, shouldAddNofollow } from '../../utils/link-policies';
+
+export default function useLinkPolicies() {
+  const { fallback } = useSWRConfig();
+
+  const {
+    data: { body: linkPolicies },
+  } = useSWR(linkPoliciesKey, {
+    fallbackData: fallback?.[linkPoliciesKey] ?? { body: {}, headers: {} },
+    revalidateOnFocus: false,
+    revalidateIfStale: false,
+  });
+
+  return {
+    linkPolicies,
+    shouldAddNofollow: (url) => shouldAddNofollow(url, linkPolicies),
+  };
+}
@@ -1,9 +1,13 @@
 export { default as Analytics } from './components/Analytics';
 export { DefaultHead, default as Head } from './components/Head';
+export { default as useAdViewerSession } from './hooks/useAdViewerSession';
 export { default as useCollapse } from './hooks/useCollapse';
+export { default as useLinkPolicies } from './hooks/useLinkPolicies';
 export { default as useMediaQuery } from './hooks/useMediaQuery';
 export { UserProvider, default as useUser } from './hooks/useUser';
 export { default as suggestEmail } from './utils/email-suggestion';
 export { default as createErrorMessage } from './utils/error-message';
 export { default as isValidJsonString } from './utils/is-valid-json-string';
+export { getLinkPoliciesFallback, shouldAddNofollow } from './utils/link-policies';
+export { default as mentionParser } from './utils/mention-parser';
 export { default as processNdJsonStream } from './utils/nd-json-stream';
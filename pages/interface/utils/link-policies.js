@@ -0,0 +1,17 @@
+import { getDomain, isTrustedDomain } from '@tabnews/helpers';
+
+export const linkPoliciesKey = '/api/v1/domain_rules/link_policies';
+
+export function getLinkPoliciesFallback(linkPolicies) {
+  return { [linkPoliciesKey]: { body: linkPolicies, headers: {} } };
+}
+
+export function shouldAddNofollow(url, linkPolicies) {
+  const domain = getDomain(url);
+  const matches = (policyDomain) => domain === policyDomain || domain?.endsWith(`.${policyDomain}`);
+
+  if (linkPolicies?.nofollow?.some(matches)) return true;
+  if (linkPolicies?.allow?.some(matches)) return false;
+
+  return !isTrustedDomain(url);
+}
@@ -0,0 +1,37 @@
+const protectedSegmentsRegex = /(```[\s\S]*?(?:```|$)|~~~[\s\S]*?(?:~~~|$)|`[^`\n]*`|!?\[[^\]\n]*\]\([^)\n]*\))/g;
+
+const mentionRegex = /(^|[^\p{L}\p{N}_@/[\].:])@([a-zA-Z0-9]{3,30})(?![a-zA-Z0-9])/gu;
+
+function extractMentions(markdown) {
+  const usernames = new Map();
+
+  forEachTextSegment(markdown, (segment) => {
+    for (const match of segment.matchAll(mentionRegex)) {
+      const username = match[2];
+      if (!usernames.has(username.toLowerCase())) usernames.set(username.toLowerCase(), username);
+    }
+    return segment;
+  });
+
+  return [...usernames.values()];
+}
+
+function linkMentions(markdown) {
+  return forEachTextSegment(markdown, (segment) =>
+    segment.replace(mentionRegex, (_, prefix, username) => `${prefix}[@${username}](/${username})`),
+  );
+}
+
+function forEachTextSegment(markdown, callback) {
+  if (!markdown) return markdown;
+
+  return markdown
+    .split(protectedSegmentsRegex)
+    .map((segment, index) => (index % 2 === 0 ? callback(segment) : segment))
+    .join('');
+}
+
+export default Object.freeze({
+  extractMentions,
+  linkMentions,
+});
@@ -0,0 +1,326 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  DefaultLayout,
+  EmptyState,
+  FormControl,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  PastTime,
+  Select,
+  Text,
+  TextInput,
+} from '@/TabNewsUI';
+import { HistoryIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/moderacao/auditoria';
+
+const eventTypes = [
+  'create:user',
+  'update:user',
+  'ban:user',
+  'create:content:text_root',
+  'create:content:text_child',
+  'update:content:text_root',
+  'update:content:text_child',
+  'update:content:tabcoins',
+  'update:content:boost',
+  'update:content:tip',
+  'create:firewall:rules',
+  'update:firewall:rules',
+  'create:domain_rules',
+  'update:domain_rules',
+  'delete:domain_rules',
+  'firewall:block_users',
+  'firewall:block_contents:text_root',
+  'firewall:block_contents:text_child',
+  'firewall:quarantine_users',
+  'firewall:block_tips',
+  'moderation:block_users',
+  'moderation:block_contents:text_root',
+  'moderation:block_contents:text_child',
+  'moderation:unblock_users',
+  'moderation:unblock_contents:text_root',
+  'moderation:unblock_contents:text_child',
+  'moderation:quarantine_users',
+  'moderation:unquarantine_users',
+  'moderation:unblock_tips',
+  'moderation:review_reports',
+  'moderation:review_appeals',
+  'moderation:review_quarantine',
+  'reward:user:tabcoins',
+  'system:update:tabcoins',
+  'system:unban:user',
+];
+
+const filterFields = {
+  originator_user_id: 'ID do autor da ação',
+  target_user_id: 'ID do usuário afetado',
+  target_content_id: 'ID do conteúdo afetado',
+};
+
+const dateFields = {
+  created_after: 'A partir de',
+  created_before: 'Até',
+};
+
+const emptyFilters = {
+  type: '',
+  originator_user_id: '',
+  target_user_id: '',
+  target_content_id: '',
+  created_after: '',
+  created_before: '',
+};
+
+export default function AuditPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const [filtersInput, setFiltersInput] = useState(emptyFilters);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    previousPage: null,
+    nextPage: null,
+  });
+
+  const page = router.query.page || 1;
+  const filters = Object.fromEntries(
+    Object.keys(emptyFilters).map((key) => [key, typeof router.query[key] === 'string' ? router.query[key] : '']),
+  );
+
+  const isLoading = userIsLoading || !router.isReady;
+  const shouldFetch = !isLoading && user?.features?.includes('read:events');
+
+  const searchParams = new URLSearchParams({ page });
+  Object.entries(filters).forEach(([key, value]) => {
+    if (!value) return;
+    searchParams.set(key, dateFields[key] ? toApiDate(key, value) : value);
+  });
+
+  const {
+    data: { body: events, headers },
+    isLoading: eventsAreLoading,
+    error,
+  } = useSWR(shouldFetch ? `/api/v1/events?${searchParams}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!router.isReady) return;
+
+    setFiltersInput(
+      Object.fromEntries(
+        Object.keys(emptyFilters).map((key) => [key, typeof router.query[key] === 'string' ? router.query[key] : '']),
+      ),
+    );
+  }, [router.isReady, router.query]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    if (!linkHeader) return;
+
+    setPagination({
+      currentPage: page,
+      previousPage: linkHeader.prev?.page,
+      nextPage: linkHeader.next?.page,
+    });
+  }, [headers, page, shouldFetch]);
+
+  function getPageUrl(newPage, newFilters = filters) {
+    const pageSearchParams = new URLSearchParams({ page: newPage });
+
+    Object.entries(newFilters).forEach(([key, value]) => {
+      if (value) pageSearchParams.set(key, value.trim());
+    });
+
+    return `${basePath}?${pageSearchParams}`;
+  }
+
+  function handleFilterChange(key, value) {
+    setFiltersInput((currentFilters) => ({ ...currentFilters, [key]: value }));
+  }
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    router.push(getPageUrl(1, filtersInput));
+  }
+
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · Auditoria`,
+        description: 'Registro das ações realizadas no TabNews.',
+      }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Auditoria</Heading>
+
+        <Box
+          as="form"
+          onSubmit={handleSubmit}
+          sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <FormControl>
+            <FormControl.Label>Tipo</FormControl.Label>
+            <Select value={filtersInput.type} onChange={(event) => handleFilterChange('type', event.target.value)}>
+              <Select.Option value="">Todos</Select.Option>
+              {eventTypes.map((eventType) => (
+                <Select.Option key={eventType} value={eventType}>
+                  {eventType}
+                </Select.Option>
+              ))}
+            </Select>
+          </FormControl>
+
+          {Object.entries(filterFields).map(([key, label]) => (
+            <FormControl key={key}>
+              <FormControl.Label>{label}</FormControl.Label>
+              <TextInput
+                value={filtersInput[key]}
+                placeholder="00000000-0000-4000-0000-000000000000"
+                onChange={(event) => handleFilterChange(key, event.target.value)}
+              />
+            </FormControl>
+          ))}
+
+          {Object.entries(dateFields).map(([key, label]) => (
+            <FormControl key={key}>
+              <FormControl.Label>{label}</FormControl.Label>
+              <TextInput
+                type="date"
+                value={filtersInput[key]}
+                onChange={(event) => handleFilterChange(key, event.target.value)}
+              />
+            </FormControl>
+          ))}
+
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <Button type="submit" variant="primary">
+              Filtrar
+            </Button>
+            <Button type="button" onClick={() => router.push(getPageUrl(1, emptyFilters))}>
+              Limpar
+            </Button>
+          </Box>
+        </Box>
+
+        {events.length ? (
+          <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+            {events.map((event) => (
+              <AuditEventItem key={event.id} event={event} getPageUrl={getPageUrl} filters={filters} />
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title={error ? 'Não foi possível carregar os eventos' : 'Nenhum evento encontrado'}
+            description={
+              error ? 'Verifique os filtros informados.' : 'Não há eventos registrados com os filtros selecionados.'
+            }
+            icon={HistoryIcon}
+            isLoading={!shouldFetch || eventsAreLoading}
+          />
+        )}
+
+        <Pagination {...pagination} getPageUrl={getPageUrl} />
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function AuditEventItem({ event, getPageUrl, filters }) {
+  return (
+    <Box
+      as="li"
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 2,
+        borderWidth: 1,
+        borderStyle: 'solid',
+        borderColor: 'border.default',
+        borderRadius: 2,
+        p: 3,
+      }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          <Link
+            href={getPageUrl(1, { ...filters, type: event.type })}
+            sx={{ fontFamily: 'mono', fontWeight: 'semibold' }}>
+            {event.type}
+          </Link>
+          <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+            {event.originator_username ? (
+              <Link href={getPageUrl(1, { ...filters, originator_user_id: event.originator_user_id })}>
+                {event.originator_username}
+              </Link>
+            ) : (
+              'Sistema'
+            )}
+            {event.originator_ip && ` · ${event.originator_ip}`}
+            {' · '}
+            <PastTime date={event.created_at} direction="n" />
+          </Text>
+        </Box>
+
+        <Text sx={{ fontSize: 0, color: 'fg.muted', fontFamily: 'mono' }}>{event.id}</Text>
+      </Box>
+
+      {(event.target_users.length > 0 || event.target_contents.length > 0) && (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', alignItems: 'center', fontSize: 1 }}>
+          <Text sx={{ color: 'fg.muted' }}>Afetados:</Text>
+
+          {event.target_users.map((targetUser) => (
+            <Link key={targetUser.id} href={getPageUrl(1, { ...filters, target_user_id: targetUser.id })}>
+              {targetUser.username}
+            </Link>
+          ))}
+
+          {event.target_contents.map((targetContent) => (
+            <Box key={targetContent.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Link
+                href={getPageUrl(1, { ...filters, target_content_id: targetContent.id })}
+                sx={{ wordBreak: 'break-word' }}>
+                {targetContent.title || `${targetContent.owner_username}/${targetContent.slug}`}
+              </Link>
+              <Label size="small">{targetContent.status}</Label>
+            </Box>
+          ))}
+        </Box>
+      )}
+
+      <Box as="details" sx={{ fontSize: 1 }}>
+        <Box as="summary" sx={{ cursor: 'pointer', color: 'fg.muted' }}>
+          Metadados
+        </Box>
+        <Box as="pre" sx={{ m: 0, mt: 2, p: 2, bg: 'canvas.subtle', borderRadius: 2, overflowX: 'auto', fontSize: 0 }}>
+          {JSON.stringify(event.metadata, null, 2)}
+        </Box>
+      </Box>
+    </Box>
+  );
+}
+
+function toApiDate(key, value) {
+  const date = new Date(`${value}T00:00:00`);
+
+  if (Number.isNaN(date.getTime())) return value;
+  if (key === 'created_before') date.setDate(date.getDate() + 1);
+
+  return date.toISOString();
+}
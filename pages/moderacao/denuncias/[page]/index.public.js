@@ -0,0 +1,258 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useCallback, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  DefaultLayout,
+  EmptyState,
+  Flash,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  PastTime,
+  Text,
+  useConfirm,
+} from '@/TabNewsUI';
+import { ReportIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/moderacao/denuncias';
+
+const reasonLabels = {
+  spam: 'Spam ou propaganda',
+  plagiarism: 'Plágio',
+  abuse: 'Abuso, assédio ou discurso de ódio',
+  other: 'Outro motivo',
+};
+
+const reviewActions = {
+  delete_content: {
+    buttonContent: 'Apagar conteúdo',
+    buttonVariant: 'danger',
+    title: 'Deseja apagar este conteúdo?',
+    content: 'O conteúdo será apagado e todas as denúncias pendentes serão encerradas.',
+  },
+  ban_user: {
+    buttonContent: 'Banir autor',
+    buttonVariant: 'danger',
+    title: 'Deseja banir o autor deste conteúdo?',
+    content: 'O autor será banido, todos os seus conteúdos serão apagados e as denúncias pendentes serão encerradas.',
+  },
+  dismiss: {
+    buttonContent: 'Ignorar',
+    buttonVariant: 'default',
+    title: 'Deseja ignorar as denúncias deste conteúdo?',
+    content: 'O conteúdo será mantido e as denúncias pendentes serão encerradas.',
+  },
+};
+
+export default function ReportsPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const confirm = useConfirm();
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [globalErrorMessage, setGlobalErrorMessage] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && user?.features?.includes('read:report');
+  const canReview = user?.features?.includes('review:report');
+  const canBan = user?.features?.includes('ban:user');
+
+  const {
+    data: { body: reportedContents, headers },
+    isLoading: reportsAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? `/api/v1/reports?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && reportedContents.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [headers, page, pagination.currentPage, reportedContents.length, router, shouldFetch]);
+
+  const review = useCallback(
+    async (contentId, action) => {
+      const confirmReview = await confirm({
+        title: reviewActions[action].title,
+        content: reviewActions[action].content,
+        cancelButtonContent: 'Cancelar',
+        confirmButtonContent: reviewActions[action].buttonContent,
+        confirmButtonType: reviewActions[action].buttonVariant,
+      });
+
+      if (!confirmReview) return;
+
+      setIsReviewing(true);
+      setGlobalErrorMessage(null);
+
+      try {
+        const response = await fetch(`/api/v1/moderations/review_reports/${contentId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ action }),
+        });
+
+        if (!response.ok) {
+          const responseBody = await response.json();
+          setGlobalErrorMessage(`${responseBody.message} ${responseBody.action}`);
+        }
+      } catch (error) {
+        setGlobalErrorMessage('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+      } finally {
+        await mutate();
+        setIsReviewing(false);
+      }
+    },
+    [confirm, mutate],
+  );
+
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · Denúncias`,
+        description: 'Conteúdos denunciados pelos usuários do TabNews.',
+      }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Denúncias</Heading>
+
+        {globalErrorMessage && <Flash variant="danger">{globalErrorMessage}</Flash>}
+
+        {reportedContents.length ? (
+          <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+            {reportedContents.map((reportedContent) => (
+              <ReportedContentItem
+                key={reportedContent.content.id}
+                reportedContent={reportedContent}
+                canReview={canReview}
+                canBan={canBan}
+                isReviewing={isReviewing}
+                onReview={review}
+              />
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title="Nenhuma denúncia pendente"
+            description="Todas as denúncias já foram analisadas."
+            icon={ReportIcon}
+            isLoading={!shouldFetch || reportsAreLoading}
+          />
+        )}
+
+        <Pagination {...pagination} />
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function ReportedContentItem({ reportedContent, canReview, canBan, isReviewing, onReview }) {
+  const { content, reports, reports_count } = reportedContent;
+
+  return (
+    <Box
+      as="li"
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 2,
+        borderWidth: 1,
+        borderStyle: 'solid',
+        borderColor: 'border.default',
+        borderRadius: 2,
+        p: 3,
+      }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          <Link
+            href={`/${content.owner_username}/${content.slug}`}
+            sx={{ fontWeight: 'semibold', wordBreak: 'break-word' }}>
+            {content.title || content.slug}
+          </Link>
+          <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+            Publicado por <Link href={`/${content.owner_username}`}>{content.owner_username}</Link>
+          </Text>
+        </Box>
+
+        <Label variant={content.status === 'published' ? 'attention' : 'secondary'}>
+          {reports_count > 1 ? `${reports_count} denúncias` : '1 denúncia'}
+        </Label>
+      </Box>
+
+      <Box as="ul" sx={{ display: 'flex', flexDirection: 'column', gap: 2, pl: 3, m: 0 }}>
+        {reports.map((report) => (
+          <Box as="li" key={report.id} sx={{ fontSize: 1 }}>
+            <Text sx={{ fontWeight: 'semibold' }}>{reasonLabels[report.reason]}</Text>
+            {' · '}
+            <Link href={`/${report.reporter_username}`}>{report.reporter_username}</Link>
+            {' · '}
+            <PastTime date={report.created_at} direction="n" />
+            {report.description && (
+              <Text as="p" sx={{ m: 0, color: 'fg.muted', wordBreak: 'break-word' }}>
+                {report.description}
+              </Text>
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      {canReview && (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          {Object.entries(reviewActions)
+            .filter(([action]) => canBan || action !== 'ban_user')
+            .map(([action, { buttonContent, buttonVariant }]) => (
+              <Button
+                key={action}
+                size="small"
+                variant={buttonVariant}
+                disabled={isReviewing}
+                onClick={() => onReview(content.id, action)}>
+                {buttonContent}
+              </Button>
+            ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
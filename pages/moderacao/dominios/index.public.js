@@ -0,0 +1,220 @@
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  ButtonWithLoader,
+  DefaultLayout,
+  EmptyState,
+  Flash,
+  FormControl,
+  Heading,
+  PastTime,
+  Select,
+  Text,
+  TextInput,
+  useConfirm,
+} from '@/TabNewsUI';
+import { LinkIcon } from '@/TabNewsUI/icons';
+import { createErrorMessage, useUser } from 'pages/interface';
+
+const actionLabels = {
+  block: 'Bloquear',
+  nofollow: 'Nofollow',
+  allow: 'Confiável',
+};
+
+const emptyRule = {
+  domain: '',
+  action: 'block',
+  reason: '',
+};
+
+export default function DomainRulesPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const confirm = useConfirm();
+  const [newRule, setNewRule] = useState(emptyRule);
+  const [isPosting, setIsPosting] = useState(false);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  const shouldFetch = !userIsLoading && user?.features?.includes('update:domain_rules');
+
+  const {
+    data: { body: rules },
+    isLoading: rulesAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? '/api/v1/domain_rules' : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (userIsLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [router, shouldFetch, userIsLoading]);
+
+  async function request(url, method, body) {
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      });
+
+      const responseBody = await response.json();
+
+      if (!response.ok) {
+        setErrorObject(responseBody);
+        return false;
+      }
+
+      await mutate();
+      return true;
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+      return false;
+    }
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setIsPosting(true);
+
+    const created = await request('/api/v1/domain_rules', 'POST', {
+      domain: newRule.domain,
+      action: newRule.action,
+      reason: newRule.reason || null,
+    });
+
+    if (created) setNewRule(emptyRule);
+    setIsPosting(false);
+  }
+
+  async function handleActionChange(rule, action) {
+    await request(`/api/v1/domain_rules/${rule.id}`, 'PATCH', { action });
+  }
+
+  async function handleDelete(rule) {
+    const confirmDelete = await confirm({
+      title: `Deseja remover a regra para "${rule.domain}"?`,
+      content: 'Os links para este domínio voltarão a seguir o comportamento padrão.',
+      cancelButtonContent: 'Cancelar',
+      confirmButtonContent: 'Remover',
+      confirmButtonType: 'danger',
+    });
+
+    if (!confirmDelete) return;
+
+    await request(`/api/v1/domain_rules/${rule.id}`, 'DELETE');
+  }
+
+  return (
+    <DefaultLayout metadata={{ title: 'Domínios', description: 'Domínios bloqueados, confiáveis ou com nofollow.' }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Domínios</Heading>
+
+        <Box
+          as="form"
+          onSubmit={handleSubmit}
+          sx={{ display: 'flex', gap: 2, alignItems: 'flex-end', flexWrap: 'wrap' }}>
+          <FormControl id="domain" required>
+            <FormControl.Label>Domínio</FormControl.Label>
+            <TextInput
+              value={newRule.domain}
+              placeholder="exemplo.com"
+              onChange={(event) => setNewRule({ ...newRule, domain: event.target.value })}
+            />
+          </FormControl>
+
+          <FormControl id="action">
+            <FormControl.Label>Ação</FormControl.Label>
+            <Select value={newRule.action} onChange={(event) => setNewRule({ ...newRule, action: event.target.value })}>
+              {Object.entries(actionLabels).map(([action, label]) => (
+                <Select.Option key={action} value={action}>
+                  {label}
+                </Select.Option>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl id="reason">
+            <FormControl.Label>Motivo</FormControl.Label>
+            <TextInput
+              value={newRule.reason}
+              maxLength={255}
+              onChange={(event) => setNewRule({ ...newRule, reason: event.target.value })}
+            />
+          </FormControl>
+
+          <ButtonWithLoader variant="primary" type="submit" isLoading={isPosting}>
+            Adicionar
+          </ButtonWithLoader>
+        </Box>
+
+        {errorObject && <Flash variant="danger">{createErrorMessage(errorObject)}</Flash>}
+
+        {rules.length ? (
+          <Box as="ul" sx={{ display: 'flex', flexDirection: 'column', gap: 2, listStyle: 'none', p: 0, m: 0 }}>
+            {rules.map((rule) => (
+              <Box
+                as="li"
+                key={rule.id}
+                sx={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: 2,
+                  flexWrap: 'wrap',
+                  borderWidth: 1,
+                  borderStyle: 'solid',
+                  borderColor: 'border.default',
+                  borderRadius: 2,
+                  p: 2,
+                }}>
+                <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+                  <Text sx={{ fontFamily: 'mono', fontWeight: 'semibold', wordBreak: 'break-all' }}>{rule.domain}</Text>
+                  <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+                    {rule.reason && `${rule.reason} · `}
+                    Atualizado <PastTime date={rule.updated_at} direction="n" />
+                  </Text>
+                </Box>
+
+                <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+                  <Select
+                    aria-label={`Ação para ${rule.domain}`}
+                    value={rule.action}
+                    onChange={(event) => handleActionChange(rule, event.target.value)}>
+                    {Object.entries(actionLabels).map(([action, label]) => (
+                      <Select.Option key={action} value={action}>
+                        {label}
+                      </Select.Option>
+                    ))}
+                  </Select>
+
+                  <Button size="small" variant="danger" onClick={() => handleDelete(rule)}>
+                    Remover
+                  </Button>
+                </Box>
+              </Box>
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title="Nenhuma regra de domínio"
+            description="Links para qualquer domínio seguem o comportamento padrão."
+            icon={LinkIcon}
+            isLoading={!shouldFetch || rulesAreLoading}
+          />
+        )}
+      </Box>
+    </DefaultLayout>
+  );
+}
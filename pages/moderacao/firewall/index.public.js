@@ -0,0 +1,371 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useCallback, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  Checkbox,
+  DefaultLayout,
+  EmptyState,
+  Flash,
+  FormControl,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  PastTime,
+  Select,
+  Text,
+  useConfirm,
+} from '@/TabNewsUI';
+import { ShieldIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/moderacao/firewall';
+
+const eventTypeLabels = {
+  'firewall:block_users': 'Bloqueio de usuários',
+  'firewall:block_contents:text_root': 'Bloqueio de publicações',
+  'firewall:block_contents:text_child': 'Bloqueio de comentários',
+  'firewall:quarantine_users': 'Quarentena de usuários',
+  'firewall:block_tips': 'Bloqueio de gorjetas',
+};
+
+const spamSignalLabels = {
+  link_density: 'muitos links',
+  repeated_source_domain: 'domínio repetido entre contas',
+  duplicated_body: 'conteúdo duplicado',
+  new_account_only_links: 'conta nova postando apenas links',
+};
+
+const reviewedFilters = {
+  pending: { label: 'Pendentes', value: false },
+  reviewed: { label: 'Analisados', value: true },
+  all: { label: 'Todos', value: undefined },
+};
+
+const reviewActions = {
+  confirm: {
+    buttonContent: 'Confirmar',
+    buttonVariant: 'danger',
+    title: 'Deseja confirmar os bloqueios selecionados?',
+    content:
+      'Os usuários bloqueados serão banidos, os conteúdos bloqueados serão apagados e os usuários em quarentena continuarão em quarentena.',
+  },
+  undo: {
+    buttonContent: 'Desfazer',
+    buttonVariant: 'default',
+    title: 'Deseja desfazer os bloqueios selecionados?',
+    content: 'Os usuários e conteúdos bloqueados serão restaurados e os usuários em quarentena serão liberados.',
+  },
+};
+
+export default function FirewallPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const confirm = useConfirm();
+  const [selectedEventsIds, setSelectedEventsIds] = useState([]);
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [globalErrorMessage, setGlobalErrorMessage] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    previousPage: null,
+    nextPage: null,
+  });
+
+  const page = router.query.page || 1;
+  const type = eventTypeLabels[router.query.type] ? router.query.type : '';
+  const reviewedFilter = reviewedFilters[router.query.status] ? router.query.status : 'pending';
+
+  const isLoading = userIsLoading || !router.isReady;
+  const shouldFetch = !isLoading && user?.features?.includes('read:firewall');
+  const canReview = user?.features?.includes('review:firewall');
+
+  const searchParams = new URLSearchParams({ page });
+  if (type) searchParams.set('type', type);
+  if (reviewedFilters[reviewedFilter].value !== undefined) {
+    searchParams.set('reviewed', reviewedFilters[reviewedFilter].value);
+  }
+
+  const firewallEventsUrl = `/api/v1/events/firewall?${searchParams}`;
+
+  const {
+    data: { body: firewallEvents, headers },
+    isLoading: firewallEventsAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? firewallEventsUrl : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    if (!linkHeader) return;
+
+    setPagination({
+      currentPage: page,
+      previousPage: linkHeader.prev?.page,
+      nextPage: linkHeader.next?.page,
+    });
+  }, [headers, page, shouldFetch]);
+
+  useEffect(() => {
+    setSelectedEventsIds([]);
+  }, [firewallEventsUrl]);
+
+  const getPageUrl = useCallback(
+    (newPage, filters = {}) => {
+      const pageSearchParams = new URLSearchParams({ page: newPage });
+      const newType = filters.type ?? type;
+      const newStatus = filters.status ?? reviewedFilter;
+
+      if (newType) pageSearchParams.set('type', newType);
+      if (newStatus !== 'pending') pageSearchParams.set('status', newStatus);
+
+      return `${basePath}?${pageSearchParams}`;
+    },
+    [reviewedFilter, type],
+  );
+
+  const pendingEvents = firewallEvents.filter((firewallEvent) => firewallEvent.events.length === 1);
+
+  function toggleSelectedEvent(eventId) {
+    setSelectedEventsIds((currentIds) =>
+      currentIds.includes(eventId) ? currentIds.filter((id) => id !== eventId) : [...currentIds, eventId],
+    );
+  }
+
+  function toggleAllPendingEvents() {
+    setSelectedEventsIds((currentIds) =>
+      currentIds.length === pendingEvents.length
+        ? []
+        : pendingEvents.map((firewallEvent) => firewallEvent.events[0].id),
+    );
+  }
+
+  async function reviewSelectedEvents(action) {
+    const confirmReview = await confirm({
+      title: reviewActions[action].title,
+      content: reviewActions[action].content,
+      cancelButtonContent: 'Cancelar',
+      confirmButtonContent: reviewActions[action].buttonContent,
+      confirmButtonType: reviewActions[action].buttonVariant,
+    });
+
+    if (!confirmReview) return;
+
+    setIsReviewing(true);
+    setGlobalErrorMessage(null);
+
+    const errorMessages = [];
+
+    try {
+      for (const eventId of selectedEventsIds) {
+        const response = await fetch(`/api/v1/moderations/review_firewall/${eventId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ action }),
+        });
+
+        if (response.ok) continue;
+
+        const responseBody = await response.json();
+
+        // Related firewall events are reviewed together, so they may already be reviewed by a previous request.
+        if (
+          responseBody.error_location_code !==
+          'MODEL:FIREWALL:VALIDATE_AND_GET_FIREWALL_EVENT_TO_REVIEW:EVENT_ALREADY_REVIEWED'
+        ) {
+          errorMessages.push(`${responseBody.message} ${responseBody.action}`);
+        }
+      }
+    } catch (error) {
+      errorMessages.push('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+    } finally {
+      if (errorMessages.length) setGlobalErrorMessage(errorMessages.join(' '));
+      setSelectedEventsIds([]);
+      await mutate();
+      setIsReviewing(false);
+    }
+  }
+
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · Firewall`,
+        description: 'Eventos do firewall do TabNews.',
+      }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Firewall</Heading>
+
+        <Box sx={{ display: 'flex', gap: 3, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <FormControl>
+            <FormControl.Label>Tipo</FormControl.Label>
+            <Select value={type} onChange={(event) => router.push(getPageUrl(1, { type: event.target.value }))}>
+              <Select.Option value="">Todos</Select.Option>
+              {Object.entries(eventTypeLabels).map(([value, label]) => (
+                <Select.Option key={value} value={value}>
+                  {label}
+                </Select.Option>
+              ))}
+            </Select>
+          </FormControl>
+
+          <FormControl>
+            <FormControl.Label>Situação</FormControl.Label>
+            <Select
+              value={reviewedFilter}
+              onChange={(event) => router.push(getPageUrl(1, { status: event.target.value }))}>
+              {Object.entries(reviewedFilters).map(([value, { label }]) => (
+                <Select.Option key={value} value={value}>
+                  {label}
+                </Select.Option>
+              ))}
+            </Select>
+          </FormControl>
+
+          {canReview && pendingEvents.length > 0 && (
+            <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', ml: 'auto' }}>
+              <Button size="small" disabled={isReviewing} onClick={toggleAllPendingEvents}>
+                {selectedEventsIds.length === pendingEvents.length ? 'Desmarcar todos' : 'Selecionar todos'}
+              </Button>
+              {Object.entries(reviewActions).map(([action, { buttonContent, buttonVariant }]) => (
+                <Button
+                  key={action}
+                  size="small"
+                  variant={buttonVariant}
+                  disabled={isReviewing || !selectedEventsIds.length}
+                  onClick={() => reviewSelectedEvents(action)}>
+                  {`${buttonContent} (${selectedEventsIds.length})`}
+                </Button>
+              ))}
+            </Box>
+          )}
+        </Box>
+
+        {globalErrorMessage && <Flash variant="danger">{globalErrorMessage}</Flash>}
+
+        {firewallEvents.length ? (
+          <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+            {firewallEvents.map((firewallEvent) => (
+              <FirewallEventItem
+                key={firewallEvent.events[0].id}
+                firewallEvent={firewallEvent}
+                canReview={canReview}
+                isReviewing={isReviewing}
+                isSelected={selectedEventsIds.includes(firewallEvent.events[0].id)}
+                onToggle={toggleSelectedEvent}
+              />
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title="Nenhum evento encontrado"
+            description="Não há eventos do firewall com os filtros selecionados."
+            icon={ShieldIcon}
+            isLoading={!shouldFetch || firewallEventsAreLoading}
+          />
+        )}
+
+        <Pagination {...pagination} getPageUrl={getPageUrl} />
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function FirewallEventItem({ firewallEvent, canReview, isReviewing, isSelected, onToggle }) {
+  const [blockEvent, reviewEvent] = firewallEvent.events;
+  const { contents, users } = firewallEvent.affected;
+
+  return (
+    <Box
+      as="li"
+      sx={{
+        display: 'flex',
+        gap: 3,
+        borderWidth: 1,
+        borderStyle: 'solid',
+        borderColor: 'border.default',
+        borderRadius: 2,
+        p: 3,
+      }}>
+      {canReview && !reviewEvent && (
+        <Checkbox
+          aria-label="Selecionar evento"
+          checked={isSelected}
+          disabled={isReviewing}
+          onChange={() => onToggle(blockEvent.id)}
+        />
+      )}
+
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, minWidth: 0, flex: 1 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap' }}>
+          <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+            <Text sx={{ fontWeight: 'semibold' }}>{eventTypeLabels[blockEvent.type]}</Text>
+            <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+              Regra <code>{blockEvent.metadata.from_rule}</code> ·{' '}
+              <PastTime date={blockEvent.created_at} direction="n" />
+            </Text>
+            {blockEvent.metadata.signals?.length > 0 && (
+              <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+                Pontuação {blockEvent.metadata.score}:{' '}
+                {blockEvent.metadata.signals.map((signal) => spamSignalLabels[signal] || signal).join(', ')}
+              </Text>
+            )}
+          </Box>
+
+          <ReviewLabel reviewEvent={reviewEvent} />
+        </Box>
+
+        {contents && (
+          <Box as="ul" sx={{ display: 'flex', flexDirection: 'column', gap: 1, pl: 3, m: 0, fontSize: 1 }}>
+            {contents.map((content) => (
+              <li key={content.id}>
+                <Link href={`/${content.owner_username}/${content.slug}`} sx={{ wordBreak: 'break-word' }}>
+                  {content.title || content.slug}
+                </Link>{' '}
+                <Label size="small">{content.status}</Label>
+              </li>
+            ))}
+          </Box>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', fontSize: 1 }}>
+          {users.map((user) => (
+            <Box key={user.id} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              <Link href={`/${user.username}`}>{user.username}</Link>
+              {user.features.includes('nuked') && (
+                <Label size="small" variant="danger">
+                  banido
+                </Label>
+              )}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    </Box>
+  );
+}
+
+function ReviewLabel({ reviewEvent }) {
+  if (!reviewEvent) return <Label variant="attention">Pendente</Label>;
+
+  if (reviewEvent.type.startsWith('moderation:unblock') || reviewEvent.type === 'moderation:unquarantine_users') {
+    return <Label variant="success">Desfeito</Label>;
+  }
+
+  return <Label variant="danger">Confirmado</Label>;
+}
@@ -0,0 +1,239 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useCallback, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  DefaultLayout,
+  EmptyState,
+  Flash,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  PastTime,
+  Text,
+  useConfirm,
+} from '@/TabNewsUI';
+import { EyeClosedIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/moderacao/quarentena';
+
+const reviewActions = {
+  approve: {
+    buttonContent: 'Aprovar conteúdo',
+    buttonVariant: 'primary',
+    title: 'Deseja aprovar este conteúdo?',
+    content: 'O conteúdo ficará visível para todos, mas o usuário continuará em quarentena.',
+  },
+  approve_user: {
+    buttonContent: 'Aprovar usuário',
+    buttonVariant: 'default',
+    title: 'Deseja aprovar este usuário?',
+    content: 'Todos os conteúdos pendentes do usuário ficarão visíveis e a quarentena será encerrada.',
+  },
+  delete_content: {
+    buttonContent: 'Apagar conteúdo',
+    buttonVariant: 'danger',
+    title: 'Deseja apagar este conteúdo?',
+    content: 'O conteúdo será apagado e nunca ficará visível para os outros usuários.',
+  },
+};
+
+export default function QuarantinePage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const confirm = useConfirm();
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [globalErrorMessage, setGlobalErrorMessage] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && user?.features?.includes('read:quarantine');
+  const canReview = user?.features?.includes('review:quarantine');
+
+  const {
+    data: { body: contents, headers },
+    isLoading: contentsAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? `/api/v1/quarantine?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && contents.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [contents.length, headers, page, pagination.currentPage, router, shouldFetch]);
+
+  const review = useCallback(
+    async (contentId, action) => {
+      const confirmReview = await confirm({
+        title: reviewActions[action].title,
+        content: reviewActions[action].content,
+        cancelButtonContent: 'Cancelar',
+        confirmButtonContent: reviewActions[action].buttonContent,
+        confirmButtonType: reviewActions[action].buttonVariant,
+      });
+
+      if (!confirmReview) return;
+
+      setIsReviewing(true);
+      setGlobalErrorMessage(null);
+
+      try {
+        const response = await fetch(`/api/v1/moderations/review_quarantine/${contentId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ action }),
+        });
+
+        if (!response.ok) {
+          const responseBody = await response.json();
+          setGlobalErrorMessage(`${responseBody.message} ${responseBody.action}`);
+        }
+      } catch (error) {
+        setGlobalErrorMessage('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+      } finally {
+        await mutate();
+        setIsReviewing(false);
+      }
+    },
+    [confirm, mutate],
+  );
+
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · Quarentena`,
+        description: 'Conteúdos de usuários em quarentena aguardando aprovação.',
+      }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Quarentena</Heading>
+
+        {globalErrorMessage && <Flash variant="danger">{globalErrorMessage}</Flash>}
+
+        {contents.length ? (
+          <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+            {contents.map((content) => (
+              <QuarantinedContentItem
+                key={content.id}
+                content={content}
+                canReview={canReview}
+                isReviewing={isReviewing}
+                onReview={review}
+              />
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title="Nenhum conteúdo em quarentena"
+            description="Todos os conteúdos já foram analisados."
+            icon={EyeClosedIcon}
+            isLoading={!shouldFetch || contentsAreLoading}
+          />
+        )}
+
+        <Pagination {...pagination} />
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function QuarantinedContentItem({ content, canReview, isReviewing, onReview }) {
+  return (
+    <Box
+      as="li"
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 2,
+        borderWidth: 1,
+        borderStyle: 'solid',
+        borderColor: 'border.default',
+        borderRadius: 2,
+        p: 3,
+      }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          <Link
+            href={`/${content.owner_username}/${content.slug}`}
+            sx={{ fontWeight: 'semibold', wordBreak: 'break-word' }}>
+            {content.title || content.slug}
+          </Link>
+          <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+            <Link href={`/${content.owner_username}`}>{content.owner_username}</Link> ·{' '}
+            <PastTime date={content.published_at} direction="n" />
+          </Text>
+        </Box>
+
+        <Label variant="attention">{content.parent_id ? 'Comentário' : 'Publicação'}</Label>
+      </Box>
+
+      {content.body && (
+        <Text as="p" sx={{ m: 0, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+          {content.body}
+        </Text>
+      )}
+
+      {content.source_url && (
+        <Text sx={{ fontSize: 1, wordBreak: 'break-all' }}>
+          Fonte: <Link href={content.source_url}>{content.source_url}</Link>
+        </Text>
+      )}
+
+      {canReview && (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          {Object.entries(reviewActions).map(([action, { buttonContent, buttonVariant }]) => (
+            <Button
+              key={action}
+              size="small"
+              variant={buttonVariant}
+              disabled={isReviewing}
+              onClick={() => onReview(content.id, action)}>
+              {buttonContent}
+            </Button>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,245 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useCallback, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  DefaultLayout,
+  EmptyState,
+  Flash,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  PastTime,
+  Text,
+  useConfirm,
+} from '@/TabNewsUI';
+import { LawIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/moderacao/recursos';
+
+const eventLabels = {
+  'firewall:block_users': 'Bloqueado pelo firewall',
+  'moderation:review_reports': 'Banido após denúncia',
+  'ban:user': 'Banido pela moderação',
+};
+
+const reviewActions = {
+  accept: {
+    buttonContent: 'Aceitar recurso',
+    buttonVariant: 'primary',
+    title: 'Deseja aceitar este recurso?',
+    content: 'O bloqueio será removido e o usuário poderá voltar a acessar a conta.',
+  },
+  reject: {
+    buttonContent: 'Rejeitar recurso',
+    buttonVariant: 'danger',
+    title: 'Deseja rejeitar este recurso?',
+    content: 'A decisão será mantida e o recurso será encerrado.',
+  },
+};
+
+export default function AppealsPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const confirm = useConfirm();
+  const [isReviewing, setIsReviewing] = useState(false);
+  const [globalErrorMessage, setGlobalErrorMessage] = useState(null);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && user?.features?.includes('read:appeal');
+  const canReview = user?.features?.includes('review:appeal');
+
+  const {
+    data: { body: appeals, headers },
+    isLoading: appealsAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? `/api/v1/appeals?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && appeals.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [appeals.length, headers, page, pagination.currentPage, router, shouldFetch]);
+
+  const review = useCallback(
+    async (appealId, action) => {
+      const confirmReview = await confirm({
+        title: reviewActions[action].title,
+        content: reviewActions[action].content,
+        cancelButtonContent: 'Cancelar',
+        confirmButtonContent: reviewActions[action].buttonContent,
+        confirmButtonType: reviewActions[action].buttonVariant,
+      });
+
+      if (!confirmReview) return;
+
+      setIsReviewing(true);
+      setGlobalErrorMessage(null);
+
+      try {
+        const response = await fetch(`/api/v1/moderations/review_appeals/${appealId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ action }),
+        });
+
+        if (!response.ok) {
+          const responseBody = await response.json();
+          setGlobalErrorMessage(`${responseBody.message} ${responseBody.action}`);
+        }
+      } catch (error) {
+        setGlobalErrorMessage('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+      } finally {
+        await mutate();
+        setIsReviewing(false);
+      }
+    },
+    [confirm, mutate],
+  );
+
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · Recursos`,
+        description: 'Recursos enviados por usuários banidos ou desativados.',
+      }}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3, width: '100%' }}>
+        <Heading as="h1">Recursos</Heading>
+
+        {globalErrorMessage && <Flash variant="danger">{globalErrorMessage}</Flash>}
+
+        {appeals.length ? (
+          <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+            {appeals.map((appeal) => (
+              <AppealItem
+                key={appeal.id}
+                appeal={appeal}
+                canReview={canReview}
+                isReviewing={isReviewing}
+                onReview={review}
+              />
+            ))}
+          </Box>
+        ) : (
+          <EmptyState
+            title="Nenhum recurso pendente"
+            description="Todos os recursos já foram analisados."
+            icon={LawIcon}
+            isLoading={!shouldFetch || appealsAreLoading}
+          />
+        )}
+
+        <Pagination {...pagination} />
+      </Box>
+    </DefaultLayout>
+  );
+}
+
+function AppealItem({ appeal, canReview, isReviewing, onReview }) {
+  const { user, event, related_events } = appeal;
+
+  return (
+    <Box
+      as="li"
+      sx={{
+        display: 'flex',
+        flexDirection: 'column',
+        gap: 2,
+        borderWidth: 1,
+        borderStyle: 'solid',
+        borderColor: 'border.default',
+        borderRadius: 2,
+        p: 3,
+      }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap' }}>
+        <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+          <Link href={`/${user.username}`} sx={{ fontWeight: 'semibold', wordBreak: 'break-word' }}>
+            {user.username}
+          </Link>
+          <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+            Recurso enviado <PastTime date={appeal.submitted_at} direction="n" />
+          </Text>
+        </Box>
+
+        <Label variant="attention">{eventLabels[event.type] || event.type}</Label>
+      </Box>
+
+      <Text as="p" sx={{ m: 0, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+        {appeal.message}
+      </Text>
+
+      <Box as="ul" sx={{ display: 'flex', flexDirection: 'column', gap: 1, pl: 3, m: 0, fontSize: 1 }}>
+        {[event, ...related_events.filter((relatedEvent) => relatedEvent.id !== event.id)].map((relatedEvent) => (
+          <Box as="li" key={relatedEvent.id}>
+            <Text sx={{ fontFamily: 'mono' }}>{relatedEvent.type}</Text>
+            {' · '}
+            <PastTime date={relatedEvent.created_at} direction="n" />
+            {relatedEvent.metadata?.reason && (
+              <Text as="p" sx={{ m: 0, color: 'fg.muted', wordBreak: 'break-word' }}>
+                {relatedEvent.metadata.reason}
+              </Text>
+            )}
+          </Box>
+        ))}
+      </Box>
+
+      {canReview && (
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap' }}>
+          {Object.entries(reviewActions).map(([action, { buttonContent, buttonVariant }]) => (
+            <Button
+              key={action}
+              size="small"
+              variant={buttonVariant}
+              disabled={isReviewing}
+              onClick={() => onReview(appeal.id, action)}>
+              {buttonContent}
+            </Button>
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+}
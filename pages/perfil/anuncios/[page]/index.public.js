@@ -0,0 +1,299 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { Fragment, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  Button,
+  DefaultLayout,
+  Dialog,
+  EmptyState,
+  Flash,
+  FormControl,
+  Heading,
+  Label,
+  Link,
+  Pagination,
+  ProfileTabNav,
+  Select,
+  TabCashCount,
+  Text,
+  Textarea,
+  TextInput,
+} from '@/TabNewsUI';
+import { MegaphoneIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/perfil/anuncios';
+
+const pricingModelLabels = {
+  cpm: 'por mil impressões',
+  cpc: 'por clique',
+};
+
+export default function AdsDashboardPage() {
+  const { user, isLoading: userIsLoading, fetchUser } = useUser();
+  const router = useRouter();
+  const [isCreateDialogOpen, setIsCreateDialogOpen] = useState(false);
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && !!user;
+
+  const {
+    data: { body: ads, headers },
+    isLoading: adsAreLoading,
+    mutate,
+  } = useSWR(shouldFetch ? `/api/v1/ads?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.push(`/login?redirect=${router.asPath}`);
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && ads.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [ads.length, headers, page, pagination.currentPage, router, shouldFetch]);
+
+  function handleCreated() {
+    setIsCreateDialogOpen(false);
+    fetchUser();
+    mutate();
+  }
+
+  return (
+    <DefaultLayout containerWidth="large" metadata={{ title: `Página ${pagination.currentPage} · Anúncios` }}>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Heading as="h1">Anúncios</Heading>
+        {user && <Button onClick={() => setIsCreateDialogOpen(true)}>Criar anúncio</Button>}
+      </Box>
+      <ProfileTabNav />
+
+      {ads.length ? (
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: 'minmax(0, 1fr) repeat(5, max-content)',
+            columnGap: 3,
+            rowGap: 2,
+            alignItems: 'center',
+            fontSize: 1,
+            mb: 3,
+          }}>
+          <Text sx={{ fontWeight: 'semibold' }}>Anúncio</Text>
+          <Text sx={{ fontWeight: 'semibold' }}>Preço</Text>
+          <Text sx={{ fontWeight: 'semibold', textAlign: 'right' }}>Impressões</Text>
+          <Text sx={{ fontWeight: 'semibold', textAlign: 'right' }}>Cliques</Text>
+          <Text sx={{ fontWeight: 'semibold', textAlign: 'right' }}>Gasto</Text>
+          <Text sx={{ fontWeight: 'semibold' }}>Status</Text>
+
+          {ads.map((ad) => (
+            <AdRow key={ad.id} ad={ad} onUpdate={() => mutate()} />
+          ))}
+        </Box>
+      ) : (
+        <EmptyState
+          title="Nenhum anúncio"
+          description="Crie um anúncio com um orçamento em TabCash e acompanhe as impressões, cliques e gastos aqui."
+          icon={MegaphoneIcon}
+          isLoading={!shouldFetch || adsAreLoading}
+        />
+      )}
+
+      <Pagination {...pagination} />
+
+      {isCreateDialogOpen && <CreateAdDialog onClose={() => setIsCreateDialogOpen(false)} onCreate={handleCreated} />}
+    </DefaultLayout>
+  );
+}
+
+function AdRow({ ad, onUpdate }) {
+  const [isPosting, setIsPosting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState(null);
+  const isActive = ad.status === 'active';
+  const hasBudget = ad.remaining_budget > 0;
+
+  async function handleToggleStatus() {
+    setIsPosting(true);
+    setErrorMessage(null);
+
+    try {
+      const response = await fetch(`/api/v1/ads/${ad.id}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ status: isActive ? 'paused' : 'active' }),
+      });
+
+      if (response.status === 200) {
+        onUpdate();
+      } else {
+        setErrorMessage((await response.json()).message);
+      }
+    } catch (error) {
+      setErrorMessage('Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.');
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <Fragment>
+      <Box sx={{ wordBreak: 'break-word' }}>
+        <Link href={`/${ad.owner_username}/${ad.slug}`}>{ad.title}</Link>
+        {errorMessage && <Text sx={{ display: 'block', color: 'danger.fg', fontSize: 0 }}>{errorMessage}</Text>}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', whiteSpace: 'nowrap' }}>
+        <TabCashCount amount={ad.cost} direction="n" />
+        <Text sx={{ color: 'fg.muted', fontSize: 0 }}>{pricingModelLabels[ad.pricing_model]}</Text>
+      </Box>
+
+      <Text sx={{ textAlign: 'right' }}>{ad.impressions.toLocaleString('pt-BR')}</Text>
+      <Text sx={{ textAlign: 'right' }}>{ad.clicks.toLocaleString('pt-BR')}</Text>
+
+      <Text sx={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+        {ad.spent.toLocaleString('pt-BR')} / {ad.budget.toLocaleString('pt-BR')}
+      </Text>
+
+      <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+        {!hasBudget ? (
+          <Label variant="danger">sem saldo</Label>
+        ) : (
+          <Label variant={isActive ? 'success' : 'attention'}>{isActive ? 'ativo' : 'pausado'}</Label>
+        )}
+        <Button size="small" onClick={handleToggleStatus} disabled={isPosting || !hasBudget}>
+          {isActive ? 'Pausar' : 'Retomar'}
+        </Button>
+      </Box>
+    </Fragment>
+  );
+}
+
+function CreateAdDialog({ onClose, onCreate }) {
+  const [values, setValues] = useState({
+    title: '',
+    body: '',
+    source_url: '',
+    budget: 100,
+    pricing_model: 'cpc',
+    cost: 1,
+  });
+  const [isPosting, setIsPosting] = useState(false);
+  const [errorObject, setErrorObject] = useState(undefined);
+
+  function handleChange(event) {
+    const { name, value, type } = event.target;
+    setValues((currentValues) => ({ ...currentValues, [name]: type === 'number' ? Number(value) : value }));
+  }
+
+  async function handleSubmit() {
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch('/api/v1/ads', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ ...values, source_url: values.source_url || undefined }),
+      });
+
+      if (response.status === 201) {
+        onCreate();
+        return;
+      }
+
+      setErrorObject(await response.json());
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <Dialog
+      title="Criar anúncio"
+      onClose={onClose}
+      footerButtons={[
+        { content: 'Cancelar', onClick: onClose, disabled: isPosting },
+        { content: 'Criar', buttonType: 'primary', onClick: handleSubmit, disabled: isPosting },
+      ]}>
+      <Box sx={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+        {errorObject && <Flash variant="danger">{errorObject.message}</Flash>}
+
+        <FormControl id="ad-title" required>
+          <FormControl.Label>Título</FormControl.Label>
+          <TextInput block name="title" maxLength={255} value={values.title} onChange={handleChange} />
+        </FormControl>
+
+        <FormControl id="ad-body" required>
+          <FormControl.Label>Texto</FormControl.Label>
+          <Textarea block resize="vertical" name="body" value={values.body} onChange={handleChange} />
+        </FormControl>
+
+        <FormControl id="ad-source-url">
+          <FormControl.Label>Link</FormControl.Label>
+          <TextInput block name="source_url" value={values.source_url} onChange={handleChange} />
+        </FormControl>
+
+        <FormControl id="ad-budget" required>
+          <FormControl.Label>Orçamento em TabCash</FormControl.Label>
+          <TextInput block type="number" name="budget" min={10} value={values.budget} onChange={handleChange} />
+          <FormControl.Caption>O valor é debitado do seu saldo de TabCash ao criar o anúncio.</FormControl.Caption>
+        </FormControl>
+
+        <Box sx={{ display: 'flex', gap: 3 }}>
+          <FormControl id="ad-pricing-model" required>
+            <FormControl.Label>Cobrança</FormControl.Label>
+            <Select name="pricing_model" value={values.pricing_model} onChange={handleChange}>
+              <Select.Option value="cpc">Por clique</Select.Option>
+              <Select.Option value="cpm">Por mil impressões</Select.Option>
+            </Select>
+          </FormControl>
+
+          <FormControl id="ad-cost" required>
+            <FormControl.Label>Custo em TabCash</FormControl.Label>
+            <TextInput type="number" name="cost" min={1} value={values.cost} onChange={handleChange} />
+          </FormControl>
+        </Box>
+      </Box>
+    </Dialog>
+  );
+}
@@ -0,0 +1,154 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { Fragment, useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import {
+  Box,
+  DefaultLayout,
+  EmptyState,
+  Heading,
+  Link,
+  Pagination,
+  PastTime,
+  ProfileTabNav,
+  TabCashCount,
+  TabCoinCount,
+  Text,
+} from '@/TabNewsUI';
+import { HistoryIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/perfil/extrato';
+
+const balanceCounters = {
+  'user:tabcoin': TabCoinCount,
+  'user:tabcash': TabCashCount,
+};
+
+export default function BalanceHistoryPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && !!user;
+
+  const {
+    data: { body: operations, headers },
+    isLoading: operationsAreLoading,
+  } = useSWR(shouldFetch ? `/api/v1/user/balance/history?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    router.push(`/login?redirect=${router.asPath}`);
+  }, [isLoading, router, shouldFetch]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && operations.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [operations.length, headers, page, pagination.currentPage, router, shouldFetch]);
+
+  return (
+    <DefaultLayout containerWidth="medium" metadata={{ title: `Página ${pagination.currentPage} · Extrato` }}>
+      <Heading as="h1" sx={{ mb: 3 }}>
+        Extrato
+      </Heading>
+      <ProfileTabNav />
+
+      {operations.length ? (
+        <Box
+          sx={{
+            display: 'grid',
+            gridTemplateColumns: 'max-content minmax(0, 1fr) max-content max-content',
+            columnGap: 3,
+            rowGap: 2,
+            alignItems: 'center',
+            fontSize: 1,
+            mb: 3,
+          }}>
+          <Text sx={{ fontWeight: 'semibold' }}>Data</Text>
+          <Text sx={{ fontWeight: 'semibold' }}>Descrição</Text>
+          <Text sx={{ fontWeight: 'semibold', textAlign: 'right' }}>Valor</Text>
+          <Text sx={{ fontWeight: 'semibold', textAlign: 'right' }}>Saldo</Text>
+
+          {operations.map((operation) => (
+            <BalanceOperation key={operation.id} operation={operation} />
+          ))}
+        </Box>
+      ) : (
+        <EmptyState
+          title="Nenhuma movimentação"
+          description="Suas movimentações de TabCoins e TabCash aparecerão aqui."
+          icon={HistoryIcon}
+          isLoading={!shouldFetch || operationsAreLoading}
+        />
+      )}
+
+      <Pagination {...pagination} />
+    </DefaultLayout>
+  );
+}
+
+function BalanceOperation({ operation }) {
+  const BalanceCount = balanceCounters[operation.balance_type];
+
+  return (
+    <Fragment>
+      <Text sx={{ color: 'fg.muted', whiteSpace: 'nowrap' }}>
+        <PastTime direction="ne" date={operation.created_at} />
+      </Text>
+
+      <Text sx={{ wordBreak: 'break-word' }}>
+        {operation.content ? (
+          <Link href={`/${operation.content.owner_username}/${operation.content.slug}`}>{operation.reason}</Link>
+        ) : (
+          operation.reason
+        )}
+      </Text>
+
+      <BalanceCount
+        amount={operation.amount}
+        direction="nw"
+        sx={{
+          justifyContent: 'flex-end',
+          fontWeight: 'semibold',
+          color: operation.amount < 0 ? 'danger.fg' : 'success.fg',
+        }}
+      />
+
+      <BalanceCount amount={operation.balance} direction="nw" sx={{ justifyContent: 'flex-end' }} />
+    </Fragment>
+  );
+}
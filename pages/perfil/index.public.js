@@ -1,5 +1,5 @@
 import { useRouter } from 'next/router';
-import { useEffect, useRef, useState } from 'react';
+import { Fragment, useEffect, useRef, useState } from 'react';
 
 import {
   Box,
@@ -13,6 +13,7 @@ import {
   FormControl,
   Heading,
   Link,
+  ProfileTabNav,
   Text,
   TextInput,
   useConfirm,
@@ -25,6 +26,7 @@ export default function EditProfile() {
       <Heading as="h1" sx={{ mb: 3 }}>
         Editar Perfil
       </Heading>
+      <ProfileTabNav />
       <EditProfileForm />
     </DefaultLayout>
   );
@@ -40,7 +42,6 @@ function EditProfileForm() {
 
   const usernameRef = useRef();
   const emailRef = useRef();
-  const notificationsRef = useRef();
 
   const [globalMessageObject, setGlobalMessageObject] = useState(undefined);
   const [isLoading, setIsLoading] = useState(false);
@@ -48,6 +49,7 @@ function EditProfileForm() {
   const [emailDisabled, setEmailDisabled] = useState(false);
   const [description, setDescription] = useState(user?.description || '');
   const [showUsernameCaption, setShowUsernameCaption] = useState(false);
+  const [notificationPreferences, setNotificationPreferences] = useState(user?.notification_preferences || {});
 
   useEffect(() => {
     if (router && !user && !userIsLoading) {
@@ -58,7 +60,7 @@ function EditProfileForm() {
       setDescription(user.description);
       usernameRef.current.value = user.username;
       emailRef.current.value = user.email;
-      notificationsRef.current.checked = user.notifications;
+      setNotificationPreferences(user.notification_preferences);
     }
   }, [user, router, userIsLoading]);
 
@@ -72,7 +74,6 @@ function EditProfileForm() {
 
     const username = usernameRef.current.value;
     const email = emailRef.current.value;
-    const notifications = notificationsRef.current.checked;
 
     setIsLoading(true);
     setErrorObject(undefined);
@@ -118,8 +119,13 @@ function EditProfileForm() {
       payload.description = description;
     }
 
-    if (user.notifications !== notifications) {
-      payload.notifications = notifications;
+    const changedNotificationPreferences = getChangedNotificationPreferences(
+      user.notification_preferences,
+      notificationPreferences,
+    );
+
+    if (changedNotificationPreferences) {
+      payload.notification_preferences = changedNotificationPreferences;
     }
 
     if (Object.keys(payload).length === 0) {
@@ -283,20 +289,14 @@ function EditProfileForm() {
           </Box>
         </FormControl>
 
-        <FormControl id="notifications" sx={{ gap: 2, alignItems: 'center' }}>
-          <FormControl.Label>Receber notificações por email</FormControl.Label>
-
-          <Checkbox
-            sx={{ display: 'flex' }}
-            ref={notificationsRef}
-            name="notifications"
-            aria-label="Você deseja receber notificações?"
-          />
-
-          {errorObject?.key === 'notifications' && (
-            <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
-          )}
-        </FormControl>
+        <NotificationPreferencesFields
+          value={notificationPreferences}
+          onChange={(value) => {
+            clearMessages();
+            setNotificationPreferences(value);
+          }}
+          errorObject={errorObject}
+        />
 
         <FormControl id="password">
           <FormControl.Label>Senha</FormControl.Label>
@@ -325,3 +325,85 @@ function EditProfileForm() {
     </form>
   );
 }
+
+const notificationKinds = [
+  { key: 'direct_reply', label: 'Respostas diretas aos meus conteúdos' },
+  { key: 'thread_reply', label: 'Comentários nas discussões das minhas publicações' },
+  { key: 'mention', label: 'Menções ao meu nome de usuário' },
+  { key: 'tabcoins_reward', label: 'TabCoins recebidas' },
+];
+
+const notificationChannels = [
+  { key: 'email', label: 'Email' },
+  { key: 'in_app', label: 'No site' },
+];
+
+function getChangedNotificationPreferences(currentPreferences = {}, newPreferences = {}) {
+  const changedPreferences = {};
+
+  for (const { key: kind } of notificationKinds) {
+    for (const { key: channel } of notificationChannels) {
+      const newValue = newPreferences[kind]?.[channel];
+
+      if (newValue !== undefined && newValue !== currentPreferences[kind]?.[channel]) {
+        changedPreferences[kind] = { ...changedPreferences[kind], [channel]: newValue };
+      }
+    }
+  }
+
+  return Object.keys(changedPreferences).length ? changedPreferences : undefined;
+}
+
+function NotificationPreferencesFields({ value, onChange, errorObject }) {
+  function handleChange(kind, channel, checked) {
+    onChange({
+      ...value,
+      [kind]: { ...value?.[kind], [channel]: checked },
+    });
+  }
+
+  return (
+    <Box as="fieldset" sx={{ border: 0, p: 0, m: 0 }}>
+      <Text as="legend" sx={{ fontWeight: 'bold', fontSize: 1, mb: 2 }}>
+        Notificações
+      </Text>
+
+      <Box
+        sx={{
+          display: 'grid',
+          gridTemplateColumns: `minmax(0, 1fr) repeat(${notificationChannels.length}, max-content)`,
+          columnGap: 3,
+          rowGap: 2,
+          alignItems: 'center',
+          fontSize: 1,
+        }}>
+        <Box />
+        {notificationChannels.map(({ key, label }) => (
+          <Text key={key} sx={{ fontWeight: 'semibold', textAlign: 'center' }}>
+            {label}
+          </Text>
+        ))}
+
+        {notificationKinds.map(({ key: kind, label: kindLabel }) => (
+          <Fragment key={kind}>
+            <Text>{kindLabel}</Text>
+            {notificationChannels.map(({ key: channel, label: channelLabel }) => (
+              <Box key={channel} sx={{ display: 'flex', justifyContent: 'center' }}>
+                <Checkbox
+                  name={`notification_preferences.${kind}.${channel}`}
+                  checked={value?.[kind]?.[channel] ?? true}
+                  onChange={(event) => handleChange(kind, channel, event.target.checked)}
+                  aria-label={`${kindLabel}: ${channelLabel}`}
+                />
+              </Box>
+            ))}
+          </Fragment>
+        ))}
+      </Box>
+
+      {errorObject?.key === 'notification_preferences' && (
+        <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+      )}
+    </Box>
+  );
+}
@@ -0,0 +1,88 @@
+import { useRouter } from 'next/router';
+import parseLinkHeader from 'parse-link-header';
+import { useEffect, useState } from 'react';
+import useSWR from 'swr';
+
+import { ContentList, DefaultLayout, Heading, ProfileTabNav } from '@/TabNewsUI';
+import { BookmarkIcon } from '@/TabNewsUI/icons';
+import { useUser } from 'pages/interface';
+
+const basePath = '/perfil/salvos';
+
+export default function BookmarksPage() {
+  const { user, isLoading: userIsLoading } = useUser();
+  const router = useRouter();
+  const [pagination, setPagination] = useState({
+    currentPage: 1,
+    lastPage: 1,
+    previousPage: null,
+    nextPage: null,
+    perPage: 30,
+    basePath,
+  });
+
+  const { page } = router.query;
+  const isLoading = userIsLoading || !page;
+  const shouldFetch = !isLoading && user?.features?.includes('create:bookmark');
+
+  const {
+    data: { body: contentListFound, headers },
+  } = useSWR(shouldFetch ? `/api/v1/user/bookmarks?page=${page}` : null, {
+    fallbackData: { body: [], headers: {} },
+    revalidateOnFocus: false,
+  });
+
+  useEffect(() => {
+    if (isLoading || shouldFetch) return;
+
+    if (!user) {
+      router.push(`/login?redirect=${router.asPath}`);
+      return;
+    }
+
+    router.replace('/');
+  }, [isLoading, router, shouldFetch, user]);
+
+  useEffect(() => {
+    if (!shouldFetch) return;
+
+    const linkHeader = parseLinkHeader(headers.get?.('Link'));
+
+    const newPagination = {
+      currentPage: page || 1,
+      lastPage: linkHeader?.last?.page,
+      previousPage: linkHeader?.prev?.page,
+      nextPage: linkHeader?.next?.page,
+      perPage: linkHeader?.last?.per_page || 30,
+      basePath,
+    };
+
+    if (linkHeader && contentListFound.length === 0 && newPagination.currentPage > 1) {
+      router.replace(`${basePath}/${newPagination.lastPage}`);
+      return;
+    }
+
+    if (linkHeader && newPagination.currentPage !== pagination.currentPage) {
+      setPagination(newPagination);
+    }
+  }, [contentListFound.length, headers, page, pagination.currentPage, router, shouldFetch]);
+
+  return (
+    <DefaultLayout containerWidth="medium" metadata={{ title: `Página ${pagination.currentPage} · Salvos` }}>
+      <Heading as="h1" sx={{ mb: 3 }}>
+        Conteúdos salvos
+      </Heading>
+      <ProfileTabNav />
+      <ContentList
+        contentList={contentListFound}
+        pagination={pagination}
+        paginationBasePath={basePath}
+        emptyStateProps={{
+          title: 'Nenhum conteúdo salvo',
+          description: 'Use o botão de salvar nas publicações para encontrá-las aqui depois.',
+          icon: BookmarkIcon,
+        }}
+      />
+    </DefaultLayout>
+  );
+}
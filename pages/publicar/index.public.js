@@ -1,8 +1,8 @@
 import { useRouter } from 'next/router';
-import { useEffect } from 'react';
+import { useCallback, useEffect, useState } from 'react';
 import useSWR from 'swr';
 
-import { Box, Content, DefaultLayout, Flash, Heading, Link } from '@/TabNewsUI';
+import { Box, Button, Content, DefaultLayout, Flash, Heading, Link, PastTime, Text, useConfirm } from '@/TabNewsUI';
 import { useUser } from 'pages/interface';
 
 export default function Post() {
@@ -39,6 +39,107 @@ export default function Post() {
         Publicar novo conteúdo
       </Heading>
       <Content mode="edit" />
+
+      {user && <ScheduledContents />}
     </DefaultLayout>
   );
 }
+
+function ScheduledContents() {
+  const [isUpdating, setIsUpdating] = useState(false);
+  const confirm = useConfirm();
+  const { data, mutate } = useSWR('/api/v1/contents/scheduled', {
+    revalidateOnFocus: false,
+  });
+
+  const scheduledContents = data?.body ?? [];
+
+  const updateScheduledContent = useCallback(
+    async (contentObject, status) => {
+      if (status === 'deleted') {
+        const confirmDelete = await confirm({
+          title: 'Deseja cancelar esta publicação agendada?',
+          content: 'O conteúdo será excluído e não poderá ser recuperado.',
+          cancelButtonContent: 'Voltar',
+          confirmButtonContent: 'Cancelar publicação',
+          confirmButtonType: 'danger',
+        });
+
+        if (!confirmDelete) return;
+      }
+
+      setIsUpdating(true);
+
+      try {
+        await fetch(`/api/v1/contents/${contentObject.owner_username}/${contentObject.slug}`, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+          },
+          body: JSON.stringify({ status }),
+        });
+      } finally {
+        await mutate();
+        setIsUpdating(false);
+      }
+    },
+    [confirm, mutate],
+  );
+
+  if (!scheduledContents.length) return null;
+
+  return (
+    <Box as="section" sx={{ mt: 4 }}>
+      <Heading as="h2" sx={{ fontSize: 3, mb: 3 }}>
+        Publicações agendadas
+      </Heading>
+
+      <Box as="ol" sx={{ display: 'flex', flexDirection: 'column', gap: 3, listStyle: 'none', p: 0, m: 0 }}>
+        {scheduledContents.map((contentObject) => (
+          <Box
+            as="li"
+            key={contentObject.id}
+            sx={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: 2,
+              flexWrap: 'wrap',
+              borderWidth: 1,
+              borderStyle: 'solid',
+              borderColor: 'border.default',
+              borderRadius: 2,
+              p: 3,
+            }}>
+            <Box sx={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+              <Text sx={{ fontWeight: 'semibold', wordBreak: 'break-word' }}>{contentObject.title}</Text>
+              <Text sx={{ fontSize: 1, color: 'fg.muted' }}>
+                Publicação agendada para{' '}
+                <PastTime
+                  date={contentObject.scheduled_for}
+                  formatText={(formattedDate) => `daqui a ${formattedDate}`}
+                />
+              </Text>
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <Button
+                size="small"
+                disabled={isUpdating}
+                onClick={() => updateScheduledContent(contentObject, 'published')}>
+                Publicar agora
+              </Button>
+              <Button
+                size="small"
+                variant="danger"
+                disabled={isUpdating}
+                onClick={() => updateScheduledContent(contentObject, 'deleted')}>
+                Cancelar
+              </Button>
+            </Box>
+          </Box>
+        ))}
+      </Box>
+    </Box>
+  );
+}
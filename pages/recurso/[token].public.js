@@ -0,0 +1,123 @@
+import { useRouter } from 'next/router';
+import { useEffect, useState } from 'react';
+
+import { Box, ButtonWithLoader, DefaultLayout, Flash, FormControl, Heading, Text, Textarea } from '@/TabNewsUI';
+import { createErrorMessage } from 'pages/interface';
+
+const resolutionMessages = {
+  accept: 'Seu recurso foi aceito e a sua conta foi reativada. Faça login novamente para continuar.',
+  reject: 'Seu recurso foi analisado e a decisão da moderação foi mantida.',
+};
+
+export default function BanAppeal() {
+  const router = useRouter();
+  const { token } = router.query;
+
+  const [appealObject, setAppealObject] = useState(null);
+  const [message, setMessage] = useState('');
+  const [errorObject, setErrorObject] = useState(undefined);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isPosting, setIsPosting] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+
+    async function fetchAppeal() {
+      try {
+        const response = await fetch(`/api/v1/appeals/${token}`);
+        const responseBody = await response.json();
+
+        if (response.status === 200) {
+          setAppealObject(responseBody);
+        } else {
+          setErrorObject(responseBody);
+        }
+      } catch (error) {
+        setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+      }
+
+      setIsLoading(false);
+    }
+
+    fetchAppeal();
+  }, [token]);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    setIsPosting(true);
+    setErrorObject(undefined);
+
+    try {
+      const response = await fetch(`/api/v1/appeals/${token}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ message }),
+      });
+
+      const responseBody = await response.json();
+
+      if (response.status === 200) {
+        setAppealObject(responseBody);
+      } else {
+        setErrorObject(responseBody);
+      }
+    } catch (error) {
+      setErrorObject({ message: 'Não foi possível se conectar ao TabNews. Por favor, verifique sua conexão.' });
+    }
+
+    setIsPosting(false);
+  }
+
+  return (
+    <DefaultLayout containerWidth="small" metadata={{ title: 'Recurso de banimento' }}>
+      <Heading as="h1" sx={{ mb: 3 }}>
+        Recurso de banimento
+      </Heading>
+
+      {isLoading && <Flash variant="default">Verificando o link do recurso...</Flash>}
+
+      {!isLoading && !appealObject && errorObject && <Flash variant="danger">{createErrorMessage(errorObject)}</Flash>}
+
+      {appealObject?.resolution && <Flash variant="default">{resolutionMessages[appealObject.resolution]}</Flash>}
+
+      {appealObject?.submitted_at && !appealObject.resolution && (
+        <Flash variant="success">Seu recurso foi enviado e será analisado pela moderação.</Flash>
+      )}
+
+      {appealObject && !appealObject.submitted_at && (
+        <Box as="form" sx={{ display: 'flex', flexDirection: 'column', gap: 3 }} onSubmit={handleSubmit}>
+          <Text>
+            Explique por que você acredita que a sua conta foi desativada por engano. A moderação vai analisar o seu
+            recurso e você receberá uma resposta por email.
+          </Text>
+
+          <FormControl id="appeal-message" required>
+            <FormControl.Label>Mensagem</FormControl.Label>
+            <Textarea
+              block
+              resize="vertical"
+              rows={8}
+              maxLength={2000}
+              value={message}
+              onChange={(event) => setMessage(event.target.value)}
+            />
+
+            {errorObject?.key === 'message' && (
+              <FormControl.Validation variant="error">{errorObject.message}</FormControl.Validation>
+            )}
+          </FormControl>
+
+          {errorObject && errorObject.key !== 'message' && (
+            <Flash variant="danger">{createErrorMessage(errorObject)}</Flash>
+          )}
+
+          <ButtonWithLoader variant="primary" size="large" type="submit" isLoading={isPosting}>
+            Enviar recurso
+          </ButtonWithLoader>
+        </Box>
+      )}
+    </DefaultLayout>
+  );
+}
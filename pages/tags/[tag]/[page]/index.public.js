@@ -0,0 +1,100 @@
+import { getStaticPropsRevalidate } from 'next-swr';
+
+import { Box, ContentList, DefaultLayout, Heading, Link } from '@/TabNewsUI';
+import { FaTree } from '@/TabNewsUI/icons';
+import webserver from 'infra/webserver';
+import authorization from 'models/authorization.js';
+import content from 'models/content.js';
+import user from 'models/user.js';
+import validator from 'models/validator.js';
+
+export default function TagPage({ contentListFound, pagination, tag }) {
+  return (
+    <DefaultLayout
+      metadata={{
+        title: `Página ${pagination.currentPage} · ${tag}`,
+        description: `Publicações relevantes no TabNews com a tag "${tag}".`,
+        feed: { title: `TabNews: ${tag}`, path: `/tags/${tag}` },
+      }}>
+      <Box sx={{ width: '100%', display: 'flex', alignItems: 'baseline', gap: 3, mb: 3 }}>
+        <Heading as="h1" sx={{ wordBreak: 'break-word' }}>
+          {tag}
+        </Heading>
+        <Link href={`/tags/${tag}/rss`} sx={{ fontSize: 1 }}>
+          RSS
+        </Link>
+      </Box>
+
+      <ContentList
+        contentList={contentListFound}
+        pagination={pagination}
+        paginationBasePath={`/tags/${tag}`}
+        emptyStateProps={{
+          title: 'Nenhuma publicação relevante encontrada',
+          description: `Ainda não há publicações relevantes com a tag "${tag}".`,
+          icon: FaTree,
+        }}
+      />
+    </DefaultLayout>
+  );
+}
+
+export function getStaticPaths() {
+  return {
+    paths: [],
+    fallback: 'blocking',
+  };
+}
+
+export const getStaticProps = getStaticPropsRevalidate(async (context) => {
+  const userTryingToGet = user.createAnonymous();
+
+  try {
+    context.params = validator(context.params, {
+      tag: 'required',
+      page: 'optional',
+      per_page: 'optional',
+    });
+  } catch (error) {
+    return {
+      notFound: true,
+    };
+  }
+
+  const results = await content.findWithStrategy({
+    strategy: 'relevant',
+    where: {
+      parent_id: null,
+      status: 'published',
+      tag: context.params.tag,
+    },
+    page: context.params.page,
+    per_page: context.params.per_page,
+  });
+
+  const contentListFound = results.rows;
+
+  if (contentListFound.length === 0 && context.params.page !== 1 && !webserver.isBuildTime) {
+    const lastValidPage = `/tags/${context.params.tag}/${results.pagination.lastPage || 1}`;
+    const revalidate = context.params.page > results.pagination.lastPage + 1 ? 10 : 1;
+
+    return {
+      redirect: {
+        destination: lastValidPage,
+      },
+      revalidate,
+    };
+  }
+
+  const secureContentValues = authorization.filterOutput(userTryingToGet, 'read:content:list', contentListFound);
+
+  return {
+    props: {
+      contentListFound: secureContentValues,
+      pagination: results.pagination,
+      tag: context.params.tag,
+    },
+
+    revalidate: 10,
+  };
+});
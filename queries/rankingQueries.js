@@ -1,5 +1,16 @@
+const maxBoostScoreBonus = 10;
+
 const rankedContent = `
     WITH
+    active_boosts AS (
+        SELECT
+            content_id,
+            LEAST(SUM(score_bonus), ${maxBoostScoreBonus}) as score_bonus,
+            MAX(expires_at) as boosted_until
+        FROM content_boosts
+        WHERE expires_at > NOW()
+        GROUP BY content_id
+    ),
     latest_published_child_contents AS (
         SELECT
             contents.owner_id,
@@ -8,6 +19,7 @@ const rankedContent = `
         WHERE
             parent_id IS NOT NULL
             AND status = 'published'
+            AND quarantined_at IS NULL
             AND published_at > NOW() - INTERVAL '1 day'
     ),
     latest_interacted_root_contents AS (
@@ -23,8 +35,10 @@ const rankedContent = `
         WHERE
             parent_id IS NULL
             AND status = 'published'
+            AND quarantined_at IS NULL
             AND published_at > NOW() - INTERVAL '7 days'
             AND type != 'ad'
+            AND ($3::varchar IS NULL OR contents.id IN (SELECT content_id FROM content_tags WHERE name = $3))
         UNION
         SELECT
             contents.id,
@@ -41,7 +55,9 @@ const rankedContent = `
         WHERE
             parent_id IS NULL
             AND status = 'published'
+            AND quarantined_at IS NULL
             AND type != 'ad'
+            AND ($3::varchar IS NULL OR contents.id IN (SELECT content_id FROM content_tags WHERE name = $3))
     ),
     ranked_published_root_contents AS (
         SELECT
@@ -52,9 +68,12 @@ const rankedContent = `
                 WHERE all_contents.path @> ARRAY[latest.id]
                     AND all_contents.owner_id != latest.owner_id
                     AND all_contents.status = 'published'
-            )) as score,
+                    AND all_contents.quarantined_at IS NULL
+            ) + COALESCE(active_boosts.score_bonus, 0)) as score,
+            active_boosts.boosted_until,
             COUNT(*) OVER()::INTEGER as total_rows
         FROM latest_interacted_root_contents AS latest
+        LEFT JOIN active_boosts ON active_boosts.content_id = latest.id
         WHERE tabcoins > 0
         ORDER BY
             tabcoins DESC,
@@ -169,13 +188,25 @@ const rankedContent = `
         ranked.tabcoins,
         ranked.tabcoins_credit,
         ranked.tabcoins_debit,
+        ranked.boosted_until,
         ranked.total_rows,
         users.username as owner_username,
+        (
+            SELECT array_agg(content_tags.name ORDER BY content_tags.name)
+            FROM content_tags
+            WHERE content_tags.content_id = contents.id
+        ) as tags,
+        (
+            SELECT SUM(content_tips.amount)::INTEGER
+            FROM content_tips
+            WHERE content_tips.content_id = contents.id
+        ) as tips,
         (
             SELECT COUNT(*)
             FROM contents as all_contents
             WHERE all_contents.path @> ARRAY[ranked.id]
                 AND all_contents.status = 'published'
+                AND all_contents.quarantined_at IS NULL
         ) as children_deep_count
         FROM ranked
         INNER JOIN
@@ -188,5 +219,6 @@ const rankedContent = `
 `;
 
 export default Object.freeze({
+  maxBoostScoreBonus,
   rankedContent,
 });
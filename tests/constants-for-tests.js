@@ -2,3 +2,9 @@ export const defaultTabCashForAdCreation = 100;
 export const maxSlugLength = 160;
 export const maxTitleLength = 255;
 export const relevantBody = 'Body with relevant text needs to contain a good amount of words.';
+export const defaultNotificationPreferences = {
+  direct_reply: { email: true, in_app: true },
+  thread_reply: { email: false, in_app: true },
+  mention: { email: true, in_app: true },
+  tabcoins_reward: { email: false, in_app: true },
+};
@@ -4,6 +4,7 @@ import activation from 'models/activation.js';
 import password from 'models/password.js';
 import session from 'models/session.js';
 import user from 'models/user.js';
+import { defaultNotificationPreferences } from 'tests/constants-for-tests';
 import orchestrator from 'tests/orchestrator.js';
 
 beforeAll(async () => {
@@ -99,6 +100,9 @@ describe('Use case: Registration Flow (all successfully)', () => {
       'create:content:text_child',
       'update:content',
       'update:user',
+      'create:bookmark',
+      'create:follow',
+      'create:report',
     ]);
   });
 
@@ -151,6 +155,7 @@ describe('Use case: Registration Flow (all successfully)', () => {
       email: 'regularregistrationflow@gmail.com',
       description: '',
       notifications: true,
+      notification_preferences: defaultNotificationPreferences,
       features: [
         'create:session',
         'read:session',
@@ -159,6 +164,9 @@ describe('Use case: Registration Flow (all successfully)', () => {
         'create:content:text_child',
         'update:content',
         'update:user',
+        'create:bookmark',
+        'create:follow',
+        'create:report',
       ],
       tabcoins: 0,
       tabcash: 0,
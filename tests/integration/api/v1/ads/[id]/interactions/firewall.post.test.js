@@ -0,0 +1,104 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeEach(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/ads/[id]/interactions [FIREWALL]', () => {
+  async function createAd(adsRequestBuilder) {
+    const advertiser = await adsRequestBuilder.buildUser();
+
+    await orchestrator.createBalance({
+      balanceType: 'user:tabcash',
+      recipientId: advertiser.id,
+      amount: 100,
+    });
+
+    const { responseBody: createdAd } = await adsRequestBuilder.post({
+      title: 'Anúncio',
+      body: 'Corpo',
+      budget: 100,
+      pricing_model: 'cpc',
+      cost: 7,
+    });
+
+    return createdAd;
+  }
+
+  describe('Anonymous user', () => {
+    test('Interactions that were not recorded do not count', async () => {
+      const createdAd = await createAd(new RequestBuilder('/api/v1/ads'));
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+
+      for (let i = 0; i < 12; i++) {
+        const { response } = await interactionsRequestBuilder.post({ type: 'click', viewer_session: randomUUID() });
+
+        expect.soft(response.status).toBe(201);
+      }
+
+      const { response, responseBody } = await interactionsRequestBuilder.post({ type: 'impression' });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody).toStrictEqual({ type: 'impression', recorded: true });
+    });
+
+    test('Spamming interactions from the same IP', async () => {
+      const viewerSession = randomUUID();
+
+      for (let i = 0; i < 5; i++) {
+        const createdAd = await createAd(new RequestBuilder('/api/v1/ads'));
+        const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+
+        const { responseBody: impressionResponseBody } = await interactionsRequestBuilder.post({
+          type: 'impression',
+          viewer_session: viewerSession,
+        });
+
+        const { responseBody: clickResponseBody } = await interactionsRequestBuilder.post({
+          type: 'click',
+          viewer_session: viewerSession,
+        });
+
+        expect(impressionResponseBody).toStrictEqual({ type: 'impression', recorded: true });
+        expect(clickResponseBody).toStrictEqual({ type: 'click', recorded: true });
+      }
+
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const blockedAd = await createAd(adsRequestBuilder);
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${blockedAd.id}/interactions`);
+
+      const { response, responseBody } = await interactionsRequestBuilder.post({
+        type: 'impression',
+        viewer_session: viewerSession,
+      });
+
+      expect.soft(response.status).toBe(429);
+
+      expect(responseBody).toStrictEqual({
+        name: 'TooManyRequestsError',
+        message:
+          'Identificamos muitas interações com anúncios em um curto período, então novas interações não serão contabilizadas.',
+        action: 'Tente novamente mais tarde.',
+        status_code: 429,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:FIREWALL:CHECK_AD_INTERACTION_BURST:TOO_MANY_INTERACTIONS',
+      });
+
+      const { responseBody: adsList } = await adsRequestBuilder.get();
+
+      expect(adsList[0]).toStrictEqual({
+        ...blockedAd,
+        spent: 0,
+        remaining_budget: 100,
+        impressions: 0,
+        clicks: 0,
+      });
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+async function createAd(adsRequestBuilder, adValues) {
+  const advertiser = await adsRequestBuilder.buildUser();
+
+  await orchestrator.createBalance({
+    balanceType: 'user:tabcash',
+    recipientId: advertiser.id,
+    amount: adValues.budget,
+  });
+
+  const { responseBody: createdAd } = await adsRequestBuilder.post({
+    title: 'Anúncio',
+    body: 'Corpo',
+    ...adValues,
+  });
+
+  return createdAd;
+}
+
+describe('POST /api/v1/ads/[id]/interactions', () => {
+  describe('Anonymous user', () => {
+    test('With invalid "type"', async () => {
+      const interactionsRequestBuilder = new RequestBuilder(
+        '/api/v1/ads/ef2e2d2e-a3d4-4ec3-9a1f-3b6b0d8e4a11/interactions',
+      );
+
+      const { response, responseBody } = await interactionsRequestBuilder.post({ type: 'view' });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"type" deve possuir um dos seguintes valores: "impression", "click".');
+      expect(responseBody.key).toBe('type');
+    });
+
+    test('With non-existent ad', async () => {
+      const interactionsRequestBuilder = new RequestBuilder(
+        '/api/v1/ads/ef2e2d2e-a3d4-4ec3-9a1f-3b6b0d8e4a11/interactions',
+      );
+
+      const { response, responseBody } = await interactionsRequestBuilder.post({ type: 'impression' });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O anúncio informado não foi encontrado no sistema.',
+        action: 'Verifique se o "id" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:ADVERTISEMENT:RECORD_INTERACTION:NOT_FOUND',
+        key: 'id',
+      });
+    });
+
+    test('Clicks on a per-click ad', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder, { budget: 100, pricing_model: 'cpc', cost: 7 });
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+      const viewerSession = randomUUID();
+
+      const { response: impressionResponse, responseBody: impressionResponseBody } =
+        await interactionsRequestBuilder.post({ type: 'impression', viewer_session: viewerSession });
+
+      expect.soft(impressionResponse.status).toBe(201);
+      expect(impressionResponseBody).toStrictEqual({ type: 'impression', recorded: true });
+
+      const { response: clickResponse, responseBody: clickResponseBody } = await interactionsRequestBuilder.post({
+        type: 'click',
+        viewer_session: viewerSession,
+      });
+
+      expect.soft(clickResponse.status).toBe(201);
+      expect(clickResponseBody).toStrictEqual({ type: 'click', recorded: true });
+
+      const { responseBody: duplicatedClickResponseBody } = await interactionsRequestBuilder.post({
+        type: 'click',
+        viewer_session: viewerSession,
+      });
+
+      expect(duplicatedClickResponseBody).toStrictEqual({ type: 'click', recorded: false });
+
+      const { responseBody: adsList } = await adsRequestBuilder.get();
+
+      expect(adsList[0]).toStrictEqual({
+        ...createdAd,
+        spent: 7,
+        remaining_budget: 93,
+        impressions: 1,
+        clicks: 1,
+      });
+    });
+
+    test('Clicks without a served impression', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder, { budget: 100, pricing_model: 'cpc', cost: 7 });
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+
+      const { responseBody: unservedClickResponseBody } = await interactionsRequestBuilder.post({
+        type: 'click',
+        viewer_session: randomUUID(),
+      });
+
+      expect(unservedClickResponseBody).toStrictEqual({ type: 'click', recorded: false });
+
+      const { responseBody: impressionResponseBody } = await interactionsRequestBuilder.post({ type: 'impression' });
+
+      expect(impressionResponseBody).toStrictEqual({ type: 'impression', recorded: true });
+
+      const { responseBody: sessionlessClickResponseBody } = await interactionsRequestBuilder.post({ type: 'click' });
+
+      expect(sessionlessClickResponseBody).toStrictEqual({ type: 'click', recorded: false });
+
+      const { responseBody: adsList } = await adsRequestBuilder.get();
+
+      expect(adsList[0]).toStrictEqual({
+        ...createdAd,
+        spent: 0,
+        remaining_budget: 100,
+        impressions: 1,
+        clicks: 0,
+      });
+    });
+
+    test('Impressions on a per-mille ad', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder, { budget: 100, pricing_model: 'cpm', cost: 10 });
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+      const viewerSession = randomUUID();
+      await interactionsRequestBuilder.post({ type: 'impression', viewer_session: viewerSession });
+      await interactionsRequestBuilder.post({ type: 'click', viewer_session: viewerSession });
+
+      const { responseBody: adsList } = await adsRequestBuilder.get();
+
+      expect(adsList[0]).toStrictEqual({
+        ...createdAd,
+        spent: 0,
+        remaining_budget: 100,
+        impressions: 1,
+        clicks: 1,
+      });
+    });
+
+    test('Until the budget runs out', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder, { budget: 10, pricing_model: 'cpc', cost: 10 });
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+      const viewerSession = randomUUID();
+      await interactionsRequestBuilder.post({ type: 'impression', viewer_session: viewerSession });
+
+      const { responseBody: clickResponseBody } = await interactionsRequestBuilder.post({
+        type: 'click',
+        viewer_session: viewerSession,
+      });
+
+      expect(clickResponseBody).toStrictEqual({ type: 'click', recorded: true });
+
+      const { responseBody: impressionResponseBody } = await interactionsRequestBuilder.post({
+        type: 'impression',
+        viewer_session: randomUUID(),
+      });
+
+      expect(impressionResponseBody).toStrictEqual({ type: 'impression', recorded: false });
+
+      const { responseBody: adsList } = await adsRequestBuilder.get();
+
+      expect(adsList[0]).toStrictEqual({
+        ...createdAd,
+        spent: 10,
+        remaining_budget: 0,
+        impressions: 1,
+        clicks: 1,
+      });
+
+      const sponsoredRequestBuilder = new RequestBuilder('/api/v1/sponsored-beta');
+      const { responseBody: sponsoredResponseBody } = await sponsoredRequestBuilder.get('?per_page=100');
+
+      expect(sponsoredResponseBody.map((ad) => ad.id)).not.toContain(createdAd.id);
+    });
+  });
+});
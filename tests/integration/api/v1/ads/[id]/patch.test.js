@@ -0,0 +1,136 @@
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+async function createAd(adsRequestBuilder, adValues = {}) {
+  const advertiser = await adsRequestBuilder.buildUser();
+
+  await orchestrator.createBalance({
+    balanceType: 'user:tabcash',
+    recipientId: advertiser.id,
+    amount: 100,
+  });
+
+  const { responseBody: createdAd } = await adsRequestBuilder.post({
+    title: 'Anúncio',
+    body: 'Corpo',
+    budget: 100,
+    pricing_model: 'cpc',
+    cost: 1,
+    ...adValues,
+  });
+
+  return createdAd;
+}
+
+describe('PATCH /api/v1/ads/[id]', () => {
+  describe('Anonymous user', () => {
+    test('Should not be able to update an ad', async () => {
+      const createdAd = await createAd(new RequestBuilder('/api/v1/ads'));
+
+      const adRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}`);
+      const { response, responseBody } = await adRequestBuilder.patch({ status: 'paused' });
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('Default user', () => {
+    test('With non-existent ad', async () => {
+      const adRequestBuilder = new RequestBuilder('/api/v1/ads/ef2e2d2e-a3d4-4ec3-9a1f-3b6b0d8e4a11');
+      await adRequestBuilder.buildUser();
+
+      const { response, responseBody } = await adRequestBuilder.patch({ status: 'paused' });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O anúncio informado não foi encontrado no sistema.',
+        action: 'Verifique se o "id" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:ADVERTISEMENT:FIND_ONE_BY_ID:NOT_FOUND',
+        key: 'id',
+      });
+    });
+
+    test('With invalid "status"', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder);
+
+      const { response, responseBody } = await adsRequestBuilder.patch(`/${createdAd.id}`, { status: 'deleted' });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"status" deve possuir um dos seguintes valores: "active", "paused".');
+      expect(responseBody.key).toBe('status');
+    });
+
+    test('From another user', async () => {
+      const createdAd = await createAd(new RequestBuilder('/api/v1/ads'));
+
+      const adRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}`);
+      await adRequestBuilder.buildUser();
+
+      const { response, responseBody } = await adRequestBuilder.patch({ status: 'paused' });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Você não possui permissão para alterar este anúncio.',
+        action: 'Somente o anunciante pode pausar ou retomar o anúncio.',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:ADS:PATCH_HANDLER:NOT_OWNER',
+      });
+    });
+
+    test('Pausing and resuming own ad', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const createdAd = await createAd(adsRequestBuilder, { title: 'Anúncio pausável' });
+      const sponsoredRequestBuilder = new RequestBuilder('/api/v1/sponsored-beta');
+
+      const { response: pauseResponse, responseBody: pauseResponseBody } = await adsRequestBuilder.patch(
+        `/${createdAd.id}`,
+        { status: 'paused' },
+      );
+
+      expect.soft(pauseResponse.status).toBe(200);
+
+      expect(pauseResponseBody).toStrictEqual({
+        ...createdAd,
+        status: 'paused',
+        updated_at: pauseResponseBody.updated_at,
+      });
+
+      expect(pauseResponseBody.updated_at > createdAd.updated_at).toBe(true);
+
+      const { responseBody: sponsoredWhilePaused } = await sponsoredRequestBuilder.get('?per_page=100');
+      expect(sponsoredWhilePaused.map((ad) => ad.id)).not.toContain(createdAd.id);
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${createdAd.id}/interactions`);
+      const { responseBody: interactionWhilePaused } = await interactionsRequestBuilder.post({ type: 'click' });
+      expect(interactionWhilePaused).toStrictEqual({ type: 'click', recorded: false });
+
+      const { response: resumeResponse, responseBody: resumeResponseBody } = await adsRequestBuilder.patch(
+        `/${createdAd.id}`,
+        { status: 'active' },
+      );
+
+      expect.soft(resumeResponse.status).toBe(200);
+      expect(resumeResponseBody.status).toBe('active');
+
+      const { responseBody: sponsoredAfterResume } = await sponsoredRequestBuilder.get('?per_page=100');
+      expect(sponsoredAfterResume.map((ad) => ad.id)).toContain(createdAd.id);
+    });
+  });
+});
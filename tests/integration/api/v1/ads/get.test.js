@@ -0,0 +1,110 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/ads', () => {
+  describe('Anonymous user', () => {
+    test('Should not be able to list ads', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+
+      const { response, responseBody } = await adsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:session".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('Default user', () => {
+    test('With no ads', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      await adsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await adsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With own and other users ads', async () => {
+      const otherAdsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const otherUser = await otherAdsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: otherUser.id,
+        amount: 100,
+      });
+
+      await otherAdsRequestBuilder.post({
+        title: 'Anúncio de outro usuário',
+        body: 'Corpo',
+        budget: 100,
+        pricing_model: 'cpc',
+        cost: 1,
+      });
+
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const defaultUser = await adsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 150,
+      });
+
+      const { responseBody: firstAd } = await adsRequestBuilder.post({
+        title: 'Primeiro anúncio',
+        body: 'Corpo',
+        budget: 100,
+        pricing_model: 'cpc',
+        cost: 5,
+      });
+
+      const { responseBody: secondAd } = await adsRequestBuilder.post({
+        title: 'Segundo anúncio',
+        body: 'Corpo',
+        budget: 50,
+        pricing_model: 'cpm',
+        cost: 10,
+      });
+
+      const interactionsRequestBuilder = new RequestBuilder(`/api/v1/ads/${firstAd.id}/interactions`);
+      const viewerSession = randomUUID();
+      await interactionsRequestBuilder.post({ type: 'impression', viewer_session: viewerSession });
+      await interactionsRequestBuilder.post({ type: 'click', viewer_session: viewerSession });
+
+      const { response, responseBody } = await adsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody).toStrictEqual([
+        secondAd,
+        {
+          ...firstAd,
+          spent: 5,
+          remaining_budget: 95,
+          impressions: 1,
+          clicks: 1,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,150 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/ads', () => {
+  describe('Anonymous user', () => {
+    test('Should not be able to create an ad', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+
+      const { response, responseBody } = await adsRequestBuilder.post({
+        title: 'Anúncio anônimo',
+        body: 'Corpo',
+        budget: 100,
+        pricing_model: 'cpc',
+        cost: 1,
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:content:text_root".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('Default user', () => {
+    test('With invalid "pricing_model"', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      await adsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await adsRequestBuilder.post({
+        title: 'Anúncio',
+        body: 'Corpo',
+        budget: 100,
+        pricing_model: 'cpa',
+        cost: 1,
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"pricing_model" deve possuir um dos seguintes valores: "cpm", "cpc".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'pricing_model',
+        type: 'any.only',
+      });
+    });
+
+    test('With not enough TabCash for the budget', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const defaultUser = await adsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 50,
+      });
+
+      const { response, responseBody } = await adsRequestBuilder.post({
+        title: 'Anúncio caro',
+        body: 'Corpo',
+        budget: 200,
+        pricing_model: 'cpc',
+        cost: 1,
+      });
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Não foi possível criar a publicação.',
+        action: 'Você precisa de pelo menos 200 TabCash para realizar esta ação.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:CONTENT:UPDATE_TABCASH:NOT_ENOUGH',
+      });
+    });
+
+    test('With valid data', async () => {
+      const adsRequestBuilder = new RequestBuilder('/api/v1/ads');
+      const defaultUser = await adsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 300,
+      });
+
+      const { response, responseBody } = await adsRequestBuilder.post({
+        title: 'Meu primeiro anúncio',
+        body: 'Conheça o meu projeto.',
+        source_url: 'https://www.tabnews.com.br/',
+        budget: 250,
+        pricing_model: 'cpm',
+        cost: 20,
+      });
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        slug: 'meu-primeiro-anuncio',
+        title: 'Meu primeiro anúncio',
+        source_url: 'https://www.tabnews.com.br/',
+        owner_username: defaultUser.username,
+        status: 'active',
+        pricing_model: 'cpm',
+        cost: 20,
+        budget: 250,
+        spent: 0,
+        remaining_budget: 250,
+        impressions: 0,
+        clicks: 0,
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+      });
+
+      expect(uuidVersion(responseBody.id)).toBe(4);
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const { responseBody: userResponseBody } = await usersRequestBuilder.get(`/${defaultUser.username}`);
+
+      expect(userResponseBody.tabcash).toBe(50);
+
+      const sponsoredRequestBuilder = new RequestBuilder('/api/v1/sponsored-beta');
+      const { responseBody: sponsoredResponseBody } = await sponsoredRequestBuilder.get();
+
+      expect(sponsoredResponseBody.map((ad) => ad.id)).toStrictEqual([responseBody.id]);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { randomUUID } from 'node:crypto';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/appeals/[id]', () => {
+  async function createNukedUserAppeal() {
+    const bannedUser = await orchestrator.createUser();
+    await orchestrator.activateUser(bannedUser);
+
+    const banRequestBuilder = new RequestBuilder(`/api/v1/users/${bannedUser.username}`);
+    await banRequestBuilder.buildUser({ with: ['ban:user'] });
+    await banRequestBuilder.delete({ ban_type: 'nuke' });
+
+    const banEvent = await orchestrator.getLastEvent();
+
+    return await orchestrator.createAppeal({ userId: bannedUser.id, eventId: banEvent.id });
+  }
+
+  test('With a non-existent "id"', async () => {
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${randomUUID()}`);
+    const { response, responseBody } = await appealRequestBuilder.get();
+
+    expect.soft(response.status).toBe(404);
+
+    expect(responseBody).toStrictEqual({
+      name: 'NotFoundError',
+      message: 'O recurso informado não foi encontrado no sistema ou expirou.',
+      action: 'Verifique se o link recebido por email está correto.',
+      status_code: 404,
+      error_id: responseBody.error_id,
+      request_id: responseBody.request_id,
+      error_location_code: 'MODEL:APPEAL:FIND_ONE_VALID_BY_ID:NOT_FOUND',
+      key: 'id',
+    });
+
+    expect(uuidVersion(responseBody.error_id)).toBe(4);
+    expect(uuidVersion(responseBody.request_id)).toBe(4);
+  });
+
+  test('With a valid "id"', async () => {
+    const createdAppeal = await createNukedUserAppeal();
+
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${createdAppeal.id}`);
+    const { response, responseBody } = await appealRequestBuilder.get();
+
+    expect.soft(response.status).toBe(200);
+
+    expect(responseBody).toStrictEqual({
+      id: createdAppeal.id,
+      submitted_at: null,
+      resolution: null,
+      resolved_at: null,
+      expires_at: createdAppeal.expires_at.toISOString(),
+      created_at: createdAppeal.created_at.toISOString(),
+    });
+  });
+});
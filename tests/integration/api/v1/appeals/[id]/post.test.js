@@ -0,0 +1,112 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/appeals/[id]', () => {
+  async function createNukedUserAppeal() {
+    const bannedUser = await orchestrator.createUser();
+    await orchestrator.activateUser(bannedUser);
+
+    const banRequestBuilder = new RequestBuilder(`/api/v1/users/${bannedUser.username}`);
+    await banRequestBuilder.buildUser({ with: ['ban:user'] });
+    await banRequestBuilder.delete({ ban_type: 'nuke' });
+
+    const banEvent = await orchestrator.getLastEvent();
+
+    return await orchestrator.createAppeal({ userId: bannedUser.id, eventId: banEvent.id });
+  }
+
+  test('With a non-existent "id"', async () => {
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${randomUUID()}`);
+    const { response, responseBody } = await appealRequestBuilder.post({
+      message: 'Minha conta foi banida por engano.',
+    });
+
+    expect.soft(response.status).toBe(404);
+    expect(responseBody.error_location_code).toBe('MODEL:APPEAL:FIND_ONE_VALID_BY_ID:NOT_FOUND');
+  });
+
+  test('Without "message"', async () => {
+    const createdAppeal = await createNukedUserAppeal();
+
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${createdAppeal.id}`);
+    const { response, responseBody } = await appealRequestBuilder.post({});
+
+    expect.soft(response.status).toBe(400);
+
+    expect(responseBody).toStrictEqual({
+      name: 'ValidationError',
+      message: '"message" é um campo obrigatório.',
+      action: 'Ajuste os dados enviados e tente novamente.',
+      status_code: 400,
+      error_id: responseBody.error_id,
+      request_id: responseBody.request_id,
+      error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+      key: 'message',
+      type: 'any.required',
+    });
+  });
+
+  test('With "message" longer than 2000 characters', async () => {
+    const createdAppeal = await createNukedUserAppeal();
+
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${createdAppeal.id}`);
+    const { response, responseBody } = await appealRequestBuilder.post({
+      message: 'a'.repeat(2001),
+    });
+
+    expect.soft(response.status).toBe(400);
+    expect(responseBody.message).toBe('"message" deve conter no máximo 2000 caracteres.');
+    expect(responseBody.key).toBe('message');
+  });
+
+  test('With a valid "message"', async () => {
+    const createdAppeal = await createNukedUserAppeal();
+
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${createdAppeal.id}`);
+    const { response, responseBody } = await appealRequestBuilder.post({
+      message: '  Minha conta foi banida por engano.  ',
+    });
+
+    expect.soft(response.status).toBe(200);
+
+    expect(responseBody).toStrictEqual({
+      id: createdAppeal.id,
+      submitted_at: responseBody.submitted_at,
+      resolution: null,
+      resolved_at: null,
+      expires_at: createdAppeal.expires_at.toISOString(),
+      created_at: createdAppeal.created_at.toISOString(),
+    });
+
+    expect(Date.parse(responseBody.submitted_at)).not.toBeNaN();
+  });
+
+  test('Submitting the same appeal twice', async () => {
+    const createdAppeal = await createNukedUserAppeal();
+
+    const appealRequestBuilder = new RequestBuilder(`/api/v1/appeals/${createdAppeal.id}`);
+    await appealRequestBuilder.post({ message: 'Primeira mensagem.' });
+
+    const { response, responseBody } = await appealRequestBuilder.post({ message: 'Segunda mensagem.' });
+
+    expect.soft(response.status).toBe(422);
+
+    expect(responseBody).toStrictEqual({
+      name: 'UnprocessableEntityError',
+      message: 'Este recurso já foi enviado.',
+      action: 'Aguarde a análise da moderação.',
+      status_code: 422,
+      error_id: responseBody.error_id,
+      request_id: responseBody.request_id,
+      error_location_code: 'MODEL:APPEAL:SUBMIT:ALREADY_SUBMITTED',
+    });
+  });
+});
@@ -0,0 +1,181 @@
+import parseLinkHeader from 'parse-link-header';
+import { version as uuidVersion } from 'uuid';
+
+import event from 'models/event';
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/appeals', () => {
+  describe('Anonymous user', () => {
+    test('Listing appeals', async () => {
+      const appealsRequestBuilder = new RequestBuilder('/api/v1/appeals');
+      const { response, responseBody } = await appealsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:appeal".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Listing appeals', async () => {
+      const appealsRequestBuilder = new RequestBuilder('/api/v1/appeals');
+      await appealsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await appealsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "read:appeal" feature', () => {
+    test('With no submitted appeals', async () => {
+      const appealsRequestBuilder = new RequestBuilder('/api/v1/appeals');
+      await appealsRequestBuilder.buildUser({ with: ['read:appeal'] });
+
+      const { response, responseBody } = await appealsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+      expect(responseLinkHeader.first.page).toBe('1');
+    });
+
+    test('With submitted and unsubmitted appeals', async () => {
+      const banRequestBuilder = new RequestBuilder('/api/v1/users');
+      const moderatorUser = await banRequestBuilder.buildUser({ with: ['read:appeal', 'ban:user'] });
+
+      const appealsRequestBuilder = new RequestBuilder('/api/v1/appeals');
+      await appealsRequestBuilder.setUser(moderatorUser);
+
+      const firstBannedUser = await orchestrator.createUser();
+      const secondBannedUser = await orchestrator.createUser();
+
+      await banRequestBuilder.delete(`/${firstBannedUser.username}`, { ban_type: 'nuke' });
+      const firstBanEvent = await orchestrator.getLastEvent();
+
+      await banRequestBuilder.delete(`/${secondBannedUser.username}`, { ban_type: 'nuke' });
+      const secondBanEvent = await orchestrator.getLastEvent();
+
+      const submittedAppeal = await orchestrator.createAppeal({
+        userId: firstBannedUser.id,
+        eventId: firstBanEvent.id,
+        message: 'Minha conta foi banida por engano.',
+      });
+
+      await orchestrator.createAppeal({
+        userId: secondBannedUser.id,
+        eventId: secondBanEvent.id,
+      });
+
+      const { response, responseBody } = await appealsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('1');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: submittedAppeal.id,
+          message: 'Minha conta foi banida por engano.',
+          submitted_at: submittedAppeal.submitted_at.toISOString(),
+          created_at: submittedAppeal.created_at.toISOString(),
+          user: {
+            id: firstBannedUser.id,
+            username: firstBannedUser.username,
+            features: ['nuked'],
+          },
+          event: {
+            id: firstBanEvent.id,
+            type: 'ban:user',
+            originator_user_id: moderatorUser.id,
+            metadata: {
+              ban_type: 'nuke',
+              user_id: firstBannedUser.id,
+            },
+            created_at: responseBody[0].event.created_at,
+          },
+          related_events: responseBody[0].related_events,
+        },
+      ]);
+    });
+
+    test('With related events for each submitted appeal', async () => {
+      const appealsRequestBuilder = new RequestBuilder('/api/v1/appeals');
+      await appealsRequestBuilder.buildUser({ with: ['read:appeal'] });
+
+      const firstBlockedUser = await orchestrator.createUser();
+      const secondBlockedUser = await orchestrator.createUser();
+
+      const firstBlockEvent = await event.create({
+        type: 'firewall:block_users',
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'create:user',
+          users: [firstBlockedUser.id],
+        },
+      });
+
+      const secondBlockEvent = await event.create({
+        type: 'firewall:block_users',
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'create:user',
+          users: [secondBlockedUser.id],
+        },
+      });
+
+      const firstUserOtherEvent = await event.create({
+        type: 'firewall:block_users',
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'create:user',
+          users: [firstBlockedUser.id],
+        },
+      });
+
+      const firstAppeal = await orchestrator.createAppeal({
+        userId: firstBlockedUser.id,
+        eventId: firstBlockEvent.id,
+        message: 'Não criei contas em massa.',
+      });
+
+      const secondAppeal = await orchestrator.createAppeal({
+        userId: secondBlockedUser.id,
+        eventId: secondBlockEvent.id,
+        message: 'Fui bloqueado junto com outra pessoa.',
+      });
+
+      const { response, responseBody } = await appealsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+
+      const firstAppealFound = responseBody.find((appeal) => appeal.id === firstAppeal.id);
+      const secondAppealFound = responseBody.find((appeal) => appeal.id === secondAppeal.id);
+
+      expect(firstAppealFound.related_events.map(({ id }) => id).sort()).toStrictEqual(
+        [firstBlockEvent.id, firstUserOtherEvent.id].sort(),
+      );
+      expect(secondAppealFound.related_events.map(({ id }) => id)).toStrictEqual([secondBlockEvent.id]);
+    });
+  });
+});
@@ -0,0 +1,67 @@
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('DELETE /api/v1/contents/[username]/[slug]/bookmark', () => {
+  describe('Default user', () => {
+    test('Removing a content that was not bookmarked', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo nunca salvo',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { response, responseBody } = await bookmarkRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'Este conteúdo não está entre os seus salvos.',
+        action: 'Verifique se o conteúdo informado foi salvo anteriormente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:BOOKMARK:REMOVE:NOT_FOUND',
+        key: 'slug',
+      });
+    });
+
+    test('Removing a bookmarked content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo salvo e removido',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { responseBody: createdBookmark } = await bookmarkRequestBuilder.post();
+
+      const { response, responseBody } = await bookmarkRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual(createdBookmark);
+
+      const { response: getResponse, responseBody: getResponseBody } = await bookmarkRequestBuilder.get();
+
+      expect.soft(getResponse.status).toBe(200);
+      expect(getResponseBody).toStrictEqual({ bookmarked: false });
+    });
+  });
+});
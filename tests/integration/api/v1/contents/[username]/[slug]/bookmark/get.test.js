@@ -0,0 +1,52 @@
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/contents/[username]/[slug]/bookmark', () => {
+  describe('Default user', () => {
+    test('Content that was not bookmarked', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo não salvo',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { response, responseBody } = await bookmarkRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual({ bookmarked: false });
+    });
+
+    test('Bookmarked content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo salvo',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { responseBody: createdBookmark } = await bookmarkRequestBuilder.post();
+
+      const { response, responseBody } = await bookmarkRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual({ ...createdBookmark, bookmarked: true });
+    });
+  });
+});
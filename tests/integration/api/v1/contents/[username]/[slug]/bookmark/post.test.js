@@ -0,0 +1,106 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents/[username]/[slug]/bookmark', () => {
+  describe('Anonymous user', () => {
+    test('Bookmarking a "published" content', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo para salvar',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/bookmark`,
+      );
+      const { response, responseBody } = await bookmarkRequestBuilder.post();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:bookmark".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Bookmarking a "draft" content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const draftContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Rascunho',
+        status: 'draft',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${draftContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { response, responseBody } = await bookmarkRequestBuilder.post();
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:BOOKMARK:CONTENT_NOT_FOUND',
+        key: 'slug',
+      });
+    });
+
+    test('Bookmarking a "published" content twice', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo salvo duas vezes',
+        status: 'published',
+      });
+
+      const bookmarkRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/bookmark`,
+      );
+      await bookmarkRequestBuilder.buildUser();
+
+      const { response: firstResponse, responseBody: firstResponseBody } = await bookmarkRequestBuilder.post();
+
+      expect.soft(firstResponse.status).toBe(201);
+
+      expect(firstResponseBody).toStrictEqual({
+        id: firstResponseBody.id,
+        content_id: publishedContent.id,
+        created_at: firstResponseBody.created_at,
+      });
+
+      expect(uuidVersion(firstResponseBody.id)).toBe(4);
+      expect(Date.parse(firstResponseBody.created_at)).not.toBeNaN();
+
+      const { response: secondResponse, responseBody: secondResponseBody } = await bookmarkRequestBuilder.post();
+
+      expect.soft(secondResponse.status).toBe(201);
+      expect(secondResponseBody).toStrictEqual(firstResponseBody);
+    });
+  });
+});
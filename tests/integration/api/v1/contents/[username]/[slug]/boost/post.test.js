@@ -0,0 +1,361 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents/[username]/[slug]/boost', () => {
+  describe('Anonymous user', () => {
+    test('Not logged in', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo',
+        status: 'published',
+      });
+
+      const boostRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+      );
+
+      const { response, responseBody } = await boostRequestBuilder.post({ amount: 10 });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:content".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('Default user', () => {
+    test('With "amount" not multiple of 5', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 12 },
+      );
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"amount" deve ser um múltiplo de 5.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'amount',
+        type: 'number.multiple',
+      });
+    });
+
+    test('With "amount" above the limit', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 55 },
+      );
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"amount" deve possuir um valor máximo de 50.');
+      expect(responseBody.key).toBe('amount');
+    });
+
+    test('From non-existent content', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/non-existent-slug/boost`,
+        { amount: 10 },
+      );
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:BOOST:CONTENT_NOT_FOUND',
+        key: 'slug',
+      });
+    });
+
+    test('From content owned by another user', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const ownerContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo de outro usuário',
+        status: 'published',
+      });
+
+      const boostRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${ownerContent.slug}/boost`,
+      );
+      const otherUser = await boostRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: otherUser.id,
+        amount: 50,
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post({ amount: 10 });
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você só pode impulsionar conteúdos de sua própria autoria.',
+        action: 'Realize esta operação em uma das suas publicações.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:BOOST:NOT_OWNER',
+      });
+    });
+
+    test('From child content', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo raiz',
+        status: 'published',
+      });
+      const childContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Comentário',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 50,
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${childContent.slug}/boost`,
+        { amount: 10 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Somente publicações podem ser impulsionadas.',
+        action: 'Comentários e anúncios não podem ser impulsionados.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:BOOST:NOT_ROOT_CONTENT',
+      });
+    });
+
+    test('With not enough TabCash', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sem saldo',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 5,
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 10 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Não foi possível impulsionar a publicação.',
+        action: 'Você precisa de pelo menos 10 TabCash para realizar esta ação.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:BOOST:CREATE:NOT_ENOUGH_TABCASH',
+      });
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const { responseBody: userResponseBody } = await usersRequestBuilder.get(`/${defaultUser.username}`);
+
+      expect(userResponseBody.tabcash).toBe(5);
+    });
+
+    test('With enough TabCash', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo impulsionado',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 30,
+      });
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 20 },
+      );
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        content_id: defaultUserContent.id,
+        amount: 20,
+        score_bonus: 4,
+        expires_at: responseBody.expires_at,
+        created_at: responseBody.created_at,
+        tabcash: 10,
+      });
+
+      expect(uuidVersion(responseBody.id)).toBe(4);
+      expect(Date.parse(responseBody.expires_at) - Date.parse(responseBody.created_at)).toBe(24 * 60 * 60 * 1000);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'update:content:boost',
+        originator_user_id: defaultUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          content_id: defaultUserContent.id,
+          amount: 20,
+          score_bonus: 4,
+          duration_hours: 24,
+        },
+        created_at: lastEvent.created_at,
+      });
+    });
+
+    test('Exceeding the score bonus limit', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo no limite',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 100,
+      });
+
+      const { response: firstResponse } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 40 },
+      );
+
+      expect.soft(firstResponse.status).toBe(201);
+
+      const { response, responseBody } = await boostRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/boost`,
+        { amount: 20 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Esta publicação atingiu o limite de impulsionamento.',
+        action: 'Utilize no máximo 10 TabCash para impulsionar esta publicação agora.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:BOOST:CREATE:SCORE_BONUS_LIMIT_REACHED',
+      });
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const { responseBody: userResponseBody } = await usersRequestBuilder.get(`/${defaultUser.username}`);
+
+      expect(userResponseBody.tabcash).toBe(60);
+    });
+
+    test('Should be labeled in the relevant list', async () => {
+      const boostRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await boostRequestBuilder.buildUser();
+      const otherUser = await orchestrator.createUser();
+
+      const boostedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo relevante impulsionado',
+        status: 'published',
+      });
+
+      const notBoostedContent = await orchestrator.createContent({
+        owner_id: otherUser.id,
+        title: 'Conteúdo relevante sem impulsionamento',
+        status: 'published',
+      });
+
+      await orchestrator.createRate(boostedContent, 1);
+      await orchestrator.createRate(notBoostedContent, 1);
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 10,
+      });
+
+      await boostRequestBuilder.post(`/${defaultUser.username}/${boostedContent.slug}/boost`, { amount: 10 });
+
+      const { response, responseBody } = await boostRequestBuilder.get('?strategy=relevant');
+
+      expect.soft(response.status).toBe(200);
+
+      const boostedContentFound = responseBody.find((content) => content.id === boostedContent.id);
+      const notBoostedContentFound = responseBody.find((content) => content.id === notBoostedContent.id);
+
+      expect(Date.parse(boostedContentFound.boosted_until)).toBeGreaterThan(Date.now());
+      expect(notBoostedContentFound).not.toHaveProperty('boosted_until');
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { version as uuidVersion } from 'uuid';
 
 import { relevantBody } from 'tests/constants-for-tests';
 import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
 
 beforeAll(async () => {
   await orchestrator.waitForAllServices();
@@ -463,4 +464,87 @@ describe('GET /api/v1/contents/[username]/[slug]', () => {
       expect(uuidVersion(responseBody.owner_id)).toBe(4);
     });
   });
+
+  describe('Quarantined content', () => {
+    async function createQuarantinedContent() {
+      const quarantinedUser = await orchestrator.createUser();
+      await orchestrator.activateUser(quarantinedUser);
+      await orchestrator.addFeaturesToUser(quarantinedUser, ['quarantined']);
+
+      const quarantinedContent = await orchestrator.createContent({
+        owner_id: quarantinedUser.id,
+        title: 'Conteúdo em quarentena',
+        status: 'published',
+      });
+
+      return { quarantinedUser, quarantinedContent };
+    }
+
+    test('As anonymous user', async () => {
+      const { quarantinedUser, quarantinedContent } = await createQuarantinedContent();
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${quarantinedUser.username}/${quarantinedContent.slug}?with_quarantined=true`,
+      );
+      const { response, responseBody } = await contentRequestBuilder.get();
+
+      expect.soft(response.status).toBe(404);
+      expect(responseBody.error_location_code).toBe('CONTROLLER:CONTENT:GET_HANDLER:SLUG_NOT_FOUND');
+    });
+
+    test('As the owner, without "with_quarantined"', async () => {
+      const { quarantinedUser, quarantinedContent } = await createQuarantinedContent();
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${quarantinedUser.username}/${quarantinedContent.slug}`,
+      );
+      await contentRequestBuilder.setUser(quarantinedUser);
+
+      const { response } = await contentRequestBuilder.get();
+
+      expect.soft(response.status).toBe(404);
+    });
+
+    test('As the owner, with "with_quarantined"', async () => {
+      const { quarantinedUser, quarantinedContent } = await createQuarantinedContent();
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${quarantinedUser.username}/${quarantinedContent.slug}?with_quarantined=true`,
+      );
+      await contentRequestBuilder.setUser(quarantinedUser);
+
+      const { response, responseBody } = await contentRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('Cache-Control')).toBe('no-cache, no-store, max-age=0, must-revalidate');
+      expect(responseBody.id).toBe(quarantinedContent.id);
+    });
+
+    test('As another user, with "with_quarantined"', async () => {
+      const { quarantinedUser, quarantinedContent } = await createQuarantinedContent();
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${quarantinedUser.username}/${quarantinedContent.slug}?with_quarantined=true`,
+      );
+      await contentRequestBuilder.buildUser();
+
+      const { response } = await contentRequestBuilder.get();
+
+      expect.soft(response.status).toBe(404);
+    });
+
+    test('As a user with "read:quarantine" feature', async () => {
+      const { quarantinedUser, quarantinedContent } = await createQuarantinedContent();
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${quarantinedUser.username}/${quarantinedContent.slug}?with_quarantined=true`,
+      );
+      await contentRequestBuilder.buildUser({ with: ['read:quarantine'] });
+
+      const { response, responseBody } = await contentRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.id).toBe(quarantinedContent.id);
+    });
+  });
 });
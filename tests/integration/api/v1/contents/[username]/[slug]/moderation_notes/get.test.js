@@ -0,0 +1,123 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/contents/[username]/[slug]/moderation_notes', () => {
+  describe('Anonymous user', () => {
+    test('From non-existent content', async () => {
+      const moderationNotesRequestBuilder = new RequestBuilder(
+        '/api/v1/contents/nonExistentUser/non-existent-slug/moderation_notes',
+      );
+      const { response, responseBody } = await moderationNotesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:MODERATION_NOTES:GET_HANDLER:SLUG_NOT_FOUND',
+        key: 'slug',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+
+    test('From content edited only by its owner', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const { responseBody: createdContent } = await contentsRequestBuilder.post({
+        title: 'Editado pelo autor',
+        body: 'Corpo original.',
+        status: 'published',
+      });
+
+      await contentsRequestBuilder.patch(`/${defaultUser.username}/${createdContent.slug}`, {
+        body: 'Corpo editado pelo autor.',
+      });
+
+      const moderationNotesRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${createdContent.slug}/moderation_notes`,
+      );
+      const { response, responseBody } = await moderationNotesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('From content edited by moderators', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo moderado',
+        body: 'Corpo original.',
+        status: 'published',
+      });
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}`,
+      );
+      const moderatorUser = await contentRequestBuilder.buildUser({ with: ['update:content:others'] });
+
+      await contentRequestBuilder.patch({
+        body: 'Corpo sem link de spam.',
+        moderation_reason: 'Link de spam removido.',
+      });
+
+      await contentRequestBuilder.patch({
+        title: 'Conteúdo moderado com título melhor',
+        moderation_reason: 'Título ajustado às regras.',
+      });
+
+      const moderationNotesRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/moderation_notes`,
+      );
+      const { response, responseBody } = await moderationNotesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: responseBody[0].id,
+          content_id: publishedContent.id,
+          moderator_username: moderatorUser.username,
+          reason: 'Título ajustado às regras.',
+          created_at: responseBody[0].created_at,
+        },
+        {
+          id: responseBody[1].id,
+          content_id: publishedContent.id,
+          moderator_username: moderatorUser.username,
+          reason: 'Link de spam removido.',
+          created_at: responseBody[1].created_at,
+        },
+      ]);
+
+      expect(uuidVersion(responseBody[0].id)).toBe(4);
+      expect(Date.parse(responseBody[0].created_at)).not.toBeNaN();
+      expect(responseBody[0].created_at > responseBody[1].created_at).toBe(true);
+
+      const { response: paginatedResponse, responseBody: paginatedResponseBody } =
+        await moderationNotesRequestBuilder.get('?page=2&per_page=1');
+
+      expect.soft(paginatedResponse.status).toBe(200);
+      expect(paginatedResponseBody.map((moderationNote) => moderationNote.reason)).toStrictEqual([
+        'Link de spam removido.',
+      ]);
+    });
+  });
+});
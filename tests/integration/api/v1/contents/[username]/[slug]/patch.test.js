@@ -515,6 +515,50 @@ describe('PATCH /api/v1/contents/[username]/[slug]', () => {
       expect(responseBody.updated_at > defaultUserContent.updated_at.toISOString()).toBe(true);
     });
 
+    test('Content with "body" adding mentions', async () => {
+      await orchestrator.deleteAllEmails();
+
+      const firstMentionedUser = await orchestrator.createUser();
+      const secondMentionedUser = await orchestrator.createUser();
+      await orchestrator.activateUser(firstMentionedUser);
+      await orchestrator.activateUser(secondMentionedUser);
+
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo com menções editadas',
+        body: 'Body sem menções',
+        status: 'published',
+      });
+
+      const { response: firstResponse } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${defaultUserContent.slug}`,
+        { body: `Body mencionando @${firstMentionedUser.username}` },
+      );
+
+      expect.soft(firstResponse.status).toBe(200);
+
+      const firstEmail = await orchestrator.waitForFirstEmail();
+
+      expect(firstEmail.recipients[0].includes(firstMentionedUser.email)).toBe(true);
+
+      await orchestrator.deleteAllEmails();
+
+      const { response: secondResponse } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${defaultUserContent.slug}`,
+        { body: `Body mencionando @${firstMentionedUser.username} e @${secondMentionedUser.username}` },
+      );
+
+      expect.soft(secondResponse.status).toBe(200);
+
+      const emails = await orchestrator.getEmails(2, { maxAttempts: 50 });
+
+      expect(emails).toHaveLength(1);
+      expect(emails[0].recipients[0].includes(secondMentionedUser.email)).toBe(true);
+    });
+
     test('Content with TabCoins credits and debits', async () => {
       const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
       const defaultUser = await contentsRequestBuilder.buildUser();
@@ -1766,6 +1810,78 @@ describe('PATCH /api/v1/contents/[username]/[slug]', () => {
       expect(responseBody.error_location_code).toBe('MODEL:VALIDATOR:FINAL_SCHEMA');
     });
 
+    test('Content with "tags" replacing and clearing values', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo com tags',
+        status: 'published',
+        tags: ['javascript', 'carreira'],
+      });
+
+      const { response, responseBody } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${defaultUserContent.slug}`,
+        { tags: ['Node', 'javascript'] },
+      );
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.tags).toStrictEqual(['javascript', 'node']);
+
+      const { response: titleResponse, responseBody: titleResponseBody } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${defaultUserContent.slug}`,
+        { title: 'Conteúdo com tags mantidas' },
+      );
+
+      expect.soft(titleResponse.status).toBe(200);
+      expect(titleResponseBody.tags).toStrictEqual(['javascript', 'node']);
+
+      const { response: clearResponse, responseBody: clearResponseBody } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${defaultUserContent.slug}`,
+        { tags: [] },
+      );
+
+      expect.soft(clearResponse.status).toBe(200);
+      expect(clearResponseBody).not.toHaveProperty('tags');
+    });
+
+    test('"child" content with "tags"', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo raiz',
+        status: 'published',
+      });
+
+      const childContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Comentário',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${childContent.slug}`,
+        { tags: ['javascript'] },
+      );
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: 'Apenas conteúdos raiz podem possuir "tags".',
+        action: 'Remova as "tags" do comentário e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:CONTENT:CHECK_ROOT_CONTENT_TAGS:CHILD_WITH_TAGS',
+        key: 'tags',
+      });
+    });
+
     test('Content with "source_url" containing a valid HTTP URL', async () => {
       const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
       const defaultUser = await contentsRequestBuilder.buildUser();
@@ -3170,11 +3286,100 @@ describe('PATCH /api/v1/contents/[username]/[slug]', () => {
   });
 
   describe('User with "update:content:others" feature', () => {
-    test('Content from another user', async () => {
+    test('Content from another user without "moderation_reason"', async () => {
       const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
       await contentsRequestBuilder.buildUser({ with: ['update:content:others'] });
 
       const secondUser = await orchestrator.createUser();
+      const secondUserContent = await orchestrator.createContent({
+        owner_id: secondUser.id,
+        title: 'Conteúdo sem motivo de moderação',
+        body: relevantBody,
+        status: 'published',
+      });
+
+      const { response, responseBody } = await contentsRequestBuilder.patch(
+        `/${secondUser.username}/${secondUserContent.slug}`,
+        {
+          title: 'Novo title.',
+        },
+      );
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"moderation_reason" é obrigatório para editar o conteúdo de outro usuário.',
+        action: 'Informe o motivo da moderação e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:PATCH_HANDLER:MODERATION_REASON_REQUIRED',
+        key: 'moderation_reason',
+      });
+
+      const { responseBody: contentResponseBody } = await contentsRequestBuilder.get(
+        `/${secondUser.username}/${secondUserContent.slug}`,
+      );
+
+      expect(contentResponseBody.title).toBe('Conteúdo sem motivo de moderação');
+    });
+
+    test('Content from another user with a too short "moderation_reason"', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser({ with: ['update:content:others'] });
+
+      const secondUser = await orchestrator.createUser();
+      const secondUserContent = await orchestrator.createContent({
+        owner_id: secondUser.id,
+        title: 'Conteúdo com motivo curto',
+        body: relevantBody,
+        status: 'published',
+      });
+
+      const { response, responseBody } = await contentsRequestBuilder.patch(
+        `/${secondUser.username}/${secondUserContent.slug}`,
+        {
+          title: 'Novo title.',
+          moderation_reason: ' abc ',
+        },
+      );
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"moderation_reason" deve conter no mínimo 5 caracteres.');
+      expect(responseBody.key).toBe('moderation_reason');
+    });
+
+    test('Own content without "moderation_reason"', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const moderatorUser = await contentsRequestBuilder.buildUser({ with: ['update:content:others'] });
+
+      const moderatorContent = await orchestrator.createContent({
+        owner_id: moderatorUser.id,
+        title: 'Conteúdo do próprio moderador',
+        body: relevantBody,
+        status: 'published',
+      });
+
+      const { response } = await contentsRequestBuilder.patch(`/${moderatorUser.username}/${moderatorContent.slug}`, {
+        title: 'Conteúdo do próprio moderador editado',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent.metadata).toStrictEqual({
+        id: moderatorContent.id,
+      });
+    });
+
+    test('Content from another user', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const moderatorUser = await contentsRequestBuilder.buildUser({ with: ['update:content:others'] });
+
+      const secondUser = await orchestrator.createUser();
+      await orchestrator.activateUser(secondUser);
       const secondUserContent = await orchestrator.createContent({
         owner_id: secondUser.id,
         title: 'Conteúdo do Segundo Usuário antes do patch!',
@@ -3187,6 +3392,7 @@ describe('PATCH /api/v1/contents/[username]/[slug]', () => {
         {
           title: 'Novo title.',
           body: 'Novo body.',
+          moderation_reason: '  Título não descrevia o conteúdo.  ',
         },
       );
 
@@ -3218,6 +3424,34 @@ describe('PATCH /api/v1/contents/[username]/[slug]', () => {
       expect(Date.parse(responseBody.published_at)).not.toBeNaN();
       expect(responseBody.published_at).toBe(secondUserContent.published_at.toISOString());
       expect(responseBody.updated_at > secondUserContent.updated_at.toISOString()).toBe(true);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'update:content:text_root',
+        originator_user_id: moderatorUser.id,
+        originator_ip: '127.0.0.1',
+        created_at: lastEvent.created_at,
+        metadata: {
+          id: secondUserContent.id,
+          moderation_reason: 'Título não descrevia o conteúdo.',
+        },
+      });
+
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      await notificationsRequestBuilder.setUser(secondUser);
+
+      const { responseBody: notifications } = await notificationsRequestBuilder.get();
+
+      expect(notifications).toStrictEqual([
+        expect.objectContaining({
+          type: 'content:moderated',
+          title: `Sua publicação "Novo title." foi editada por "${moderatorUser.username}". Motivo: Título não descrevia o conteúdo.`,
+          url: `/${secondUser.username}/${responseBody.slug}`,
+          event_id: lastEvent.id,
+        }),
+      ]);
     });
   });
 });
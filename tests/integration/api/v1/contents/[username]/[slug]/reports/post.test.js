@@ -0,0 +1,197 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents/[username]/[slug]/reports', () => {
+  describe('Anonymous user', () => {
+    test('Reporting a "published" content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo denunciado por anônimo',
+        status: 'published',
+      });
+
+      const reportsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/reports`,
+      );
+      const { response, responseBody } = await reportsRequestBuilder.post({ reason: 'spam' });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:report".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Reporting a "published" content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo denunciado',
+        status: 'published',
+      });
+
+      const reportsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/reports`,
+      );
+      await reportsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reportsRequestBuilder.post({
+        reason: 'spam',
+        description: '  Link para um site de apostas.  ',
+      });
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        content_id: publishedContent.id,
+        reason: 'spam',
+        description: 'Link para um site de apostas.',
+        created_at: responseBody.created_at,
+      });
+
+      expect(uuidVersion(responseBody.id)).toBe(4);
+      expect(Date.parse(responseBody.created_at)).not.toBeNaN();
+    });
+
+    test('Reporting a "published" content twice', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo denunciado duas vezes',
+        status: 'published',
+      });
+
+      const reportsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/reports`,
+      );
+      await reportsRequestBuilder.buildUser();
+
+      const { response: firstResponse } = await reportsRequestBuilder.post({ reason: 'abuse' });
+
+      expect.soft(firstResponse.status).toBe(201);
+
+      const { response: secondResponse, responseBody: secondResponseBody } = await reportsRequestBuilder.post({
+        reason: 'other',
+      });
+
+      expect.soft(secondResponse.status).toBe(422);
+
+      expect(secondResponseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você já denunciou este conteúdo e a denúncia ainda está em análise.',
+        action: 'Aguarde a análise da moderação.',
+        status_code: 422,
+        error_id: secondResponseBody.error_id,
+        request_id: secondResponseBody.request_id,
+        error_location_code: 'MODEL:REPORT:CREATE:ALREADY_REPORTED',
+      });
+    });
+
+    test('Reporting its own content', async () => {
+      const reportsRequestBuilder = new RequestBuilder();
+      const contentOwner = await reportsRequestBuilder.buildUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Meu próprio conteúdo',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await reportsRequestBuilder.post(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/reports`,
+        { reason: 'spam' },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você não pode denunciar o seu próprio conteúdo.',
+        action: 'Caso queira remover o conteúdo, apague-o diretamente.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:REPORTS:POST:CANNOT_REPORT_OWN_CONTENT',
+      });
+    });
+
+    test('Reporting a "draft" content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const draftContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Rascunho denunciado',
+        status: 'draft',
+      });
+
+      const reportsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${draftContent.slug}/reports`,
+      );
+      await reportsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reportsRequestBuilder.post({ reason: 'spam' });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:REPORTS:CONTENT_NOT_FOUND',
+        key: 'slug',
+      });
+    });
+
+    test('With an invalid "reason"', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo com motivo inválido',
+        status: 'published',
+      });
+
+      const reportsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${publishedContent.slug}/reports`,
+      );
+      await reportsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reportsRequestBuilder.post({ reason: 'boring' });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"reason" deve possuir um dos seguintes valores: "spam", "plagiarism", "abuse", "other".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'reason',
+        type: 'any.only',
+      });
+    });
+  });
+});
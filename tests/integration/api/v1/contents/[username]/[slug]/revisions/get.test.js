@@ -0,0 +1,251 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/contents/[username]/[slug]/revisions', () => {
+  describe('Anonymous user', () => {
+    test('From "draft" content', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const draftContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Rascunho',
+        status: 'draft',
+      });
+
+      await orchestrator.updateContent(draftContent.id, { body: 'Rascunho editado' });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${draftContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:REVISIONS:GET_HANDLER:SLUG_NOT_FOUND',
+        key: 'slug',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+
+    test('From "published" content never edited', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Nunca editado',
+        status: 'published',
+      });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('From "published" content with edits', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Título original',
+        body: 'Primeira linha\nSegunda linha',
+        status: 'published',
+      });
+
+      await orchestrator.updateContent(publishedContent.id, { body: 'Primeira linha\nSegunda linha corrigida' });
+      await orchestrator.updateContent(publishedContent.id, { title: 'Título corrigido' });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('3');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: responseBody[0].id,
+          content_id: publishedContent.id,
+          version: 3,
+          title: 'Título corrigido',
+          body: 'Primeira linha\nSegunda linha corrigida',
+          source_url: null,
+          created_at: responseBody[0].created_at,
+        },
+        {
+          id: responseBody[1].id,
+          content_id: publishedContent.id,
+          version: 2,
+          title: 'Título original',
+          body: 'Primeira linha\nSegunda linha corrigida',
+          source_url: null,
+          created_at: responseBody[1].created_at,
+        },
+        {
+          id: responseBody[2].id,
+          content_id: publishedContent.id,
+          version: 1,
+          title: 'Título original',
+          body: 'Primeira linha\nSegunda linha',
+          source_url: null,
+          created_at: publishedContent.updated_at.toISOString(),
+        },
+      ]);
+
+      expect(Date.parse(responseBody[0].created_at)).toBeGreaterThanOrEqual(Date.parse(responseBody[1].created_at));
+    });
+
+    test('From "published" content edited by a moderator', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser({ with: ['update:content:others'] });
+
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo moderado',
+        body: 'Corpo com dados pessoais',
+        status: 'published',
+      });
+
+      await orchestrator.updateContent(publishedContent.id, { body: 'Corpo ainda com dados pessoais' });
+
+      const { response: moderationResponse } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${publishedContent.slug}`,
+        {
+          body: 'Corpo moderado',
+          moderation_reason: 'Remoção de dados pessoais.',
+        },
+      );
+
+      expect.soft(moderationResponse.status).toBe(200);
+
+      await orchestrator.updateContent(publishedContent.id, { body: 'Corpo moderado e editado' });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody.map((revision) => [revision.version, revision.body])).toStrictEqual([
+        [4, 'Corpo moderado e editado'],
+        [3, 'Corpo moderado'],
+      ]);
+
+      const { response: diffResponse, responseBody: diffResponseBody } =
+        await revisionsRequestBuilder.get('?from=1&to=3');
+
+      expect.soft(diffResponse.status).toBe(404);
+      expect(diffResponseBody.error_location_code).toBe('CONTROLLER:CONTENT:REVISIONS:GET_HANDLER:VERSION_NOT_FOUND');
+      expect(diffResponseBody.key).toBe('from');
+    });
+
+    test('With "from" and "to" versions', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo com diff',
+        body: 'Linha mantida\nLinha antiga',
+        status: 'published',
+      });
+
+      await orchestrator.updateContent(publishedContent.id, { body: 'Linha mantida\nLinha nova' });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get('?from=1&to=2');
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody.from.version).toBe(1);
+      expect(responseBody.to.version).toBe(2);
+      expect(responseBody.diff).toStrictEqual({
+        title: [{ type: 'unchanged', value: 'Conteúdo com diff' }],
+        body: [
+          { type: 'unchanged', value: 'Linha mantida' },
+          { type: 'removed', value: 'Linha antiga' },
+          { type: 'added', value: 'Linha nova' },
+        ],
+        source_url: [],
+      });
+    });
+
+    test('With "from" but without "to"', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Sem "to"',
+        status: 'published',
+      });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get('?from=1');
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"to" é um campo obrigatório quando "from" ou "to" é informado.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:REVISIONS:GET_VALIDATION_HANDLER:MISSING_VERSION',
+        key: 'to',
+      });
+    });
+
+    test('With a nonexistent "to" version', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Versão inexistente',
+        status: 'published',
+      });
+
+      await orchestrator.updateContent(publishedContent.id, { body: 'Corpo editado' });
+
+      const revisionsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${defaultUser.username}/${publishedContent.slug}/revisions`,
+      );
+      const { response, responseBody } = await revisionsRequestBuilder.get('?from=1&to=5');
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'A versão informada em "to" não foi encontrada para este conteúdo.',
+        action: 'Verifique o histórico de versões do conteúdo e tente novamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:REVISIONS:GET_HANDLER:VERSION_NOT_FOUND',
+        key: 'to',
+      });
+    });
+  });
+});
@@ -0,0 +1,464 @@
+import { version as uuidVersion } from 'uuid';
+
+import database from 'infra/database';
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents/[username]/[slug]/tip', () => {
+  describe('Anonymous user', () => {
+    test('Not logged in', async () => {
+      const authorUser = await orchestrator.createUser();
+      const authorContent = await orchestrator.createContent({
+        owner_id: authorUser.id,
+        title: 'Conteúdo',
+        status: 'published',
+      });
+
+      const tipRequestBuilder = new RequestBuilder(`/api/v1/contents/${authorUser.username}/${authorContent.slug}/tip`);
+
+      const { response, responseBody } = await tipRequestBuilder.post({ amount: 10 });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:content".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('Default user', () => {
+    test('With "amount" above the limit', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await tipRequestBuilder.buildUser();
+      const { authorUser, authorContent } = await createAuthorContent();
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 51 },
+      );
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"amount" deve possuir um valor máximo de 50.');
+      expect(responseBody.key).toBe('amount');
+    });
+
+    test('From non-existent content', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+
+      const { response, responseBody } = await tipRequestBuilder.post(`/${defaultUser.username}/nao-existe/tip`, {
+        amount: 10,
+      });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'O conteúdo informado não foi encontrado no sistema.',
+        action: 'Verifique se o "slug" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:TIP:CONTENT_NOT_FOUND',
+        key: 'slug',
+      });
+    });
+
+    test('From own content', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo próprio',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 10,
+      });
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/tip`,
+        { amount: 10 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você não pode enviar gorjetas para conteúdos de sua própria autoria.',
+        action: 'Realize esta operação em conteúdos de outros usuários.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:TIP:OWN_CONTENT',
+      });
+    });
+
+    test('From ad content', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await tipRequestBuilder.buildUser();
+      const authorUser = await orchestrator.createUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: authorUser.id,
+        amount: 100,
+      });
+
+      const adContent = await orchestrator.createContent({
+        owner_id: authorUser.id,
+        title: 'Anúncio',
+        status: 'published',
+        type: 'ad',
+      });
+
+      const { response, responseBody } = await tipRequestBuilder.post(`/${authorUser.username}/${adContent.slug}/tip`, {
+        amount: 10,
+      });
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Não é possível enviar gorjetas para anúncios.',
+        action: 'Envie gorjetas somente para publicações e comentários.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:CONTENT:TIP:AD_CONTENT',
+      });
+    });
+
+    test('With not enough TabCash', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+      const { authorUser, authorContent } = await createAuthorContent();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 5,
+      });
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 10 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Não foi possível enviar a gorjeta.',
+        action: 'Você precisa de pelo menos 10 TabCash para realizar esta ação.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:TIP:CREATE:NOT_ENOUGH_TABCASH',
+      });
+
+      expect(await getUserTabCash(defaultUser)).toBe(5);
+      expect(await getUserTabCash(authorUser)).toBe(0);
+    });
+
+    test('With enough TabCash', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+      const { authorUser, authorContent, authorRequestBuilder } = await createAuthorContent();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 30,
+      });
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 20 },
+      );
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        content_id: authorContent.id,
+        amount: 20,
+        tips: 20,
+        tabcash: 10,
+        created_at: responseBody.created_at,
+      });
+
+      expect(uuidVersion(responseBody.id)).toBe(4);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'update:content:tip',
+        originator_user_id: defaultUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          content_id: authorContent.id,
+          recipient_id: authorUser.id,
+          amount: 20,
+        },
+        created_at: lastEvent.created_at,
+      });
+
+      expect(await getUserTabCash(defaultUser)).toBe(10);
+      expect(await getUserTabCash(authorUser)).toBe(20);
+
+      const { responseBody: contentResponseBody } = await tipRequestBuilder.get(
+        `/${authorUser.username}/${authorContent.slug}`,
+      );
+
+      expect(contentResponseBody.tips).toBe(20);
+
+      const { responseBody: notificationsResponseBody } = await authorRequestBuilder.get();
+
+      expect(notificationsResponseBody).toStrictEqual([
+        {
+          id: notificationsResponseBody[0].id,
+          type: 'content:tip',
+          title: `"${defaultUser.username}" enviou 20 TabCash de gorjeta para sua publicação "Conteúdo do autor".`,
+          url: `/${authorUser.username}/${authorContent.slug}`,
+          metadata: {
+            content_id: authorContent.id,
+            amount: 20,
+          },
+          read_at: null,
+          created_at: notificationsResponseBody[0].created_at,
+        },
+      ]);
+    });
+
+    test('Exceeding the daily TabCash limit', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 200,
+      });
+
+      for (const amount of [50, 40]) {
+        const { authorUser, authorContent } = await createAuthorContent();
+        const { response } = await tipRequestBuilder.post(`/${authorUser.username}/${authorContent.slug}/tip`, {
+          amount,
+        });
+
+        expect.soft(response.status).toBe(201);
+      }
+
+      const { authorUser, authorContent } = await createAuthorContent();
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 20 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você atingiu o limite diário de TabCash enviado em gorjetas.',
+        action: 'Envie no máximo 10 TabCash nas próximas 24 horas.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:TIP:CREATE:DAILY_TABCASH_LIMIT_REACHED',
+      });
+
+      expect(await getUserTabCash(defaultUser)).toBe(110);
+    });
+
+    test('Exceeding the daily tips limit', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 20,
+      });
+
+      for (let i = 0; i < 10; i++) {
+        const { authorUser, authorContent } = await createAuthorContent();
+        const { response } = await tipRequestBuilder.post(`/${authorUser.username}/${authorContent.slug}/tip`, {
+          amount: 1,
+        });
+
+        expect.soft(response.status).toBe(201);
+      }
+
+      const { authorUser, authorContent } = await createAuthorContent();
+
+      const { response, responseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você atingiu o limite diário de gorjetas.',
+        action: 'É possível enviar no máximo 10 gorjetas a cada 24 horas.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:TIP:CREATE:DAILY_TIPS_LIMIT_REACHED',
+      });
+
+      expect(await getUserTabCash(defaultUser)).toBe(10);
+    });
+
+    test('Exchanging too many tips between the same accounts', async () => {
+      const tipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await tipRequestBuilder.buildUser();
+      const defaultUserContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo do usuário',
+        status: 'published',
+      });
+
+      const { authorUser, authorContent } = await createAuthorContent();
+
+      const authorTipRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await authorTipRequestBuilder.setUser(authorUser);
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: defaultUser.id,
+        amount: 10,
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcash',
+        recipientId: authorUser.id,
+        amount: 10,
+      });
+
+      const { response: firstResponse } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      const { response: secondResponse } = await authorTipRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      const { response: thirdResponse } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      expect.soft(firstResponse.status).toBe(201);
+      expect.soft(secondResponse.status).toBe(201);
+      expect.soft(thirdResponse.status).toBe(201);
+
+      const { response, responseBody } = await authorTipRequestBuilder.post(
+        `/${defaultUser.username}/${defaultUserContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      expect.soft(response.status).toBe(429);
+
+      expect(responseBody).toStrictEqual({
+        name: 'TooManyRequestsError',
+        message: 'Identificamos muitas gorjetas trocadas entre as mesmas contas em um curto período.',
+        action: 'Tente enviar uma gorjeta para este usuário novamente mais tarde.',
+        status_code: 429,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:FIREWALL:CHECK_TIP_FARMING:TOO_MANY_TIPS',
+      });
+
+      expect(await getUserTabCash(defaultUser)).toBe(9);
+      expect(await getUserTabCash(authorUser)).toBe(11);
+
+      const firewallEvent = await orchestrator.getLastEvent();
+
+      expect(uuidVersion(firewallEvent.id)).toBe(4);
+      expect(firewallEvent).toStrictEqual({
+        id: firewallEvent.id,
+        type: 'firewall:block_tips',
+        originator_user_id: authorUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'tip_farming',
+          users: [authorUser.id, defaultUser.id],
+        },
+        created_at: firewallEvent.created_at,
+      });
+
+      await orchestrator.updateEventCreatedAt(firewallEvent.id, new Date(Date.now() - 1000 * 60 * 60 * 25));
+      await database.query("UPDATE content_tips SET created_at = NOW() - INTERVAL '25 hours';");
+
+      const { response: blockedResponse, responseBody: blockedResponseBody } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      expect.soft(blockedResponse.status).toBe(429);
+      expect(blockedResponseBody.error_location_code).toBe('MODEL:FIREWALL:CHECK_TIP_FARMING:TIPS_BLOCKED');
+
+      const lastEventWhileBlocked = await orchestrator.getLastEvent();
+
+      expect(lastEventWhileBlocked.id).toBe(firewallEvent.id);
+
+      const reviewFirewallRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_firewall/${firewallEvent.id}`,
+      );
+      await reviewFirewallRequestBuilder.buildUser({ with: ['read:firewall', 'review:firewall'] });
+
+      const { response: reviewResponse } = await reviewFirewallRequestBuilder.post({ action: 'undo' });
+
+      expect.soft(reviewResponse.status).toBe(200);
+
+      const { response: unblockedResponse } = await tipRequestBuilder.post(
+        `/${authorUser.username}/${authorContent.slug}/tip`,
+        { amount: 1 },
+      );
+
+      expect.soft(unblockedResponse.status).toBe(201);
+      expect(await getUserTabCash(defaultUser)).toBe(8);
+    });
+  });
+});
+
+async function createAuthorContent() {
+  const authorRequestBuilder = new RequestBuilder('/api/v1/notifications');
+  const authorUser = await authorRequestBuilder.buildUser();
+  const authorContent = await orchestrator.createContent({
+    owner_id: authorUser.id,
+    title: 'Conteúdo do autor',
+    status: 'published',
+  });
+
+  return { authorUser, authorContent, authorRequestBuilder };
+}
+
+async function getUserTabCash(userObject) {
+  const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+  const { responseBody } = await usersRequestBuilder.get(`/${userObject.username}`);
+
+  return responseBody.tabcash;
+}
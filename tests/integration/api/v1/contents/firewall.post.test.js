@@ -9,7 +9,7 @@ beforeEach(async () => {
   await orchestrator.waitForAllServices();
   await orchestrator.dropAllTables();
   await orchestrator.runPendingMigrations();
-  await orchestrator.createFirewallTestFunctions();
+  await orchestrator.enableFirewallRules();
   await orchestrator.deleteAllEmails();
 });
 
@@ -716,7 +716,7 @@ describe('POST /api/v1/contents [FIREWALL]', () => {
         const userRootContent = await contentsRequestBuilder.buildUser();
         const { responseBody: rootContentBody } = await createContentViaApi(contentsRequestBuilder);
 
-        await user.update(userRootContent, { notifications: false });
+        await user.update(userRootContent, { notification_preferences: { direct_reply: { email: false } } });
 
         const user1 = await contentsRequestBuilder.buildUser();
         const { response: response1, responseBody: response1Body } = await createContentViaApi(contentsRequestBuilder, {
@@ -76,7 +76,7 @@ describe('GET /api/v1/contents', () => {
 
       expect(responseBody).toStrictEqual({
         name: 'ValidationError',
-        message: '"strategy" deve possuir um dos seguintes valores: "new", "old", "relevant".',
+        message: '"strategy" deve possuir um dos seguintes valores: "new", "old", "relevant", "following".',
         action: 'Ajuste os dados enviados e tente novamente.',
         status_code: 400,
         error_id: responseBody.error_id,
@@ -1475,4 +1475,174 @@ describe('GET /api/v1/contents', () => {
       );
     });
   });
+
+  describe('Filtering by "tag"', () => {
+    let javascriptContent;
+    let anotherJavascriptContent;
+
+    beforeAll(async () => {
+      await orchestrator.dropAllTables();
+      await orchestrator.runPendingMigrations();
+
+      const defaultUser = await orchestrator.createUser();
+
+      javascriptContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sobre JavaScript',
+        status: 'published',
+        tags: ['javascript', 'carreira'],
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sobre Carreira',
+        status: 'published',
+        tags: ['carreira'],
+      });
+
+      anotherJavascriptContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Outro conteúdo sobre JavaScript',
+        status: 'published',
+        tags: ['javascript'],
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'content:tabcoin:credit',
+        recipientId: javascriptContent.id,
+        amount: 10,
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'content:tabcoin:credit',
+        recipientId: anotherJavascriptContent.id,
+        amount: 1,
+      });
+    });
+
+    test('With strategy "new"', async () => {
+      const { response, responseBody } = await contentsRequestBuilder.get('?strategy=new&tag=JavaScript');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((content) => content.id)).toStrictEqual([
+        anotherJavascriptContent.id,
+        javascriptContent.id,
+      ]);
+      expect(responseBody[0].tags).toStrictEqual(['javascript']);
+      expect(responseBody[1].tags).toStrictEqual(['carreira', 'javascript']);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader.first.url).toBe(
+        `${orchestrator.webserverUrl}/api/v1/contents?strategy=new&tag=javascript&page=1&per_page=30`,
+      );
+    });
+
+    test('With strategy "relevant"', async () => {
+      const { response, responseBody } = await contentsRequestBuilder.get('?strategy=relevant&tag=javascript');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((content) => content.id)).toStrictEqual([
+        javascriptContent.id,
+        anotherJavascriptContent.id,
+      ]);
+      expect(response.headers.get('x-pagination-total-rows')).toBe('2');
+    });
+
+    test('With a tag without contents', async () => {
+      const { response, responseBody } = await contentsRequestBuilder.get('?tag=inexistente');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+    });
+
+    test('With an invalid tag', async () => {
+      const { response, responseBody } = await contentsRequestBuilder.get('?tag=c%23');
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"tag" deve conter apenas letras, números e hífens entre palavras.');
+      expect(responseBody.key).toBe('tag');
+    });
+  });
+
+  describe('Strategy "following"', () => {
+    beforeAll(async () => {
+      await orchestrator.dropAllTables();
+      await orchestrator.runPendingMigrations();
+    });
+
+    test('Anonymous user', async () => {
+      const { response, responseBody } = await contentsRequestBuilder.get('?strategy=following');
+
+      expect.soft(response.status).toBe(403);
+      expect(response.headers.get('cache-control')).toBe('no-cache, no-store, max-age=0, must-revalidate');
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:follow".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+
+    test('Default user following other users', async () => {
+      const followingRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const followerUser = await followingRequestBuilder.buildUser();
+
+      const followedUser = await orchestrator.createUser();
+      const anotherFollowedUser = await orchestrator.createUser();
+      const notFollowedUser = await orchestrator.createUser();
+
+      const firstContent = await orchestrator.createContent({
+        owner_id: followedUser.id,
+        title: 'Conteúdo de quem eu sigo',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: followedUser.id,
+        parent_id: firstContent.id,
+        body: 'Comentário de quem eu sigo',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: anotherFollowedUser.id,
+        title: 'Rascunho de quem eu sigo',
+        status: 'draft',
+      });
+
+      await orchestrator.createContent({
+        owner_id: notFollowedUser.id,
+        title: 'Conteúdo de quem eu não sigo',
+        status: 'published',
+      });
+
+      const secondContent = await orchestrator.createContent({
+        owner_id: anotherFollowedUser.id,
+        title: 'Outro conteúdo de quem eu sigo',
+        status: 'published',
+      });
+
+      const followRequestBuilder = new RequestBuilder();
+      await followRequestBuilder.setUser(followerUser);
+      await followRequestBuilder.post(`/api/v1/users/${followedUser.username}/follow`);
+      await followRequestBuilder.post(`/api/v1/users/${anotherFollowedUser.username}/follow`);
+
+      const { response, responseBody } = await followingRequestBuilder.get('?strategy=following');
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('cache-control')).toBe('no-cache, no-store, max-age=0, must-revalidate');
+      expect(responseBody.map((content) => content.id)).toStrictEqual([secondContent.id, firstContent.id]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader.first.url).toBe(
+        `${orchestrator.webserverUrl}/api/v1/contents?strategy=following&page=1&per_page=30`,
+      );
+    });
+  });
 });
@@ -1212,6 +1212,183 @@ describe('POST /api/v1/contents', () => {
       expect(Date.parse(responseBody.updated_at)).not.toBeNaN();
     });
 
+    test('Content with "tags" containing valid values', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo com tags',
+        body: 'Corpo do conteúdo com tags.',
+        status: 'published',
+        tags: [' JavaScript ', 'carreira', 'ciência-de-dados'],
+      });
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        owner_id: defaultUser.id,
+        parent_id: null,
+        slug: 'conteudo-com-tags',
+        title: 'Conteúdo com tags',
+        body: 'Corpo do conteúdo com tags.',
+        status: 'published',
+        type: 'content',
+        source_url: null,
+        tags: ['carreira', 'ciência-de-dados', 'javascript'],
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+        published_at: responseBody.published_at,
+        deleted_at: null,
+        tabcoins: 0,
+        tabcoins_credit: 0,
+        tabcoins_debit: 0,
+        owner_username: defaultUser.username,
+      });
+    });
+
+    test('Content with "tags" containing an invalid value', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo com tag inválida',
+        body: 'Corpo do conteúdo com tag inválida.',
+        tags: ['c#'],
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"tags[0]" deve conter apenas letras, números e hífens entre palavras.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'object',
+        type: 'string.pattern.base',
+      });
+    });
+
+    test('Content with "tags" containing more than 5 values', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo com muitas tags',
+        body: 'Corpo do conteúdo com muitas tags.',
+        tags: ['um', 'dois', 'tres', 'quatro', 'cinco', 'seis'],
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"tags" deve possuir no máximo 5 elementos.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'tags',
+        type: 'array.max',
+      });
+    });
+
+    test('Content with "scheduled_for" in the future and "draft" status', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const scheduledFor = new Date(Date.now() + 1000 * 60 * 60).toISOString();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo agendado',
+        body: 'Corpo do conteúdo agendado.',
+        status: 'draft',
+        scheduled_for: scheduledFor,
+      });
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        owner_id: defaultUser.id,
+        parent_id: null,
+        slug: 'conteudo-agendado',
+        title: 'Conteúdo agendado',
+        body: 'Corpo do conteúdo agendado.',
+        status: 'draft',
+        type: 'content',
+        source_url: null,
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+        published_at: null,
+        scheduled_for: scheduledFor,
+        deleted_at: null,
+        tabcoins: 0,
+        tabcoins_credit: 0,
+        tabcoins_debit: 0,
+        owner_username: defaultUser.username,
+      });
+
+      const getContentRequestBuilder = new RequestBuilder(`/api/v1/contents/${defaultUser.username}/conteudo-agendado`);
+      const { response: getResponse } = await getContentRequestBuilder.get();
+
+      expect.soft(getResponse.status).toBe(404);
+    });
+
+    test('Content with "scheduled_for" and "published" status', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo agendado e publicado',
+        body: 'Corpo do conteúdo agendado e publicado.',
+        status: 'published',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60).toISOString(),
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: 'Apenas rascunhos podem ter a publicação agendada.',
+        action: 'Utilize o status "draft" para agendar a publicação ou remova o "scheduled_for".',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:CONTENT:CHECK_SCHEDULED_FOR:STATUS_NOT_DRAFT',
+        key: 'scheduled_for',
+      });
+    });
+
+    test('Content with "scheduled_for" in the past', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Conteúdo agendado no passado',
+        body: 'Corpo do conteúdo agendado no passado.',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() - 1000 * 60).toISOString(),
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"scheduled_for" precisa ser uma data no futuro.',
+        action: 'Escolha uma data posterior ao momento atual.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:CONTENT:CHECK_SCHEDULED_FOR:DATE_IN_THE_PAST',
+        key: 'scheduled_for',
+      });
+    });
+
     test('Content with "source_url" containing a valid long TLD', async () => {
       const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
       const defaultUser = await contentsRequestBuilder.buildUser();
@@ -2208,7 +2385,7 @@ describe('POST /api/v1/contents', () => {
         expect(getLastEmail.html).toContain(childContentUrl);
       });
 
-      test('My "root" content replied by other user (with "notifications" disabled)', async () => {
+      test('My "root" content replied by other user (with "direct_reply" email notifications disabled)', async () => {
         await orchestrator.deleteAllEmails();
 
         const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
@@ -2219,21 +2396,24 @@ describe('POST /api/v1/contents', () => {
         await userRequestBuilder.setUser(firstUser);
         await usersRequestBuilder.setUser(firstUser);
 
-        // 1) CHECK IF BY DEFAULT FIRST USER HAS `notifications` ENABLED
+        // 1) CHECK IF BY DEFAULT FIRST USER HAS `direct_reply` EMAIL NOTIFICATIONS ENABLED
         const { responseBody: userGetResponseCheck1Body } = await userRequestBuilder.get();
 
-        expect(userGetResponseCheck1Body.notifications).toBe(true);
+        expect(userGetResponseCheck1Body.notification_preferences.direct_reply.email).toBe(true);
 
-        // 2) DISABLE NOTIFICATIONS FOR FIRST USER
+        // 2) DISABLE `direct_reply` EMAIL NOTIFICATIONS FOR FIRST USER
         const { response: userPatchResponse1 } = await usersRequestBuilder.patch(`/${firstUser.username}`, {
-          notifications: false,
+          notification_preferences: { direct_reply: { email: false } },
         });
 
         expect.soft(userPatchResponse1.status).toBe(200);
 
         const { responseBody: userGetResponseCheck2Body } = await userRequestBuilder.get();
 
-        expect(userGetResponseCheck2Body.notifications).toBe(false);
+        expect(userGetResponseCheck2Body.notification_preferences.direct_reply).toStrictEqual({
+          email: false,
+          in_app: true,
+        });
 
         // 3) CREATE A CONTENT WITH FIRST USER
         const { responseBody: rootContent } = await contentsRequestBuilder.post({
@@ -2254,9 +2434,9 @@ describe('POST /api/v1/contents', () => {
         // 5) CHECK IF FIRST USER RECEIVED ANY EMAIL
         expect(await orchestrator.hasEmailsAfterDelay()).toBe(false);
 
-        // 6) ENABLE NOTIFICATIONS FOR FIRST USER
+        // 6) ENABLE `direct_reply` EMAIL NOTIFICATIONS FOR FIRST USER
         const { response: userPatchResponse2 } = await usersRequestBuilder.patch(`/${firstUser.username}`, {
-          notifications: true,
+          notification_preferences: { direct_reply: { email: true } },
         });
 
         expect.soft(userPatchResponse2.status).toBe(200);
@@ -2290,6 +2470,92 @@ describe('POST /api/v1/contents', () => {
         expect(getLastEmail2.html).toContain('respondeu à sua publicação');
         expect(getLastEmail2.html).toContain(childContentUrl);
       });
+
+      test('"root" content mentioning other users', async () => {
+        await orchestrator.deleteAllEmails();
+
+        const mentionedUser = await orchestrator.createUser();
+        await orchestrator.activateUser(mentionedUser);
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const authorUser = await contentsRequestBuilder.buildUser();
+
+        const { response, responseBody } = await contentsRequestBuilder.post({
+          title: 'Publicação com menções',
+          body: `Olá @${mentionedUser.username}, eu (@${authorUser.username}) e @usuarioinexistente. \`@${mentionedUser.username}\``,
+          status: 'published',
+        });
+
+        expect.soft(response.status).toBe(201);
+
+        const emails = await orchestrator.getEmails(2, { maxAttempts: 50 });
+        const contentUrl = `${orchestrator.webserverUrl}/${authorUser.username}/${responseBody.slug}`;
+
+        expect(emails).toHaveLength(1);
+        expect(emails[0].recipients[0].includes(mentionedUser.email)).toBe(true);
+        expect(emails[0].subject).toBe(`"${authorUser.username}" mencionou você em "Publicação com menções"`);
+        expect(emails[0].text).toContain(
+          `"${authorUser.username}" mencionou você na publicação "Publicação com menções".`,
+        );
+        expect(emails[0].text).toContain(contentUrl);
+        expect(emails[0].html).toContain('Clique aqui para ver a menção.');
+      });
+
+      test('"child" content mentioning the "parent" content owner', async () => {
+        await orchestrator.deleteAllEmails();
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const firstUser = await contentsRequestBuilder.buildUser();
+
+        const { responseBody: rootContent } = await contentsRequestBuilder.post({
+          title: 'Conteúdo raiz',
+          body: 'Body',
+          status: 'published',
+        });
+
+        await contentsRequestBuilder.buildUser();
+
+        const { response } = await contentsRequestBuilder.post({
+          body: `Respondendo e mencionando @${firstUser.username}.`,
+          parent_id: rootContent.id,
+          status: 'published',
+        });
+
+        expect.soft(response.status).toBe(201);
+
+        const emails = await orchestrator.getEmails(2, { maxAttempts: 50 });
+
+        expect(emails).toHaveLength(1);
+        expect(emails[0].text).toContain('respondeu à sua publicação');
+      });
+
+      test('Content mentioning more users than the limit', async () => {
+        await orchestrator.deleteAllEmails();
+
+        const mentionedUsers = [];
+
+        for (let i = 0; i < 11; i++) {
+          const mentionedUser = await orchestrator.createUser();
+          await orchestrator.activateUser(mentionedUser);
+          mentionedUsers.push(mentionedUser);
+        }
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        await contentsRequestBuilder.buildUser();
+
+        const { response } = await contentsRequestBuilder.post({
+          title: 'Muitas menções',
+          body: mentionedUsers.map((mentionedUser) => `@${mentionedUser.username}`).join(' '),
+          status: 'published',
+        });
+
+        expect.soft(response.status).toBe(201);
+
+        const emails = await orchestrator.getEmails(11, { maxAttempts: 50 });
+
+        expect(emails).toHaveLength(10);
+        expect(emails.some((email) => email.recipients[0].includes(mentionedUsers[10].email))).toBe(false);
+      });
     });
 
     describe('Stream Response', () => {
@@ -3348,6 +3614,89 @@ describe('POST /api/v1/contents', () => {
       });
     });
 
+    describe('With blocked domains', () => {
+      beforeAll(async () => {
+        await database.query({
+          text: `INSERT INTO domain_rules (domain, action) VALUES ('blocked-spam.example', 'block');`,
+        });
+      });
+
+      test('Should not be able to POST with a blocked "source_url"', async () => {
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        await contentsRequestBuilder.buildUser();
+
+        const { response, responseBody } = await contentsRequestBuilder.post({
+          title: 'Conteúdo com fonte bloqueada',
+          body: 'Corpo sem links.',
+          source_url: 'https://www.blocked-spam.example/oferta',
+          status: 'published',
+        });
+
+        expect.soft(response.status).toBe(400);
+
+        expect(responseBody).toStrictEqual({
+          name: 'ValidationError',
+          message: 'Links para o domínio "blocked-spam.example" não são permitidos.',
+          action: 'Remova os links para este domínio e tente novamente.',
+          status_code: 400,
+          error_id: responseBody.error_id,
+          request_id: responseBody.request_id,
+          error_location_code: 'MODEL:DOMAIN_RULE:THROW_IF_CONTENT_HAS_BLOCKED_DOMAIN:BLOCKED_DOMAIN',
+          key: 'source_url',
+        });
+      });
+
+      test('Should not be able to POST with a blocked link in "body"', async () => {
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        await contentsRequestBuilder.buildUser();
+
+        const { response, responseBody } = await contentsRequestBuilder.post({
+          title: 'Conteúdo com link bloqueado',
+          body: 'Confira em [este link](https://promo.blocked-spam.example/oferta).',
+          status: 'draft',
+        });
+
+        expect.soft(response.status).toBe(400);
+        expect(responseBody.error_location_code).toBe(
+          'MODEL:DOMAIN_RULE:THROW_IF_CONTENT_HAS_BLOCKED_DOMAIN:BLOCKED_DOMAIN',
+        );
+        expect(responseBody.key).toBe('body');
+      });
+
+      test.each([
+        ['a "www." autolink', 'Confira em www.blocked-spam.example/oferta'],
+        ['a protocol-relative link', 'Confira em [este link](//promo.blocked-spam.example/oferta).'],
+      ])('Should not be able to POST with a blocked domain in %s in "body"', async (_, body) => {
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        await contentsRequestBuilder.buildUser();
+
+        const { response, responseBody } = await contentsRequestBuilder.post({
+          title: 'Conteúdo com link bloqueado',
+          body,
+          status: 'draft',
+        });
+
+        expect.soft(response.status).toBe(400);
+        expect(responseBody.error_location_code).toBe(
+          'MODEL:DOMAIN_RULE:THROW_IF_CONTENT_HAS_BLOCKED_DOMAIN:BLOCKED_DOMAIN',
+        );
+        expect(responseBody.key).toBe('body');
+      });
+
+      test('Should be able to POST with a similar but not blocked domain', async () => {
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        await contentsRequestBuilder.buildUser();
+
+        const { response } = await contentsRequestBuilder.post({
+          title: 'Conteúdo com domínio parecido',
+          body: 'Confira em https://notblocked-spam.example/oferta',
+          status: 'draft',
+        });
+
+        expect.soft(response.status).toBe(201);
+      });
+    });
+
     describe('With invalid "type"', () => {
       test('Should not be able to POST with invalid "type"', async () => {
         const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
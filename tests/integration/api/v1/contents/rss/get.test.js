@@ -156,5 +156,204 @@ describe('GET /recentes/rss', () => {
     </channel>
 </rss>`);
     });
+
+    test('With `/tags/[tag]/rss` filtering contents by tag', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const taggedContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo com a tag',
+        body: 'Corpo do conteúdo com a tag.',
+        status: 'published',
+        tags: ['javascript'],
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sem a tag',
+        body: 'Corpo do conteúdo sem a tag.',
+        status: 'published',
+        tags: ['carreira'],
+      });
+
+      const response = await fetch(`${orchestrator.webserverUrl}/tags/javascript/rss`);
+      const responseBody = await response.text();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toContain('<title>TabNews · javascript</title>');
+      expect(responseBody).toContain(`<link>${orchestrator.webserverUrl}/tags/javascript/rss</link>`);
+      expect(responseBody).toContain(
+        `<guid>${orchestrator.webserverUrl}/${defaultUser.username}/${taggedContent.slug}</guid>`,
+      );
+      expect(responseBody).not.toContain('Conteúdo sem a tag');
+    });
+
+    test('With `/[username]/conteudos/atom` listing only root contents from the user', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const otherUser = await orchestrator.createUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Publicação do usuário',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Comentário do próprio usuário.',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: otherUser.id,
+        title: 'Publicação de outro usuário',
+        status: 'published',
+      });
+
+      const response = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/conteudos/atom`);
+      const responseBody = await response.text();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/atom+xml; charset=utf-8');
+      expect(responseBody).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(responseBody).toContain(`<title>Publicações de ${defaultUser.username} · TabNews</title>`);
+      expect(responseBody).toContain(`${orchestrator.webserverUrl}/${defaultUser.username}/${rootContent.slug}`);
+      expect(responseBody).not.toContain('Comentário do próprio usuário.');
+      expect(responseBody).not.toContain('Publicação de outro usuário');
+    });
+
+    test('With `/[username]/comentarios/feed.json` listing only children contents from the user', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Publicação comentada',
+        status: 'published',
+      });
+
+      const childContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Comentário publicado pelo usuário.',
+        status: 'published',
+      });
+
+      const response = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/comentarios/feed.json`);
+      const responseBody = await response.json();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('Content-Type')).toBe('application/feed+json; charset=utf-8');
+      expect(responseBody.title).toBe(`Comentários de ${defaultUser.username} · TabNews`);
+      expect(responseBody.feed_url).toBe(`${orchestrator.webserverUrl}/${defaultUser.username}/comentarios/feed.json`);
+      expect(responseBody.items).toHaveLength(1);
+      expect(responseBody.items[0].id).toBe(
+        `${orchestrator.webserverUrl}/${defaultUser.username}/${childContent.slug}`,
+      );
+      expect(responseBody.items[0].title).toBe('Comentário publicado pelo usuário.');
+    });
+
+    test('With `/[username]/[slug]/rss` listing the replies to a content', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const otherUser = await orchestrator.createUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Publicação com respostas',
+        status: 'published',
+      });
+
+      const childContent = await orchestrator.createContent({
+        owner_id: otherUser.id,
+        parent_id: rootContent.id,
+        body: 'Resposta direta.',
+        status: 'published',
+      });
+
+      const nestedChildContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: childContent.id,
+        body: 'Resposta aninhada.',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: otherUser.id,
+        parent_id: rootContent.id,
+        body: 'Resposta em rascunho.',
+        status: 'draft',
+      });
+
+      const response = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/${rootContent.slug}/rss`);
+      const responseBody = await response.text();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toContain('<title>Comentários em "Publicação com respostas" · TabNews</title>');
+      expect(responseBody).toContain(
+        `<guid>${orchestrator.webserverUrl}/${otherUser.username}/${childContent.slug}</guid>`,
+      );
+      expect(responseBody).toContain(
+        `<guid>${orchestrator.webserverUrl}/${defaultUser.username}/${nestedChildContent.slug}</guid>`,
+      );
+      expect(responseBody).not.toContain(
+        `<guid>${orchestrator.webserverUrl}/${defaultUser.username}/${rootContent.slug}</guid>`,
+      );
+      expect(responseBody).not.toContain('Resposta em rascunho.');
+    });
+
+    test('With `/[username]/[slug]/rss` from a non-existent content', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const response = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/nao-existe/rss`);
+      const responseBody = await response.json();
+
+      expect.soft(response.status).toBe(404);
+      expect(responseBody.error_location_code).toBe('CONTROLLER:CONTENTS:RSS:CONTENT_NOT_FOUND');
+    });
+
+    test('With "If-None-Match" matching the current "ETag"', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo para cache',
+        status: 'published',
+      });
+
+      const firstResponse = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/conteudos/rss`);
+      const etag = firstResponse.headers.get('ETag');
+
+      expect.soft(firstResponse.status).toBe(200);
+      expect(etag).toMatch(/^"[\w-]+"$/);
+
+      const secondResponse = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/conteudos/rss`, {
+        headers: { 'If-None-Match': etag },
+      });
+
+      expect.soft(secondResponse.status).toBe(304);
+      expect(secondResponse.headers.get('ETag')).toBe(etag);
+    });
+
+    test('With "If-Modified-Since" after the last update', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const createdContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo para Last-Modified',
+        status: 'published',
+      });
+
+      const firstResponse = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/conteudos/rss`);
+      const lastModified = firstResponse.headers.get('Last-Modified');
+
+      expect.soft(firstResponse.status).toBe(200);
+      expect(lastModified).toBe(new Date(createdContent.updated_at).toUTCString());
+
+      const secondResponse = await fetch(`${orchestrator.webserverUrl}/${defaultUser.username}/conteudos/rss`, {
+        headers: { 'If-Modified-Since': lastModified },
+      });
+
+      expect.soft(secondResponse.status).toBe(304);
+    });
   });
 });
@@ -0,0 +1,74 @@
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/contents/scheduled', () => {
+  describe('Anonymous user', () => {
+    test('Retrieving the endpoint', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      const { response, responseBody } = await scheduledRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "create:content".');
+    });
+  });
+
+  describe('Default user', () => {
+    test('With no scheduled contents', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser();
+
+      const { response, responseBody } = await scheduledRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With scheduled contents from multiple users', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      const defaultUser = await scheduledRequestBuilder.buildUser();
+      const otherUser = await orchestrator.createUser();
+
+      const laterContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Agendado para depois',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60 * 2),
+      });
+
+      const soonerContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Agendado para antes',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Rascunho sem agendamento',
+        status: 'draft',
+      });
+
+      await orchestrator.createContent({
+        owner_id: otherUser.id,
+        title: 'Agendado por outro usuário',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 30),
+      });
+
+      const { response, responseBody } = await scheduledRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+      expect(responseBody.map((content) => content.id)).toStrictEqual([soonerContent.id, laterContent.id]);
+      expect(responseBody[0].scheduled_for).toBe(soonerContent.scheduled_for.toISOString());
+      expect(responseBody[0].status).toBe('draft');
+    });
+  });
+});
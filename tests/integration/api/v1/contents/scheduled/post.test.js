@@ -0,0 +1,250 @@
+import database from 'infra/database';
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents/scheduled', () => {
+  describe('Default user', () => {
+    test('Without "update:content:scheduled" feature', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser();
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "update:content:scheduled".');
+    });
+  });
+
+  describe('User with "update:content:scheduled" feature', () => {
+    test('Publishing due contents', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const contentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(contentOwner);
+
+      const dueContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo agendado e vencido',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      const futureContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo agendado para o futuro',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await database.query({
+        text: `UPDATE contents SET scheduled_for = (now() - interval '1 minute') WHERE id = $1;`,
+        values: [dueContent.id],
+      });
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(dueContent.id);
+      expect(responseBody[0].status).toBe('published');
+      expect(responseBody[0].scheduled_for).toBeUndefined();
+      expect(Date.parse(responseBody[0].published_at)).not.toBeNaN();
+
+      const publishedContentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${dueContent.slug}`,
+      );
+      const { response: publishedResponse } = await publishedContentRequestBuilder.get();
+
+      expect.soft(publishedResponse.status).toBe(200);
+
+      const futureContentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${futureContent.slug}`,
+      );
+      const { response: futureResponse } = await futureContentRequestBuilder.get();
+
+      expect.soft(futureResponse.status).toBe(404);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'update:content:text_root',
+        originator_user_id: contentOwner.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: dueContent.id,
+        },
+        created_at: lastEvent.created_at,
+      });
+    });
+
+    test('Publishing a due "child" content', async () => {
+      await orchestrator.deleteAllEmails();
+
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const parentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(parentOwner);
+
+      const childOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(childOwner);
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: parentOwner.id,
+        title: 'Conteúdo raiz com resposta agendada',
+        status: 'published',
+      });
+
+      const dueChildContent = await orchestrator.createContent({
+        owner_id: childOwner.id,
+        parent_id: rootContent.id,
+        body: 'Resposta agendada para o autor do conteúdo raiz.',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await database.query({
+        text: `UPDATE contents SET scheduled_for = (now() - interval '1 minute') WHERE id = $1;`,
+        values: [dueChildContent.id],
+      });
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(dueChildContent.id);
+      expect(responseBody[0].status).toBe('published');
+
+      const getLastEmail = await orchestrator.waitForFirstEmail();
+
+      expect(getLastEmail.recipients[0].includes(parentOwner.email)).toBe(true);
+      expect(getLastEmail.subject).toBe(`"${childOwner.username}" comentou em "Conteúdo raiz com resposta agendada"`);
+    });
+
+    test('Running again with nothing due', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+    });
+
+    test('Skipping due contents from authors without "create:content"', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const contentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(contentOwner);
+
+      const dueContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo agendado de autor suspenso',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await database.query({
+        text: `UPDATE contents SET scheduled_for = (now() - interval '1 minute') WHERE id = $1;`,
+        values: [dueContent.id],
+      });
+
+      await orchestrator.removeFeaturesFromUser(contentOwner, ['create:content']);
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+
+      const contentRequestBuilder = new RequestBuilder(`/api/v1/contents/${contentOwner.username}/${dueContent.slug}`);
+      const { response: contentResponse } = await contentRequestBuilder.get();
+
+      expect.soft(contentResponse.status).toBe(404);
+    });
+
+    test('Skipping due contents from nuked authors', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const contentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(contentOwner);
+
+      const dueContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo agendado de autor banido',
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await database.query({
+        text: `UPDATE contents SET scheduled_for = (now() - interval '1 minute') WHERE id = $1;`,
+        values: [dueContent.id],
+      });
+
+      await orchestrator.nukeUser(contentOwner);
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+    });
+
+    test('Blocking due contents caught by the spam score', async () => {
+      const scheduledRequestBuilder = new RequestBuilder('/api/v1/contents/scheduled');
+      await scheduledRequestBuilder.buildUser({ with: ['update:content:scheduled'] });
+
+      const contentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(contentOwner);
+
+      const dueContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo agendado com apenas links',
+        body: [
+          'Confira:',
+          'https://link-farm.example/1',
+          'https://link-farm.example/2',
+          'https://link-farm.example/3',
+        ].join('\n'),
+        status: 'draft',
+        scheduled_for: new Date(Date.now() + 1000 * 60 * 60),
+      });
+
+      await database.query({
+        text: `UPDATE contents SET scheduled_for = (now() - interval '1 minute') WHERE id = $1;`,
+        values: [dueContent.id],
+      });
+
+      const { response, responseBody } = await scheduledRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(dueContent.id);
+      expect(responseBody[0].status).toBe('firewall');
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'firewall:block_contents:text_root',
+        originator_user_id: contentOwner.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'spam_score',
+          contents: [dueContent.id],
+          score: 4,
+          signals: ['link_density', 'new_account_only_links'],
+        },
+        created_at: lastEvent.created_at,
+      });
+    });
+  });
+});
@@ -0,0 +1,238 @@
+import content from 'models/content.js';
+import user from 'models/user';
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/contents [SPAM]', () => {
+  const linkFarmBody = [
+    'Confira:',
+    'https://link-farm.example/1',
+    'https://link-farm.example/2',
+    'https://link-farm.example/3',
+  ].join('\n');
+
+  describe('Default user', () => {
+    test('New account posting only links', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Apenas links',
+        body: linkFarmBody,
+        status: 'published',
+      });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody.status).toBe('firewall');
+
+      const storedContent = await content.findOne({ where: { id: responseBody.id } });
+      expect(storedContent.status).toBe('firewall');
+      expect(Date.parse(storedContent.published_at)).not.toBeNaN();
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: lastEvent.id,
+        type: 'firewall:block_contents:text_root',
+        originator_user_id: defaultUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'spam_score',
+          contents: [responseBody.id],
+          score: 4,
+          signals: ['link_density', 'new_account_only_links'],
+        },
+        created_at: lastEvent.created_at,
+      });
+
+      const userAfterFirewallCatch = await user.findOneById(defaultUser.id, { withBalance: true });
+      expect(userAfterFirewallCatch.tabcoins).toBe(0);
+    });
+
+    test('New account posting a link with relevant text', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Texto com link',
+        body: 'Escrevi um artigo explicando como configurei o meu ambiente de desenvolvimento: https://blog.example/artigo',
+        status: 'published',
+      });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody.status).toBe('published');
+    });
+
+    test('Duplicated body with a "source_url" domain repeated across accounts', async () => {
+      const repeatedBody =
+        'Conheça a melhor plataforma de investimentos do Brasil, com retorno garantido todos os meses e sem nenhum risco.';
+
+      const firstUser = await orchestrator.createUser();
+      const secondUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: firstUser.id,
+        title: 'Investimentos 1',
+        body: repeatedBody,
+        source_url: 'https://investimento-garantido.example/a',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: secondUser.id,
+        title: 'Investimentos 2',
+        body: 'Outro texto qualquer sobre investimentos.',
+        source_url: 'https://www.investimento-garantido.example/b',
+        status: 'published',
+      });
+
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Investimentos 3',
+        body: `  ${repeatedBody.toUpperCase()}  `,
+        source_url: 'https://investimento-garantido.example/c',
+        status: 'published',
+      });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody.status).toBe('firewall');
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent.metadata).toStrictEqual({
+        from_rule: 'spam_score',
+        contents: [responseBody.id],
+        score: 5,
+        signals: ['repeated_source_domain', 'duplicated_body'],
+      });
+    });
+
+    test('Draft with only links', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Rascunho com links',
+        body: linkFarmBody,
+        status: 'draft',
+      });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody.status).toBe('draft');
+    });
+
+    test('Publishing a draft with only links', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const defaultUser = await contentsRequestBuilder.buildUser();
+
+      const { responseBody: draftContent } = await contentsRequestBuilder.post({
+        title: 'Rascunho publicado depois',
+        body: linkFarmBody,
+        status: 'draft',
+      });
+
+      const { response, responseBody } = await contentsRequestBuilder.patch(
+        `/${defaultUser.username}/${draftContent.slug}`,
+        { status: 'published' },
+      );
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.status).toBe('firewall');
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent.metadata).toStrictEqual({
+        from_rule: 'spam_score',
+        contents: [draftContent.id],
+        score: 4,
+        signals: ['link_density', 'new_account_only_links'],
+      });
+    });
+
+    test('Duplicated body with a "source_url" domain that has an "allow" rule', async () => {
+      const repeatedBody =
+        'Acompanhe o repositório oficial do projeto, com todas as novidades da versão e o guia completo de migração.';
+
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+      await domainRulesRequestBuilder.post({ domain: 'code.example', action: 'allow' });
+
+      const firstUser = await orchestrator.createUser();
+      const secondUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: firstUser.id,
+        title: 'Repositório 1',
+        body: repeatedBody,
+        source_url: 'https://code.example/projeto',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: secondUser.id,
+        title: 'Repositório 2',
+        body: 'Outro texto qualquer sobre o repositório.',
+        source_url: 'https://docs.code.example/projeto',
+        status: 'published',
+      });
+
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await contentsRequestBuilder.post({
+        title: 'Repositório 3',
+        body: repeatedBody,
+        source_url: 'https://code.example/projeto',
+        status: 'published',
+      });
+
+      expect.soft(response.status).toBe(201);
+      expect(responseBody.status).toBe('published');
+    });
+  });
+
+  describe('User with "review:firewall" feature', () => {
+    test('Undoing a content caught by the spam score', async () => {
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.buildUser();
+
+      const { responseBody: createdContent } = await contentsRequestBuilder.post({
+        title: 'Links para revisar',
+        body: linkFarmBody,
+        status: 'published',
+      });
+
+      expect(createdContent.status).toBe('firewall');
+
+      const firewallEvent = await orchestrator.getLastEvent();
+
+      const reviewFirewallRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_firewall/${firewallEvent.id}`,
+      );
+      await reviewFirewallRequestBuilder.buildUser({ with: ['review:firewall'] });
+
+      const { response, responseBody } = await reviewFirewallRequestBuilder.post({
+        action: 'undo',
+      });
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.affected.contents).toStrictEqual([
+        expect.objectContaining({
+          id: createdContent.id,
+          status: 'published',
+        }),
+      ]);
+
+      const storedContent = await content.findOne({ where: { id: createdContent.id } });
+      expect(storedContent.status).toBe('published');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('DELETE /api/v1/domain_rules/[id]', () => {
+  describe('Default user', () => {
+    test('Should not delete a domain rule', async () => {
+      const domainRuleRequestBuilder = new RequestBuilder(`/api/v1/domain_rules/${randomUUID()}`);
+      await domainRuleRequestBuilder.buildUser();
+
+      const { response, responseBody } = await domainRuleRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "update:domain_rules" feature', () => {
+    test('Deleting an existing domain rule', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      const moderator = await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { responseBody: createdRule } = await domainRulesRequestBuilder.post({
+        domain: 'delete.example',
+        action: 'block',
+      });
+
+      const domainRuleRequestBuilder = new RequestBuilder(`/api/v1/domain_rules/${createdRule.id}`);
+      await domainRuleRequestBuilder.setUser(moderator);
+
+      const { response, responseBody } = await domainRuleRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual(createdRule);
+
+      const deleteRuleEvent = await orchestrator.getLastEvent();
+
+      expect(deleteRuleEvent).toStrictEqual({
+        id: deleteRuleEvent.id,
+        type: 'delete:domain_rules',
+        originator_user_id: moderator.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: createdRule.id,
+          old: {
+            domain: 'delete.example',
+            action: 'block',
+            reason: null,
+          },
+        },
+        created_at: deleteRuleEvent.created_at,
+      });
+
+      const { response: secondResponse, responseBody: secondResponseBody } = await domainRuleRequestBuilder.delete();
+
+      expect.soft(secondResponse.status).toBe(404);
+      expect(secondResponseBody.error_location_code).toBe('MODEL:DOMAIN_RULE:FIND_ONE_BY_ID:NOT_FOUND');
+
+      const { responseBody: rules } = await domainRulesRequestBuilder.get();
+      expect(rules).toStrictEqual([]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+import { randomUUID } from 'node:crypto';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('PATCH /api/v1/domain_rules/[id]', () => {
+  describe('Default user', () => {
+    test('Should not update a domain rule', async () => {
+      const domainRuleRequestBuilder = new RequestBuilder(`/api/v1/domain_rules/${randomUUID()}`);
+      await domainRuleRequestBuilder.buildUser();
+
+      const { response, responseBody } = await domainRuleRequestBuilder.patch({ action: 'allow' });
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "update:domain_rules" feature', () => {
+    test('With a non-existent "id"', async () => {
+      const domainRuleRequestBuilder = new RequestBuilder(`/api/v1/domain_rules/${randomUUID()}`);
+      await domainRuleRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { response, responseBody } = await domainRuleRequestBuilder.patch({ action: 'allow' });
+
+      expect.soft(response.status).toBe(404);
+      expect(responseBody.error_location_code).toBe('MODEL:DOMAIN_RULE:FIND_ONE_BY_ID:NOT_FOUND');
+    });
+
+    test('Changing "action" and "reason"', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      const moderator = await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { responseBody: createdRule } = await domainRulesRequestBuilder.post({
+        domain: 'patch.example',
+        action: 'block',
+        reason: 'Spam.',
+      });
+
+      const domainRuleRequestBuilder = new RequestBuilder(`/api/v1/domain_rules/${createdRule.id}`);
+      await domainRuleRequestBuilder.setUser(moderator);
+
+      const { response, responseBody } = await domainRuleRequestBuilder.patch({
+        domain: 'other.example',
+        action: 'nofollow',
+        reason: null,
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        id: createdRule.id,
+        domain: 'patch.example',
+        action: 'nofollow',
+        reason: null,
+        created_at: createdRule.created_at,
+        updated_at: responseBody.updated_at,
+      });
+
+      expect(responseBody.updated_at > createdRule.updated_at).toBe(true);
+
+      const updateRuleEvent = await orchestrator.getLastEvent();
+
+      expect(updateRuleEvent).toStrictEqual({
+        id: updateRuleEvent.id,
+        type: 'update:domain_rules',
+        originator_user_id: moderator.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: createdRule.id,
+          updatedFields: ['action', 'reason'],
+          old: {
+            action: 'block',
+            reason: 'Spam.',
+          },
+          new: {
+            action: 'nofollow',
+            reason: null,
+          },
+        },
+        created_at: updateRuleEvent.created_at,
+      });
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/domain_rules', () => {
+  describe('Anonymous user', () => {
+    test('Listing domain rules', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+
+      const { response, responseBody } = await domainRulesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "update:domain_rules" feature', () => {
+    test('Listing domain rules ordered by domain', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      await domainRulesRequestBuilder.post({ domain: 'zzz.example', action: 'allow' });
+      await domainRulesRequestBuilder.post({ domain: 'aaa.example', action: 'block' });
+
+      const { response, responseBody } = await domainRulesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((rule) => [rule.domain, rule.action])).toStrictEqual([
+        ['aaa.example', 'block'],
+        ['zzz.example', 'allow'],
+      ]);
+    });
+  });
+});
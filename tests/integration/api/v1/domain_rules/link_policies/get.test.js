@@ -0,0 +1,41 @@
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/domain_rules/link_policies', () => {
+  describe('Anonymous user', () => {
+    test('Without domain rules', async () => {
+      const linkPoliciesRequestBuilder = new RequestBuilder('/api/v1/domain_rules/link_policies');
+
+      const { response, responseBody } = await linkPoliciesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('Cache-Control')).toBe('public, s-maxage=60, stale-while-revalidate');
+      expect(responseBody).toStrictEqual({ allow: [], nofollow: [] });
+    });
+
+    test('With domain rules', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      await domainRulesRequestBuilder.post({ domain: 'blocked.example', action: 'block' });
+      await domainRulesRequestBuilder.post({ domain: 'trusted.example', action: 'allow' });
+      await domainRulesRequestBuilder.post({ domain: 'nofollow.example', action: 'nofollow' });
+
+      const linkPoliciesRequestBuilder = new RequestBuilder('/api/v1/domain_rules/link_policies');
+
+      const { response, responseBody } = await linkPoliciesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual({
+        allow: ['trusted.example'],
+        nofollow: ['blocked.example', 'nofollow.example'],
+      });
+    });
+  });
+});
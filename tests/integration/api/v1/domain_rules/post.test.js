@@ -0,0 +1,128 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/domain_rules', () => {
+  describe('Default user', () => {
+    test('Should not create a domain rule', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser();
+
+      const { response, responseBody } = await domainRulesRequestBuilder.post({
+        domain: 'spam.example',
+        action: 'block',
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:domain_rules".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "update:domain_rules" feature', () => {
+    test('Without "action"', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { response, responseBody } = await domainRulesRequestBuilder.post({
+        domain: 'spam.example',
+      });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"action" é um campo obrigatório.');
+      expect(responseBody.key).toBe('action');
+    });
+
+    test('With an invalid "domain"', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { response, responseBody } = await domainRulesRequestBuilder.post({
+        domain: 'https://spam.example/path',
+        action: 'block',
+      });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"domain" deve conter um domínio válido.');
+      expect(responseBody.key).toBe('domain');
+    });
+
+    test('With valid data', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      const moderator = await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      const { response, responseBody } = await domainRulesRequestBuilder.post({
+        domain: ' WWW.Spam.Example ',
+        action: 'block',
+        reason: 'Fazenda de links.',
+      });
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        id: responseBody.id,
+        domain: 'spam.example',
+        action: 'block',
+        reason: 'Fazenda de links.',
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+      });
+
+      expect(uuidVersion(responseBody.id)).toBe(4);
+      expect(Date.parse(responseBody.created_at)).not.toBeNaN();
+
+      const createRuleEvent = await orchestrator.getLastEvent();
+
+      expect(createRuleEvent).toStrictEqual({
+        id: createRuleEvent.id,
+        type: 'create:domain_rules',
+        originator_user_id: moderator.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: responseBody.id,
+          new: {
+            domain: 'spam.example',
+            action: 'block',
+            reason: 'Fazenda de links.',
+          },
+        },
+        created_at: createRuleEvent.created_at,
+      });
+    });
+
+    test('With a duplicated "domain"', async () => {
+      const domainRulesRequestBuilder = new RequestBuilder('/api/v1/domain_rules');
+      await domainRulesRequestBuilder.buildUser({ with: ['update:domain_rules'] });
+
+      await domainRulesRequestBuilder.post({ domain: 'duplicated.example', action: 'nofollow' });
+
+      const { response, responseBody } = await domainRulesRequestBuilder.post({
+        domain: 'duplicated.example',
+        action: 'block',
+      });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('O domínio "duplicated.example" já possui uma regra.');
+      expect(responseBody.error_location_code).toBe('MODEL:DOMAIN_RULE:CREATE:ALREADY_EXISTS');
+      expect(responseBody.key).toBe('domain');
+    });
+  });
+});
@@ -10,7 +10,7 @@ beforeAll(async () => {
   await orchestrator.waitForAllServices();
   await orchestrator.dropAllTables();
   await orchestrator.runPendingMigrations();
-  await orchestrator.createFirewallTestFunctions();
+  await orchestrator.enableFirewallRules();
 });
 
 describe('GET /api/v1/events/firewall/[id]', () => {
@@ -67,7 +67,7 @@ describe('GET /api/v1/events/firewall/[id]', () => {
     beforeEach(async () => {
       await orchestrator.dropAllTables();
       await orchestrator.runPendingMigrations();
-      await orchestrator.createFirewallTestFunctions();
+      await orchestrator.enableFirewallRules();
     });
 
     test('With a malformatted string as "id"', async () => {
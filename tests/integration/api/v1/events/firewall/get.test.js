@@ -0,0 +1,282 @@
+import { version as uuidVersion } from 'uuid';
+
+import event from 'models/event';
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+  await orchestrator.enableFirewallRules();
+});
+
+describe('GET /api/v1/events/firewall', () => {
+  describe('Anonymous user', () => {
+    test('Should not list firewall events', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      const { response, responseBody } = await firewallRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:firewall".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Should not list firewall events', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      await firewallRequestBuilder.buildUser();
+
+      const { response, responseBody } = await firewallRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:firewall".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('User with "read:firewall" feature', () => {
+    beforeEach(async () => {
+      await orchestrator.dropAllTables();
+      await orchestrator.runPendingMigrations();
+      await orchestrator.enableFirewallRules();
+    });
+
+    test('With an invalid "type"', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      await firewallRequestBuilder.buildUser({ with: ['read:firewall'] });
+
+      const { response, responseBody } = await firewallRequestBuilder.get('?type=create:user');
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message:
+          '"type" deve possuir um dos seguintes valores: "firewall:block_users", "firewall:block_contents:text_root", "firewall:block_contents:text_child", "firewall:quarantine_users", "firewall:block_tips".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'type',
+        type: 'any.only',
+      });
+    });
+
+    test('Without firewall events', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      await firewallRequestBuilder.buildUser({ with: ['read:firewall'] });
+
+      const { response, responseBody } = await firewallRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With pending and reviewed firewall events', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      const moderator = await firewallRequestBuilder.buildUser({ with: ['read:firewall', 'review:firewall'] });
+
+      // Create a "firewall:block_users" event
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+
+      const { responseBody: user1 } = await usersRequestBuilder.post({
+        username: 'firstUser',
+        email: 'first-user@gmail.com',
+        password: 'password',
+      });
+      const { responseBody: user2 } = await usersRequestBuilder.post({
+        username: 'secondUser',
+        email: 'second-user@gmail.com',
+        password: 'password',
+      });
+      const { response: user3Response } = await usersRequestBuilder.post({
+        username: 'thirdUser',
+        email: 'third-user@gmail.com',
+        password: 'password',
+      });
+
+      expect.soft(user3Response.status).toBe(429);
+
+      const blockUsersEvent = await orchestrator.getLastEvent();
+
+      // Create a "firewall:block_contents:text_root" event
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      const contentOwner = await contentsRequestBuilder.buildUser();
+
+      const { responseBody: content1 } = await createContentViaApi(contentsRequestBuilder);
+      const { responseBody: content2 } = await createContentViaApi(contentsRequestBuilder);
+      const { response: content3Response } = await createContentViaApi(contentsRequestBuilder);
+
+      expect.soft(content3Response.status).toBe(429);
+
+      const blockContentsEvent = await orchestrator.getLastEvent();
+
+      // Review the "firewall:block_users" event
+      const reviewFirewallRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_firewall/${blockUsersEvent.id}`,
+      );
+      await reviewFirewallRequestBuilder.setUser(moderator);
+
+      const { response: reviewResponse } = await reviewFirewallRequestBuilder.post({ action: 'undo' });
+
+      expect.soft(reviewResponse.status).toBe(200);
+
+      const reviewEvent = await orchestrator.getLastEvent();
+
+      // List all events
+      const { response: allResponse, responseBody: allResponseBody } = await firewallRequestBuilder.get();
+
+      expect.soft(allResponse.status).toBe(200);
+      expect(allResponse.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(allResponseBody).toStrictEqual([
+        {
+          affected: {
+            contents: [
+              expect.objectContaining({ id: content1.id, status: 'firewall' }),
+              expect.objectContaining({ id: content2.id, status: 'firewall' }),
+            ],
+            users: [expect.objectContaining({ id: contentOwner.id, username: contentOwner.username })],
+          },
+          events: [
+            {
+              created_at: blockContentsEvent.created_at.toISOString(),
+              id: blockContentsEvent.id,
+              metadata: {
+                from_rule: 'create:content:text_root',
+                contents: [content1.id, content2.id],
+              },
+              originator_user_id: contentOwner.id,
+              type: 'firewall:block_contents:text_root',
+            },
+          ],
+        },
+        {
+          affected: {
+            users: [
+              expect.objectContaining({ id: user1.id, username: 'firstUser' }),
+              expect.objectContaining({ id: user2.id, username: 'secondUser' }),
+            ],
+          },
+          events: [
+            {
+              created_at: blockUsersEvent.created_at.toISOString(),
+              id: blockUsersEvent.id,
+              metadata: {
+                from_rule: 'create:user',
+                users: [user1.id, user2.id],
+              },
+              originator_user_id: null,
+              type: 'firewall:block_users',
+            },
+            {
+              created_at: reviewEvent.created_at.toISOString(),
+              id: reviewEvent.id,
+              metadata: {
+                related_events: [blockUsersEvent.id],
+                users: [user1.id, user2.id],
+              },
+              originator_user_id: moderator.id,
+              type: 'moderation:unblock_users',
+            },
+          ],
+        },
+      ]);
+
+      // Filter by reviewed state
+      const { responseBody: pendingResponseBody } = await firewallRequestBuilder.get('?reviewed=false');
+
+      expect(pendingResponseBody.map(({ events }) => events[0].id)).toStrictEqual([blockContentsEvent.id]);
+
+      const { responseBody: reviewedResponseBody } = await firewallRequestBuilder.get('?reviewed=true');
+
+      expect(reviewedResponseBody.map(({ events }) => events[0].id)).toStrictEqual([blockUsersEvent.id]);
+
+      // Filter by type
+      const { response: typeResponse, responseBody: typeResponseBody } = await firewallRequestBuilder.get(
+        '?type=firewall:block_contents:text_root&reviewed=true',
+      );
+
+      expect.soft(typeResponse.status).toBe(200);
+      expect(typeResponseBody).toStrictEqual([]);
+      expect(typeResponse.headers.get('X-Pagination-Total-Rows')).toBe('0');
+
+      // Paginate
+      const { response: pageResponse, responseBody: pageResponseBody } =
+        await firewallRequestBuilder.get('?page=2&per_page=1');
+
+      expect.soft(pageResponse.status).toBe(200);
+      expect(pageResponseBody.map(({ events }) => events[0].id)).toStrictEqual([blockUsersEvent.id]);
+      expect(pageResponse.headers.get('X-Pagination-Total-Rows')).toBe('2');
+    });
+
+    test('With a firewall event that affected nobody', async () => {
+      const firewallRequestBuilder = new RequestBuilder('/api/v1/events/firewall');
+      await firewallRequestBuilder.buildUser({ with: ['read:firewall'] });
+
+      const emptyEvent = await event.create({
+        type: 'firewall:block_users',
+        originator_ip: '127.0.0.1',
+        metadata: {
+          from_rule: 'create:user',
+          users: [],
+        },
+      });
+
+      const { response, responseBody } = await firewallRequestBuilder.get('?type=firewall:block_users&reviewed=false');
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual([
+        {
+          affected: {
+            users: [],
+          },
+          events: [
+            {
+              created_at: emptyEvent.created_at.toISOString(),
+              id: emptyEvent.id,
+              metadata: {
+                from_rule: 'create:user',
+                users: [],
+              },
+              originator_user_id: null,
+              type: 'firewall:block_users',
+            },
+          ],
+        },
+      ]);
+    });
+  });
+});
+
+async function createContentViaApi(contentsRequestBuilder) {
+  return await contentsRequestBuilder.post({
+    title: `New content - ${new Date().getTime()}`,
+    body: 'body',
+    status: 'published',
+  });
+}
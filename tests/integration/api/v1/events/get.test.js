@@ -0,0 +1,235 @@
+import parseLinkHeader from 'parse-link-header';
+import { version as uuidVersion } from 'uuid';
+
+import database from 'infra/database';
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/events', () => {
+  describe('Anonymous user', () => {
+    test('Listing events', async () => {
+      const eventsRequestBuilder = new RequestBuilder('/api/v1/events');
+      const { response, responseBody } = await eventsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:events".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Listing events', async () => {
+      const eventsRequestBuilder = new RequestBuilder('/api/v1/events');
+      await eventsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await eventsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "read:events" feature', () => {
+    let auditorUser;
+    let bannedUser;
+    let banEvent;
+    let firstContent;
+    let updateContentEvent;
+    const eventsRequestBuilder = new RequestBuilder('/api/v1/events');
+
+    beforeAll(async () => {
+      auditorUser = await eventsRequestBuilder.buildUser({
+        with: ['read:events', 'ban:user', 'update:content:others'],
+      });
+
+      const contentOwner = await orchestrator.createUser();
+      await orchestrator.activateUser(contentOwner);
+
+      firstContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo auditado',
+        status: 'published',
+      });
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${firstContent.slug}`,
+      );
+      await contentRequestBuilder.setUser(auditorUser);
+      await contentRequestBuilder.patch({
+        title: 'Conteúdo auditado e editado',
+        moderation_reason: 'Título fora do padrão.',
+      });
+      updateContentEvent = await orchestrator.getLastEvent();
+
+      bannedUser = await orchestrator.createUser();
+      const banRequestBuilder = new RequestBuilder(`/api/v1/users/${bannedUser.username}`);
+      await banRequestBuilder.setUser(auditorUser);
+      await banRequestBuilder.delete({ ban_type: 'nuke' });
+      banEvent = await orchestrator.getLastEvent();
+    });
+
+    test('With an invalid "type"', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get('?type=invalid:type');
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"type" não aceita o valor "invalid:type".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'type',
+        type: 'any.only',
+      });
+    });
+
+    test('With an invalid "target_user_id"', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get('?target_user_id=invalid');
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.key).toBe('target_user_id');
+      expect(responseBody.type).toBe('string.guid');
+    });
+
+    test('Without filters', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.length).toBeGreaterThanOrEqual(3);
+      expect(responseBody[0].id).toBe(banEvent.id);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe(responseBody.length.toString());
+    });
+
+    test('Filtering by "type" and "target_user_id"', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get(
+        `?type=ban:user&target_user_id=${bannedUser.id}`,
+      );
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: banEvent.id,
+          type: 'ban:user',
+          originator_user_id: auditorUser.id,
+          originator_username: auditorUser.username,
+          originator_ip: '127.0.0.1',
+          metadata: {
+            ban_type: 'nuke',
+            user_id: bannedUser.id,
+          },
+          target_users: [
+            {
+              id: bannedUser.id,
+              username: bannedUser.username,
+            },
+          ],
+          target_contents: [],
+          created_at: banEvent.created_at.toISOString(),
+        },
+      ]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader.first.type).toBe('ban:user');
+      expect(responseLinkHeader.first.target_user_id).toBe(bannedUser.id);
+    });
+
+    test('Filtering by "target_content_id"', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get(`?target_content_id=${firstContent.id}`);
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((event) => event.type)).toStrictEqual([
+        'update:content:text_root',
+        'create:content:text_root',
+      ]);
+      expect(responseBody[0].id).toBe(updateContentEvent.id);
+      expect(responseBody[0].target_contents).toStrictEqual([
+        {
+          id: firstContent.id,
+          parent_id: null,
+          owner_username: responseBody[0].target_contents[0].owner_username,
+          slug: firstContent.slug,
+          title: 'Conteúdo auditado e editado',
+          status: 'published',
+        },
+      ]);
+    });
+
+    test('Filtering by "originator_user_id"', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get(`?originator_user_id=${auditorUser.id}`);
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((event) => event.id)).toStrictEqual([banEvent.id, updateContentEvent.id]);
+    });
+
+    test('Filtering by date range', async () => {
+      const createdAfter = new Date(updateContentEvent.created_at.getTime() + 1).toISOString();
+
+      const { response: afterResponse, responseBody: afterResponseBody } = await eventsRequestBuilder.get(
+        `?originator_user_id=${auditorUser.id}&created_after=${createdAfter}`,
+      );
+
+      expect.soft(afterResponse.status).toBe(200);
+      expect(afterResponseBody.map((event) => event.id)).toStrictEqual([banEvent.id]);
+
+      const createdBefore = updateContentEvent.created_at.toISOString();
+
+      const { response: beforeResponse, responseBody: beforeResponseBody } = await eventsRequestBuilder.get(
+        `?originator_user_id=${auditorUser.id}&created_before=${createdBefore}`,
+      );
+
+      expect.soft(beforeResponse.status).toBe(200);
+      expect(beforeResponseBody.map((event) => event.id)).toStrictEqual([updateContentEvent.id]);
+    });
+
+    test('With pagination', async () => {
+      const { response, responseBody } = await eventsRequestBuilder.get(
+        `?originator_user_id=${auditorUser.id}&per_page=1&page=2`,
+      );
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((event) => event.id)).toStrictEqual([updateContentEvent.id]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader.prev.page).toBe('1');
+      expect(responseLinkHeader.next).toBeUndefined();
+    });
+
+    test('With more events than the counted limit', async () => {
+      await database.query(`
+        INSERT INTO events (type, metadata)
+        SELECT 'create:user', jsonb_build_object('id', gen_random_uuid())
+        FROM generate_series(1, 10001);
+      `);
+
+      const { response, responseBody } = await eventsRequestBuilder.get('?per_page=1');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('10000');
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/firewall/rules/[id]/dry_run', () => {
+  describe('Default user', () => {
+    test('Should not dry-run a firewall rule', async () => {
+      const dryRunRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user/dry_run');
+      await dryRunRequestBuilder.buildUser();
+
+      const { response, responseBody } = await dryRunRequestBuilder.post();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:firewall:rules".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "update:firewall:rules" feature', () => {
+    test('With the stored rule and with a tuned rule', async () => {
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+
+      const { response: userResponse } = await usersRequestBuilder.post({
+        username: 'firstUser',
+        email: 'first-user@gmail.com',
+        password: 'password',
+      });
+
+      expect.soft(userResponse.status).toBe(201);
+
+      const dryRunRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user/dry_run');
+      const moderator = await dryRunRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await dryRunRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        rule: expect.objectContaining({
+          id: 'create:user',
+          threshold: 2,
+          window_seconds: 5,
+          enabled: false,
+        }),
+        matches: [],
+      });
+
+      const { response: tunedResponse, responseBody: tunedResponseBody } = await dryRunRequestBuilder.post({
+        threshold: 1,
+        window_seconds: 3600,
+      });
+
+      expect.soft(tunedResponse.status).toBe(200);
+
+      expect(tunedResponseBody).toStrictEqual({
+        rule: expect.objectContaining({
+          id: 'create:user',
+          threshold: 1,
+          window_seconds: 3600,
+          enabled: false,
+        }),
+        matches: [
+          {
+            scope_value: '127.0.0.1',
+            events_count: 1,
+          },
+        ],
+      });
+
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user');
+      await ruleRequestBuilder.setUser(moderator);
+
+      const { responseBody: storedRule } = await ruleRequestBuilder.get();
+
+      expect(storedRule.threshold).toBe(2);
+      expect(storedRule.window_seconds).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('PATCH /api/v1/firewall/rules/[id]', () => {
+  describe('Default user', () => {
+    test('Should not update a firewall rule', async () => {
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user');
+      await ruleRequestBuilder.buildUser();
+
+      const { response, responseBody } = await ruleRequestBuilder.patch({ threshold: 10 });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:firewall:rules".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "update:firewall:rules" feature', () => {
+    test('With an "id" that does not exist', async () => {
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:nothing');
+      await ruleRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await ruleRequestBuilder.patch({ threshold: 10 });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'A regra "create:nothing" não foi encontrada no sistema.',
+        action: 'Verifique se o "id" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:FIREWALL:FIND_ONE_RULE_BY_ID:NOT_FOUND',
+        key: 'id',
+      });
+    });
+
+    test('With an invalid "threshold"', async () => {
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user');
+      await ruleRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await ruleRequestBuilder.patch({ threshold: 0 });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"threshold" deve possuir um valor mínimo de 1.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'threshold',
+        type: 'number.min',
+      });
+    });
+
+    test('With a "side_effect" that cannot read the rule "event_type"', async () => {
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user');
+      await ruleRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await ruleRequestBuilder.patch({ side_effect: 'block_contents' });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"side_effect" deve possuir um dos seguintes valores: "none", "block_users", "quarantine_users".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'side_effect',
+        type: 'any.only',
+      });
+
+      const { responseBody: storedRule } = await ruleRequestBuilder.get();
+
+      expect(storedRule.side_effect).toBe('block_users');
+    });
+
+    test('Tuning and enabling the "create:user" rule', async () => {
+      const ruleRequestBuilder = new RequestBuilder('/api/v1/firewall/rules/create:user');
+      const firewallUser = await ruleRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await ruleRequestBuilder.patch({
+        id: 'ignored:id',
+        event_type: 'create:content:text_root',
+        threshold: 1,
+        window_seconds: 60,
+        enabled: true,
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        id: 'create:user',
+        event_type: 'create:user',
+        scope: 'ip',
+        metadata_filter: null,
+        threshold: 1,
+        window_seconds: 60,
+        side_effect: 'block_users',
+        side_effect_window_seconds: 1800,
+        message:
+          'Identificamos a criação de muitos usuários em um curto período, então usuários criados recentemente podem ter sido desativados.',
+        enabled: true,
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+      });
+
+      expect(Date.parse(responseBody.updated_at)).toBeGreaterThan(Date.parse(responseBody.created_at));
+
+      const updateRuleEvent = await orchestrator.getLastEvent();
+
+      expect(updateRuleEvent).toStrictEqual({
+        id: updateRuleEvent.id,
+        type: 'update:firewall:rules',
+        originator_user_id: firewallUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: 'create:user',
+          updatedFields: ['threshold', 'window_seconds', 'enabled'],
+          old: {
+            threshold: 2,
+            window_seconds: 5,
+            enabled: false,
+          },
+          new: {
+            threshold: 1,
+            window_seconds: 60,
+            enabled: true,
+          },
+        },
+        created_at: updateRuleEvent.created_at,
+      });
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+
+      const { response: firstUserResponse, responseBody: firstUser } = await usersRequestBuilder.post({
+        username: 'firstUser',
+        email: 'first-user@gmail.com',
+        password: 'password',
+      });
+
+      expect.soft(firstUserResponse.status).toBe(201);
+
+      const { response: secondUserResponse } = await usersRequestBuilder.post({
+        username: 'secondUser',
+        email: 'second-user@gmail.com',
+        password: 'password',
+      });
+
+      expect.soft(secondUserResponse.status).toBe(429);
+
+      const firewallEvent = await orchestrator.getLastEvent();
+
+      expect(firewallEvent.type).toBe('firewall:block_users');
+      expect(firewallEvent.metadata).toStrictEqual({
+        from_rule: 'create:user',
+        users: [firstUser.id],
+      });
+    });
+  });
+});
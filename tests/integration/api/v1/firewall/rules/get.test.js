@@ -0,0 +1,105 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/firewall/rules', () => {
+  describe('Anonymous user', () => {
+    test('Should not list firewall rules', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      const { response, responseBody } = await rulesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:firewall:rules".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "read:firewall" feature', () => {
+    test('Should not list firewall rules', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser({ with: ['read:firewall'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "update:firewall:rules" feature', () => {
+    test('Should list the default firewall rules', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: 'create:content:text_child',
+          event_type: 'create:content:text_child',
+          scope: 'ip',
+          metadata_filter: null,
+          threshold: 2,
+          window_seconds: 5,
+          side_effect: 'block_contents',
+          side_effect_window_seconds: 600,
+          message:
+            'Identificamos a criação de muitos comentários em um curto período, então comentários criados recentemente podem ter sido removidos.',
+          enabled: false,
+          created_at: responseBody[0].created_at,
+          updated_at: responseBody[0].updated_at,
+        },
+        {
+          id: 'create:content:text_root',
+          event_type: 'create:content:text_root',
+          scope: 'ip',
+          metadata_filter: null,
+          threshold: 2,
+          window_seconds: 5,
+          side_effect: 'block_contents',
+          side_effect_window_seconds: 600,
+          message:
+            'Identificamos a criação de muitas publicações em um curto período, então publicações criadas recentemente podem ter sido removidas.',
+          enabled: false,
+          created_at: responseBody[1].created_at,
+          updated_at: responseBody[1].updated_at,
+        },
+        {
+          id: 'create:user',
+          event_type: 'create:user',
+          scope: 'ip',
+          metadata_filter: null,
+          threshold: 2,
+          window_seconds: 5,
+          side_effect: 'block_users',
+          side_effect_window_seconds: 1800,
+          message:
+            'Identificamos a criação de muitos usuários em um curto período, então usuários criados recentemente podem ter sido desativados.',
+          enabled: false,
+          created_at: responseBody[2].created_at,
+          updated_at: responseBody[2].updated_at,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/firewall/rules', () => {
+  const tabcoinsDebitRule = {
+    id: 'update:content:tabcoins:debit',
+    event_type: 'update:content:tabcoins',
+    scope: 'ip',
+    metadata_filter: { transaction_type: 'debit' },
+    threshold: 1,
+    window_seconds: 60,
+    message: 'Identificamos muitas avaliações negativas em um curto período.',
+    enabled: true,
+  };
+
+  describe('Default user', () => {
+    test('Should not create a firewall rule', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser();
+
+      const { response, responseBody } = await rulesRequestBuilder.post(tabcoinsDebitRule);
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "update:firewall:rules".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "update:firewall:rules" feature', () => {
+    test('Without required fields', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.post({ id: 'custom:rule' });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"event_type" é um campo obrigatório.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'event_type',
+        type: 'any.required',
+      });
+    });
+
+    test('With an existing "id"', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.post({
+        ...tabcoinsDebitRule,
+        id: 'create:user',
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: 'A regra "create:user" já existe.',
+        action: 'Utilize outro "id" ou atualize a regra existente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:FIREWALL:CREATE_RULE:ALREADY_EXISTS',
+        key: 'id',
+      });
+    });
+
+    test('With a "side_effect" that cannot read the "event_type"', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      await rulesRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.post({
+        ...tabcoinsDebitRule,
+        side_effect: 'block_contents',
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"side_effect" deve possuir um dos seguintes valores: "none", "block_users", "quarantine_users".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'side_effect',
+        type: 'any.only',
+      });
+    });
+
+    test('With a new rule that blocks TabCoins debits from the same IP', async () => {
+      const rulesRequestBuilder = new RequestBuilder('/api/v1/firewall/rules');
+      const firewallUser = await rulesRequestBuilder.buildUser({ with: ['update:firewall:rules'] });
+
+      const { response, responseBody } = await rulesRequestBuilder.post(tabcoinsDebitRule);
+
+      expect.soft(response.status).toBe(201);
+
+      expect(responseBody).toStrictEqual({
+        ...tabcoinsDebitRule,
+        side_effect: 'none',
+        side_effect_window_seconds: 0,
+        created_at: responseBody.created_at,
+        updated_at: responseBody.updated_at,
+      });
+
+      const createRuleEvent = await orchestrator.getLastEvent();
+      const { id: ruleId, ...ruleValues } = tabcoinsDebitRule;
+
+      expect(uuidVersion(createRuleEvent.id)).toBe(4);
+      expect(createRuleEvent).toStrictEqual({
+        id: createRuleEvent.id,
+        type: 'create:firewall:rules',
+        originator_user_id: firewallUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          id: ruleId,
+          new: {
+            ...ruleValues,
+            side_effect: 'none',
+            side_effect_window_seconds: 0,
+          },
+        },
+        created_at: createRuleEvent.created_at,
+      });
+
+      const contentOwner = await orchestrator.createUser();
+      const firstContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Primeiro conteúdo',
+        status: 'published',
+      });
+      const secondContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Segundo conteúdo',
+        status: 'published',
+      });
+
+      const tabcoinsRequestBuilder = new RequestBuilder(`/api/v1/contents/${contentOwner.username}`);
+      const voter = await tabcoinsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcoin',
+        recipientId: voter.id,
+        amount: 10,
+      });
+
+      const { response: firstResponse } = await tabcoinsRequestBuilder.post(`/${firstContent.slug}/tabcoins`, {
+        transaction_type: 'debit',
+      });
+
+      expect.soft(firstResponse.status).toBe(201);
+
+      const { response: secondResponse, responseBody: secondResponseBody } = await tabcoinsRequestBuilder.post(
+        `/${secondContent.slug}/tabcoins`,
+        { transaction_type: 'debit' },
+      );
+
+      expect.soft(secondResponse.status).toBe(429);
+
+      expect(secondResponseBody).toStrictEqual({
+        name: 'TooManyRequestsError',
+        message: 'Identificamos muitas avaliações negativas em um curto período.',
+        action: 'Tente novamente mais tarde ou contate o suporte caso acredite que isso seja um erro.',
+        status_code: 429,
+        error_id: secondResponseBody.error_id,
+        request_id: secondResponseBody.request_id,
+      });
+
+      const { response: creditResponse } = await tabcoinsRequestBuilder.post(`/${secondContent.slug}/tabcoins`, {
+        transaction_type: 'credit',
+      });
+
+      expect.soft(creditResponse.status).toBe(201);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+import { randomUUID } from 'node:crypto';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/moderations/review_appeals/[id]', () => {
+  async function createSubmittedAppeal() {
+    const bannedUser = await orchestrator.createUser();
+    await orchestrator.activateUser(bannedUser);
+
+    const bannedUserContent = await orchestrator.createContent({
+      owner_id: bannedUser.id,
+      title: 'Conteúdo apagado pelo banimento',
+      status: 'published',
+    });
+
+    const banRequestBuilder = new RequestBuilder(`/api/v1/users/${bannedUser.username}`);
+    await banRequestBuilder.buildUser({ with: ['ban:user'] });
+    await banRequestBuilder.delete({ ban_type: 'nuke' });
+
+    const banEvent = await orchestrator.getLastEvent();
+
+    const submittedAppeal = await orchestrator.createAppeal({
+      userId: bannedUser.id,
+      eventId: banEvent.id,
+      message: 'Minha conta foi banida por engano.',
+    });
+
+    return { bannedUser, bannedUserContent, banEvent, submittedAppeal };
+  }
+
+  describe('Anonymous user', () => {
+    test('Reviewing an appeal', async () => {
+      const reviewAppealsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_appeals/${randomUUID()}`);
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'accept',
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "review:appeal".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Reviewing an appeal', async () => {
+      const reviewAppealsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_appeals/${randomUUID()}`);
+      await reviewAppealsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'accept',
+      });
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "review:appeal" feature', () => {
+    test('With an invalid "action"', async () => {
+      const reviewAppealsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_appeals/${randomUUID()}`);
+      await reviewAppealsRequestBuilder.buildUser({ with: ['review:appeal'] });
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'undo',
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"action" deve possuir um dos seguintes valores: "accept", "reject".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'action',
+        type: 'any.only',
+      });
+    });
+
+    test('With a non-existent appeal', async () => {
+      const reviewAppealsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_appeals/${randomUUID()}`);
+      await reviewAppealsRequestBuilder.buildUser({ with: ['review:appeal'] });
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'accept',
+      });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'Não há recurso pendente com este "id".',
+        action: 'Verifique se o "id" está correto ou se o recurso já foi analisado.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:APPEAL:REVIEW:PENDING_APPEAL_NOT_FOUND',
+        key: 'id',
+      });
+    });
+
+    test('Accepting an appeal from a nuked user', async () => {
+      const { bannedUser, bannedUserContent, banEvent, submittedAppeal } = await createSubmittedAppeal();
+
+      const reviewAppealsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_appeals/${submittedAppeal.id}`,
+      );
+      const moderatorUser = await reviewAppealsRequestBuilder.buildUser({ with: ['review:appeal'] });
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'accept',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        appeal: {
+          id: submittedAppeal.id,
+          resolution: 'accept',
+          resolved_at: responseBody.appeal.resolved_at,
+        },
+        user: {
+          id: bannedUser.id,
+          username: bannedUser.username,
+          features: [
+            'create:session',
+            'read:session',
+            'create:content',
+            'create:content:text_root',
+            'create:content:text_child',
+            'update:content',
+            'update:user',
+            'create:bookmark',
+            'create:follow',
+            'create:report',
+          ],
+        },
+        event_id: responseBody.event_id,
+      });
+
+      const contentRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${bannedUser.username}/${bannedUserContent.slug}`,
+      );
+      const { response: contentResponse } = await contentRequestBuilder.get();
+
+      expect.soft(contentResponse.status).toBe(404);
+
+      const sessionsRequestBuilder = new RequestBuilder('/api/v1/sessions');
+      const { response: sessionResponse } = await sessionsRequestBuilder.post({
+        email: bannedUser.email,
+        password: 'password',
+      });
+
+      expect.soft(sessionResponse.status).toBe(201);
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: responseBody.event_id,
+        type: 'moderation:review_appeals',
+        originator_user_id: moderatorUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          action: 'accept',
+          appeals: [submittedAppeal.id],
+          related_events: [banEvent.id],
+          users: [bannedUser.id],
+        },
+        created_at: lastEvent.created_at,
+      });
+
+      const { response: secondResponse } = await reviewAppealsRequestBuilder.post({
+        action: 'reject',
+      });
+
+      expect.soft(secondResponse.status).toBe(404);
+    });
+
+    test('Rejecting an appeal from a nuked user', async () => {
+      const { bannedUser, submittedAppeal } = await createSubmittedAppeal();
+
+      const reviewAppealsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_appeals/${submittedAppeal.id}`,
+      );
+      await reviewAppealsRequestBuilder.buildUser({ with: ['review:appeal'] });
+
+      const { response, responseBody } = await reviewAppealsRequestBuilder.post({
+        action: 'reject',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        appeal: {
+          id: submittedAppeal.id,
+          resolution: 'reject',
+          resolved_at: responseBody.appeal.resolved_at,
+        },
+        user: {
+          id: bannedUser.id,
+          username: bannedUser.username,
+          features: ['nuked'],
+        },
+        event_id: responseBody.event_id,
+      });
+    });
+  });
+});
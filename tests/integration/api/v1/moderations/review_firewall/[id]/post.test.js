@@ -2,6 +2,7 @@ import { randomUUID } from 'node:crypto';
 import { version as uuidVersion } from 'uuid';
 
 import content from 'models/content';
+import event from 'models/event';
 import user from 'models/user';
 import orchestrator from 'tests/orchestrator';
 import RequestBuilder from 'tests/request-builder';
@@ -10,10 +11,24 @@ beforeAll(async () => {
   await orchestrator.waitForAllServices();
   await orchestrator.dropAllTables();
   await orchestrator.runPendingMigrations();
-  await orchestrator.createFirewallTestFunctions();
+  await orchestrator.enableFirewallRules();
 });
 
 describe('POST /api/v1/moderations/review_firewall/[id]', () => {
+  async function createQuarantineFirewallEvent(quarantinedUser) {
+    await orchestrator.addFeaturesToUser(quarantinedUser, ['quarantined']);
+
+    return await event.create({
+      type: 'firewall:quarantine_users',
+      originator_user_id: quarantinedUser.id,
+      originator_ip: '127.0.0.1',
+      metadata: {
+        from_rule: randomUUID(),
+        users: [quarantinedUser.id],
+      },
+    });
+  }
+
   async function createContentViaApi(contentsRequestBuilder, body) {
     return await contentsRequestBuilder.post({
       title: `New content - ${new Date().getTime()}`,
@@ -80,7 +95,7 @@ describe('POST /api/v1/moderations/review_firewall/[id]', () => {
     beforeEach(async () => {
       await orchestrator.dropAllTables();
       await orchestrator.runPendingMigrations();
-      await orchestrator.createFirewallTestFunctions();
+      await orchestrator.enableFirewallRules();
     });
 
     test('With a malformatted string as "id"', async () => {
@@ -370,6 +385,9 @@ describe('POST /api/v1/moderations/review_firewall/[id]', () => {
           'create:content:text_child',
           'update:content',
           'update:user',
+          'create:bookmark',
+          'create:follow',
+          'create:report',
         ]);
 
         const { responseBody: user2ResponseBody } = await usersRequestBuilder.post({
@@ -1138,6 +1156,100 @@ describe('POST /api/v1/moderations/review_firewall/[id]', () => {
         expect(content1AfterUndo.status).toBe('deleted');
         expect(content2AfterUndo.status).toBe('deleted');
       });
+
+      test('With a "firewall:quarantine_users" event', async () => {
+        const quarantinedUser = await orchestrator.createUser();
+        await orchestrator.activateUser(quarantinedUser);
+
+        const firewallEvent = await createQuarantineFirewallEvent(quarantinedUser);
+
+        const reviewFirewallRequestBuilder = new RequestBuilder(
+          `/api/v1/moderations/review_firewall/${firewallEvent.id}`,
+        );
+        const firewallUser = await reviewFirewallRequestBuilder.buildUser({
+          with: ['read:firewall', 'review:firewall'],
+        });
+
+        const { response, responseBody } = await reviewFirewallRequestBuilder.post({
+          action: 'undo',
+        });
+
+        expect.soft(response.status).toBe(200);
+
+        const userAfterReview = await user.findOneById(quarantinedUser.id, { withBalance: true });
+
+        expect(userAfterReview.features).not.toContain('quarantined');
+        expect(responseBody).toStrictEqual({
+          affected: {
+            users: [mapUserData(userAfterReview)],
+          },
+          events: [
+            mapFirewallEventData(firewallEvent),
+            {
+              created_at: responseBody.events[1].created_at,
+              id: responseBody.events[1].id,
+              metadata: {
+                related_events: [firewallEvent.id],
+                users: [quarantinedUser.id],
+              },
+              originator_user_id: firewallUser.id,
+              type: 'moderation:unquarantine_users',
+            },
+          ],
+        });
+      });
+
+      test('With a "firewall:block_tips" event', async () => {
+        const tipperUser = await orchestrator.createUser();
+        const recipientUser = await orchestrator.createUser();
+
+        const firewallEvent = await event.create({
+          type: 'firewall:block_tips',
+          originator_user_id: tipperUser.id,
+          originator_ip: '127.0.0.1',
+          metadata: {
+            from_rule: 'tip_farming',
+            users: [tipperUser.id, recipientUser.id],
+          },
+        });
+
+        const reviewFirewallRequestBuilder = new RequestBuilder(
+          `/api/v1/moderations/review_firewall/${firewallEvent.id}`,
+        );
+        const firewallUser = await reviewFirewallRequestBuilder.buildUser({
+          with: ['read:firewall', 'review:firewall'],
+        });
+
+        const { response, responseBody } = await reviewFirewallRequestBuilder.post({
+          action: 'undo',
+        });
+
+        expect.soft(response.status).toBe(200);
+
+        const tipperUserAfterUndo = await user.findOneById(tipperUser.id, { withBalance: true });
+        const recipientUserAfterUndo = await user.findOneById(recipientUser.id, { withBalance: true });
+
+        expect(tipperUserAfterUndo.features).toStrictEqual(tipperUser.features);
+        expect(recipientUserAfterUndo.features).toStrictEqual(recipientUser.features);
+        expect(responseBody).toStrictEqual({
+          affected: {
+            users: [mapUserData(tipperUserAfterUndo), mapUserData(recipientUserAfterUndo)],
+          },
+          events: [
+            mapFirewallEventData(firewallEvent),
+            {
+              created_at: responseBody.events[1].created_at,
+              id: responseBody.events[1].id,
+              metadata: {
+                related_events: [firewallEvent.id],
+                users: [tipperUser.id, recipientUser.id],
+              },
+              originator_user_id: firewallUser.id,
+              type: 'moderation:unblock_tips',
+            },
+          ],
+        });
+      });
     });
 
     describe('With action = "confirm"', () => {
@@ -1161,6 +1273,9 @@ describe('POST /api/v1/moderations/review_firewall/[id]', () => {
           'create:content:text_child',
           'update:content',
           'update:user',
+          'create:bookmark',
+          'create:follow',
+          'create:report',
         ];
         expect(user1.features).toStrictEqual(['create:session', 'read:session', ...user1FeaturesNotRemoved]);
 
@@ -1571,6 +1686,48 @@ describe('POST /api/v1/moderations/review_firewall/[id]', () => {
         expect(content2AfterConfirm.deleted_at.toISOString()).toBe(responseContent2.deleted_at);
         expect(content2AfterConfirm.status).toBe('deleted');
       });
+
+      test('With a "firewall:quarantine_users" event', async () => {
+        const quarantinedUser = await orchestrator.createUser();
+        await orchestrator.activateUser(quarantinedUser);
+
+        const firewallEvent = await createQuarantineFirewallEvent(quarantinedUser);
+
+        const reviewFirewallRequestBuilder = new RequestBuilder(
+          `/api/v1/moderations/review_firewall/${firewallEvent.id}`,
+        );
+        const firewallUser = await reviewFirewallRequestBuilder.buildUser({
+          with: ['read:firewall', 'review:firewall'],
+        });
+
+        const { response, responseBody } = await reviewFirewallRequestBuilder.post({
+          action: 'confirm',
+        });
+
+        expect.soft(response.status).toBe(200);
+
+        const userAfterReview = await user.findOneById(quarantinedUser.id, { withBalance: true });
+
+        expect(userAfterReview.features).toContain('quarantined');
+        expect(responseBody).toStrictEqual({
+          affected: {
+            users: [mapUserData(userAfterReview)],
+          },
+          events: [
+            mapFirewallEventData(firewallEvent),
+            {
+              created_at: responseBody.events[1].created_at,
+              id: responseBody.events[1].id,
+              metadata: {
+                related_events: [firewallEvent.id],
+                users: [quarantinedUser.id],
+              },
+              originator_user_id: firewallUser.id,
+              type: 'moderation:quarantine_users',
+            },
+          ],
+        });
+      });
     });
 
     describe('Different firewall events containing an element in common', () => {
@@ -0,0 +1,221 @@
+import { randomUUID } from 'node:crypto';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/moderations/review_quarantine/[id]', () => {
+  async function createQuarantinedUserWithContents() {
+    const quarantinedUser = await orchestrator.createUser();
+    await orchestrator.activateUser(quarantinedUser);
+    await orchestrator.addFeaturesToUser(quarantinedUser, ['quarantined']);
+
+    const firstContent = await orchestrator.createContent({
+      owner_id: quarantinedUser.id,
+      title: 'Primeiro conteúdo em quarentena',
+      status: 'published',
+    });
+
+    const secondContent = await orchestrator.createContent({
+      owner_id: quarantinedUser.id,
+      title: 'Segundo conteúdo em quarentena',
+      status: 'published',
+    });
+
+    return { quarantinedUser, firstContent, secondContent };
+  }
+
+  async function getPublicContent(content) {
+    const contentRequestBuilder = new RequestBuilder(`/api/v1/contents/${content.owner_username}/${content.slug}`);
+    return await contentRequestBuilder.get();
+  }
+
+  describe('Anonymous user', () => {
+    test('Reviewing a quarantined content', async () => {
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${randomUUID()}`,
+      );
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'approve',
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "review:quarantine".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('User with "review:quarantine" feature', () => {
+    test('With invalid "action"', async () => {
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${randomUUID()}`,
+      );
+      await reviewQuarantineRequestBuilder.buildUser({ with: ['review:quarantine'] });
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'publish',
+      });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe(
+        '"action" deve possuir um dos seguintes valores: "approve", "approve_user", "delete_content".',
+      );
+      expect(responseBody.error_location_code).toBe('MODEL:VALIDATOR:FINAL_SCHEMA');
+    });
+
+    test('With a content that is not quarantined', async () => {
+      const regularUser = await orchestrator.createUser();
+      const regularContent = await orchestrator.createContent({
+        owner_id: regularUser.id,
+        title: 'Conteúdo comum',
+        status: 'published',
+      });
+
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${regularContent.id}`,
+      );
+      await reviewQuarantineRequestBuilder.buildUser({ with: ['review:quarantine'] });
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'approve',
+      });
+
+      expect.soft(response.status).toBe(404);
+      expect(responseBody.error_location_code).toBe('MODEL:QUARANTINE:REVIEW:QUARANTINED_CONTENT_NOT_FOUND');
+    });
+
+    test('Approving a single content', async () => {
+      const { quarantinedUser, firstContent, secondContent } = await createQuarantinedUserWithContents();
+
+      const { response: hiddenResponse } = await getPublicContent(firstContent);
+      expect.soft(hiddenResponse.status).toBe(404);
+
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${firstContent.id}`,
+      );
+      const moderatorUser = await reviewQuarantineRequestBuilder.buildUser({ with: ['review:quarantine'] });
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'approve',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        contents: [
+          {
+            id: firstContent.id,
+            parent_id: null,
+            owner_username: quarantinedUser.username,
+            slug: firstContent.slug,
+            title: firstContent.title,
+            status: 'published',
+          },
+        ],
+        user: {
+          id: quarantinedUser.id,
+          username: quarantinedUser.username,
+          features: expect.arrayContaining(['quarantined']),
+        },
+        event_id: responseBody.event_id,
+      });
+
+      const lastEvent = await orchestrator.getLastEvent();
+      expect(lastEvent).toStrictEqual(
+        expect.objectContaining({
+          id: responseBody.event_id,
+          type: 'moderation:review_quarantine',
+          originator_user_id: moderatorUser.id,
+          metadata: {
+            action: 'approve',
+            contents: [firstContent.id],
+            users: [quarantinedUser.id],
+          },
+        }),
+      );
+
+      const { response: approvedResponse } = await getPublicContent(firstContent);
+      expect.soft(approvedResponse.status).toBe(200);
+
+      const { response: stillHiddenResponse } = await getPublicContent(secondContent);
+      expect.soft(stillHiddenResponse.status).toBe(404);
+    });
+
+    test('Approving the user', async () => {
+      const { quarantinedUser, firstContent, secondContent } = await createQuarantinedUserWithContents();
+
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${secondContent.id}`,
+      );
+      await reviewQuarantineRequestBuilder.buildUser({ with: ['review:quarantine'] });
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'approve_user',
+      });
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.contents.map((content) => content.id).sort()).toStrictEqual(
+        [firstContent.id, secondContent.id].sort(),
+      );
+      expect(responseBody.user.features).not.toContain('quarantined');
+
+      const { response: firstResponse } = await getPublicContent(firstContent);
+      expect.soft(firstResponse.status).toBe(200);
+
+      const { response: secondResponse } = await getPublicContent(secondContent);
+      expect.soft(secondResponse.status).toBe(200);
+
+      const newContent = await orchestrator.createContent({
+        owner_id: quarantinedUser.id,
+        title: 'Conteúdo depois da quarentena',
+        status: 'published',
+      });
+
+      const { response: newContentResponse } = await getPublicContent(newContent);
+      expect.soft(newContentResponse.status).toBe(200);
+    });
+
+    test('Deleting the content', async () => {
+      const { firstContent } = await createQuarantinedUserWithContents();
+
+      const reviewQuarantineRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_quarantine/${firstContent.id}`,
+      );
+      await reviewQuarantineRequestBuilder.buildUser({ with: ['review:quarantine'] });
+
+      const { response, responseBody } = await reviewQuarantineRequestBuilder.post({
+        action: 'delete_content',
+      });
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.contents).toStrictEqual([]);
+      expect(responseBody.user.features).toContain('quarantined');
+
+      const { response: secondReviewResponse, responseBody: secondReviewBody } =
+        await reviewQuarantineRequestBuilder.post({
+          action: 'approve',
+        });
+
+      expect.soft(secondReviewResponse.status).toBe(404);
+      expect(secondReviewBody.error_location_code).toBe('MODEL:QUARANTINE:REVIEW:QUARANTINED_CONTENT_NOT_FOUND');
+    });
+  });
+});
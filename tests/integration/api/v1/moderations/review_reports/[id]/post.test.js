@@ -0,0 +1,310 @@
+import { randomUUID } from 'node:crypto';
+import { version as uuidVersion } from 'uuid';
+
+import content from 'models/content';
+import user from 'models/user';
+import orchestrator from 'tests/orchestrator';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/moderations/review_reports/[id]', () => {
+  async function createReportedContent() {
+    const contentOwner = await orchestrator.createUser();
+    const reportedContent = await orchestrator.createContent({
+      owner_id: contentOwner.id,
+      title: `Conteúdo denunciado - ${new Date().getTime()}`,
+      status: 'published',
+    });
+
+    const reporterRequestBuilder = new RequestBuilder(
+      `/api/v1/contents/${contentOwner.username}/${reportedContent.slug}/reports`,
+    );
+    await reporterRequestBuilder.buildUser();
+    const { responseBody: createdReport } = await reporterRequestBuilder.post({ reason: 'spam' });
+
+    return { contentOwner, reportedContent, createdReport };
+  }
+
+  describe('Anonymous user', () => {
+    test('Reviewing reports', async () => {
+      const reviewReportsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_reports/${randomUUID()}`);
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'dismiss',
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "review:report".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Reviewing reports', async () => {
+      const reviewReportsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_reports/${randomUUID()}`);
+      await reviewReportsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'dismiss',
+      });
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "review:report".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('User with "review:report" feature', () => {
+    test('With an invalid "action"', async () => {
+      const reviewReportsRequestBuilder = new RequestBuilder(`/api/v1/moderations/review_reports/${randomUUID()}`);
+      await reviewReportsRequestBuilder.buildUser({ with: ['review:report'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'undo',
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"action" deve possuir um dos seguintes valores: "delete_content", "ban_user", "dismiss".',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'action',
+        type: 'any.only',
+      });
+    });
+
+    test('With a content without pending reports', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const publishedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo sem denúncias',
+        status: 'published',
+      });
+
+      const reviewReportsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_reports/${publishedContent.id}`,
+      );
+      await reviewReportsRequestBuilder.buildUser({ with: ['review:report'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'dismiss',
+      });
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'Não há denúncias pendentes para este conteúdo.',
+        action: 'Verifique se o "id" do conteúdo está correto ou se as denúncias já foram analisadas.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:REPORT:REVIEW:PENDING_REPORTS_NOT_FOUND',
+        key: 'id',
+      });
+    });
+
+    test('Dismissing reports', async () => {
+      const { contentOwner, reportedContent, createdReport } = await createReportedContent();
+
+      const reviewReportsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_reports/${reportedContent.id}`,
+      );
+      const moderator = await reviewReportsRequestBuilder.buildUser({ with: ['review:report'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'dismiss',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        content: {
+          id: reportedContent.id,
+          owner_id: contentOwner.id,
+          owner_username: contentOwner.username,
+          slug: reportedContent.slug,
+          status: 'published',
+          deleted_at: null,
+        },
+        reports: [
+          {
+            id: createdReport.id,
+            reason: 'spam',
+            resolution: 'dismiss',
+            resolved_at: responseBody.reports[0].resolved_at,
+          },
+        ],
+        event_id: responseBody.event_id,
+      });
+
+      const lastEvent = await orchestrator.getLastEvent();
+
+      expect(lastEvent).toStrictEqual({
+        id: responseBody.event_id,
+        type: 'moderation:review_reports',
+        originator_user_id: moderator.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          action: 'dismiss',
+          reports: [createdReport.id],
+          contents: [reportedContent.id],
+          users: [contentOwner.id],
+        },
+        created_at: lastEvent.created_at,
+      });
+
+      const { response: secondResponse } = await reviewReportsRequestBuilder.post({
+        action: 'dismiss',
+      });
+
+      expect.soft(secondResponse.status).toBe(404);
+    });
+
+    test('Deleting the reported content', async () => {
+      const { contentOwner, reportedContent, createdReport } = await createReportedContent();
+
+      const reviewReportsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_reports/${reportedContent.id}`,
+      );
+      await reviewReportsRequestBuilder.buildUser({ with: ['review:report'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'delete_content',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        content: {
+          id: reportedContent.id,
+          owner_id: contentOwner.id,
+          owner_username: contentOwner.username,
+          slug: reportedContent.slug,
+          status: 'deleted',
+          deleted_at: responseBody.content.deleted_at,
+        },
+        reports: [
+          {
+            id: createdReport.id,
+            reason: 'spam',
+            resolution: 'delete_content',
+            resolved_at: responseBody.reports[0].resolved_at,
+          },
+        ],
+        event_id: responseBody.event_id,
+      });
+
+      expect(Date.parse(responseBody.content.deleted_at)).not.toBeNaN();
+
+      const contentInDatabase = await content.findOne({ where: { id: reportedContent.id } });
+      expect(contentInDatabase.status).toBe('deleted');
+
+      const reportsRequestBuilder = new RequestBuilder('/api/v1/reports');
+      await reportsRequestBuilder.buildUser({ with: ['read:report'] });
+      const { responseBody: pendingReports } = await reportsRequestBuilder.get();
+
+      expect(pendingReports.map((pendingReport) => pendingReport.content.id)).not.toContain(reportedContent.id);
+    });
+
+    test('Banning the author without "ban:user" feature', async () => {
+      const { contentOwner, reportedContent } = await createReportedContent();
+
+      const reviewReportsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_reports/${reportedContent.id}`,
+      );
+      await reviewReportsRequestBuilder.buildUser({ with: ['review:report'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'ban_user',
+      });
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "ban:user".');
+
+      const ownerInDatabase = await user.findOneById(contentOwner.id);
+      expect(ownerInDatabase.features).not.toContain('nuked');
+    });
+
+    test('Banning the author of the reported content', async () => {
+      const { contentOwner, reportedContent, createdReport } = await createReportedContent();
+
+      const reviewReportsRequestBuilder = new RequestBuilder(
+        `/api/v1/moderations/review_reports/${reportedContent.id}`,
+      );
+      const moderatorUser = await reviewReportsRequestBuilder.buildUser({ with: ['review:report', 'ban:user'] });
+
+      const { response, responseBody } = await reviewReportsRequestBuilder.post({
+        action: 'ban_user',
+      });
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        content: {
+          id: reportedContent.id,
+          owner_id: contentOwner.id,
+          owner_username: contentOwner.username,
+          slug: reportedContent.slug,
+          status: 'deleted',
+          deleted_at: responseBody.content.deleted_at,
+        },
+        reports: [
+          {
+            id: createdReport.id,
+            reason: 'spam',
+            resolution: 'ban_user',
+            resolved_at: responseBody.reports[0].resolved_at,
+          },
+        ],
+        event_id: responseBody.event_id,
+      });
+
+      const ownerInDatabase = await user.findOneById(contentOwner.id);
+      expect(ownerInDatabase.features).toStrictEqual(['nuked']);
+
+      const banEvent = await orchestrator.getLastEvent();
+
+      expect(banEvent).toStrictEqual({
+        id: banEvent.id,
+        type: 'ban:user',
+        originator_user_id: moderatorUser.id,
+        originator_ip: '127.0.0.1',
+        metadata: {
+          ban_type: 'nuke',
+          user_id: contentOwner.id,
+        },
+        created_at: banEvent.created_at,
+      });
+    });
+  });
+});
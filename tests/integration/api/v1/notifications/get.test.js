@@ -0,0 +1,295 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/notifications', () => {
+  describe('Anonymous user', () => {
+    test('Retrieving the endpoint', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const { response, responseBody } = await notificationsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:session".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('With no notifications', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      await notificationsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await notificationsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With notifications from multiple users', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const defaultUser = await notificationsRequestBuilder.buildUser();
+      const otherUser = await orchestrator.createUser();
+
+      const firstNotification = await orchestrator.createNotification({
+        user_id: defaultUser.id,
+        type: 'content:reply',
+        title: '"usuario" respondeu à sua publicação "Título".',
+        url: '/usuario/resposta',
+      });
+
+      const secondNotification = await orchestrator.createNotification({
+        user_id: defaultUser.id,
+        type: 'content:tabcoins:milestone',
+        title: 'Sua publicação "Título" alcançou 10 TabCoins.',
+        url: '/usuario/titulo',
+        metadata: { milestone: 10 },
+      });
+
+      await orchestrator.createNotification({ user_id: otherUser.id });
+
+      const { response, responseBody } = await notificationsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: secondNotification.id,
+          type: 'content:tabcoins:milestone',
+          title: 'Sua publicação "Título" alcançou 10 TabCoins.',
+          url: '/usuario/titulo',
+          metadata: { milestone: 10 },
+          read_at: null,
+          created_at: secondNotification.created_at.toISOString(),
+        },
+        {
+          id: firstNotification.id,
+          type: 'content:reply',
+          title: '"usuario" respondeu à sua publicação "Título".',
+          url: '/usuario/resposta',
+          metadata: null,
+          read_at: null,
+          created_at: firstNotification.created_at.toISOString(),
+        },
+      ]);
+    });
+
+    test('With "read" filter', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const defaultUser = await notificationsRequestBuilder.buildUser();
+
+      const readNotification = await orchestrator.createNotification({ user_id: defaultUser.id });
+      const unreadNotification = await orchestrator.createNotification({ user_id: defaultUser.id });
+
+      await notificationsRequestBuilder.patch({ read: true, ids: [readNotification.id] });
+
+      const { response: unreadResponse, responseBody: unreadResponseBody } =
+        await notificationsRequestBuilder.get('?read=false');
+
+      expect.soft(unreadResponse.status).toBe(200);
+      expect(unreadResponse.headers.get('X-Pagination-Total-Rows')).toBe('1');
+      expect(unreadResponseBody.map(({ id }) => id)).toStrictEqual([unreadNotification.id]);
+
+      const { responseBody: readResponseBody } = await notificationsRequestBuilder.get('?read=true');
+
+      expect(readResponseBody.map(({ id }) => id)).toStrictEqual([readNotification.id]);
+      expect(Date.parse(readResponseBody[0].read_at)).not.toBeNaN();
+    });
+
+    test('With direct and thread replies created via API', async () => {
+      const rootAuthorRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const rootAuthor = await rootAuthorRequestBuilder.buildUser();
+      const commentAuthorRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const commentAuthor = await commentAuthorRequestBuilder.buildUser();
+
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.setUser(rootAuthor);
+
+      const { responseBody: rootContent } = await contentsRequestBuilder.post({
+        title: 'Publicação com discussão',
+        body: 'Corpo da publicação',
+        status: 'published',
+      });
+
+      await contentsRequestBuilder.setUser(commentAuthor);
+
+      const { responseBody: comment } = await contentsRequestBuilder.post({
+        parent_id: rootContent.id,
+        body: 'Comentário direto',
+        status: 'published',
+      });
+
+      const replyAuthor = await contentsRequestBuilder.buildUser();
+
+      const { responseBody: reply } = await contentsRequestBuilder.post({
+        parent_id: comment.id,
+        body: 'Resposta ao comentário',
+        status: 'published',
+      });
+
+      const { responseBody: rootAuthorNotifications } = await rootAuthorRequestBuilder.get();
+
+      expect(rootAuthorNotifications).toStrictEqual([
+        {
+          id: rootAuthorNotifications[0].id,
+          type: 'content:thread_reply',
+          title: `"${replyAuthor.username}" comentou em uma discussão da sua publicação "Publicação com discussão".`,
+          url: `/${replyAuthor.username}/${reply.slug}`,
+          metadata: {
+            content_id: reply.id,
+            root_content_id: rootContent.id,
+          },
+          read_at: null,
+          created_at: rootAuthorNotifications[0].created_at,
+        },
+        {
+          id: rootAuthorNotifications[1].id,
+          type: 'content:reply',
+          title: `"${commentAuthor.username}" respondeu à sua publicação "Publicação com discussão".`,
+          url: `/${commentAuthor.username}/${comment.slug}`,
+          metadata: {
+            content_id: comment.id,
+            root_content_id: rootContent.id,
+          },
+          read_at: null,
+          created_at: rootAuthorNotifications[1].created_at,
+        },
+      ]);
+
+      const { responseBody: commentAuthorNotifications } = await commentAuthorRequestBuilder.get();
+
+      expect(commentAuthorNotifications).toHaveLength(1);
+      expect(commentAuthorNotifications[0].type).toBe('content:reply');
+      expect(commentAuthorNotifications[0].title).toBe(
+        `"${replyAuthor.username}" respondeu ao seu comentário na publicação "Publicação com discussão".`,
+      );
+    });
+
+    test('With a TabCoins milestone reached again after a debit', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const contentOwner = await notificationsRequestBuilder.buildUser();
+
+      const content = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Publicação quase no marco',
+        body: 'Body',
+        status: 'published',
+      });
+
+      await orchestrator.createBalance({
+        balanceType: 'content:tabcoin:credit',
+        recipientId: content.id,
+        amount: 9,
+        originatorType: 'orchestrator',
+        originatorId: content.id,
+      });
+
+      const tabcoinsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${contentOwner.username}/${content.slug}/tabcoins`,
+      );
+      const voter = await tabcoinsRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcoin',
+        recipientId: voter.id,
+        amount: 6,
+      });
+
+      const { responseBody: firstCreditResponseBody } = await tabcoinsRequestBuilder.post({
+        transaction_type: 'credit',
+      });
+
+      expect(firstCreditResponseBody.tabcoins).toBe(10);
+
+      const { responseBody: debitResponseBody } = await tabcoinsRequestBuilder.post({ transaction_type: 'debit' });
+
+      expect(debitResponseBody.tabcoins).toBe(9);
+
+      const { responseBody: secondCreditResponseBody } = await tabcoinsRequestBuilder.post({
+        transaction_type: 'credit',
+      });
+
+      expect(secondCreditResponseBody.tabcoins).toBe(10);
+
+      const { response, responseBody } = await notificationsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([
+        {
+          id: responseBody[0].id,
+          type: 'content:tabcoins:milestone',
+          title: 'Sua publicação "Publicação quase no marco" alcançou 10 TabCoins.',
+          url: `/${contentOwner.username}/${content.slug}`,
+          metadata: {
+            content_id: content.id,
+            milestone: 10,
+          },
+          read_at: null,
+          created_at: responseBody[0].created_at,
+        },
+      ]);
+    });
+
+    test('With "in_app" notifications disabled', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const rootAuthor = await notificationsRequestBuilder.buildUser();
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      await usersRequestBuilder.setUser(rootAuthor);
+      await usersRequestBuilder.patch(`/${rootAuthor.username}`, {
+        notification_preferences: { direct_reply: { in_app: false } },
+      });
+
+      const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+      await contentsRequestBuilder.setUser(rootAuthor);
+
+      const { responseBody: rootContent } = await contentsRequestBuilder.post({
+        title: 'Publicação sem notificações no site',
+        body: 'Corpo da publicação',
+        status: 'published',
+      });
+
+      await contentsRequestBuilder.buildUser();
+
+      await contentsRequestBuilder.post({
+        parent_id: rootContent.id,
+        body: 'Comentário direto',
+        status: 'published',
+      });
+
+      const { responseBody } = await notificationsRequestBuilder.get();
+
+      expect(responseBody).toStrictEqual([]);
+    });
+
+    test('With invalid "read"', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      await notificationsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await notificationsRequestBuilder.get('?read=talvez');
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"read" deve ser do tipo Boolean.');
+      expect(responseBody.key).toBe('read');
+    });
+  });
+});
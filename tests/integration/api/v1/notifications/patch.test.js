@@ -0,0 +1,108 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('PATCH /api/v1/notifications', () => {
+  describe('Anonymous user', () => {
+    test('Trying to update notifications', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const { response, responseBody } = await notificationsRequestBuilder.patch({ read: true });
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.name).toBe('ForbiddenError');
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "read:session".');
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Without "read"', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      await notificationsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await notificationsRequestBuilder.patch({ ids: [] });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"read" é um campo obrigatório.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'read',
+        type: 'any.required',
+      });
+    });
+
+    test('Marking specific notifications as read', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const defaultUser = await notificationsRequestBuilder.buildUser();
+
+      const firstNotification = await orchestrator.createNotification({ user_id: defaultUser.id });
+      const secondNotification = await orchestrator.createNotification({ user_id: defaultUser.id });
+
+      const { response, responseBody } = await notificationsRequestBuilder.patch({
+        read: true,
+        ids: [firstNotification.id],
+      });
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(firstNotification.id);
+      expect(Date.parse(responseBody[0].read_at)).not.toBeNaN();
+
+      const { responseBody: unreadResponseBody } = await notificationsRequestBuilder.get('?read=false');
+
+      expect(unreadResponseBody.map(({ id }) => id)).toStrictEqual([secondNotification.id]);
+    });
+
+    test('Marking all notifications as read and then as unread', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      const defaultUser = await notificationsRequestBuilder.buildUser();
+
+      await orchestrator.createNotification({ user_id: defaultUser.id });
+      await orchestrator.createNotification({ user_id: defaultUser.id });
+
+      const { response: readResponse, responseBody: readResponseBody } = await notificationsRequestBuilder.patch({
+        read: true,
+      });
+
+      expect.soft(readResponse.status).toBe(200);
+      expect(readResponseBody).toHaveLength(2);
+      expect(readResponseBody.every(({ read_at }) => read_at)).toBe(true);
+
+      const { response: unreadResponse, responseBody: unreadResponseBody } = await notificationsRequestBuilder.patch({
+        read: false,
+      });
+
+      expect.soft(unreadResponse.status).toBe(200);
+      expect(unreadResponseBody.every(({ read_at }) => read_at === null)).toBe(true);
+    });
+
+    test('Trying to mark notifications from another user', async () => {
+      const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+      await notificationsRequestBuilder.buildUser();
+      const otherUser = await orchestrator.createUser();
+
+      const otherUserNotification = await orchestrator.createNotification({ user_id: otherUser.id });
+
+      const { response, responseBody } = await notificationsRequestBuilder.patch({
+        read: true,
+        ids: [otherUserNotification.id],
+      });
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import parseLinkHeader from 'parse-link-header';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/quarantine', () => {
+  describe('Anonymous user', () => {
+    test('Listing quarantined contents', async () => {
+      const quarantineRequestBuilder = new RequestBuilder('/api/v1/quarantine');
+      const { response, responseBody } = await quarantineRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:quarantine".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Listing quarantined contents', async () => {
+      const quarantineRequestBuilder = new RequestBuilder('/api/v1/quarantine');
+      await quarantineRequestBuilder.buildUser();
+
+      const { response, responseBody } = await quarantineRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('User with "read:quarantine" feature', () => {
+    test('With no quarantined contents', async () => {
+      const quarantineRequestBuilder = new RequestBuilder('/api/v1/quarantine');
+      await quarantineRequestBuilder.buildUser({ with: ['read:quarantine'] });
+
+      const { response, responseBody } = await quarantineRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+      expect(responseLinkHeader.first.page).toBe('1');
+    });
+
+    test('With contents from quarantined and regular users', async () => {
+      const quarantineRequestBuilder = new RequestBuilder('/api/v1/quarantine');
+      await quarantineRequestBuilder.buildUser({ with: ['read:quarantine'] });
+
+      const regularUser = await orchestrator.createUser();
+      const quarantinedUser = await orchestrator.createUser();
+      await orchestrator.addFeaturesToUser(quarantinedUser, ['quarantined']);
+
+      await orchestrator.createContent({
+        owner_id: regularUser.id,
+        title: 'Conteúdo de usuário comum',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: quarantinedUser.id,
+        title: 'Rascunho em quarentena',
+        status: 'draft',
+      });
+
+      const quarantinedContent = await orchestrator.createContent({
+        owner_id: quarantinedUser.id,
+        title: 'Conteúdo em quarentena',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await quarantineRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0]).toStrictEqual(
+        expect.objectContaining({
+          id: quarantinedContent.id,
+          owner_id: quarantinedUser.id,
+          owner_username: quarantinedUser.username,
+          title: 'Conteúdo em quarentena',
+          status: 'published',
+        }),
+      );
+
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import parseLinkHeader from 'parse-link-header';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/reports', () => {
+  describe('Anonymous user', () => {
+    test('Listing reports', async () => {
+      const reportsRequestBuilder = new RequestBuilder('/api/v1/reports');
+      const { response, responseBody } = await reportsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:report".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Listing reports', async () => {
+      const reportsRequestBuilder = new RequestBuilder('/api/v1/reports');
+      await reportsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await reportsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "read:report".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('User with "read:report" feature', () => {
+    test('With no pending reports', async () => {
+      const reportsRequestBuilder = new RequestBuilder('/api/v1/reports');
+      await reportsRequestBuilder.buildUser({ with: ['read:report'] });
+
+      const { response, responseBody } = await reportsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+    });
+
+    test('With reports grouped by content', async () => {
+      const contentOwner = await orchestrator.createUser();
+      const firstContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo com uma denúncia',
+        status: 'published',
+      });
+      const secondContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo com duas denúncias',
+        status: 'published',
+      });
+
+      const firstReporterRequestBuilder = new RequestBuilder();
+      const firstReporter = await firstReporterRequestBuilder.buildUser();
+      const secondReporterRequestBuilder = new RequestBuilder();
+      const secondReporter = await secondReporterRequestBuilder.buildUser();
+
+      await firstReporterRequestBuilder.post(`/api/v1/contents/${contentOwner.username}/${firstContent.slug}/reports`, {
+        reason: 'plagiarism',
+      });
+      await firstReporterRequestBuilder.post(
+        `/api/v1/contents/${contentOwner.username}/${secondContent.slug}/reports`,
+        {
+          reason: 'spam',
+          description: 'Propaganda disfarçada.',
+        },
+      );
+      await secondReporterRequestBuilder.post(
+        `/api/v1/contents/${contentOwner.username}/${secondContent.slug}/reports`,
+        { reason: 'abuse' },
+      );
+
+      const reportsRequestBuilder = new RequestBuilder('/api/v1/reports');
+      await reportsRequestBuilder.buildUser({ with: ['read:report'] });
+
+      const { response, responseBody } = await reportsRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual([
+        {
+          content: {
+            id: secondContent.id,
+            owner_id: contentOwner.id,
+            owner_username: contentOwner.username,
+            parent_id: null,
+            slug: secondContent.slug,
+            title: 'Conteúdo com duas denúncias',
+            body: secondContent.body,
+            status: 'published',
+            published_at: secondContent.published_at.toISOString(),
+          },
+          reports_count: 2,
+          first_reported_at: responseBody[0].first_reported_at,
+          reports: [
+            {
+              id: responseBody[0].reports[0].id,
+              reason: 'spam',
+              description: 'Propaganda disfarçada.',
+              reporter_username: firstReporter.username,
+              created_at: responseBody[0].reports[0].created_at,
+            },
+            {
+              id: responseBody[0].reports[1].id,
+              reason: 'abuse',
+              description: null,
+              reporter_username: secondReporter.username,
+              created_at: responseBody[0].reports[1].created_at,
+            },
+          ],
+        },
+        {
+          content: {
+            id: firstContent.id,
+            owner_id: contentOwner.id,
+            owner_username: contentOwner.username,
+            parent_id: null,
+            slug: firstContent.slug,
+            title: 'Conteúdo com uma denúncia',
+            body: firstContent.body,
+            status: 'published',
+            published_at: firstContent.published_at.toISOString(),
+          },
+          reports_count: 1,
+          first_reported_at: responseBody[1].first_reported_at,
+          reports: [
+            {
+              id: responseBody[1].reports[0].id,
+              reason: 'plagiarism',
+              description: null,
+              reporter_username: firstReporter.username,
+              created_at: responseBody[1].reports[0].created_at,
+            },
+          ],
+        },
+      ]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+      expect(responseLinkHeader.first.page).toBe('1');
+    });
+  });
+});
@@ -0,0 +1,324 @@
+import parseLinkHeader from 'parse-link-header';
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+});
+
+describe('GET /api/v1/search', () => {
+  const searchRequestBuilder = new RequestBuilder('/api/v1/search');
+
+  describe('Anonymous user', () => {
+    beforeEach(async () => {
+      await orchestrator.dropAllTables();
+      await orchestrator.runPendingMigrations();
+    });
+
+    test('Without "q"', async () => {
+      const { response, responseBody } = await searchRequestBuilder.get();
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"q" é um campo obrigatório.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'q',
+        type: 'any.required',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+
+    test('With invalid "published_after"', async () => {
+      const { response, responseBody } = await searchRequestBuilder.get('?q=tabnews&published_after=ontem');
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: '"published_after" deve conter uma data válida.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'published_after',
+        type: 'date.base',
+      });
+    });
+
+    test('With no matching content', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sobre bancos de dados',
+        body: 'Falando sobre índices no Postgres.',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=javascript');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With "published" root contents matching title and body', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const titleMatch = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Aprendendo programação funcional',
+        body: 'Um conteúdo qualquer.',
+        status: 'published',
+      });
+
+      const bodyMatch = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Outro conteúdo',
+        body: 'Neste texto falamos sobre **programação** em geral.',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Rascunho sobre programação',
+        status: 'draft',
+      });
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: titleMatch.id,
+        body: 'Comentário sobre programação',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=programação');
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: titleMatch.id,
+          owner_id: defaultUser.id,
+          parent_id: null,
+          slug: 'aprendendo-programacao-funcional',
+          title: 'Aprendendo programação funcional',
+          body: 'Um conteúdo qualquer.',
+          status: 'published',
+          type: 'content',
+          source_url: null,
+          created_at: titleMatch.created_at.toISOString(),
+          updated_at: titleMatch.updated_at.toISOString(),
+          published_at: titleMatch.published_at.toISOString(),
+          deleted_at: null,
+          tabcoins: 1,
+          tabcoins_credit: 0,
+          tabcoins_debit: 0,
+          owner_username: defaultUser.username,
+          children_deep_count: 1,
+        },
+        {
+          id: bodyMatch.id,
+          owner_id: defaultUser.id,
+          parent_id: null,
+          slug: 'outro-conteudo',
+          title: 'Outro conteúdo',
+          body: 'Neste texto falamos sobre programação em geral.',
+          status: 'published',
+          type: 'content',
+          source_url: null,
+          created_at: bodyMatch.created_at.toISOString(),
+          updated_at: bodyMatch.updated_at.toISOString(),
+          published_at: bodyMatch.published_at.toISOString(),
+          deleted_at: null,
+          tabcoins: 1,
+          tabcoins_credit: 0,
+          tabcoins_debit: 0,
+          owner_username: defaultUser.username,
+          children_deep_count: 0,
+        },
+      ]);
+    });
+
+    test('With "with_children" and "with_root" false', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sobre testes',
+        status: 'published',
+      });
+
+      const childContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Resposta sobre testes automatizados',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=testes&with_children=true&with_root=false');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(childContent.id);
+    });
+
+    test('With "with_root" false and without "with_children"', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      const rootContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Conteúdo sobre compiladores',
+        status: 'published',
+      });
+
+      const childContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        parent_id: rootContent.id,
+        body: 'Resposta sobre compiladores otimizados',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=compiladores&with_root=false');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(childContent.id);
+    });
+
+    test('With a quarantined author', async () => {
+      const defaultUser = await orchestrator.createUser();
+      const quarantinedUser = await orchestrator.createUser();
+      await orchestrator.addFeaturesToUser(quarantinedUser, ['quarantined']);
+
+      const visibleContent = await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Guia de investimentos',
+        status: 'published',
+      });
+
+      await orchestrator.createContent({
+        owner_id: quarantinedUser.id,
+        title: 'Investimentos garantidos',
+        body: 'Texto em quarentena',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=investimentos');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(visibleContent.id);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('1');
+    });
+
+    test('With "owner_username" filter', async () => {
+      const firstUser = await orchestrator.createUser();
+      const secondUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: firstUser.id,
+        title: 'Dicas de carreira',
+        status: 'published',
+      });
+
+      const secondUserContent = await orchestrator.createContent({
+        owner_id: secondUser.id,
+        title: 'Minha carreira',
+        status: 'published',
+      });
+
+      const { response, responseBody } = await searchRequestBuilder.get(
+        `?q=carreira&owner_username=${secondUser.username}`,
+      );
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].id).toBe(secondUserContent.id);
+    });
+
+    test('With "published_after" and "published_before" filters', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      await orchestrator.createContent({
+        owner_id: defaultUser.id,
+        title: 'Notícia sobre segurança',
+        status: 'published',
+      });
+
+      const { responseBody: afterResponseBody } = await searchRequestBuilder.get(
+        `?q=segurança&published_after=${new Date(Date.now() + 60_000).toISOString()}`,
+      );
+
+      expect(afterResponseBody).toStrictEqual([]);
+
+      const { responseBody: beforeResponseBody } = await searchRequestBuilder.get(
+        `?q=segurança&published_before=${new Date(Date.now() + 60_000).toISOString()}`,
+      );
+
+      expect(beforeResponseBody).toHaveLength(1);
+    });
+
+    test('With pagination', async () => {
+      const defaultUser = await orchestrator.createUser();
+
+      for (let i = 0; i < 3; i++) {
+        await orchestrator.createContent({
+          owner_id: defaultUser.id,
+          title: `Conteúdo sobre paginação ${i}`,
+          status: 'published',
+        });
+      }
+
+      const { response, responseBody } = await searchRequestBuilder.get('?q=paginação&per_page=2&strategy=new');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(2);
+      expect(responseBody[0].title).toBe('Conteúdo sobre paginação 2');
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader).toStrictEqual({
+        first: {
+          page: '1',
+          per_page: '2',
+          q: 'paginação',
+          strategy: 'new',
+          type: 'content',
+          rel: 'first',
+          url: `${orchestrator.webserverUrl}/api/v1/search?q=pagina%C3%A7%C3%A3o&strategy=new&type=content&page=1&per_page=2`,
+        },
+        next: {
+          page: '2',
+          per_page: '2',
+          q: 'paginação',
+          strategy: 'new',
+          type: 'content',
+          rel: 'next',
+          url: `${orchestrator.webserverUrl}/api/v1/search?q=pagina%C3%A7%C3%A3o&strategy=new&type=content&page=2&per_page=2`,
+        },
+        last: {
+          page: '2',
+          per_page: '2',
+          q: 'paginação',
+          strategy: 'new',
+          type: 'content',
+          rel: 'last',
+          url: `${orchestrator.webserverUrl}/api/v1/search?q=pagina%C3%A7%C3%A3o&strategy=new&type=content&page=2&per_page=2`,
+        },
+      });
+    });
+  });
+});
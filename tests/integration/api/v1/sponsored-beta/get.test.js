@@ -1,3 +1,4 @@
+import database from 'infra/database';
 import { defaultTabCashForAdCreation } from 'tests/constants-for-tests';
 import orchestrator from 'tests/orchestrator.js';
 import RequestBuilder from 'tests/request-builder';
@@ -61,11 +62,16 @@ describe('GET /api/v1/sponsored-beta', () => {
     });
 
     it('should return ads', async () => {
-      const createdAds = await createAds(4, owner);
+      const createdAds = [];
+
+      for (let i = 0; i < 4; i++) {
+        createdAds.push(...(await createAds(1, await createAdOwner(), i)));
+      }
 
       const { response, responseBody } = await adsRequestBuilder.get();
 
       expect.soft(response.status).toBe(200);
+      expect.soft(responseBody).toHaveLength(4);
 
       expect(createdAds).toContainEqual(responseBody[0]);
       expect(createdAds).toContainEqual(responseBody[1]);
@@ -74,7 +80,11 @@ describe('GET /api/v1/sponsored-beta', () => {
     });
 
     it('should limit the number of ads returned', async () => {
-      const createdAds = await createAds(3, owner);
+      const createdAds = [];
+
+      for (let i = 0; i < 3; i++) {
+        createdAds.push(...(await createAds(1, await createAdOwner(), i)));
+      }
 
       const { response, responseBody } = await adsRequestBuilder.get('?per_page=2');
 
@@ -85,6 +95,68 @@ describe('GET /api/v1/sponsored-beta', () => {
       expect(createdAds).toContainEqual(responseBody[1]);
     });
 
+    it('should not return more than one ad from the same owner', async () => {
+      const ownerAds = await createAds(3, owner);
+      const otherOwnerAds = await createAds(2, await createAdOwner(), 3);
+
+      const { response, responseBody } = await adsRequestBuilder.get('?per_page=10');
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(2);
+      expect(ownerAds.filter((ad) => responseBody.some(({ id }) => id === ad.id))).toHaveLength(1);
+      expect(otherOwnerAds.filter((ad) => responseBody.some(({ id }) => id === ad.id))).toHaveLength(1);
+    });
+
+    it('should return the same ads for the same "seed"', async () => {
+      for (let i = 0; i < 5; i++) {
+        await createAds(1, await createAdOwner(), i);
+      }
+
+      const { responseBody: firstResponseBody } = await adsRequestBuilder.get('?per_page=3&seed=42');
+      const { responseBody: secondResponseBody } = await adsRequestBuilder.get('?per_page=3&seed=42');
+      const { responseBody: uniformResponseBody } = await adsRequestBuilder.get(
+        '?per_page=3&seed=42&weighting=uniform',
+      );
+      const { responseBody: secondUniformResponseBody } = await adsRequestBuilder.get(
+        '?per_page=3&seed=42&weighting=uniform',
+      );
+
+      expect(firstResponseBody).toHaveLength(3);
+      expect(secondResponseBody).toStrictEqual(firstResponseBody);
+      expect(uniformResponseBody).toHaveLength(3);
+      expect(secondUniformResponseBody).toStrictEqual(uniformResponseBody);
+    });
+
+    it('should not accept invalid "weighting"', async () => {
+      const { response, responseBody } = await adsRequestBuilder.get('?weighting=random');
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.message).toBe('"weighting" deve possuir um dos seguintes valores: "budget", "uniform".');
+      expect(responseBody.key).toBe('weighting');
+    });
+
+    it('should not return ads already shown too many times to the same "viewer_session"', async () => {
+      const [createdAd] = await createAds(1, owner);
+      const cappedViewerSession = 'b1c2d3e4-f5a6-4b7c-8d9e-0f1a2b3c4d5e';
+      const otherViewerSession = 'c2d3e4f5-a6b7-4c8d-9e0f-1a2b3c4d5e6f';
+
+      for (let i = 0; i < 3; i++) {
+        await database.query({
+          text: `INSERT INTO ad_interactions (ad_id, type, ip, viewer_session) VALUES ($1, 'impression', $2, $3);`,
+          values: [createdAd.id, `127.0.0.${i + 1}`, cappedViewerSession],
+        });
+      }
+
+      const { responseBody: cappedResponseBody } = await adsRequestBuilder.get(
+        `?viewer_session=${cappedViewerSession}`,
+      );
+
+      const { responseBody: otherResponseBody } = await adsRequestBuilder.get(`?viewer_session=${otherViewerSession}`);
+
+      expect(cappedResponseBody).toStrictEqual([]);
+      expect(otherResponseBody).toStrictEqual([createdAd]);
+    });
+
     it('should ignore specific ad', async () => {
       const createdAds = await createAds(1, owner);
 
@@ -113,6 +185,19 @@ describe('GET /api/v1/sponsored-beta', () => {
       expect(responseBody).toStrictEqual(specificAd);
     });
 
+    it('should get several ads from specific owner', async () => {
+      const otherOwner = await createAdOwner();
+
+      const ownerAds = await createAds(3, owner);
+      await createAds(1, otherOwner, 3);
+
+      const { response, responseBody } = await adsRequestBuilder.get(`?owner_id=${owner.id}&per_page=3`);
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toHaveLength(3);
+      expect(responseBody).toStrictEqual(expect.arrayContaining(ownerAds));
+    });
+
     it('should try get from another owner', async () => {
       const specificOwner = await orchestrator.createUser();
 
@@ -139,6 +224,18 @@ describe('GET /api/v1/sponsored-beta', () => {
   });
 });
 
+async function createAdOwner() {
+  const adOwner = await orchestrator.createUser();
+
+  await orchestrator.createBalance({
+    balanceType: 'user:tabcash',
+    recipientId: adOwner.id,
+    amount: defaultTabCashForAdCreation,
+  });
+
+  return adOwner;
+}
+
 async function createAds(count, owner, indexOffset = 0) {
   const ads = [];
   for (let i = indexOffset; i < count + indexOffset; i++) {
@@ -0,0 +1,74 @@
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/suspensions/expired', () => {
+  describe('Default user', () => {
+    test('Without "update:user:suspensions" feature', async () => {
+      const suspensionsRequestBuilder = new RequestBuilder('/api/v1/suspensions/expired');
+      await suspensionsRequestBuilder.buildUser();
+
+      const { response, responseBody } = await suspensionsRequestBuilder.post();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "update:user:suspensions".');
+    });
+  });
+
+  describe('User with "update:user:suspensions" feature', () => {
+    test('Lifting only expired suspensions', async () => {
+      const banRequestBuilder = new RequestBuilder('/api/v1/users');
+      await banRequestBuilder.buildUser({ with: ['ban:user'] });
+
+      const expiredUser = await orchestrator.createUser();
+      await orchestrator.activateUser(expiredUser);
+
+      const activeUser = await orchestrator.createUser();
+      await orchestrator.activateUser(activeUser);
+
+      for (const targetUser of [expiredUser, activeUser]) {
+        const { response } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'suspend',
+          suspended_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          reason: 'Publicação repetida de conteúdo promocional.',
+        });
+
+        expect.soft(response.status).toBe(200);
+      }
+
+      await orchestrator.updateSuspensionEndsAt(expiredUser.id, new Date(Date.now() - 1000));
+
+      const suspensionsRequestBuilder = new RequestBuilder('/api/v1/suspensions/expired');
+      await suspensionsRequestBuilder.buildUser({ with: ['update:user:suspensions'] });
+
+      const { response, responseBody } = await suspensionsRequestBuilder.post();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody.map((user) => user.id)).toStrictEqual([expiredUser.id]);
+      expect(responseBody[0].features).not.toContain('suspended');
+      expect(responseBody[0].features).toStrictEqual(expect.arrayContaining(['create:content', 'update:content']));
+
+      const liftEvent = await orchestrator.getLastEvent();
+
+      expect(liftEvent.type).toBe('system:unban:user');
+      expect(liftEvent.metadata.user_id).toBe(expiredUser.id);
+
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      await usersRequestBuilder.buildUser({ with: ['read:user:list'] });
+
+      const { responseBody: userList } = await usersRequestBuilder.get();
+
+      expect(userList.find((user) => user.id === expiredUser.id).features).not.toContain('suspended');
+      expect(userList.find((user) => user.id === activeUser.id).features).toContain('suspended');
+
+      const { responseBody: secondResponseBody } = await suspensionsRequestBuilder.post();
+
+      expect(secondResponseBody).toStrictEqual([]);
+    });
+  });
+});
@@ -0,0 +1,178 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/user/balance/history', () => {
+  describe('Anonymous user', () => {
+    test('Should not be able to list the balance history', async () => {
+      const historyRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+
+      const { response, responseBody } = await historyRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.error_location_code).toBe('MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND');
+    });
+  });
+
+  describe('Default user', () => {
+    test('Without operations', async () => {
+      const historyRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+      await historyRequestBuilder.buildUser();
+
+      const { response, responseBody } = await historyRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With votes given and received', async () => {
+      const authorRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+      const author = await authorRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcoin',
+        recipientId: author.id,
+        amount: 10,
+      });
+
+      const authorContent = await orchestrator.createContent({
+        owner_id: author.id,
+        title: 'Conteúdo votado',
+        body: 'Corpo',
+        status: 'published',
+      });
+
+      const voterRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+      const voter = await voterRequestBuilder.buildUser();
+
+      await orchestrator.createBalance({
+        balanceType: 'user:tabcoin',
+        recipientId: voter.id,
+        amount: 2,
+      });
+
+      const tabcoinsRequestBuilder = new RequestBuilder(
+        `/api/v1/contents/${author.username}/${authorContent.slug}/tabcoins`,
+      );
+      await tabcoinsRequestBuilder.setUser(voter);
+
+      const { response: voteResponse } = await tabcoinsRequestBuilder.post({ transaction_type: 'credit' });
+
+      expect.soft(voteResponse.status).toBe(201);
+
+      const expectedContent = {
+        id: authorContent.id,
+        owner_username: author.username,
+        slug: authorContent.slug,
+        title: 'Conteúdo votado',
+      };
+
+      const { response: authorResponse, responseBody: authorHistory } = await authorRequestBuilder.get();
+
+      expect.soft(authorResponse.status).toBe(200);
+      expect(authorResponse.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(authorHistory).toStrictEqual([
+        {
+          id: authorHistory[0].id,
+          balance_type: 'user:tabcoin',
+          amount: 1,
+          balance: 11,
+          originator_type: 'event',
+          reason: 'voto positivo recebido em "Conteúdo votado"',
+          content: expectedContent,
+          created_at: authorHistory[0].created_at,
+        },
+        {
+          id: authorHistory[1].id,
+          balance_type: 'user:tabcoin',
+          amount: 10,
+          balance: 10,
+          originator_type: 'orchestrator',
+          reason: 'operação de saldo',
+          content: null,
+          created_at: authorHistory[1].created_at,
+        },
+      ]);
+
+      expect(uuidVersion(authorHistory[0].id)).toBe(4);
+      expect(Date.parse(authorHistory[0].created_at)).not.toBeNaN();
+
+      const { responseBody: voterHistory } = await voterRequestBuilder.get();
+
+      const summarize = ({ amount, balance, reason }) => ({ amount, balance, reason });
+
+      expect(voterHistory).toHaveLength(3);
+
+      expect(
+        voterHistory.filter((operation) => operation.balance_type === 'user:tabcoin').map(summarize),
+      ).toStrictEqual([
+        { amount: -2, balance: 0, reason: 'voto dado em "Conteúdo votado"' },
+        { amount: 2, balance: 2, reason: 'operação de saldo' },
+      ]);
+
+      expect(
+        voterHistory.filter((operation) => operation.balance_type === 'user:tabcash').map(summarize),
+      ).toStrictEqual([{ amount: 1, balance: 1, reason: 'recompensa por votar em "Conteúdo votado"' }]);
+    });
+
+    test('With the daily reward', async () => {
+      const userRequestBuilder = new RequestBuilder('/api/v1/user');
+      const defaultUser = await userRequestBuilder.buildUser();
+      await orchestrator.createPrestige(defaultUser.id);
+
+      await orchestrator.updateRewardedAt(defaultUser.id, new Date(Date.now() - 1000 - 1000 * 60 * 60 * 24));
+
+      const { responseBody: rewardedUser } = await userRequestBuilder.get();
+
+      const historyRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+      await historyRequestBuilder.setUser(defaultUser);
+
+      const { response, responseBody } = await historyRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody.filter((operation) => operation.originator_type === 'reward')).toStrictEqual([
+        {
+          id: responseBody[0].id,
+          balance_type: 'user:tabcoin',
+          amount: 2,
+          balance: rewardedUser.tabcoins,
+          originator_type: 'reward',
+          reason: 'recompensa diária',
+          content: null,
+          created_at: responseBody[0].created_at,
+        },
+      ]);
+    });
+
+    test('With pagination', async () => {
+      const historyRequestBuilder = new RequestBuilder('/api/v1/user/balance/history');
+      const defaultUser = await historyRequestBuilder.buildUser();
+
+      for (const amount of [1, 2, 3]) {
+        await orchestrator.createBalance({
+          balanceType: 'user:tabcash',
+          recipientId: defaultUser.id,
+          amount,
+        });
+      }
+
+      const { response, responseBody } = await historyRequestBuilder.get('?page=2&per_page=1');
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('3');
+      expect(responseBody).toHaveLength(1);
+      expect(responseBody[0].amount).toBe(2);
+      expect(responseBody[0].balance).toBe(3);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import parseLinkHeader from 'parse-link-header';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('GET /api/v1/user/bookmarks', () => {
+  describe('Anonymous user', () => {
+    test('Retrieving the endpoint', async () => {
+      const bookmarksRequestBuilder = new RequestBuilder('/api/v1/user/bookmarks');
+      const { response, responseBody } = await bookmarksRequestBuilder.get();
+
+      expect.soft(response.status).toBe(403);
+      expect(responseBody.action).toBe('Verifique se este usuário possui a feature "create:bookmark".');
+    });
+  });
+
+  describe('Default user', () => {
+    test('With no bookmarks', async () => {
+      const bookmarksRequestBuilder = new RequestBuilder('/api/v1/user/bookmarks');
+      await bookmarksRequestBuilder.buildUser();
+
+      const { response, responseBody } = await bookmarksRequestBuilder.get();
+
+      expect.soft(response.status).toBe(200);
+      expect(responseBody).toStrictEqual([]);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('0');
+    });
+
+    test('With bookmarks, including a deleted content', async () => {
+      const contentOwner = await orchestrator.createUser();
+
+      const firstContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Primeiro conteúdo salvo',
+        status: 'published',
+      });
+
+      const secondContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Segundo conteúdo salvo',
+        status: 'published',
+      });
+
+      const deletedContent = await orchestrator.createContent({
+        owner_id: contentOwner.id,
+        title: 'Conteúdo salvo e depois apagado',
+        status: 'published',
+      });
+
+      const bookmarksRequestBuilder = new RequestBuilder('/api/v1/user/bookmarks');
+      const defaultUser = await bookmarksRequestBuilder.buildUser();
+
+      for (const contentToBookmark of [firstContent, secondContent, deletedContent]) {
+        const bookmarkRequestBuilder = new RequestBuilder(
+          `/api/v1/contents/${contentOwner.username}/${contentToBookmark.slug}/bookmark`,
+        );
+        await bookmarkRequestBuilder.setUser(defaultUser);
+        await bookmarkRequestBuilder.post();
+      }
+
+      await orchestrator.updateContent(deletedContent.id, { status: 'deleted' });
+
+      const { response, responseBody } = await bookmarksRequestBuilder.get('?per_page=1');
+
+      expect.soft(response.status).toBe(200);
+      expect(response.headers.get('X-Pagination-Total-Rows')).toBe('2');
+
+      expect(responseBody).toStrictEqual([
+        {
+          id: secondContent.id,
+          owner_id: contentOwner.id,
+          parent_id: null,
+          slug: 'segundo-conteudo-salvo',
+          title: 'Segundo conteúdo salvo',
+          status: 'published',
+          type: 'content',
+          source_url: null,
+          created_at: secondContent.created_at.toISOString(),
+          updated_at: secondContent.updated_at.toISOString(),
+          published_at: secondContent.published_at.toISOString(),
+          deleted_at: null,
+          tabcoins: 1,
+          tabcoins_credit: 0,
+          tabcoins_debit: 0,
+          owner_username: contentOwner.username,
+          children_deep_count: 0,
+        },
+      ]);
+
+      const responseLinkHeader = parseLinkHeader(response.headers.get('Link'));
+
+      expect(responseLinkHeader.next.url).toBe(`${orchestrator.webserverUrl}/api/v1/user/bookmarks?page=2&per_page=1`);
+    });
+  });
+});
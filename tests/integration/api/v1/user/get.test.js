@@ -117,6 +117,7 @@ describe('GET /api/v1/user', () => {
         description: defaultUser.description,
         email: defaultUser.email,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         features: defaultUser.features,
         tabcoins: 0,
         tabcash: 0,
@@ -208,6 +209,7 @@ describe('GET /api/v1/user', () => {
           description: defaultUser.description,
           email: defaultUser.email,
           notifications: defaultUser.notifications,
+          notification_preferences: defaultUser.notification_preferences,
           features: defaultUser.features,
           tabcoins: 0,
           tabcash: 0,
@@ -253,6 +255,7 @@ describe('GET /api/v1/user', () => {
           description: defaultUser.description,
           email: defaultUser.email,
           notifications: defaultUser.notifications,
+          notification_preferences: defaultUser.notification_preferences,
           features: defaultUser.features,
           tabcoins: 0,
           tabcash: 0,
@@ -297,6 +300,7 @@ describe('GET /api/v1/user', () => {
           description: defaultUser.description,
           email: defaultUser.email,
           notifications: defaultUser.notifications,
+          notification_preferences: defaultUser.notification_preferences,
           features: defaultUser.features,
           tabcoins: 0,
           tabcash: 0,
@@ -2,6 +2,7 @@ import { version as uuidVersion } from 'uuid';
 
 import { relevantBody } from 'tests/constants-for-tests';
 import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
 
 beforeAll(async () => {
   await orchestrator.waitForAllServices();
@@ -148,7 +149,7 @@ describe('DELETE /api/v1/users/[username]', () => {
 
       expect(responseBody).toStrictEqual({
         name: 'ValidationError',
-        message: '"ban_type" deve possuir um dos seguintes valores: "nuke".',
+        message: '"ban_type" deve possuir um dos seguintes valores: "nuke", "suspend", "read_only", "quarantine".',
         action: 'Ajuste os dados enviados e tente novamente.',
         status_code: 400,
         error_id: responseBody.error_id,
@@ -617,5 +618,307 @@ describe('DELETE /api/v1/users/[username]', () => {
       expect(uuidVersion(nuke2ResponseBody.request_id)).toBe(4);
       expect(nuke2ResponseBody.key).toBe('username');
     });
+
+    describe('With "ban_type" with "quarantine" value', () => {
+      test('With a regular user', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        const moderator = await banRequestBuilder.buildUser({ with: ['ban:user'] });
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const targetUser = await contentsRequestBuilder.buildUser();
+
+        const { response, responseBody } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'quarantine',
+        });
+
+        expect.soft(response.status).toBe(200);
+        expect(responseBody.features).toContain('quarantined');
+        expect(responseBody.features).toContain('create:content');
+
+        const lastEvent = await orchestrator.getLastEvent();
+        expect(lastEvent).toStrictEqual(
+          expect.objectContaining({
+            type: 'ban:user',
+            originator_user_id: moderator.id,
+            metadata: {
+              ban_type: 'quarantine',
+              user_id: targetUser.id,
+            },
+          }),
+        );
+
+        const { response: createResponse, responseBody: createdContent } = await contentsRequestBuilder.post({
+          title: 'Conteúdo publicado em quarentena',
+          body: relevantBody,
+          status: 'published',
+        });
+
+        expect.soft(createResponse.status).toBe(201);
+
+        const publicContentRequestBuilder = new RequestBuilder(
+          `/api/v1/contents/${targetUser.username}/${createdContent.slug}`,
+        );
+        const { response: publicResponse } = await publicContentRequestBuilder.get();
+
+        expect.soft(publicResponse.status).toBe(404);
+      });
+
+      test('With an already quarantined user', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        await banRequestBuilder.buildUser({ with: ['ban:user'] });
+        const targetUser = await orchestrator.createUser();
+        await orchestrator.addFeaturesToUser(targetUser, ['quarantined']);
+
+        const { response, responseBody } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'quarantine',
+        });
+
+        expect.soft(response.status).toBe(422);
+        expect(responseBody.error_location_code).toBe('MODEL:BAN:QUARANTINE:USER_ALREADY_QUARANTINED');
+      });
+    });
+
+    describe('With "ban_type" with "suspend" value', () => {
+      test('Without "suspended_until" and "reason"', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        await banRequestBuilder.buildUser({ with: ['ban:user'] });
+        const targetUser = await orchestrator.createUser();
+
+        const { response, responseBody } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'suspend',
+        });
+
+        expect.soft(response.status).toBe(400);
+
+        expect(responseBody).toStrictEqual({
+          name: 'ValidationError',
+          message: '"suspended_until" é um campo obrigatório.',
+          action: 'Ajuste os dados enviados e tente novamente.',
+          status_code: 400,
+          error_id: responseBody.error_id,
+          request_id: responseBody.request_id,
+          error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+          key: 'suspended_until',
+          type: 'any.required',
+        });
+      });
+
+      test('With "suspended_until" in the past', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        await banRequestBuilder.buildUser({ with: ['ban:user'] });
+        const targetUser = await orchestrator.createUser();
+
+        const { response, responseBody } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'suspend',
+          suspended_until: new Date(Date.now() - 60 * 1000).toISOString(),
+          reason: 'Spam.',
+        });
+
+        expect.soft(response.status).toBe(400);
+
+        expect(responseBody).toStrictEqual({
+          name: 'ValidationError',
+          message: '"suspended_until" deve conter uma data no futuro.',
+          action: 'Ajuste os dados enviados e tente novamente.',
+          status_code: 400,
+          error_id: responseBody.error_id,
+          request_id: responseBody.request_id,
+          error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+          key: 'suspended_until',
+          type: 'date.greater',
+        });
+      });
+
+      test('With valid data', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        const moderator = await banRequestBuilder.buildUser({ with: ['ban:user'] });
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const targetUser = await contentsRequestBuilder.buildUser();
+
+        const suspendedUntil = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+        const { response, responseBody } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'suspend',
+          suspended_until: suspendedUntil.toISOString(),
+          reason: 'Publicação repetida de conteúdo promocional.',
+        });
+
+        expect.soft(response.status).toBe(200);
+
+        expect(responseBody).toStrictEqual({
+          id: targetUser.id,
+          username: targetUser.username,
+          description: targetUser.description,
+          features: [
+            ...targetUser.features.filter((feature) => !['create:content', 'update:content'].includes(feature)),
+            'suspended',
+          ],
+          created_at: targetUser.created_at.toISOString(),
+          updated_at: responseBody.updated_at,
+        });
+
+        const banEvent = await orchestrator.getLastEvent();
+
+        expect(banEvent).toStrictEqual({
+          id: banEvent.id,
+          type: 'ban:user',
+          originator_user_id: moderator.id,
+          originator_ip: '127.0.0.1',
+          metadata: {
+            ban_type: 'suspend',
+            user_id: targetUser.id,
+            reason: 'Publicação repetida de conteúdo promocional.',
+            suspended_until: suspendedUntil.toISOString(),
+            duration_seconds: expect.any(Number),
+          },
+          created_at: banEvent.created_at,
+        });
+
+        expect(banEvent.metadata.duration_seconds).toBeGreaterThan(24 * 60 * 60 - 60);
+        expect(banEvent.metadata.duration_seconds).toBeLessThanOrEqual(24 * 60 * 60);
+
+        const { response: contentResponse } = await contentsRequestBuilder.post({
+          title: 'Tentando publicar',
+          body: 'Durante a suspensão.',
+          status: 'published',
+        });
+
+        expect.soft(contentResponse.status).toBe(403);
+
+        const notificationsRequestBuilder = new RequestBuilder('/api/v1/notifications');
+        await notificationsRequestBuilder.setUser(targetUser);
+
+        const { responseBody: notifications } = await notificationsRequestBuilder.get();
+
+        expect(notifications).toStrictEqual([
+          expect.objectContaining({
+            type: 'ban:user:suspended',
+            event_id: banEvent.id,
+          }),
+        ]);
+
+        const { response: secondBanResponse, responseBody: secondBanResponseBody } = await banRequestBuilder.delete(
+          `/${targetUser.username}`,
+          {
+            ban_type: 'read_only',
+            suspended_until: suspendedUntil.toISOString(),
+            reason: 'Outro motivo.',
+          },
+        );
+
+        expect.soft(secondBanResponse.status).toBe(422);
+
+        expect(secondBanResponseBody).toStrictEqual({
+          name: 'UnprocessableEntityError',
+          message: 'Este usuário já está suspenso.',
+          action: 'Aguarde o fim da suspensão atual antes de aplicar uma nova.',
+          status_code: 422,
+          error_id: secondBanResponseBody.error_id,
+          request_id: secondBanResponseBody.request_id,
+          error_location_code: 'MODEL:BAN:SUSPEND:USER_ALREADY_SUSPENDED',
+        });
+
+        const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+        await usersRequestBuilder.buildUser({ with: ['read:user:list'] });
+
+        const { responseBody: userList } = await usersRequestBuilder.get();
+        const suspendedUser = userList.find((user) => user.id === targetUser.id);
+
+        expect(suspendedUser.suspension).toStrictEqual({
+          ban_type: 'suspend',
+          reason: 'Publicação repetida de conteúdo promocional.',
+          ends_at: expect.any(String),
+        });
+      });
+
+      test('Should be lifted after it expires', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        await banRequestBuilder.buildUser({ with: ['ban:user'] });
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const targetUser = await contentsRequestBuilder.buildUser();
+
+        const { response } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'read_only',
+          suspended_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          reason: 'Comentários ofensivos.',
+        });
+
+        expect.soft(response.status).toBe(200);
+
+        await orchestrator.updateSuspensionEndsAt(targetUser.id, new Date(Date.now() - 1000));
+
+        const userRequestBuilder = new RequestBuilder('/api/v1/user');
+        await userRequestBuilder.setUser(targetUser);
+
+        const { response: userResponse, responseBody: userResponseBody } = await userRequestBuilder.get();
+
+        expect.soft(userResponse.status).toBe(200);
+
+        const liftEvent = await orchestrator.getLastEvent();
+
+        expect(liftEvent.type).toBe('system:unban:user');
+        expect(liftEvent.metadata).toStrictEqual({
+          user_id: targetUser.id,
+          suspension_id: expect.any(String),
+          restored_features: expect.arrayContaining(['create:content', 'update:content', 'update:user']),
+        });
+
+        expect(userResponseBody.features).not.toContain('suspended');
+        expect(userResponseBody.features).toStrictEqual(expect.arrayContaining(targetUser.features));
+
+        const { response: contentResponse } = await contentsRequestBuilder.post({
+          title: 'Depois da suspensão',
+          body: 'A suspensão terminou.',
+          status: 'published',
+        });
+
+        expect.soft(contentResponse.status).toBe(201);
+      });
+
+      test('Should suspend again after a previous suspension expired', async () => {
+        const banRequestBuilder = new RequestBuilder('/api/v1/users');
+        await banRequestBuilder.buildUser({ with: ['ban:user'] });
+
+        const contentsRequestBuilder = new RequestBuilder('/api/v1/contents');
+        const targetUser = await contentsRequestBuilder.buildUser();
+
+        const { response: firstResponse } = await banRequestBuilder.delete(`/${targetUser.username}`, {
+          ban_type: 'suspend',
+          suspended_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+          reason: 'Primeira suspensão.',
+        });
+
+        expect.soft(firstResponse.status).toBe(200);
+
+        await orchestrator.updateSuspensionEndsAt(targetUser.id, new Date(Date.now() - 1000));
+
+        const { response: secondResponse, responseBody: secondResponseBody } = await banRequestBuilder.delete(
+          `/${targetUser.username}`,
+          {
+            ban_type: 'suspend',
+            suspended_until: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+            reason: 'Segunda suspensão.',
+          },
+        );
+
+        expect.soft(secondResponse.status).toBe(200);
+        expect(secondResponseBody.features.filter((feature) => feature === 'suspended')).toHaveLength(1);
+        expect(secondResponseBody.features).not.toContain('create:content');
+        expect(secondResponseBody.features).not.toContain('update:content');
+
+        await orchestrator.updateSuspensionEndsAt(targetUser.id, new Date(Date.now() - 1000));
+
+        const userRequestBuilder = new RequestBuilder('/api/v1/user');
+        await userRequestBuilder.setUser(targetUser);
+
+        const { response: userResponse, responseBody: userResponseBody } = await userRequestBuilder.get();
+
+        expect.soft(userResponse.status).toBe(200);
+        expect(userResponseBody.features).not.toContain('suspended');
+        expect(userResponseBody.features).toStrictEqual(expect.arrayContaining(targetUser.features));
+      });
+    });
   });
 });
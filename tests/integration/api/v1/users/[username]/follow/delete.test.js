@@ -0,0 +1,81 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('DELETE /api/v1/users/[username]/follow', () => {
+  describe('Anonymous user', () => {
+    test('Unfollowing a user', async () => {
+      const followedUser = await orchestrator.createUser();
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${followedUser.username}/follow`);
+      const { response, responseBody } = await followRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:follow".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Unfollowing a user that is not followed', async () => {
+      const notFollowedUser = await orchestrator.createUser();
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${notFollowedUser.username}/follow`);
+      await followRequestBuilder.buildUser();
+
+      const { response, responseBody } = await followRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(404);
+
+      expect(responseBody).toStrictEqual({
+        name: 'NotFoundError',
+        message: 'Você não segue este usuário.',
+        action: 'Verifique se o "username" está digitado corretamente.',
+        status_code: 404,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:FOLLOW:REMOVE:NOT_FOUND',
+        key: 'username',
+      });
+    });
+
+    test('Unfollowing a followed user', async () => {
+      const followedUser = await orchestrator.createUser();
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${followedUser.username}/follow`);
+      await followRequestBuilder.buildUser();
+
+      const { response: postResponse } = await followRequestBuilder.post();
+
+      expect.soft(postResponse.status).toBe(201);
+
+      const { response, responseBody } = await followRequestBuilder.delete();
+
+      expect.soft(response.status).toBe(200);
+
+      expect(responseBody).toStrictEqual({
+        followers_count: 0,
+        following_count: 0,
+        following: false,
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { version as uuidVersion } from 'uuid';
+
+import orchestrator from 'tests/orchestrator.js';
+import RequestBuilder from 'tests/request-builder';
+
+beforeAll(async () => {
+  await orchestrator.waitForAllServices();
+  await orchestrator.dropAllTables();
+  await orchestrator.runPendingMigrations();
+});
+
+describe('POST /api/v1/users/[username]/follow', () => {
+  describe('Anonymous user', () => {
+    test('Following a user', async () => {
+      const userToFollow = await orchestrator.createUser();
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${userToFollow.username}/follow`);
+      const { response, responseBody } = await followRequestBuilder.post();
+
+      expect.soft(response.status).toBe(403);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ForbiddenError',
+        message: 'Usuário não pode executar esta operação.',
+        action: 'Verifique se este usuário possui a feature "create:follow".',
+        status_code: 403,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:AUTHORIZATION:CAN_REQUEST:FEATURE_NOT_FOUND',
+      });
+
+      expect(uuidVersion(responseBody.error_id)).toBe(4);
+      expect(uuidVersion(responseBody.request_id)).toBe(4);
+    });
+  });
+
+  describe('Default user', () => {
+    test('Following a non-existent user', async () => {
+      const followRequestBuilder = new RequestBuilder('/api/v1/users/usuarioInexistente/follow');
+      await followRequestBuilder.buildUser();
+
+      const { response, responseBody } = await followRequestBuilder.post();
+
+      expect.soft(response.status).toBe(404);
+      expect(responseBody.name).toBe('NotFoundError');
+      expect(responseBody.key).toBe('username');
+    });
+
+    test('Following itself', async () => {
+      const followRequestBuilder = new RequestBuilder();
+      const defaultUser = await followRequestBuilder.buildUser();
+
+      const { response, responseBody } = await followRequestBuilder.post(
+        `/api/v1/users/${defaultUser.username}/follow`,
+      );
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Você não pode seguir a si mesmo.',
+        action: 'Escolha outro usuário para seguir.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:USERS:USERNAME:FOLLOW:POST:CANNOT_FOLLOW_SELF',
+      });
+    });
+
+    test('Following a "nuked" user', async () => {
+      const nukedUser = await orchestrator.createUser();
+      await orchestrator.addFeaturesToUser(nukedUser, ['nuked']);
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${nukedUser.username}/follow`);
+      await followRequestBuilder.buildUser();
+
+      const { response, responseBody } = await followRequestBuilder.post();
+
+      expect.soft(response.status).toBe(422);
+
+      expect(responseBody).toStrictEqual({
+        name: 'UnprocessableEntityError',
+        message: 'Não é possível seguir um usuário banido.',
+        action: 'Escolha outro usuário para seguir.',
+        status_code: 422,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'CONTROLLER:USERS:USERNAME:FOLLOW:POST:USER_NUKED',
+      });
+    });
+
+    test('Following a user twice', async () => {
+      const userToFollow = await orchestrator.createUser();
+
+      const followRequestBuilder = new RequestBuilder(`/api/v1/users/${userToFollow.username}/follow`);
+      const followerUser = await followRequestBuilder.buildUser();
+
+      const { response: firstResponse, responseBody: firstResponseBody } = await followRequestBuilder.post();
+
+      expect.soft(firstResponse.status).toBe(201);
+
+      expect(firstResponseBody).toStrictEqual({
+        followers_count: 1,
+        following_count: 0,
+        following: true,
+      });
+
+      const { response: secondResponse, responseBody: secondResponseBody } = await followRequestBuilder.post();
+
+      expect.soft(secondResponse.status).toBe(201);
+      expect(secondResponseBody).toStrictEqual(firstResponseBody);
+
+      const followerRequestBuilder = new RequestBuilder(`/api/v1/users/${followerUser.username}/follow`);
+      const { response: followerResponse, responseBody: followerResponseBody } = await followerRequestBuilder.get();
+
+      expect.soft(followerResponse.status).toBe(200);
+
+      expect(followerResponseBody).toStrictEqual({
+        followers_count: 0,
+        following_count: 1,
+        following: false,
+      });
+    });
+  });
+});
@@ -3,6 +3,7 @@ import { version as uuidVersion } from 'uuid';
 import emailConfirmation from 'models/email-confirmation.js';
 import password from 'models/password.js';
 import user from 'models/user.js';
+import { defaultNotificationPreferences } from 'tests/constants-for-tests';
 import orchestrator from 'tests/orchestrator.js';
 import RequestBuilder from 'tests/request-builder';
 
@@ -144,6 +145,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -189,6 +191,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         description: defaultUser.description,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -232,6 +235,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -561,6 +565,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         created_at: defaultUser.created_at.toISOString(),
         updated_at: responseBody.updated_at,
       });
@@ -607,6 +612,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -616,10 +622,8 @@ describe('PATCH /api/v1/users/[username]', () => {
       expect(await orchestrator.hasEmailsAfterDelay()).toBe(false);
     });
 
-    test('Patching itself with "notifications"', async () => {
-      const defaultUser = await orchestrator.createUser({
-        notifications: true,
-      });
+    test('Patching itself with "notification_preferences"', async () => {
+      const defaultUser = await orchestrator.createUser();
       await orchestrator.activateUser(defaultUser);
       const defaultUserSession = await orchestrator.createSession(defaultUser);
 
@@ -631,14 +635,95 @@ describe('PATCH /api/v1/users/[username]', () => {
         },
 
         body: JSON.stringify({
-          notifications: false,
+          notification_preferences: {
+            direct_reply: { email: false },
+            tabcoins_reward: { email: true, in_app: false },
+          },
         }),
       });
 
+      const responseBody = await response.json();
+
+      expect.soft(response.status).toBe(200);
+
+      const expectedNotificationPreferences = {
+        ...defaultNotificationPreferences,
+        direct_reply: { email: false, in_app: true },
+        tabcoins_reward: { email: true, in_app: false },
+      };
+
+      expect(responseBody.notifications).toBe(false);
+      expect(responseBody.notification_preferences).toStrictEqual(expectedNotificationPreferences);
+
+      const userInDatabase = await user.findOneById(defaultUser.id);
+      expect(userInDatabase.notifications).toBe(false);
+      expect(userInDatabase.notification_preferences).toStrictEqual(expectedNotificationPreferences);
+    });
+
+    test('Patching itself with the legacy "notifications"', async () => {
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const defaultUser = await usersRequestBuilder.buildUser();
+
+      const { response, responseBody } = await usersRequestBuilder.patch(`/${defaultUser.username}`, {
+        notifications: false,
+      });
+
       expect.soft(response.status).toBe(200);
 
+      const expectedNotificationPreferences = {
+        ...defaultNotificationPreferences,
+        direct_reply: { email: false, in_app: true },
+      };
+
+      expect(responseBody.notifications).toBe(false);
+      expect(responseBody.notification_preferences).toStrictEqual(expectedNotificationPreferences);
+
       const userInDatabase = await user.findOneById(defaultUser.id);
       expect(userInDatabase.notifications).toBe(false);
+      expect(userInDatabase.notification_preferences).toStrictEqual(expectedNotificationPreferences);
+    });
+
+    test('Patching itself with "notification_preferences" to opt out of moderation notices', async () => {
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const defaultUser = await usersRequestBuilder.buildUser();
+
+      const { response, responseBody } = await usersRequestBuilder.patch(`/${defaultUser.username}`, {
+        notification_preferences: {
+          moderation: { email: false },
+        },
+      });
+
+      expect.soft(response.status).toBe(400);
+      expect(responseBody.key).toBe('notification_preferences');
+      expect(responseBody.type).toBe('object.min');
+
+      const userInDatabase = await user.findOneById(defaultUser.id);
+      expect(userInDatabase.notification_preferences).toStrictEqual(defaultNotificationPreferences);
+    });
+
+    test('Patching itself with "notification_preferences" containing an unknown kind', async () => {
+      const usersRequestBuilder = new RequestBuilder('/api/v1/users');
+      const defaultUser = await usersRequestBuilder.buildUser();
+
+      const { response, responseBody } = await usersRequestBuilder.patch(`/${defaultUser.username}`, {
+        notification_preferences: {
+          newsletter: { email: true },
+        },
+      });
+
+      expect.soft(response.status).toBe(400);
+
+      expect(responseBody).toStrictEqual({
+        name: 'ValidationError',
+        message: 'Objeto enviado deve ter no mínimo uma chave.',
+        action: 'Ajuste os dados enviados e tente novamente.',
+        status_code: 400,
+        error_id: responseBody.error_id,
+        request_id: responseBody.request_id,
+        error_location_code: 'MODEL:VALIDATOR:FINAL_SCHEMA',
+        key: 'notification_preferences',
+        type: 'object.min',
+      });
     });
 
     test('Patching itself with a "description" containing a valid value', async () => {
@@ -673,8 +758,12 @@ describe('PATCH /api/v1/users/[username]', () => {
           'create:content:text_child',
           'update:content',
           'update:user',
+          'create:bookmark',
+          'create:follow',
+          'create:report',
         ],
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -796,6 +885,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         features: defaultUser.features,
         notifications: defaultUser.notifications,
+        notification_preferences: defaultUser.notification_preferences,
         tabcoins: 200,
         tabcash: 55,
         created_at: defaultUser.created_at.toISOString(),
@@ -803,7 +893,7 @@ describe('PATCH /api/v1/users/[username]', () => {
       });
     });
 
-    test('Patching itself with "email", "username", "description" and "notifications"', async () => {
+    test('Patching itself with "email", "username", "description" and "notification_preferences"', async () => {
       await orchestrator.deleteAllEmails();
 
       const usersRequestBuilder = new RequestBuilder('/api/v1/users');
@@ -813,7 +903,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         description: 'Updating all possible fields.',
         email: 'random_new_email@example.com',
         username: 'UpdatedUsername',
-        notifications: false,
+        notification_preferences: { mention: { email: false } },
       });
 
       expect.soft(response.status).toBe(200);
@@ -823,7 +913,8 @@ describe('PATCH /api/v1/users/[username]', () => {
         email: defaultUser.email,
         description: 'Updating all possible fields.',
         features: defaultUser.features,
-        notifications: false,
+        notifications: true,
+        notification_preferences: { ...defaultNotificationPreferences, mention: { email: false, in_app: true } },
         tabcoins: 0,
         tabcash: 0,
         created_at: defaultUser.created_at.toISOString(),
@@ -836,7 +927,7 @@ describe('PATCH /api/v1/users/[username]', () => {
       const foundUser = await user.findOneById(defaultUser.id);
       expect(foundUser.email).toBe(defaultUser.email);
       expect(foundUser.description).toBe('Updating all possible fields.');
-      expect(foundUser.notifications).toBe(false);
+      expect(foundUser.notification_preferences.mention).toStrictEqual({ email: false, in_app: true });
       expect(foundUser.username).toBe('UpdatedUsername');
       expect(foundUser.updated_at.toISOString()).toBe(responseBody.updated_at);
 
@@ -933,6 +1024,7 @@ describe('PATCH /api/v1/users/[username]', () => {
           description: defaultUser.description,
           features: defaultUser.features,
           notifications: defaultUser.notifications,
+          notification_preferences: defaultUser.notification_preferences,
           created_at: defaultUser.created_at.toISOString(),
           updated_at: responseBody.updated_at,
         });
@@ -957,7 +1049,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         const { response, responseBody } = await usersRequestBuilder.patch(`/${defaultUser.username}`, {
           description: 'New description',
           email: 'this_user_already_exists@example.com',
-          notifications: false,
+          notification_preferences: { mention: { email: false } },
         });
 
         expect.soft(response.status).toBe(200);
@@ -967,7 +1059,8 @@ describe('PATCH /api/v1/users/[username]', () => {
           email: defaultUser.email,
           description: 'New description',
           features: defaultUser.features,
-          notifications: false,
+          notifications: true,
+          notification_preferences: { ...defaultNotificationPreferences, mention: { email: false, in_app: true } },
           tabcoins: 0,
           tabcash: 0,
           created_at: defaultUser.created_at.toISOString(),
@@ -980,7 +1073,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         const foundUser = await user.findOneById(defaultUser.id);
         expect(foundUser.email).toBe(defaultUser.email);
         expect(foundUser.description).toBe('New description');
-        expect(foundUser.notifications).toBe(false);
+        expect(foundUser.notification_preferences.mention).toStrictEqual({ email: false, in_app: true });
         expect(foundUser.updated_at.toISOString()).toBe(responseBody.updated_at);
         expect(await orchestrator.hasEmailsAfterDelay()).toBe(false);
       });
@@ -1062,6 +1155,7 @@ describe('PATCH /api/v1/users/[username]', () => {
           description: defaultUser.description,
           features: defaultUser.features,
           notifications: true,
+          notification_preferences: defaultNotificationPreferences,
           tabcoins: 0,
           tabcash: 0,
           created_at: defaultUser.created_at.toISOString(),
@@ -1098,6 +1192,7 @@ describe('PATCH /api/v1/users/[username]', () => {
           description: defaultUser.description,
           features: defaultUser.features,
           notifications: true,
+          notification_preferences: defaultNotificationPreferences,
           created_at: defaultUser.created_at.toISOString(),
           updated_at: responseBody.updated_at,
         });
@@ -1140,6 +1235,7 @@ describe('PATCH /api/v1/users/[username]', () => {
           description: defaultUser.description,
           features: defaultUser.features,
           notifications: true,
+          notification_preferences: defaultNotificationPreferences,
           tabcoins: 0,
           tabcash: 0,
           created_at: defaultUser.created_at.toISOString(),
@@ -1214,7 +1310,7 @@ describe('PATCH /api/v1/users/[username]', () => {
         body: JSON.stringify({
           username: 'newUsername',
           email: 'new-email@example.com',
-          notifications: false,
+          notification_preferences: { direct_reply: { email: false } },
           password: 'new_password',
         }),
       });
@@ -1254,7 +1350,7 @@ describe('PATCH /api/v1/users/[username]', () => {
           description: 'New description.',
           username: 'newUsername',
           email: 'new-email@example.com',
-          notifications: false,
+          notification_preferences: { direct_reply: { email: false } },
           password: 'new_password',
         }),
       });
@@ -1274,7 +1370,7 @@ describe('PATCH /api/v1/users/[username]', () => {
       });
 
       const secondUserInDatabase = await user.findOneById(secondUser.id);
-      expect(secondUserInDatabase.notifications).toBe(true);
+      expect(secondUserInDatabase.notification_preferences).toStrictEqual(defaultNotificationPreferences);
       expect(secondUserInDatabase.email).toBe(secondUser.email);
 
       const passwordsMatch = await password.compare('initialPassword', secondUserInDatabase.password);
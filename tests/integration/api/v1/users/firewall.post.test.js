@@ -8,7 +8,7 @@ beforeAll(async () => {
   await orchestrator.waitForAllServices();
   await orchestrator.dropAllTables();
   await orchestrator.runPendingMigrations();
-  await orchestrator.createFirewallTestFunctions();
+  await orchestrator.enableFirewallRules();
   await orchestrator.deleteAllEmails();
 });
 
@@ -65,6 +65,9 @@ describe('POST /api/v1/users [FIREWALL]', () => {
         'create:content:text_child',
         'update:content',
         'update:user',
+        'create:bookmark',
+        'create:follow',
+        'create:report',
       ]);
       expect(user1.updated_at.toISOString()).toBe(activatedUser1.updated_at.toISOString());
       expect(Date.parse(user1.updated_at)).not.toBeNaN();
@@ -119,6 +122,9 @@ describe('POST /api/v1/users [FIREWALL]', () => {
       expect(user2Email.text).toContain(`Identificador do evento: ${lastEvent.id}`);
       expect(user2Email.html).toContain('Identificador do evento');
       expect(user2Email.html).toContain(lastEvent.id);
+
+      expect(user1Email.text).toMatch(/\/recurso\/[0-9a-f-]{36}/);
+      expect(user2Email.text).toMatch(/\/recurso\/[0-9a-f-]{36}/);
     });
   });
 });
@@ -170,6 +170,7 @@ describe('GET /api/v1/users', () => {
           features: secondUser.features,
           tabcoins: 0,
           tabcash: 0,
+          suspension: null,
           created_at: secondUser.created_at.toISOString(),
           updated_at: secondUser.updated_at.toISOString(),
         },
@@ -180,6 +181,7 @@ describe('GET /api/v1/users', () => {
           features: firstUser.features,
           tabcoins: 0,
           tabcash: 0,
+          suspension: null,
           created_at: firstUser.created_at.toISOString(),
           updated_at: firstUser.updated_at.toISOString(),
         },
@@ -228,6 +230,7 @@ describe('GET /api/v1/users', () => {
           features: firstUser.features,
           tabcoins: 0,
           tabcash: 0,
+          suspension: null,
           created_at: firstUser.created_at.toISOString(),
           updated_at: firstUser.updated_at.toISOString(),
         },
@@ -238,6 +241,7 @@ describe('GET /api/v1/users', () => {
           features: secondUser.features,
           tabcoins: 0,
           tabcash: 0,
+          suspension: null,
           created_at: secondUser.created_at.toISOString(),
           updated_at: secondUser.updated_at.toISOString(),
         },
@@ -294,6 +298,7 @@ describe('GET /api/v1/users', () => {
           features: secondUser.features,
           tabcoins: -2,
           tabcash: 200,
+          suspension: null,
           created_at: secondUser.created_at.toISOString(),
           updated_at: secondUser.updated_at.toISOString(),
         },
@@ -304,6 +309,7 @@ describe('GET /api/v1/users', () => {
           features: firstUser.features,
           tabcoins: 8,
           tabcash: 3,
+          suspension: null,
           created_at: firstUser.created_at.toISOString(),
           updated_at: firstUser.updated_at.toISOString(),
         },
@@ -382,6 +388,7 @@ describe('GET /api/v1/users', () => {
             features: user.features,
             tabcoins: 0,
             tabcash: 0,
+            suspension: null,
             created_at: user.created_at.toISOString(),
             updated_at: user.updated_at.toISOString(),
           });
@@ -398,6 +405,7 @@ describe('GET /api/v1/users', () => {
           features: privilegedUser.features,
           tabcoins: 0,
           tabcash: 0,
+          suspension: null,
           created_at: privilegedUser.created_at.toISOString(),
           updated_at: privilegedUser.updated_at.toISOString(),
         };
@@ -74,7 +74,7 @@ describe('models/event', () => {
         username: 'newusername',
         description: 'new description',
         email: 'new@email.com',
-        notifications: false,
+        notification_preferences: { direct_reply: { email: false } },
       });
 
       const lastEvent = await orchestrator.getLastEvent();
@@ -87,7 +87,7 @@ describe('models/event', () => {
         created_at: lastEvent.created_at,
         metadata: {
           id: defaultUser.id,
-          updatedFields: ['description', 'notifications', 'username'],
+          updatedFields: ['description', 'notification_preferences', 'username'],
           username: {
             old: defaultUser.username,
             new: responseBody.username,
@@ -363,7 +363,7 @@ describe('models/event', () => {
         username: 'newusername',
         description: 'new description',
         email: 'new@email.com',
-        notifications: false,
+        notification_preferences: { direct_reply: { email: false } },
       });
 
       const lastEvent = await orchestrator.getLastEvent();
@@ -427,6 +427,7 @@ describe('models/event', () => {
         title: 'Root Updated',
         body: 'Root Updated',
         status: 'deleted',
+        moderation_reason: 'Conteúdo fora do tema.',
       });
 
       const lastEvent = await orchestrator.getLastEvent();
@@ -439,6 +440,7 @@ describe('models/event', () => {
         created_at: lastEvent.created_at,
         metadata: {
           id: createContentRootResponseBody.id,
+          moderation_reason: 'Conteúdo fora do tema.',
         },
       });
 
@@ -467,6 +469,7 @@ describe('models/event', () => {
       await contentsRequestBuilder.patch(`/${defaultUser.username}/${createContentChildResponseBody.slug}`, {
         body: 'Child Updated',
         status: 'deleted',
+        moderation_reason: 'Comentário ofensivo.',
       });
 
       const lastEvent = await orchestrator.getLastEvent();
@@ -479,6 +482,7 @@ describe('models/event', () => {
         created_at: lastEvent.created_at,
         metadata: {
           id: createContentChildResponseBody.id,
+          moderation_reason: 'Comentário ofensivo.',
         },
       });
 
@@ -491,7 +495,7 @@ describe('models/event', () => {
     beforeEach(async () => {
       await orchestrator.dropAllTables();
       await orchestrator.runPendingMigrations();
-      await orchestrator.createFirewallTestFunctions();
+      await orchestrator.enableFirewallRules();
     });
 
     test('Create "firewall:block_users" event', async () => {
@@ -623,7 +627,7 @@ describe('models/event', () => {
     beforeEach(async () => {
       await orchestrator.dropAllTables();
       await orchestrator.runPendingMigrations();
-      await orchestrator.createFirewallTestFunctions();
+      await orchestrator.enableFirewallRules();
     });
 
     test('Create "moderation:block_users" event', async () => {
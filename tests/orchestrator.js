@@ -2,17 +2,18 @@
 import { faker } from '@faker-js/faker';
 import retry from 'async-retry';
 import { randomUUID } from 'node:crypto';
-import fs from 'node:fs';
 import setCookieParser from 'set-cookie-parser';
 
 import database from 'infra/database.js';
 import migrator from 'infra/migrator.js';
 import webserver from 'infra/webserver.js';
 import activation from 'models/activation.js';
+import appeal from 'models/appeal.js';
 import balance from 'models/balance.js';
 import ban from 'models/ban';
 import content from 'models/content.js';
 import event from 'models/event.js';
+import inbox from 'models/inbox.js';
 import recovery from 'models/recovery.js';
 import session from 'models/session.js';
 import user from 'models/user.js';
@@ -262,6 +263,14 @@ async function nukeUser(userObject) {
   return await ban.nuke(userObject.id);
 }
 
+async function createAppeal({ userId, eventId, message }) {
+  const createdAppeal = await appeal.create({ userId, eventId });
+
+  if (!message) return createdAppeal;
+
+  return await appeal.submit(createdAppeal.id, message);
+}
+
 async function createSession(userObject) {
   return await session.create(userObject.id);
 }
@@ -292,6 +301,8 @@ async function createContent(contentObject) {
       status: contentObject?.status || 'draft',
       type: contentObject?.type || 'content',
       source_url: contentObject?.source_url || undefined,
+      tags: contentObject?.tags || undefined,
+      scheduled_for: contentObject?.scheduled_for || undefined,
     },
     {
       eventId: currentEvent.id,
@@ -323,6 +334,17 @@ async function createBalance(balanceObject) {
   });
 }
 
+async function createNotification(notificationObject) {
+  return await inbox.create({
+    user_id: notificationObject.user_id,
+    type: notificationObject.type || 'content:reply',
+    title: notificationObject.title || faker.lorem.sentence(),
+    url: notificationObject.url,
+    event_id: notificationObject.event_id,
+    metadata: notificationObject.metadata,
+  });
+}
+
 async function createRate(contentObject, amount, fromUserId) {
   const tabCoinsRequiredAmount = 2;
   const originator_ip = faker.internet.ip();
@@ -414,13 +436,8 @@ async function updateEmailConfirmationToken(tokenId, tokenBody) {
   return results.rows[0];
 }
 
-async function createFirewallTestFunctions() {
-  const procedures = fs.readdirSync('infra/stored-procedures');
-
-  for (const procedureFile of procedures) {
-    const procedureQuery = fs.readFileSync(`infra/stored-procedures/${procedureFile}`, 'utf8');
-    await database.query(procedureQuery);
-  }
+async function enableFirewallRules() {
+  await database.query('UPDATE firewall_rules SET enabled = true;');
 }
 
 // Prestige does not have to be an integer, so it can be given as a fraction.
@@ -531,6 +548,15 @@ async function updateRewardedAt(userId, rewardedAt) {
   return await database.query(query);
 }
 
+async function updateSuspensionEndsAt(userId, endsAt) {
+  const query = {
+    text: 'UPDATE user_suspensions SET ends_at = $1 WHERE user_id = $2 AND lifted_at IS NULL;',
+    values: [endsAt, userId],
+  };
+
+  return await database.query(query);
+}
+
 async function getLastEvent() {
   const results = await database.query('SELECT * FROM events ORDER BY created_at DESC LIMIT 1;');
   return results.rows[0];
@@ -555,9 +581,10 @@ const orchestrator = {
   activateUser,
   addFeaturesToUser,
   createActivateAccountToken,
+  createAppeal,
   createBalance,
   createContent,
-  createFirewallTestFunctions,
+  createNotification,
   createPrestige,
   createRate,
   createRecoveryToken,
@@ -565,6 +592,7 @@ const orchestrator = {
   createUser,
   deleteAllEmails,
   dropAllTables,
+  enableFirewallRules,
   findSessionByToken,
   getEmails,
   getLastEvent,
@@ -578,6 +606,7 @@ const orchestrator = {
   updateEmailConfirmationToken,
   updateEventCreatedAt,
   updateRewardedAt,
+  updateSuspensionEndsAt,
   waitForAllServices,
   waitForFirstEmail,
   waitForNthEmail,
@@ -0,0 +1,24 @@
+import { shouldAddNofollow } from 'pages/interface';
+
+describe('shouldAddNofollow', () => {
+  it('should fall back to the trusted domains when there are no link policies', () => {
+    expect(shouldAddNofollow('https://github.com/filipedeschamps/tabnews.com.br')).toBe(false);
+    expect(shouldAddNofollow('https://example.com')).toBe(true);
+  });
+
+  it('should not add nofollow to domains and subdomains allowed by moderators', () => {
+    const linkPolicies = { allow: ['example.com'], nofollow: [] };
+
+    expect(shouldAddNofollow('https://example.com/post', linkPolicies)).toBe(false);
+    expect(shouldAddNofollow('https://www.example.com', linkPolicies)).toBe(false);
+    expect(shouldAddNofollow('https://blog.example.com', linkPolicies)).toBe(false);
+    expect(shouldAddNofollow('https://notexample.com', linkPolicies)).toBe(true);
+  });
+
+  it('should add nofollow to managed domains even if they are trusted by default', () => {
+    const linkPolicies = { allow: [], nofollow: ['github.com'] };
+
+    expect(shouldAddNofollow('https://github.com/spam', linkPolicies)).toBe(true);
+    expect(shouldAddNofollow('https://gist.github.com/spam', linkPolicies)).toBe(true);
+  });
+});
@@ -0,0 +1,41 @@
+import { mentionParser } from 'pages/interface';
+
+const { extractMentions, linkMentions } = mentionParser;
+
+describe('extractMentions', () => {
+  it('should return unique usernames in order of appearance', () => {
+    const mentions = extractMentions('Olá @filipe, @Rafael e @FILIPE.');
+    expect(mentions).toStrictEqual(['filipe', 'Rafael']);
+  });
+
+  it('should ignore emails, URLs and usernames shorter than 3 characters', () => {
+    const mentions = extractMentions('contato@tabnews.com.br https://x.com/@tabnews @ab');
+    expect(mentions).toStrictEqual([]);
+  });
+
+  it('should ignore mentions inside code and links', () => {
+    const markdown = 'Veja `@inline` e [@link](/link)\n\n```\n@fenced\n```\n\n~~~\n@tilde\n~~~';
+    expect(extractMentions(markdown)).toStrictEqual([]);
+  });
+
+  it('should return an empty array for empty values', () => {
+    expect(extractMentions('')).toStrictEqual([]);
+    expect(extractMentions(undefined)).toStrictEqual([]);
+  });
+});
+
+describe('linkMentions', () => {
+  it('should replace mentions with profile links', () => {
+    const markdown = linkMentions('Olá @filipe!\n(@rafael)');
+    expect(markdown).toBe('Olá [@filipe](/filipe)!\n([@rafael](/rafael))');
+  });
+
+  it('should keep code and existing links untouched', () => {
+    const markdown = 'Veja `@inline` e [@link](/link) e @filipe';
+    expect(linkMentions(markdown)).toBe('Veja `@inline` e [@link](/link) e [@filipe](/filipe)');
+  });
+
+  it('should return non-string values untouched', () => {
+    expect(linkMentions(undefined)).toBeUndefined();
+  });
+});
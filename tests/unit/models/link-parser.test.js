@@ -0,0 +1,49 @@
+import linkParser from 'models/link-parser';
+
+describe('link-parser model', () => {
+  describe('extractLinks', () => {
+    it('should return an empty list without text', () => {
+      expect(linkParser.extractLinks(undefined)).toStrictEqual([]);
+      expect(linkParser.extractLinks('Texto sem links.')).toStrictEqual([]);
+    });
+
+    it('should extract "http" and "https" links', () => {
+      const text = 'Veja http://example.com/a e [isto](https://sub.example.org/b?c=1).';
+      expect(linkParser.extractLinks(text)).toStrictEqual(['http://example.com/a', 'https://sub.example.org/b?c=1']);
+    });
+
+    it('should extract "www." autolinks', () => {
+      const text = 'Acesse www.example.com/oferta ou WWW.Example.org hoje';
+      expect(linkParser.extractLinks(text)).toStrictEqual(['www.example.com/oferta', 'WWW.Example.org']);
+    });
+
+    it('should extract protocol-relative links', () => {
+      const text = 'Confira [aqui](//promo.example.com/oferta) e <//example.org>.';
+      expect(linkParser.extractLinks(text)).toStrictEqual(['//promo.example.com/oferta', '//example.org']);
+    });
+
+    it('should not extract "www." or "//" inside other links or text', () => {
+      const text = 'https://www.example.com/a//b.c email@www.example.com // comentário //sem-ponto';
+      expect(linkParser.extractLinks(text)).toStrictEqual(['https://www.example.com/a//b.c']);
+    });
+  });
+
+  describe('getHostname', () => {
+    it('should return the lowercase hostname of each link format', () => {
+      expect(linkParser.getHostname('https://Sub.Example.com/a')).toBe('sub.example.com');
+      expect(linkParser.getHostname('www.Example.com/a')).toBe('www.example.com');
+      expect(linkParser.getHostname('//promo.example.com/a')).toBe('promo.example.com');
+    });
+
+    it('should return undefined for invalid links', () => {
+      expect(linkParser.getHostname('https://')).toBeUndefined();
+    });
+  });
+
+  describe('removeLinks', () => {
+    it('should replace every link format', () => {
+      const text = 'a https://example.com b www.example.com c //example.com d';
+      expect(linkParser.removeLinks(text)).toBe('a   b   c   d');
+    });
+  });
+});
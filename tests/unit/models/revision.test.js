@@ -0,0 +1,54 @@
+import revision from 'models/revision';
+
+describe('revision model', () => {
+  describe('diff', () => {
+    it('should mark every line as unchanged when both versions are equal', () => {
+      const result = revision.diff(
+        { title: 'Título', body: 'Linha 1\nLinha 2', source_url: null },
+        { title: 'Título', body: 'Linha 1\nLinha 2', source_url: null },
+      );
+
+      expect(result).toStrictEqual({
+        title: [{ type: 'unchanged', value: 'Título' }],
+        body: [
+          { type: 'unchanged', value: 'Linha 1' },
+          { type: 'unchanged', value: 'Linha 2' },
+        ],
+        source_url: [],
+      });
+    });
+
+    it('should list removed lines before added lines when a line is replaced', () => {
+      const result = revision.diff(
+        { title: 'Antigo', body: 'Início\nMeio\nFim', source_url: null },
+        { title: 'Novo', body: 'Início\nMeio editado\nFim', source_url: 'https://www.tabnews.com.br' },
+      );
+
+      expect(result).toStrictEqual({
+        title: [
+          { type: 'removed', value: 'Antigo' },
+          { type: 'added', value: 'Novo' },
+        ],
+        body: [
+          { type: 'unchanged', value: 'Início' },
+          { type: 'removed', value: 'Meio' },
+          { type: 'added', value: 'Meio editado' },
+          { type: 'unchanged', value: 'Fim' },
+        ],
+        source_url: [{ type: 'added', value: 'https://www.tabnews.com.br' }],
+      });
+    });
+
+    it('should keep lines common to both versions when lines are inserted and removed', () => {
+      const result = revision.diff({ body: 'a\nb\nc\nd' }, { body: 'a\nc\nd\ne' });
+
+      expect(result.body).toStrictEqual([
+        { type: 'unchanged', value: 'a' },
+        { type: 'removed', value: 'b' },
+        { type: 'unchanged', value: 'c' },
+        { type: 'unchanged', value: 'd' },
+        { type: 'added', value: 'e' },
+      ]);
+    });
+  });
+});
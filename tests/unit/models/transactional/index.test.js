@@ -4,6 +4,7 @@ import {
   FirewallEmail,
   NotificationEmail,
   RecoveryEmail,
+  SuspensionEmail,
 } from 'models/transactional';
 
 describe('Transactional model', () => {
@@ -40,6 +41,19 @@ describe('Transactional model', () => {
       expect(text).toMatchSnapshot();
     });
 
+    it('Firewall with appeal link', () => {
+      const { html, text } = FirewallEmail({
+        username: 'User',
+        sideEffectLine: 'A sua conta foi banida por violar os termos de uso do TabNews.',
+        eventId: 'c7854f84-f7b4-468c-9805-a96d7ac4853a',
+        appealLink: 'https://tabnews.com.br/recurso/TOKEN_ID',
+        previewText: 'Sua conta foi banida do TabNews',
+      });
+
+      expect(html).toMatchSnapshot();
+      expect(text).toMatchSnapshot();
+    });
+
     it('Notification', () => {
       const username = 'User Test';
       const bodyReplyLine = '"User2" respondeu à sua publicação "Título publicação".';
@@ -60,5 +74,18 @@ describe('Transactional model', () => {
       expect(html).toMatchSnapshot();
       expect(text).toMatchSnapshot();
     });
+
+    it('Suspension', () => {
+      const { html, text } = SuspensionEmail({
+        username: 'User',
+        suspensionLine:
+          'A sua conta foi suspensa até 20/11/2026, 10:00. Até lá, você não poderá publicar nem editar conteúdos.',
+        reason: 'Publicação repetida de conteúdo promocional.',
+        eventId: 'c7854f84-f7b4-468c-9805-a96d7ac4853a',
+      });
+
+      expect(html).toMatchSnapshot();
+      expect(text).toMatchSnapshot();
+    });
   });
 });